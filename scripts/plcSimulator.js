@@ -0,0 +1,583 @@
+/**
+ * Fatek PLC simulator
+ *
+ * Listens on TCP and answers the same ASCII frames plcService sends, backed by
+ * an in-memory register/bit image. O2 sensors are mapped onto consecutive
+ * registers starting at R02100 and can be scripted with ramps, noise and
+ * dropouts; link faults (bad checksum, truncated or missing replies, PLC error
+ * codes) can be injected to exercise the error paths.
+ *
+ * Usage:
+ *   node scripts/plcSimulator.js [--port 5000] [--host 0.0.0.0] [--scenario file.json]
+ *
+ * Point the backend at it with PLC_IP=127.0.0.1 PLC_PORT=5000.
+ */
+
+const net = require('net');
+const fs = require('fs');
+const EventEmitter = require('events');
+const fatek = require('../src/utils/fatekProtocol');
+
+const FAULT_TYPES = [
+	'badChecksum',
+	'truncated',
+	'garbage',
+	'noReply',
+	'errorCode',
+	'split',
+];
+
+class FatekPLCSimulator extends EventEmitter {
+	constructor(options = {}) {
+		super();
+		this.host = options.host || '127.0.0.1';
+		this.port = options.port !== undefined ? options.port : 5000;
+		this.station = options.station || 1;
+		this.sensorBaseRegister = options.sensorBaseRegister || 'R02100';
+		this.rawPerPercent = options.rawPerPercent || 100;
+		this.rawOffset = options.rawOffset || 0;
+
+		this.registers = new Map();
+		this.bits = new Map();
+		this.sensors = new Map();
+		this.faults = [];
+		this.writeLog = [];
+		this.running = true;
+		this.server = null;
+		this.clients = new Set();
+		this.stepTimers = [];
+		this.stats = { requests: 0, replies: 0, faultsInjected: 0, badRequests: 0 };
+
+		(options.sensors || []).forEach((sensor) =>
+			this.setSensor(sensor.index, sensor)
+		);
+	}
+
+	/**
+	 * Start listening
+	 * @returns {Promise<number>} - Bound port (useful with port 0)
+	 */
+	start() {
+		return new Promise((resolve, reject) => {
+			this.server = net.createServer((socket) => this.handleClient(socket));
+			this.server.once('error', reject);
+			this.server.listen(this.port, this.host, () => {
+				this.port = this.server.address().port;
+				resolve(this.port);
+			});
+		});
+	}
+
+	/**
+	 * Stop listening, drop clients and cancel scenario steps
+	 */
+	stop() {
+		this.stepTimers.forEach(clearTimeout);
+		this.stepTimers = [];
+		this.clients.forEach((socket) => socket.destroy());
+		this.clients.clear();
+
+		return new Promise((resolve) => {
+			if (!this.server) return resolve();
+			this.server.close(() => resolve());
+			this.server = null;
+		});
+	}
+
+	/**
+	 * Drop every open client connection (simulates a link loss)
+	 */
+	dropConnections() {
+		this.clients.forEach((socket) => socket.destroy());
+		this.clients.clear();
+	}
+
+	handleClient(socket) {
+		this.clients.add(socket);
+		let buffer = Buffer.alloc(0);
+
+		socket.on('data', (chunk) => {
+			buffer = Buffer.concat([buffer, chunk]);
+
+			for (;;) {
+				const start = buffer.indexOf(fatek.STX);
+				if (start === -1) {
+					buffer = Buffer.alloc(0);
+					return;
+				}
+				const end = buffer.indexOf(fatek.ETX, start + 1);
+				if (end === -1) {
+					buffer = buffer.slice(start);
+					return;
+				}
+
+				const frame = buffer.slice(start, end + 1);
+				buffer = buffer.slice(end + 1);
+				this.handleFrame(socket, frame);
+			}
+		});
+
+		socket.on('error', () => {});
+		socket.on('close', () => this.clients.delete(socket));
+	}
+
+	handleFrame(socket, frame) {
+		this.stats.requests++;
+
+		let request;
+		try {
+			request = fatek.decodeRequest(frame);
+		} catch (error) {
+			// A real PLC ignores frames it cannot checksum
+			this.stats.badRequests++;
+			this.emit('badRequest', { frame: frame.toString(), error: error.message });
+			return;
+		}
+
+		if (request.station !== this.station) {
+			return;
+		}
+
+		let errorCode = '0';
+		let data = '';
+		try {
+			data = this.execute(request.command, request.data);
+		} catch (error) {
+			errorCode = error.plcErrorCode || '4';
+		}
+
+		this.emit('request', { ...request, errorCode });
+		this.sendReply(socket, request.command, errorCode, data);
+	}
+
+	sendReply(socket, command, errorCode, data) {
+		const fault = this.faults.shift();
+		if (fault) {
+			this.stats.faultsInjected++;
+			this.emit('fault', fault);
+		}
+
+		if (fault && fault.type === 'errorCode') {
+			errorCode = fault.code || '4';
+			data = '';
+		}
+
+		let reply = fatek.encodeFrame(this.station, command, errorCode + data);
+
+		if (fault) {
+			switch (fault.type) {
+				case 'noReply':
+					return;
+				case 'badChecksum':
+					reply[reply.length - 2] = reply[reply.length - 2] === 0x30 ? 0x31 : 0x30;
+					break;
+				case 'truncated':
+					reply = Buffer.concat([
+						reply.slice(0, Math.max(2, reply.length - 6)),
+						Buffer.from([fatek.ETX]),
+					]);
+					break;
+				case 'garbage':
+					reply = Buffer.concat([Buffer.from('\xff#noise#', 'latin1'), reply]);
+					break;
+				case 'split': {
+					const half = Math.floor(reply.length / 2);
+					socket.write(reply.slice(0, half));
+					setTimeout(() => socket.write(reply.slice(half)), fault.delayMs || 20);
+					this.stats.replies++;
+					return;
+				}
+				default:
+					break;
+			}
+		}
+
+		const send = () => {
+			if (!socket.destroyed) {
+				socket.write(reply);
+				this.stats.replies++;
+			}
+		};
+		if (this.responseDelayMs) {
+			setTimeout(send, this.responseDelayMs);
+		} else {
+			send();
+		}
+	}
+
+	/**
+	 * Execute a decoded command against the memory image
+	 * @returns {string} - Reply data (after the error code)
+	 */
+	execute(command, data) {
+		const hex = (value, width) =>
+			value.toString(16).toUpperCase().padStart(width, '0');
+
+		switch (command) {
+			case fatek.COMMANDS.READ_SYSTEM_STATUS:
+				return hex(this.running ? 0x01 : 0x00, 2) + '0000';
+
+			case fatek.COMMANDS.RUN_STOP:
+				this.running = data === '1';
+				this.emit('runMode', this.running);
+				return '';
+
+			case fatek.COMMANDS.LOOPBACK:
+				return data;
+
+			case fatek.COMMANDS.SINGLE_DISCRETE: {
+				const action = data.slice(0, 1);
+				const address = this.parse(data.slice(1), 'discrete');
+				if (action === fatek.DISCRETE_ACTIONS.SET) {
+					this.setBit(address.address, 1, true);
+				} else if (action === fatek.DISCRETE_ACTIONS.RESET) {
+					this.setBit(address.address, 0, true);
+				}
+				return '';
+			}
+
+			case fatek.COMMANDS.READ_DISCRETES: {
+				const count = parseInt(data.slice(0, 2), 16);
+				const start = this.parse(data.slice(2), 'discrete');
+				let out = '';
+				for (let i = 0; i < count; i++) {
+					out += this.getBit(fatek.offsetAddress(start, i).address) ? '1' : '0';
+				}
+				return out;
+			}
+
+			case fatek.COMMANDS.WRITE_DISCRETES: {
+				const count = parseInt(data.slice(0, 2), 16);
+				const start = this.parse(data.slice(2, 7), 'discrete');
+				const values = data.slice(7);
+				if (values.length !== count) throw this.plcError('4');
+				for (let i = 0; i < count; i++) {
+					this.setBit(
+						fatek.offsetAddress(start, i).address,
+						values[i] === '1' ? 1 : 0,
+						true
+					);
+				}
+				return '';
+			}
+
+			case fatek.COMMANDS.READ_REGISTERS: {
+				const count = parseInt(data.slice(0, 2), 16);
+				const start = this.parse(data.slice(2), 'register');
+				let out = '';
+				for (let i = 0; i < count; i++) {
+					out += hex(this.getRegister(fatek.offsetAddress(start, i).address), 4);
+				}
+				return out;
+			}
+
+			case fatek.COMMANDS.WRITE_REGISTERS: {
+				const count = parseInt(data.slice(0, 2), 16);
+				const start = this.parse(data.slice(2, 8), 'register');
+				const values = data.slice(8);
+				if (values.length !== count * 4) throw this.plcError('4');
+				for (let i = 0; i < count; i++) {
+					this.setRegister(
+						fatek.offsetAddress(start, i).address,
+						parseInt(values.slice(i * 4, i * 4 + 4), 16),
+						true
+					);
+				}
+				return '';
+			}
+
+			case fatek.COMMANDS.MIXED_READ: {
+				const count = parseInt(data.slice(0, 2), 16);
+				let pos = 2;
+				let out = '';
+				for (let i = 0; i < count; i++) {
+					const isRegister = ['R', 'D'].includes(data[pos]);
+					const width = isRegister ? 6 : 5;
+					const address = this.parse(data.slice(pos, pos + width));
+					pos += width;
+					out += isRegister
+						? hex(this.getRegister(address.address), 4)
+						: this.getBit(address.address)
+						? '1'
+						: '0';
+				}
+				return out;
+			}
+
+			default:
+				throw this.plcError('4');
+		}
+	}
+
+	parse(text, kind) {
+		try {
+			const address = fatek.parseAddress(text);
+			if (kind && address.kind !== kind) throw new Error('wrong kind');
+			return address;
+		} catch (error) {
+			throw this.plcError('A');
+		}
+	}
+
+	plcError(code) {
+		const error = new Error(`Simulated PLC error ${code}`);
+		error.plcErrorCode = code;
+		return error;
+	}
+
+	// Memory image
+
+	getRegister(address) {
+		const normalized = fatek.parseAddress(address).address;
+		const sensorValue = this.readSensorRegister(normalized);
+		if (sensorValue !== null) return sensorValue;
+		return this.registers.get(normalized) || 0;
+	}
+
+	setRegister(address, value, fromClient = false) {
+		const normalized = fatek.parseAddress(address).address;
+		this.registers.set(normalized, value & 0xffff);
+		if (fromClient) {
+			this.writeLog.push({ address: normalized, value, at: Date.now() });
+			this.emit('registerWrite', { address: normalized, value });
+		}
+	}
+
+	getBit(address) {
+		return this.bits.get(fatek.parseAddress(address).address) || 0;
+	}
+
+	setBit(address, value, fromClient = false) {
+		const normalized = fatek.parseAddress(address).address;
+		this.bits.set(normalized, value ? 1 : 0);
+		if (fromClient) {
+			this.writeLog.push({ address: normalized, value: value ? 1 : 0, at: Date.now() });
+			this.emit('bitWrite', { address: normalized, value: value ? 1 : 0 });
+		}
+	}
+
+	// Sensor scripting
+
+	/**
+	 * Configure a simulated O2 sensor
+	 * @param {number} index - Offset from the sensor base register
+	 * @param {Object} config - { o2, noise, dropout, dropoutValue, rawPerPercent, rawOffset }
+	 */
+	setSensor(index, config = {}) {
+		const existing = this.sensors.get(index) || {
+			o2: 20.9,
+			noise: 0,
+			dropout: false,
+			dropoutValue: 0,
+			ramp: null,
+		};
+		const sensor = { ...existing, ...config };
+		if (config.o2 !== undefined) {
+			sensor.ramp = null;
+		}
+		this.sensors.set(index, sensor);
+	}
+
+	/**
+	 * Ramp a sensor's O2 level linearly to a target
+	 * @param {number} index - Sensor index
+	 * @param {number} to - Target O2 %
+	 * @param {number} durationMs - Ramp duration
+	 */
+	rampSensor(index, to, durationMs) {
+		const from = this.currentO2(index);
+		this.setSensor(index, {});
+		this.sensors.get(index).ramp = {
+			from,
+			to,
+			startedAt: Date.now(),
+			durationMs: Math.max(1, durationMs),
+		};
+	}
+
+	currentO2(index) {
+		const sensor = this.sensors.get(index);
+		if (!sensor) return 20.9;
+		if (!sensor.ramp) return sensor.o2;
+
+		const { from, to, startedAt, durationMs } = sensor.ramp;
+		const progress = Math.min(1, (Date.now() - startedAt) / durationMs);
+		const o2 = from + (to - from) * progress;
+		if (progress >= 1) {
+			sensor.o2 = to;
+			sensor.ramp = null;
+		}
+		return o2;
+	}
+
+	readSensorRegister(address) {
+		const base = fatek.parseAddress(this.sensorBaseRegister);
+		const parsed = fatek.parseAddress(address);
+		if (parsed.type !== base.type) return null;
+
+		const index = parsed.number - base.number;
+		const sensor = this.sensors.get(index);
+		if (!sensor) return null;
+		if (sensor.dropout) return sensor.dropoutValue;
+
+		// Box-Muller gaussian noise, expressed in % O2
+		let noise = 0;
+		if (sensor.noise > 0) {
+			const u = 1 - Math.random();
+			const v = Math.random();
+			noise = sensor.noise * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+		}
+
+		const rawPerPercent = sensor.rawPerPercent || this.rawPerPercent;
+		const rawOffset = sensor.rawOffset !== undefined ? sensor.rawOffset : this.rawOffset;
+		const raw = Math.round((this.currentO2(index) + noise) * rawPerPercent + rawOffset);
+		return Math.max(0, Math.min(0xffff, raw));
+	}
+
+	// Fault injection
+
+	/**
+	 * Corrupt the next `count` replies
+	 * @param {string} type - One of FAULT_TYPES
+	 * @param {Object} options - { count, code, delayMs }
+	 */
+	injectFault(type, options = {}) {
+		if (!FAULT_TYPES.includes(type)) {
+			throw new Error(`Unknown fault type ${type}. Use one of: ${FAULT_TYPES.join(', ')}`);
+		}
+		const count = options.count || 1;
+		for (let i = 0; i < count; i++) {
+			this.faults.push({ type, code: options.code, delayMs: options.delayMs });
+		}
+	}
+
+	clearFaults() {
+		this.faults = [];
+	}
+
+	/**
+	 * Run a scenario: initial sensors and timed steps
+	 * @param {Object} scenario - { sensors: [...], steps: [{ at, ... }] }
+	 */
+	loadScenario(scenario) {
+		if (scenario.rawPerPercent) this.rawPerPercent = scenario.rawPerPercent;
+		if (scenario.rawOffset !== undefined) this.rawOffset = scenario.rawOffset;
+		if (scenario.responseDelayMs) this.responseDelayMs = scenario.responseDelayMs;
+
+		(scenario.sensors || []).forEach((sensor) => this.setSensor(sensor.index, sensor));
+		Object.entries(scenario.registers || {}).forEach(([address, value]) =>
+			this.setRegister(address, value)
+		);
+
+		(scenario.steps || []).forEach((step) => {
+			const timer = setTimeout(() => this.applyStep(step), step.at || 0);
+			this.stepTimers.push(timer);
+		});
+	}
+
+	applyStep(step) {
+		if (step.fault) {
+			this.injectFault(step.fault, step);
+		}
+		if (step.dropConnections) {
+			this.dropConnections();
+		}
+		if (step.sensor !== undefined) {
+			if (step.rampTo !== undefined) {
+				this.rampSensor(step.sensor, step.rampTo, step.durationMs || 0);
+			}
+			const {
+				at,
+				sensor,
+				rampTo,
+				durationMs,
+				fault,
+				count,
+				code,
+				delayMs,
+				dropConnections,
+				...config
+			} = step;
+			if (Object.keys(config).length > 0) {
+				this.setSensor(step.sensor, config);
+			}
+		}
+		this.emit('step', step);
+	}
+
+	getState() {
+		const sensors = {};
+		this.sensors.forEach((sensor, index) => {
+			sensors[index] = { ...sensor, currentO2: this.currentO2(index) };
+		});
+		return {
+			port: this.port,
+			station: this.station,
+			running: this.running,
+			sensors,
+			registers: Object.fromEntries(this.registers),
+			bits: Object.fromEntries(this.bits),
+			pendingFaults: this.faults.length,
+			stats: this.stats,
+		};
+	}
+}
+
+/**
+ * Start a simulator (convenience for scripts and test suites)
+ * @param {Object} options - Constructor options plus optional `scenario`
+ * @returns {Promise<FatekPLCSimulator>} - Running simulator
+ */
+async function startSimulator(options = {}) {
+	const simulator = new FatekPLCSimulator(options);
+	await simulator.start();
+	if (options.scenario) {
+		simulator.loadScenario(options.scenario);
+	}
+	return simulator;
+}
+
+const parseArgs = (argv) => {
+	const args = {};
+	for (let i = 0; i < argv.length; i++) {
+		if (argv[i].startsWith('--')) {
+			args[argv[i].slice(2)] = argv[i + 1];
+			i++;
+		}
+	}
+	return args;
+};
+
+// Run simulator if this file is executed directly
+if (require.main === module) {
+	const args = parseArgs(process.argv.slice(2));
+	const scenario = args.scenario
+		? JSON.parse(fs.readFileSync(args.scenario, 'utf8'))
+		: { sensors: [{ index: 0, o2: 20.9 }, { index: 1, o2: 20.9 }] };
+
+	startSimulator({
+		host: args.host || '0.0.0.0',
+		port: args.port ? parseInt(args.port) : 5000,
+		station: args.station ? parseInt(args.station) : 1,
+		scenario,
+	})
+		.then((simulator) => {
+			console.log(
+				`Fatek PLC simulator listening on ${simulator.host}:${simulator.port} (station ${simulator.station})`
+			);
+			simulator.on('registerWrite', ({ address, value }) =>
+				console.log(`write ${address} = ${value}`)
+			);
+			simulator.on('bitWrite', ({ address, value }) =>
+				console.log(`bit ${address} = ${value}`)
+			);
+			simulator.on('fault', (fault) => console.log(`fault injected: ${fault.type}`));
+			process.on('SIGINT', () => simulator.stop().then(() => process.exit(0)));
+		})
+		.catch((error) => {
+			console.error('Failed to start PLC simulator:', error);
+			process.exit(1);
+		});
+}
+
+module.exports = { FatekPLCSimulator, startSimulator, FAULT_TYPES };
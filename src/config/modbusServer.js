@@ -0,0 +1,74 @@
+const modbus = require('../utils/modbusProtocol');
+require('dotenv').config();
+
+// Register offsets inside each chamber block (see MODBUS_SERVER.md)
+const CHAMBER_REGISTERS = {
+	O2_SCALED: 0,
+	O2_FLOAT: 1, // 2 registers
+	RAW_FLOAT: 3, // 2 registers
+	TEMPERATURE: 5,
+	STATUS: 6,
+	DATA_AGE: 7,
+	CHAMBER_ID: 8,
+	SENSOR_TYPE: 9,
+};
+
+// Register offsets inside the header block (block 0)
+const HEADER_REGISTERS = {
+	LAYOUT_VERSION: 0,
+	BLOCK_SIZE: 1,
+	CHAMBER_COUNT: 2,
+	HEARTBEAT: 3,
+	O2_SCALE: 4,
+};
+
+// Bits of the STATUS register
+const STATUS_BITS = {
+	HIGH_O2_ALARM: 0,
+	LOW_O2_ALARM: 1,
+	SENSOR_ERROR: 2,
+	CALIBRATION_DUE: 3,
+	DATA_STALE: 4,
+	NO_DATA: 5,
+	CALIBRATED: 6,
+	ALARM_MUTED: 7,
+};
+
+const LAYOUT_VERSION = 1;
+const MIN_BLOCK_SIZE = 10;
+
+const blockSize = parseInt(process.env.MODBUS_SERVER_BLOCK_SIZE) || 16;
+if (blockSize < MIN_BLOCK_SIZE) {
+	throw new Error(`MODBUS_SERVER_BLOCK_SIZE cannot be less than ${MIN_BLOCK_SIZE}`);
+}
+
+const baseAddress = parseInt(process.env.MODBUS_SERVER_BASE_ADDRESS) || 0;
+const maxChambers = parseInt(process.env.MODBUS_SERVER_MAX_CHAMBERS) || 32;
+if (baseAddress + (maxChambers + 1) * blockSize > 0x10000) {
+	throw new Error('Modbus server register layout does not fit the 16-bit address space');
+}
+
+const wordOrder = process.env.MODBUS_SERVER_WORD_ORDER || 'big';
+if (!modbus.WORD_ORDERS.includes(wordOrder)) {
+	throw new Error(
+		`MODBUS_SERVER_WORD_ORDER must be one of ${modbus.WORD_ORDERS.join(', ')}`
+	);
+}
+
+module.exports = {
+	enabled: process.env.MODBUS_SERVER_ENABLED === '1',
+	host: process.env.MODBUS_SERVER_HOST || '0.0.0.0',
+	port: parseInt(process.env.MODBUS_SERVER_PORT) || 1502,
+	// 0 answers every unit id
+	unitId: parseInt(process.env.MODBUS_SERVER_UNIT_ID) || 0,
+	baseAddress,
+	blockSize,
+	maxChambers,
+	o2Scale: parseInt(process.env.MODBUS_SERVER_O2_SCALE) || 100,
+	wordOrder,
+	staleAfterMs: parseInt(process.env.MODBUS_SERVER_STALE_MS) || 5000,
+	LAYOUT_VERSION,
+	CHAMBER_REGISTERS,
+	HEADER_REGISTERS,
+	STATUS_BITS,
+};
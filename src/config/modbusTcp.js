@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const modbus = require('../utils/modbusProtocol');
+require('dotenv').config();
+
+const DEFAULT_CONFIG_PATH = './modbus-tcp.json';
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+const DEFAULT_TIMEOUT_MS = 1000;
+const MIN_POLL_INTERVAL_MS = 100;
+
+const FUNCTIONS = {
+	holding: modbus.FUNCTION_CODES.READ_HOLDING_REGISTERS,
+	input: modbus.FUNCTION_CODES.READ_INPUT_REGISTERS,
+	3: modbus.FUNCTION_CODES.READ_HOLDING_REGISTERS,
+	4: modbus.FUNCTION_CODES.READ_INPUT_REGISTERS,
+};
+
+const fail = (where, message) => {
+	throw new Error(`Invalid Modbus TCP config at ${where}: ${message}`);
+};
+
+/**
+ * Normalise one register field (the O2 value, temperature or pressure)
+ */
+const normalizeField = (field, where) => {
+	if (!Number.isInteger(field.address) || field.address < 0 || field.address > 0xffff) {
+		fail(where, 'address must be an integer between 0 and 65535');
+	}
+
+	const type = field.type || 'uint16';
+	if (!modbus.DATA_TYPES[type]) {
+		fail(where, `type must be one of ${Object.keys(modbus.DATA_TYPES).join(', ')}`);
+	}
+
+	const wordOrder = field.wordOrder || 'big';
+	if (!modbus.WORD_ORDERS.includes(wordOrder)) {
+		fail(where, `wordOrder must be one of ${modbus.WORD_ORDERS.join(', ')}`);
+	}
+
+	const functionCode = FUNCTIONS[field.function || 'holding'];
+	if (!functionCode) {
+		fail(where, 'function must be holding (3) or input (4)');
+	}
+
+	return {
+		address: field.address,
+		functionCode,
+		type,
+		wordOrder,
+		size: modbus.DATA_TYPES[type],
+		scale: field.scale !== undefined ? field.scale : 1,
+		offset: field.offset || 0,
+	};
+};
+
+/**
+ * Validate a raw config object and fill in defaults
+ * @param {Object} raw - Parsed JSON
+ * @returns {Object} - { devices: [{ name, host, port, timeoutMs, slaves: [...] }] }
+ */
+const normalizeConfig = (raw) => {
+	const pollIntervalMs = raw.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+	const timeoutMs = raw.timeoutMs || DEFAULT_TIMEOUT_MS;
+	const sensorNames = new Set();
+
+	if (!Array.isArray(raw.devices)) {
+		fail('root', 'devices must be an array');
+	}
+
+	const devices = raw.devices.map((device, d) => {
+		const where = `devices[${d}]`;
+		if (!device.host) fail(where, 'host is required');
+		if (!Array.isArray(device.slaves)) fail(where, 'slaves must be an array');
+
+		return {
+			name: device.name || `${device.host}:${device.port || 502}`,
+			host: device.host,
+			port: device.port || 502,
+			timeoutMs: device.timeoutMs || timeoutMs,
+			slaves: device.slaves.map((slave, s) => {
+				const slaveWhere = `${where}.slaves[${s}]`;
+				const slaveId = slave.slave_id;
+				if (!Number.isInteger(slaveId) || slaveId < 0 || slaveId > 255) {
+					fail(slaveWhere, 'slave_id must be an integer between 0 and 255');
+				}
+
+				const interval = slave.pollIntervalMs || device.pollIntervalMs || pollIntervalMs;
+				if (interval < MIN_POLL_INTERVAL_MS) {
+					fail(slaveWhere, `pollIntervalMs cannot be less than ${MIN_POLL_INTERVAL_MS}`);
+				}
+				if (!Array.isArray(slave.sensors) || slave.sensors.length === 0) {
+					fail(slaveWhere, 'sensors must be a non-empty array');
+				}
+
+				return {
+					slaveId,
+					pollIntervalMs: interval,
+					sensors: slave.sensors.map((sensor, n) => {
+						const sensorWhere = `${slaveWhere}.sensors[${n}]`;
+						if (!sensor.name) fail(sensorWhere, 'name is required');
+
+						const name = sensor.name.toLowerCase();
+						if (sensorNames.has(name)) {
+							fail(sensorWhere, `sensor name ${sensor.name} is used twice`);
+						}
+						sensorNames.add(name);
+
+						return {
+							name,
+							value: normalizeField(sensor, sensorWhere),
+							temperature: sensor.temperature
+								? normalizeField(
+									{ function: sensor.function, ...sensor.temperature },
+									`${sensorWhere}.temperature`
+								)
+								: null,
+							// Scaled to absolute kPa
+							pressure: sensor.pressure
+								? normalizeField(
+									{ function: sensor.function, ...sensor.pressure },
+									`${sensorWhere}.pressure`
+								)
+								: null,
+						};
+					}),
+				};
+			}),
+		};
+	});
+
+	return { devices };
+};
+
+/**
+ * Load the slave configuration from MODBUS_TCP_CONFIG (default ./modbus-tcp.json)
+ * @returns {Object} - Normalised config
+ */
+const loadConfig = (configPath = process.env.MODBUS_TCP_CONFIG || DEFAULT_CONFIG_PATH) => {
+	const resolved = path.resolve(configPath);
+	if (!fs.existsSync(resolved)) {
+		throw new Error(`Modbus TCP config not found: ${resolved}`);
+	}
+	return normalizeConfig(JSON.parse(fs.readFileSync(resolved, 'utf8')));
+};
+
+module.exports = {
+	loadConfig,
+	normalizeConfig,
+};
@@ -0,0 +1,73 @@
+const fatek = require('../utils/fatekProtocol');
+require('dotenv').config();
+
+// Registers and bits the backend itself writes: calibrated O2 values for
+// main/ante (R02001, R02005), FIO sensors (R02020-R02024) and alarm bits.
+const DEFAULT_WRITABLE_RANGES = 'R02001,R02005,R02020-R02024,M0407-M0408';
+
+// First register of the raw sensor block; register map source indexes are
+// offsets from here.
+const sensorStartRegister = fatek.parseAddress(
+	process.env.PLC_SENSOR_START_REGISTER || 'R02100'
+).address;
+
+/**
+ * Parse a comma-separated list of addresses and address ranges
+ * @param {string} spec - e.g. 'R02001,R02020-R02024,M0400-M0499'
+ * @returns {Array<Object>} - [{ type, from, to, label }]
+ */
+const parseRanges = (spec) => {
+	return spec
+		.split(',')
+		.map((part) => part.trim())
+		.filter(Boolean)
+		.map((part) => {
+			const [startText, endText] = part.split('-').map((p) => p.trim());
+			const start = fatek.parseAddress(startText);
+			const end = endText ? fatek.parseAddress(endText) : start;
+
+			if (start.type !== end.type || end.number < start.number) {
+				throw new Error(`Invalid PLC writable range: ${part}`);
+			}
+
+			return {
+				type: start.type,
+				from: start.number,
+				to: end.number,
+				label:
+					start.address === end.address
+						? start.address
+						: `${start.address}-${end.address}`,
+			};
+		});
+};
+
+const writableRanges = parseRanges(
+	process.env.PLC_WRITABLE_RANGES || DEFAULT_WRITABLE_RANGES
+);
+
+/**
+ * Check that every address in [address, address + count) is writable
+ * @param {string} address - Start address
+ * @param {number} count - Number of consecutive points
+ * @returns {boolean} - True if the whole span is inside the allow-list
+ */
+const isWritable = (address, count = 1) => {
+	const start = fatek.parseAddress(address);
+	const last = start.number + count - 1;
+
+	for (let n = start.number; n <= last; n++) {
+		const allowed = writableRanges.some(
+			(range) => range.type === start.type && n >= range.from && n <= range.to
+		);
+		if (!allowed) return false;
+	}
+	return true;
+};
+
+module.exports = {
+	sensorStartRegister,
+	writableRanges,
+	isWritable,
+	parseRanges,
+};
@@ -1,4 +1,5 @@
 const alarmService = require('../services/alarmService');
+const sensorFaultService = require('../services/sensorFaultService');
 const logger = require('../utils/logger');
 
 class AlarmController {
@@ -148,6 +149,46 @@ class AlarmController {
 		}
 	}
 
+	// Get sensor fault log
+	async getSensorFaults(req, res) {
+		try {
+			const {
+				chamberId,
+				active,
+				startDate,
+				endDate,
+				page = 1,
+				limit = 50,
+			} = req.query;
+
+			const filters = {
+				chamberId: chamberId ? parseInt(chamberId) : null,
+				isActive: active !== undefined ? active === 'true' : null,
+				startDate: startDate ? new Date(startDate) : null,
+				endDate: endDate ? new Date(endDate) : null,
+				limit: parseInt(limit),
+				offset: (parseInt(page) - 1) * parseInt(limit),
+			};
+
+			const faults = await sensorFaultService.getFaultHistory(filters);
+
+			res.json({
+				success: true,
+				data: faults,
+				pagination: {
+					page: parseInt(page),
+					limit: parseInt(limit),
+				},
+			});
+		} catch (error) {
+			logger.error('Error getting sensor faults:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+			});
+		}
+	}
+
 	// Get alarm statistics
 	async getAlarmStats(req, res) {
 		try {
@@ -2,6 +2,8 @@ const { Chamber, O2Reading, Alarm, CalibrationHistory } = require('../models');
 const { Op } = require('sequelize');
 const moment = require('moment');
 const logger = require('../utils/logger');
+const { dateRange } = require('../utils/dateRange');
+const calibrationService = require('../services/calibrationService');
 
 class AnalyticsController {
 	// Get dashboard summary data
@@ -29,27 +31,49 @@ class AnalyticsController {
 				},
 			});
 
-			// Get chambers requiring calibration
-			const chambersNeedingCalibration = await Chamber.count({
-				include: [
-					{
-						model: require('../models/ChamberSettings'),
-						as: 'settings',
-						where: { isCalibrationRequired: true },
-					},
+			// Calibration due status of each chamber, soonest due first
+			const chambers = await Chamber.findAll({
+				where: { isActive: true },
+				attributes: [
+					'id',
+					'name',
+					'calibrationDate',
+					'calibrationIntervalDays',
+					'isCalibrationRequired',
+					'calibrationRequiredReason',
+					'calibrationRequiredAt',
 				],
 			});
+			const calibrationDue = chambers
+				.map((chamber) => ({
+					chamberId: chamber.id,
+					chamberName: chamber.name,
+					lastCalibration: chamber.calibrationDate,
+					...calibrationService.getCalibrationDueStatus(chamber),
+				}))
+				.sort(
+					(a, b) =>
+						(a.daysUntilDue ?? Infinity) - (b.daysUntilDue ?? Infinity)
+				);
+			const chambersNeedingCalibration = calibrationDue.filter(
+				(chamber) => chamber.isCalibrationRequired
+			).length;
 
 			// Get average O2 levels for each chamber
 			const chamberAverages = await O2Reading.findAll({
 				attributes: [
 					'chamberId',
 					[
-						require('sequelize').fn('AVG', require('sequelize').col('o2Level')),
+						require('sequelize').fn(
+							'AVG',
+							require('sequelize').col(
+								`O2Reading.${O2Reading.rawAttributes.o2Level.field}`
+							)
+						),
 						'averageO2Level',
 					],
 					[
-						require('sequelize').fn('COUNT', require('sequelize').col('id')),
+						require('sequelize').fn('COUNT', require('sequelize').col('O2Reading.id')),
 						'readingCount',
 					],
 				],
@@ -92,6 +116,7 @@ class AnalyticsController {
 					recentReadings,
 					chambersNeedingCalibration,
 				},
+				calibrationDue,
 				chamberAverages: chamberAverages.map((item) => ({
 					chamberId: item.chamberId,
 					chamberName: item.chamber.name,
@@ -151,6 +176,9 @@ class AnalyticsController {
 					'o2Level',
 					'temperature',
 					'humidity',
+					'pressure',
+					'ppO2Ata',
+					'ppO2KPa',
 					'timestamp',
 					'sensorStatus',
 				],
@@ -191,17 +219,128 @@ class AnalyticsController {
 		}
 	}
 
+	// Get O2 partial pressure summary per pressurized chamber
+	async getPpO2Summary(req, res) {
+		try {
+			const { chamberId } = req.query;
+			const startDate = req.query.startDate
+				? new Date(req.query.startDate)
+				: moment().subtract(24, 'hours').toDate();
+			const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+
+			const chamberWhere = { isActive: true, type: 'chamber' };
+			if (chamberId) {
+				chamberWhere.id = parseInt(chamberId);
+			}
+			const chambers = await Chamber.findAll({
+				where: chamberWhere,
+				order: [['id', 'ASC']],
+			});
+
+			const sequelize = require('sequelize');
+			const ppO2Column = sequelize.col(O2Reading.rawAttributes.ppO2Ata.field);
+
+			const summary = await Promise.all(
+				chambers.map(async (chamber) => {
+					const where = {
+						chamberId: chamber.id,
+						timestamp: { [Op.between]: [startDate, endDate] },
+						ppO2Ata: { [Op.ne]: null },
+					};
+
+					const stats = await O2Reading.findOne({
+						attributes: [
+							[sequelize.fn('COUNT', ppO2Column), 'readingCount'],
+							[sequelize.fn('AVG', ppO2Column), 'averagePpO2Ata'],
+							[sequelize.fn('MIN', ppO2Column), 'minPpO2Ata'],
+							[sequelize.fn('MAX', ppO2Column), 'maxPpO2Ata'],
+							[sequelize.fn('AVG', sequelize.col('pressure')), 'averagePressure'],
+						],
+						where,
+						raw: true,
+					});
+
+					const readingCount = parseInt(stats.readingCount) || 0;
+					const countBeyond = async (limit, op) =>
+						limit === null || readingCount === 0
+							? null
+							: O2Reading.count({
+									where: { ...where, ppO2Ata: { [op]: limit } },
+							  });
+					const aboveHigh = await countBeyond(chamber.ppO2AlarmHigh, Op.gt);
+					const belowLow = await countBeyond(chamber.ppO2AlarmLow, Op.lt);
+
+					const alarmCounts = await Alarm.count({
+						where: {
+							chamberId: chamber.id,
+							alarmType: { [Op.in]: ['high_ppo2', 'low_ppo2'] },
+							triggeredAt: { [Op.between]: [startDate, endDate] },
+						},
+						group: ['alarmType'],
+					});
+
+					const round = (value, digits) =>
+						value === null || value === undefined
+							? null
+							: parseFloat(parseFloat(value).toFixed(digits));
+					const percentOf = (count) =>
+						count === null ? null : round((count / readingCount) * 100, 2);
+
+					return {
+						chamberId: chamber.id,
+						chamberName: chamber.name,
+						limits: {
+							ppO2AlarmHigh: chamber.ppO2AlarmHigh,
+							ppO2AlarmLow: chamber.ppO2AlarmLow,
+						},
+						readingCount,
+						averagePpO2Ata: round(stats.averagePpO2Ata, 3),
+						minPpO2Ata: round(stats.minPpO2Ata, 3),
+						maxPpO2Ata: round(stats.maxPpO2Ata, 3),
+						averagePressureKPa: round(stats.averagePressure, 2),
+						percentAboveHigh: percentOf(aboveHigh),
+						percentBelowLow: percentOf(belowLow),
+						alarms: {
+							high_ppo2:
+								(alarmCounts.find((a) => a.alarmType === 'high_ppo2') || {})
+									.count || 0,
+							low_ppo2:
+								(alarmCounts.find((a) => a.alarmType === 'low_ppo2') || {})
+									.count || 0,
+						},
+					};
+				})
+			);
+
+			res.json({
+				success: true,
+				data: {
+					chambers: summary,
+					timeRange: { startDate, endDate },
+				},
+			});
+		} catch (error) {
+			logger.error('Error getting ppO2 summary:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+			});
+		}
+	}
+
 	// Get calibration reports
 	async getCalibrationReports(req, res) {
 		try {
-			const { startDate, endDate, chamberId } = req.query;
+			const { startDate, endDate, chamberId, page = 1, limit = 50 } = req.query;
 
 			const whereClause = {};
 
-			if (startDate && endDate) {
-				whereClause.calibrationDate = {
-					[Op.between]: [new Date(startDate), new Date(endDate)],
-				};
+			const calibrationDate = dateRange(
+				startDate ? new Date(startDate) : null,
+				endDate ? new Date(endDate) : null
+			);
+			if (calibrationDate) {
+				whereClause.calibrationDate = calibrationDate;
 			}
 
 			if (chamberId) {
@@ -218,56 +357,82 @@ class AnalyticsController {
 					},
 				],
 				order: [['calibrationDate', 'DESC']],
+				limit: parseInt(limit),
+				offset: (parseInt(page) - 1) * parseInt(limit),
+			});
+
+			// Statistics cover every calibration matching the filters, not just this page
+			const all = await CalibrationHistory.findAll({
+				where: whereClause,
+				attributes: [
+					'chamberId',
+					'calibratedBy',
+					'calibrationLevel',
+					'model',
+					'r2',
+					'maxResidual',
+				],
+				include: [
+					{
+						model: Chamber,
+						as: 'chamber',
+						attributes: ['id', 'name'],
+					},
+				],
 			});
 
 			// Calculate statistics
 			const stats = {
-				totalCalibrations: calibrations.length,
-				averageCalibrationLevel: 0,
+				totalCalibrations: all.length,
+				averageCalibrationLevel: null,
+				averageMaxResidual: null,
 				calibrationsByChamber: {},
 				calibrationsByUser: {},
-				recentCalibrations: calibrations.slice(0, 10),
+				calibrationsByModel: {},
 			};
 
-			if (calibrations.length > 0) {
-				const totalLevel = calibrations.reduce(
-					(sum, cal) => sum + parseFloat(cal.calibrationLevel),
-					0
+			const average = (values) =>
+				values.length > 0
+					? (values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(2)
+					: null;
+
+			if (all.length > 0) {
+				const levels = all
+					.filter((cal) => cal.calibrationLevel !== null)
+					.map((cal) => parseFloat(cal.calibrationLevel));
+				stats.averageCalibrationLevel = average(levels);
+				stats.averageMaxResidual = average(
+					all.filter((cal) => cal.maxResidual !== null).map((cal) => cal.maxResidual)
 				);
-				stats.averageCalibrationLevel = (
-					totalLevel / calibrations.length
-				).toFixed(2);
 
 				// Group by chamber
-				calibrations.forEach((cal) => {
+				all.forEach((cal) => {
 					if (!stats.calibrationsByChamber[cal.chamberId]) {
 						stats.calibrationsByChamber[cal.chamberId] = {
 							count: 0,
 							chamberName: cal.chamber.name,
-							averageLevel: 0,
-							totalLevel: 0,
+							levels: [],
 						};
 					}
-					stats.calibrationsByChamber[cal.chamberId].count++;
-					stats.calibrationsByChamber[cal.chamberId].totalLevel += parseFloat(
-						cal.calibrationLevel
-					);
+					const chamber = stats.calibrationsByChamber[cal.chamberId];
+					chamber.count++;
+					if (cal.calibrationLevel !== null) {
+						chamber.levels.push(parseFloat(cal.calibrationLevel));
+					}
 				});
 
 				// Calculate averages for each chamber
-				Object.keys(stats.calibrationsByChamber).forEach((chamberId) => {
-					const chamber = stats.calibrationsByChamber[chamberId];
-					chamber.averageLevel = (chamber.totalLevel / chamber.count).toFixed(
-						2
-					);
+				Object.values(stats.calibrationsByChamber).forEach((chamber) => {
+					chamber.averageLevel = average(chamber.levels);
+					delete chamber.levels;
 				});
 
-				// Group by user
-				calibrations.forEach((cal) => {
-					if (!stats.calibrationsByUser[cal.calibratedBy]) {
-						stats.calibrationsByUser[cal.calibratedBy] = 0;
-					}
-					stats.calibrationsByUser[cal.calibratedBy]++;
+				// Group by user and model
+				all.forEach((cal) => {
+					stats.calibrationsByUser[cal.calibratedBy] =
+						(stats.calibrationsByUser[cal.calibratedBy] || 0) + 1;
+					stats.calibrationsByModel[cal.model] =
+						(stats.calibrationsByModel[cal.model] || 0) + 1;
 				});
 			}
 
@@ -277,6 +442,11 @@ class AnalyticsController {
 					calibrations,
 					statistics: stats,
 				},
+				pagination: {
+					page: parseInt(page),
+					limit: parseInt(limit),
+					total: all.length,
+				},
 			});
 		} catch (error) {
 			logger.error('Error getting calibration reports:', error);
@@ -294,10 +464,12 @@ class AnalyticsController {
 
 			const whereClause = {};
 
-			if (startDate && endDate) {
-				whereClause.triggeredAt = {
-					[Op.between]: [new Date(startDate), new Date(endDate)],
-				};
+			const triggeredAt = dateRange(
+				startDate ? new Date(startDate) : null,
+				endDate ? new Date(endDate) : null
+			);
+			if (triggeredAt) {
+				whereClause.triggeredAt = triggeredAt;
 			}
 
 			if (chamberId) {
@@ -428,6 +600,8 @@ class AnalyticsController {
 					averageO2Level: 0,
 					averageTemperature: 0,
 					averageHumidity: 0,
+					averagePpO2Ata: null,
+					maxPpO2Ata: null,
 				};
 			}
 
@@ -444,6 +618,9 @@ class AnalyticsController {
 			const humidities = group.readings
 				.map((r) => r.humidity)
 				.filter((h) => h !== null);
+			const ppO2Values = group.readings
+				.filter((r) => r.ppO2Ata !== null && r.ppO2Ata !== undefined)
+				.map((r) => parseFloat(r.ppO2Ata));
 
 			group.averageO2Level = (
 				o2Levels.reduce((sum, val) => sum + val, 0) / o2Levels.length
@@ -461,6 +638,12 @@ class AnalyticsController {
 							humidities.reduce((sum, val) => sum + val, 0) / humidities.length
 					  ).toFixed(2)
 					: null;
+			if (ppO2Values.length > 0) {
+				group.averagePpO2Ata = (
+					ppO2Values.reduce((sum, val) => sum + val, 0) / ppO2Values.length
+				).toFixed(3);
+				group.maxPpO2Ata = Math.max(...ppO2Values).toFixed(3);
+			}
 		});
 
 		return Object.values(grouped).sort((a, b) =>
@@ -0,0 +1,187 @@
+const calibrationSessionService = require('../services/calibrationSessionService');
+const logger = require('../utils/logger');
+
+// Map service errors with a statusCode (404 not found, 409 wrong state,
+// 400 rejected calibration) to responses
+const sendError = (res, error, message) => {
+	if (error.statusCode) {
+		return res.status(error.statusCode).json({
+			success: false,
+			message: error.message,
+			...(error.fit && { data: { fit: error.fit } }),
+		});
+	}
+
+	logger.error(message, error);
+	res.status(500).json({
+		success: false,
+		message: 'Internal server error',
+	});
+};
+
+class CalibrationSessionController {
+	// List calibration sessions (audit trail)
+	async getSessions(req, res) {
+		try {
+			const {
+				chamberId,
+				status,
+				startDate,
+				endDate,
+				page = 1,
+				limit = 50,
+			} = req.query;
+
+			const sessions = await calibrationSessionService.getSessions({
+				chamberId: chamberId ? parseInt(chamberId) : null,
+				status,
+				startDate: startDate ? new Date(startDate) : null,
+				endDate: endDate ? new Date(endDate) : null,
+				limit: parseInt(limit),
+				offset: (parseInt(page) - 1) * parseInt(limit),
+			});
+
+			res.json({
+				success: true,
+				data: sessions.rows,
+				count: sessions.count,
+				pagination: {
+					page: parseInt(page),
+					limit: parseInt(limit),
+				},
+			});
+		} catch (error) {
+			sendError(res, error, 'Error getting calibration sessions:');
+		}
+	}
+
+	// Get one session (live state while active)
+	async getSession(req, res) {
+		try {
+			const session = await calibrationSessionService.getSession(parseInt(req.params.id));
+			res.json({
+				success: true,
+				data: session,
+			});
+		} catch (error) {
+			sendError(res, error, 'Error getting calibration session:');
+		}
+	}
+
+	// Start a session for a chamber
+	async startSession(req, res) {
+		try {
+			const { chamberId, startedBy, model, tolerance, windowMs, maxVariance } = req.body;
+			const session = await calibrationSessionService.start(parseInt(chamberId), {
+				startedBy,
+				model,
+				tolerance,
+				windowMs,
+				maxVariance,
+			});
+
+			res.status(201).json({
+				success: true,
+				message: 'Calibration session started',
+				data: session,
+			});
+		} catch (error) {
+			sendError(res, error, 'Error starting calibration session:');
+		}
+	}
+
+	// Choose the gas point to wait for
+	async beginPoint(req, res) {
+		try {
+			const { o2, gasUsed, by } = req.body;
+			const session = await calibrationSessionService.beginPoint(parseInt(req.params.id), {
+				o2,
+				gasUsed,
+				by,
+			});
+
+			res.json({
+				success: true,
+				message: `Waiting for a stable value at ${o2}%`,
+				data: session,
+			});
+		} catch (error) {
+			sendError(res, error, 'Error starting calibration point:');
+		}
+	}
+
+	// Stop waiting for the current point
+	async cancelPoint(req, res) {
+		try {
+			const session = await calibrationSessionService.cancelPoint(
+				parseInt(req.params.id),
+				req.body.by
+			);
+			res.json({
+				success: true,
+				message: 'Calibration point cancelled',
+				data: session,
+			});
+		} catch (error) {
+			sendError(res, error, 'Error cancelling calibration point:');
+		}
+	}
+
+	// Remove a captured point
+	async discardPoint(req, res) {
+		try {
+			const session = await calibrationSessionService.discardPoint(
+				parseInt(req.params.id),
+				parseInt(req.params.index),
+				req.body.by
+			);
+			res.json({
+				success: true,
+				message: 'Calibration point discarded',
+				data: session,
+			});
+		} catch (error) {
+			sendError(res, error, 'Error discarding calibration point:');
+		}
+	}
+
+	// Apply the captured points as the chamber calibration
+	async commitSession(req, res) {
+		try {
+			const { calibratedBy, notes } = req.body;
+			const result = await calibrationSessionService.commit(parseInt(req.params.id), {
+				calibratedBy,
+				notes,
+			});
+
+			res.json({
+				success: true,
+				message: 'Calibration session committed',
+				data: result,
+			});
+		} catch (error) {
+			sendError(res, error, 'Error committing calibration session:');
+		}
+	}
+
+	// Close the session without calibrating
+	async abortSession(req, res) {
+		try {
+			const { by, reason } = req.body;
+			const session = await calibrationSessionService.abort(parseInt(req.params.id), {
+				by,
+				reason,
+			});
+
+			res.json({
+				success: true,
+				message: 'Calibration session aborted',
+				data: session,
+			});
+		} catch (error) {
+			sendError(res, error, 'Error aborting calibration session:');
+		}
+	}
+}
+
+module.exports = new CalibrationSessionController();
@@ -297,9 +297,16 @@ class ChamberController {
 				}
 				rawValue = result.value;
 			} else {
-				// Use default sensor mapping for chamber
-				const sensorMap = { 1: 0, 2: 4 }; // Main: sensor 0, Entry: sensor 4
-				const defaultSensorIndex = sensorMap[id] || 0;
+				// Use the chamber's source index from the register map
+				const registerMapService = require('../services/registerMapService');
+				const mapping = registerMapService.getForChamber(chamber.id);
+				if (!mapping || mapping.sourceIndex === null) {
+					return res.status(400).json({
+						success: false,
+						message: 'Chamber has no PLC sensor index in the register map',
+					});
+				}
+				const defaultSensorIndex = mapping.sourceIndex;
 
 				const result = await plcService.readSensorValue(defaultSensorIndex);
 				if (!result.success) {
@@ -409,16 +416,19 @@ class ChamberController {
 				});
 			}
 
-			// Calibrate the O2 reading
-			const calibratedO2Level = await calibrationService.calibrateReading(
+			// Calibrate the O2 reading (temperature compensated when temperature is given)
+			const calibration = await calibrationService.calibrateReadingDetailed(
 				id,
-				o2Level
+				o2Level,
+				temperature !== undefined ? temperature : null
 			);
+			const calibratedO2Level = calibration.o2Level;
 
 			// Create the reading with calibrated value
 			const reading = await O2Reading.create({
 				chamberId: id,
 				o2Level: calibratedO2Level,
+				uncompensatedO2Level: calibration.uncompensatedO2Level,
 				temperature: temperature || null,
 				humidity: humidity || null,
 				sensorStatus,
@@ -455,6 +465,7 @@ class ChamberController {
 					...readingWithChamber.toJSON(),
 					rawO2Level: o2Level,
 					calibratedO2Level: calibratedO2Level,
+					temperatureCompensation: calibration.temperatureCompensation,
 				},
 				message: 'Reading added successfully',
 			});
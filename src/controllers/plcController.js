@@ -1,5 +1,8 @@
 const plcService = require('../services/plcService');
 const periodicPLCReader = require('../services/periodicPlcReader');
+const plcWriteBackService = require('../services/plcWriteBackService');
+const registerMapService = require('../services/registerMapService');
+const plcConfig = require('../config/plc');
 const logger = require('../utils/logger');
 
 // Get socket handler for real-time notifications
@@ -7,6 +10,18 @@ const getSocketHandler = () => {
 	return global.socketHandler;
 };
 
+// Respond with a failed PLC result, using the status mapped from its error code
+const sendPLCError = (res, result, message) => {
+	return res.status(result.statusCode || 500).json({
+		success: false,
+		message,
+		error: result.error,
+		errorCode: result.errorCode,
+		plcErrorCode: result.plcErrorCode,
+		connectionStatus: plcService.getConnectionStatus(),
+	});
+};
+
 class PLCController {
 	/**
 	 * Read all raw values from PLC register R02000
@@ -26,12 +41,7 @@ class PLCController {
 			const result = await plcService.readRawValues(count);
 
 			if (!result.success) {
-				return res.status(500).json({
-					success: false,
-					message: 'Failed to read from PLC',
-					error: result.error,
-					connectionStatus: plcService.getConnectionStatus(),
-				});
+				return sendPLCError(res, result, 'Failed to read from PLC');
 			}
 
 			// Broadcast via Socket.IO if available
@@ -77,12 +87,7 @@ class PLCController {
 			const result = await plcService.readSensorValue(index);
 
 			if (!result.success) {
-				return res.status(500).json({
-					success: false,
-					message: 'Failed to read sensor value',
-					error: result.error,
-					connectionStatus: plcService.getConnectionStatus(),
-				});
+				return sendPLCError(res, result, 'Failed to read sensor value');
 			}
 
 			res.json({
@@ -129,49 +134,310 @@ class PLCController {
 	};
 
 	/**
-	 * Read chamber-specific sensor values (for integration with chambers)
+	 * Read continuous R/D registers
 	 */
-	readChamberSensors = async (req, res) => {
+	readRegisters = async (req, res) => {
 		try {
-			const { chamberId } = req.params;
+			const { address } = req.params;
+			const count = req.query.count ? parseInt(req.query.count) : 1;
 
-			// Validate chamber ID
-			if (!chamberId || (chamberId !== '1' && chamberId !== '2')) {
-				return res.status(400).json({
+			const result = await plcService.readRegisters(address, count);
+
+			if (!result.success) {
+				return sendPLCError(res, result, 'Failed to read PLC registers');
+			}
+
+			res.json({
+				success: true,
+				data: {
+					address: result.address,
+					count: result.data.length,
+					values: result.data,
+				},
+				metadata: {
+					isConnectedPLC: result.isConnectedPLC,
+					timestamp: result.timestamp,
+				},
+			});
+		} catch (error) {
+			logger.error('Error in readRegisters controller:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+				error: error.message,
+			});
+		}
+	};
+
+	/**
+	 * Write continuous R/D registers inside the writable allow-list
+	 */
+	writeRegisters = async (req, res) => {
+		try {
+			const { address } = req.params;
+			const { value, values } = req.body;
+			const writeValues = values !== undefined ? values : [value];
+
+			if (!plcConfig.isWritable(address, writeValues.length)) {
+				logger.warn(
+					`Rejected PLC register write to ${address} (${writeValues.length} values): not in writable ranges`
+				);
+				return res.status(403).json({
 					success: false,
-					message: 'Invalid chamber ID. Use 1 for Main or 2 for Entry',
+					message: `Writing ${writeValues.length} register(s) at ${address} is not allowed`,
+					writableRanges: plcConfig.writableRanges.map((r) => r.label),
 				});
 			}
 
-			const result = await plcService.readRawValues();
+			const result = await plcService.writeRegisters(address, writeValues);
+
+			if (!result.success) {
+				return sendPLCError(res, result, 'Failed to write PLC registers');
+			}
+
+			res.json({
+				success: true,
+				message: `Wrote ${writeValues.length} register(s) at ${result.address}`,
+				data: {
+					address: result.address,
+					values: result.values,
+					timestamp: result.timestamp,
+				},
+			});
+		} catch (error) {
+			logger.error('Error in writeRegisters controller:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+				error: error.message,
+			});
+		}
+	};
+
+	/**
+	 * Read continuous M/X/Y bits
+	 */
+	readBits = async (req, res) => {
+		try {
+			const { address } = req.params;
+			const count = req.query.count ? parseInt(req.query.count) : 1;
+
+			const result = await plcService.readBits(address, count);
 
 			if (!result.success) {
-				return res.status(500).json({
+				return sendPLCError(res, result, 'Failed to read PLC bits');
+			}
+
+			res.json({
+				success: true,
+				data: {
+					address: result.address,
+					count: result.data.length,
+					values: result.data,
+				},
+				metadata: {
+					isConnectedPLC: result.isConnectedPLC,
+					timestamp: result.timestamp,
+				},
+			});
+		} catch (error) {
+			logger.error('Error in readBits controller:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+				error: error.message,
+			});
+		}
+	};
+
+	/**
+	 * Write continuous M/X/Y bits inside the writable allow-list
+	 */
+	writeBits = async (req, res) => {
+		try {
+			const { address } = req.params;
+			const { value, values } = req.body;
+			const writeValues = (values !== undefined ? values : [value]).map(
+				(v) => v === true || v === 1 || v === '1' || v === 'true'
+			);
+
+			if (!plcConfig.isWritable(address, writeValues.length)) {
+				logger.warn(
+					`Rejected PLC bit write to ${address} (${writeValues.length} values): not in writable ranges`
+				);
+				return res.status(403).json({
 					success: false,
-					message: 'Failed to read from PLC',
-					error: result.error,
-					connectionStatus: plcService.getConnectionStatus(),
+					message: `Writing ${writeValues.length} bit(s) at ${address} is not allowed`,
+					writableRanges: plcConfig.writableRanges.map((r) => r.label),
 				});
 			}
 
-			// Map chamber ID to sensor indices (this is application-specific)
-			// You may need to adjust these mappings based on your hardware setup
-			let sensorIndices;
-			if (chamberId === '1') {
-				// Main chamber
-				sensorIndices = [0, 1, 2, 3]; // First 4 sensors for main chamber
-			} else {
-				// Entry chamber
-				sensorIndices = [4, 5, 6, 7]; // Next 4 sensors for entry chamber
+			const result = await plcService.writeBits(address, writeValues);
+
+			if (!result.success) {
+				return sendPLCError(res, result, 'Failed to write PLC bits');
 			}
 
-			const chamberData = {
-				chamberId: parseInt(chamberId),
-				sensors: sensorIndices.map((index) => ({
-					index: index,
-					value: result.data[index] || 0,
+			res.json({
+				success: true,
+				message: `Wrote ${writeValues.length} bit(s) at ${result.address}`,
+				data: {
+					address: result.address,
+					values: result.values,
 					timestamp: result.timestamp,
-				})),
+				},
+			});
+		} catch (error) {
+			logger.error('Error in writeBits controller:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+				error: error.message,
+			});
+		}
+	};
+
+	/**
+	 * List the address ranges that may be written through the API
+	 */
+	getWritableRanges = async (req, res) => {
+		res.json({
+			success: true,
+			data: plcConfig.writableRanges.map((r) => r.label),
+		});
+	};
+
+	/**
+	 * Read PLC run state and status flags
+	 */
+	getSystemStatus = async (req, res) => {
+		try {
+			const result = await plcService.readSystemStatus();
+
+			if (!result.success) {
+				return sendPLCError(res, result, 'Failed to read PLC system status');
+			}
+
+			res.json({
+				success: true,
+				data: result.data,
+				timestamp: result.timestamp,
+			});
+		} catch (error) {
+			logger.error('Error in getSystemStatus controller:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+				error: error.message,
+			});
+		}
+	};
+
+	/**
+	 * List pending and running PLC transactions
+	 */
+	getTransactionQueue = async (req, res) => {
+		try {
+			res.json({
+				success: true,
+				data: {
+					transactions: plcService.getPendingTransactions(),
+					stats: plcService.getConnectionStatus().queue,
+				},
+				timestamp: new Date().toISOString(),
+			});
+		} catch (error) {
+			logger.error('Error getting PLC transaction queue:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+				error: error.message,
+			});
+		}
+	};
+
+	/**
+	 * Cancel a pending or running PLC transaction
+	 */
+	cancelTransaction = async (req, res) => {
+		try {
+			const transactionId = parseInt(req.params.transactionId);
+			const cancelled = plcService.cancelTransaction(transactionId);
+
+			if (!cancelled) {
+				return res.status(404).json({
+					success: false,
+					message: `Transaction ${transactionId} not found or already completed`,
+				});
+			}
+
+			res.json({
+				success: true,
+				message: `Transaction ${transactionId} cancelled`,
+				timestamp: new Date().toISOString(),
+			});
+		} catch (error) {
+			logger.error('Error cancelling PLC transaction:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+				error: error.message,
+			});
+		}
+	};
+
+	/**
+	 * Last written value, timestamp and failure counters per write-back register
+	 */
+	getWriteBackStatus = async (req, res) => {
+		try {
+			res.json({
+				success: true,
+				data: plcWriteBackService.getStatus(),
+				timestamp: new Date().toISOString(),
+			});
+		} catch (error) {
+			logger.error('Error getting PLC write-back status:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+				error: error.message,
+			});
+		}
+	};
+
+	/**
+	 * Read chamber-specific sensor values (for integration with chambers).
+	 * The sensor index comes from the chamber's register map entry.
+	 */
+	readChamberSensors = async (req, res) => {
+		try {
+			const chamberId = parseInt(req.params.chamberId);
+
+			const sourceIndex = registerMapService.getSourceIndexMapping()[chamberId];
+			if (sourceIndex === undefined) {
+				return res.status(404).json({
+					success: false,
+					message: `Chamber ${chamberId} has no enabled PLC sensor in the register map`,
+				});
+			}
+
+			// Read the same block as the periodic reader
+			const result = await plcService.readRawValues(registerMapService.getReadCount());
+
+			if (!result.success) {
+				return sendPLCError(res, result, 'Failed to read from PLC');
+			}
+
+			const chamberData = {
+				chamberId,
+				sensors: [
+					{
+						index: sourceIndex,
+						value: result.data[sourceIndex] || 0,
+						timestamp: result.timestamp,
+					},
+				],
 				timestamp: result.timestamp,
 			};
 
@@ -0,0 +1,118 @@
+const streamRecorder = require('../services/streamRecorder');
+const replaySource = require('../services/replaySource');
+const logger = require('../utils/logger');
+
+class RecordingController {
+	// List recordings with recorder and replay status
+	async getRecordings(req, res) {
+		try {
+			res.json({
+				success: true,
+				data: {
+					recorder: streamRecorder.getStatus(),
+					replay: replaySource.getStatus(),
+					files: streamRecorder.listFiles(),
+				},
+			});
+		} catch (error) {
+			logger.error('Error listing recordings:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+			});
+		}
+	}
+
+	// Start recording live data-source frames
+	async startRecording(req, res) {
+		try {
+			const status = streamRecorder.start();
+			res.json({
+				success: true,
+				message: 'Recording started',
+				data: status,
+			});
+		} catch (error) {
+			logger.error('Error starting stream recorder:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+				error: error.message,
+			});
+		}
+	}
+
+	// Stop recording
+	async stopRecording(req, res) {
+		try {
+			const status = streamRecorder.stop();
+			res.json({
+				success: true,
+				message: 'Recording stopped',
+				data: status,
+			});
+		} catch (error) {
+			logger.error('Error stopping stream recorder:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+				error: error.message,
+			});
+		}
+	}
+
+	// Replay a recording through the ingestion pipeline
+	async startReplay(req, res) {
+		try {
+			const { file, speed = 1, loop = false } = req.body;
+			const status = replaySource.play({ file, speed, loop });
+			res.json({
+				success: true,
+				message: `Replaying ${file}`,
+				data: status,
+			});
+		} catch (error) {
+			if (error.statusCode) {
+				return res.status(error.statusCode).json({
+					success: false,
+					message: error.message,
+				});
+			}
+
+			logger.error('Error starting replay:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+				error: error.message,
+			});
+		}
+	}
+
+	// Stop the replay and restore the live data source
+	async stopReplay(req, res) {
+		try {
+			if (!replaySource.isRunning) {
+				return res.status(409).json({
+					success: false,
+					message: 'No replay is running',
+				});
+			}
+
+			const status = replaySource.finish();
+			res.json({
+				success: true,
+				message: 'Replay stopped',
+				data: status,
+			});
+		} catch (error) {
+			logger.error('Error stopping replay:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+				error: error.message,
+			});
+		}
+	}
+}
+
+module.exports = new RecordingController();
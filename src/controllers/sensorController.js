@@ -0,0 +1,177 @@
+const sensorService = require('../services/sensorService');
+const calibrationService = require('../services/calibrationService');
+const logger = require('../utils/logger');
+
+// Map service errors with a statusCode (404 not found, 409 wrong state) to responses
+const sendError = (res, error, message) => {
+	if (error.statusCode) {
+		return res.status(error.statusCode).json({
+			success: false,
+			message: error.message,
+		});
+	}
+
+	logger.error(message, error);
+	res.status(500).json({
+		success: false,
+		message: 'Internal server error',
+	});
+};
+
+class SensorController {
+	// List sensors in the inventory
+	async getSensors(req, res) {
+		try {
+			const { status, chamberId, page = 1, limit = 50 } = req.query;
+
+			const sensors = await sensorService.getSensors({
+				status,
+				chamberId: chamberId ? parseInt(chamberId) : null,
+				limit: parseInt(limit),
+				offset: (parseInt(page) - 1) * parseInt(limit),
+			});
+
+			res.json({
+				success: true,
+				data: sensors.rows,
+				count: sensors.count,
+				pagination: {
+					page: parseInt(page),
+					limit: parseInt(limit),
+				},
+			});
+		} catch (error) {
+			sendError(res, error, 'Error getting sensors:');
+		}
+	}
+
+	// Sensors approaching (or past) end of life
+	async getEndOfLifeReport(req, res) {
+		try {
+			const { withinDays } = req.query;
+			const report = await sensorService.getEndOfLifeReport(
+				withinDays !== undefined ? parseInt(withinDays) : undefined
+			);
+
+			res.json({
+				success: true,
+				data: report,
+			});
+		} catch (error) {
+			sendError(res, error, 'Error getting sensor end-of-life report:');
+		}
+	}
+
+	// Health score and predicted replacement for every chamber and FIO sensor
+	async getSensorHealthReport(req, res) {
+		try {
+			const report = await calibrationService.getSensorHealthReport();
+			res.json({
+				success: true,
+				data: report,
+				count: report.length,
+			});
+		} catch (error) {
+			sendError(res, error, 'Error getting sensor health report:');
+		}
+	}
+
+	// Get one sensor
+	async getSensor(req, res) {
+		try {
+			const sensor = await sensorService.getSensor(parseInt(req.params.id));
+			res.json({
+				success: true,
+				data: sensor,
+			});
+		} catch (error) {
+			sendError(res, error, 'Error getting sensor:');
+		}
+	}
+
+	// Register a sensor in stock
+	async createSensor(req, res) {
+		try {
+			const sensor = await sensorService.createSensor(req.body);
+			res.status(201).json({
+				success: true,
+				data: sensor,
+				message: 'Sensor registered successfully',
+			});
+		} catch (error) {
+			sendError(res, error, 'Error registering sensor:');
+		}
+	}
+
+	// Update sensor details
+	async updateSensor(req, res) {
+		try {
+			const sensor = await sensorService.updateSensor(parseInt(req.params.id), req.body);
+			res.json({
+				success: true,
+				data: sensor,
+				message: 'Sensor updated successfully',
+			});
+		} catch (error) {
+			sendError(res, error, 'Error updating sensor:');
+		}
+	}
+
+	// Install a sensor into an empty chamber or FIO slot
+	async installSensor(req, res) {
+		try {
+			const { chamberId, installedBy } = req.body;
+			const sensor = await sensorService.install(
+				parseInt(req.params.id),
+				parseInt(chamberId),
+				{ installedBy }
+			);
+			res.json({
+				success: true,
+				data: sensor,
+				message: 'Sensor installed; chamber requires calibration',
+			});
+		} catch (error) {
+			sendError(res, error, 'Error installing sensor:');
+		}
+	}
+
+	// Remove an installed sensor (to stock or retired)
+	async removeSensor(req, res) {
+		try {
+			const { reason, retire } = req.body;
+			const sensor = await sensorService.remove(parseInt(req.params.id), {
+				reason,
+				retire,
+			});
+			res.json({
+				success: true,
+				data: sensor,
+				message: retire ? 'Sensor retired' : 'Sensor removed',
+			});
+		} catch (error) {
+			sendError(res, error, 'Error removing sensor:');
+		}
+	}
+
+	// Replace the sensor installed in a chamber or FIO slot
+	async swapSensor(req, res) {
+		try {
+			const { chamberId, sensorId, reason, retireRemoved, installedBy } = req.body;
+			const result = await sensorService.swap(parseInt(chamberId), parseInt(sensorId), {
+				reason,
+				retireRemoved,
+				installedBy,
+			});
+			res.json({
+				success: true,
+				data: result,
+				message: 'Sensor swapped; chamber requires calibration',
+			});
+		} catch (error) {
+			sendError(res, error, 'Error swapping sensor:');
+		}
+	}
+}
+
+module.exports = new SensorController();
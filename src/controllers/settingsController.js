@@ -1,5 +1,9 @@
 const { Chamber } = require('../models');
 const calibrationService = require('../services/calibrationService');
+const calibrationVerificationService = require('../services/calibrationVerificationService');
+const calibrationCertificateService = require('../services/calibrationCertificateService');
+const registerMapService = require('../services/registerMapService');
+const sensorService = require('../services/sensorService');
 const logger = require('../utils/logger');
 
 // Get socket handler for real-time notifications
@@ -22,11 +26,29 @@ class SettingsController {
 				});
 			}
 
+			const installedSensor = await sensorService.getInstalledSensor(chamber.id);
+
 			// Chamber modelinden ayarları döndür
 			const settings = {
 				chamberId: chamber.id,
 				alarmLevelHigh: chamber.alarmLevelHigh,
 				alarmLevelLow: chamber.alarmLevelLow,
+				// O2 partial pressure limits (ATA)
+				ppO2AlarmHigh: chamber.ppO2AlarmHigh,
+				ppO2AlarmLow: chamber.ppO2AlarmLow,
+				temperatureCompensation:
+					calibrationService.getTemperatureCompensationSettings(chamber),
+				// Expiry policy and "calibration required" flag
+				calibration: calibrationService.getCalibrationDueStatus(chamber),
+				sensor: {
+					id: installedSensor ? installedSensor.id : null,
+					model: chamber.sensorModel,
+					serialNumber: chamber.sensorSerialNumber,
+					lastSensorChange: chamber.lastSensorChange,
+					lifecycle: installedSensor
+						? sensorService.getLifecycle(installedSensor)
+						: null,
+				},
 				chamber: {
 					id: chamber.id,
 					name: chamber.name,
@@ -51,7 +73,16 @@ class SettingsController {
 	async updateChamberSettings(req, res) {
 		try {
 			const { id } = req.params;
-			const { alarmLevelHigh, alarmLevelLow } = req.body;
+			const {
+				alarmLevelHigh,
+				alarmLevelLow,
+				ppO2AlarmHigh,
+				ppO2AlarmLow,
+				calibrationIntervalDays,
+				isCalibrationRequired,
+				sensorModel,
+				sensorSerialNumber,
+			} = req.body;
 
 			const chamber = await Chamber.findByPk(id);
 
@@ -72,15 +103,67 @@ class SettingsController {
 				}
 			}
 
+			const nextPpO2High =
+				ppO2AlarmHigh !== undefined ? ppO2AlarmHigh : chamber.ppO2AlarmHigh;
+			const nextPpO2Low =
+				ppO2AlarmLow !== undefined ? ppO2AlarmLow : chamber.ppO2AlarmLow;
+			if (
+				nextPpO2High !== null &&
+				nextPpO2Low !== null &&
+				nextPpO2High <= nextPpO2Low
+			) {
+				return res.status(400).json({
+					success: false,
+					message: 'High ppO2 alarm level must be greater than low ppO2 alarm level',
+				});
+			}
+
+			const nextSensor =
+				sensorModel || sensorSerialNumber
+					? {
+							model: sensorModel || chamber.sensorModel,
+							serialNumber: sensorSerialNumber || chamber.sensorSerialNumber,
+					  }
+					: null;
+			if (nextSensor && (!nextSensor.model || !nextSensor.serialNumber)) {
+				return res.status(400).json({
+					success: false,
+					message: 'Sensor model and serial number are required',
+				});
+			}
+
 			await chamber.update({
+				ppO2AlarmHigh: nextPpO2High,
+				ppO2AlarmLow: nextPpO2Low,
 				alarmLevelHigh:
 					alarmLevelHigh !== undefined
 						? alarmLevelHigh
 						: chamber.alarmLevelHigh,
 				alarmLevelLow:
 					alarmLevelLow !== undefined ? alarmLevelLow : chamber.alarmLevelLow,
+				calibrationIntervalDays:
+					calibrationIntervalDays !== undefined
+						? calibrationIntervalDays
+						: chamber.calibrationIntervalDays,
 			});
 
+			// The installed sensor comes from the sensor inventory
+			if (nextSensor) {
+				await sensorService.recordSensorChange(
+					chamber.id,
+					nextSensor.model,
+					nextSensor.serialNumber
+				);
+			}
+
+			// Manual marking; the expiry check re-flags an expired calibration
+			if (isCalibrationRequired === true && !chamber.isCalibrationRequired) {
+				await calibrationService.markCalibrationRequired(chamber.id, 'Marked manually');
+			} else if (isCalibrationRequired === false && chamber.isCalibrationRequired) {
+				await calibrationService.clearCalibrationRequired(chamber.id);
+			}
+			await chamber.reload();
+
 			logger.info(`Chamber settings updated for chamber ${id}`);
 
 			// Broadcast settings update via Socket.IO
@@ -95,6 +178,13 @@ class SettingsController {
 				message: 'Settings updated successfully',
 			});
 		} catch (error) {
+			if (error.statusCode) {
+				return res.status(error.statusCode).json({
+					success: false,
+					message: error.message,
+				});
+			}
+
 			logger.error('Error updating chamber settings:', error);
 			res.status(500).json({
 				success: false,
@@ -103,11 +193,20 @@ class SettingsController {
 		}
 	}
 
-	// Perform 3-point calibration
+	// Perform 3-point or N-point calibration
 	async performThreePointCalibration(req, res) {
 		try {
 			const { id } = req.params;
-			const { calibratedBy, notes, calibrationLevel } = req.body;
+			const {
+				calibratedBy,
+				notes,
+				calibrationLevel,
+				temperature,
+				points,
+				model,
+				tolerance,
+				gasUsed,
+			} = req.body;
 
 			// Get chamber data to access lastRawFromPLC
 			const { Chamber } = require('../models');
@@ -120,47 +219,72 @@ class SettingsController {
 				});
 			}
 
-			// Check if we have a recent PLC reading
-			if (!chamber.lastRawFromPLC) {
-				return res.status(400).json({
-					success: false,
-					message:
-						'No recent PLC reading available for this chamber. Please ensure PLC is connected and reading data.',
-				});
+			const calibrationData = {
+				model: model || 'piecewise',
+				gasUsed: gasUsed || null,
+				// Reference for temperature compensation: the ambient temperature
+				// that came with the calibration reading, unless given explicitly
+				temperature:
+					temperature !== undefined ? temperature : chamber.lastTemperature,
+			};
+			if (tolerance !== undefined) {
+				calibrationData.tolerance = parseFloat(tolerance);
 			}
+			let defaultNotes;
+
+			if (points) {
+				// User-captured points: [{ raw, o2 }]
+				calibrationData.points = points;
+				defaultNotes = `${points.length}-point ${calibrationData.model} calibration`;
+				logger.info(
+					`Performing ${points.length}-point ${calibrationData.model} calibration for chamber ${id}`
+				);
+			} else {
+				// Check if we have a recent PLC reading
+				if (!chamber.lastRawFromPLC) {
+					return res.status(400).json({
+						success: false,
+						message:
+							'No recent PLC reading available for this chamber. Please ensure PLC is connected and reading data.',
+					});
+				}
 
-			// Use calibrationLevel from request body, default to 21 if not provided
-			const midPointCalibrated = calibrationLevel !== undefined ? parseFloat(calibrationLevel) : 21.0;
+				// Use calibrationLevel from request body, default to 21 if not provided
+				const midPointCalibrated = calibrationLevel !== undefined ? parseFloat(calibrationLevel) : 21.0;
 
-			// Validate calibration level
-			if (midPointCalibrated <= 0 || midPointCalibrated >= 100) {
-				return res.status(400).json({
-					success: false,
-					message: 'calibrationLevel must be between 0 and 100 (exclusive)',
-				});
-			}
+				// Validate calibration level
+				if (midPointCalibrated <= 0 || midPointCalibrated >= 100) {
+					return res.status(400).json({
+						success: false,
+						message: 'calibrationLevel must be between 0 and 100 (exclusive)',
+					});
+				}
 
-			// Use PLC's last read value as the calibration point, 0 as 0%, and calculate 100%
-			const plcCurrentValue = chamber.lastRawFromPLC;
-			const zeroPointRaw = 0;
-			const midPointRaw = plcCurrentValue; // PLC'den okunan değer, gönderilen calibrationLevel'a karşılık gelir
-			const hundredPointRaw = (plcCurrentValue / midPointCalibrated) * 100; // (PLC den okunan Ham değer / calibrationLevel) * 100
+				// Use PLC's last read value as the calibration point, 0 as 0%, and calculate 100%
+				const plcCurrentValue = chamber.lastRawFromPLC;
+				const zeroPointRaw = 0;
+				const midPointRaw = plcCurrentValue; // PLC'den okunan değer, gönderilen calibrationLevel'a karşılık gelir
+				const hundredPointRaw = (plcCurrentValue / midPointCalibrated) * 100; // (PLC den okunan Ham değer / calibrationLevel) * 100
 
-			logger.info(`Performing 3-point calibration for chamber ${id}:`);
-			logger.info(`- 0% point: ${zeroPointRaw} (raw)`);
-			logger.info(`- ${midPointCalibrated}% point: ${midPointRaw} (raw) from PLC`);
-			logger.info(`- 100% point: ${hundredPointRaw} (calculated)`);
+				logger.info(`Performing 3-point calibration for chamber ${id}:`);
+				logger.info(`- 0% point: ${zeroPointRaw} (raw)`);
+				logger.info(`- ${midPointCalibrated}% point: ${midPointRaw} (raw) from PLC`);
+				logger.info(`- 100% point: ${hundredPointRaw} (calculated)`);
 
-			const result = await calibrationService.performThreePointCalibration(
-				parseInt(id),
-				{
+				Object.assign(calibrationData, {
 					zeroPointRaw: parseFloat(zeroPointRaw),
 					midPointRaw: parseFloat(midPointRaw),
 					hundredPointRaw: parseFloat(hundredPointRaw),
 					midPointCalibrated: parseFloat(midPointCalibrated),
-				},
+				});
+				defaultNotes = `Auto-calibration using PLC value ${plcCurrentValue} as ${midPointCalibrated}%`;
+			}
+
+			const result = await calibrationService.performThreePointCalibration(
+				parseInt(id),
+				calibrationData,
 				calibratedBy || 'system',
-				notes || `Auto-calibration using PLC value ${plcCurrentValue} as ${midPointCalibrated}%`
+				notes || defaultNotes
 			);
 
 			// Broadcast calibration event via Socket.IO
@@ -172,10 +296,19 @@ class SettingsController {
 			res.json({
 				success: true,
 				data: result,
-				message: '3-point calibration performed successfully',
+				message: 'Calibration performed successfully',
 			});
 		} catch (error) {
-			logger.error('Error performing 3-point calibration:', error);
+			logger.error('Error performing calibration:', error);
+
+			if (error.statusCode) {
+				// Invalid points or a fit rejected for exceeding the residual tolerance
+				return res.status(error.statusCode).json({
+					success: false,
+					message: error.message,
+					...(error.fit && { data: { fit: error.fit } }),
+				});
+			}
 
 			if (error.message === 'Chamber settings not found') {
 				return res.status(404).json({
@@ -216,7 +349,7 @@ class SettingsController {
 	async calibrateReading(req, res) {
 		try {
 			const { id } = req.params;
-			const { rawValue } = req.body;
+			const { rawValue, temperature } = req.body;
 
 			if (rawValue === undefined || rawValue === null) {
 				return res.status(400).json({
@@ -225,16 +358,19 @@ class SettingsController {
 				});
 			}
 
-			const calibratedValue = await calibrationService.calibrateReading(
+			const calibration = await calibrationService.calibrateReadingDetailed(
 				parseInt(id),
-				parseFloat(rawValue)
+				parseFloat(rawValue),
+				temperature !== undefined ? parseFloat(temperature) : null
 			);
 
 			res.json({
 				success: true,
 				data: {
 					rawValue: parseFloat(rawValue),
-					calibratedValue: calibratedValue,
+					calibratedValue: calibration.o2Level,
+					uncompensatedValue: calibration.uncompensatedO2Level,
+					temperatureCompensation: calibration.temperatureCompensation,
 					chamberId: parseInt(id),
 				},
 			});
@@ -247,11 +383,312 @@ class SettingsController {
 		}
 	}
 
+	// Get temperature compensation settings
+	async getTemperatureCompensation(req, res) {
+		try {
+			const { id } = req.params;
+
+			const chamber = await Chamber.findByPk(id);
+			if (!chamber) {
+				return res.status(404).json({
+					success: false,
+					message: 'Chamber not found',
+				});
+			}
+
+			res.json({
+				success: true,
+				data: calibrationService.getTemperatureCompensationSettings(chamber),
+			});
+		} catch (error) {
+			logger.error('Error getting temperature compensation:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+			});
+		}
+	}
+
+	// Update temperature compensation settings
+	async updateTemperatureCompensation(req, res) {
+		try {
+			const { id } = req.params;
+
+			const settings = await calibrationService.updateTemperatureCompensation(
+				parseInt(id),
+				req.body
+			);
+
+			res.json({
+				success: true,
+				data: settings,
+				message: 'Temperature compensation updated successfully',
+			});
+		} catch (error) {
+			if (error.message === 'Chamber not found') {
+				return res.status(404).json({
+					success: false,
+					message: error.message,
+				});
+			}
+			if (error.statusCode === 400) {
+				return res.status(400).json({
+					success: false,
+					message: error.message,
+				});
+			}
+
+			logger.error('Error updating temperature compensation:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+			});
+		}
+	}
+
+	// Get pending zero/span calibration points
+	async getZeroSpanStatus(req, res) {
+		try {
+			res.json({
+				success: true,
+				data: calibrationService.getZeroSpanStatus(parseInt(req.params.id)),
+			});
+		} catch (error) {
+			logger.error('Error getting zero/span status:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+			});
+		}
+	}
+
+	// Capture the stable live sensor value on zero or span gas
+	async captureZeroSpanPoint(req, res) {
+		try {
+			const { id, step } = req.params;
+
+			const status = await calibrationService.captureZeroSpanPoint(
+				parseInt(id),
+				step,
+				req.body
+			);
+
+			res.json({
+				success: true,
+				data: status,
+				message: `${step === 'zero' ? 'Zero' : 'Span'} point captured`,
+			});
+		} catch (error) {
+			if (error.message === 'Chamber not found') {
+				return res.status(404).json({
+					success: false,
+					message: error.message,
+				});
+			}
+			if (error.statusCode) {
+				return res.status(error.statusCode).json({
+					success: false,
+					message: error.message,
+					...(error.stability && { data: { stability: error.stability } }),
+				});
+			}
+
+			logger.error('Error capturing zero/span point:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+			});
+		}
+	}
+
+	// Calibrate from the captured zero and span points
+	async completeZeroSpanCalibration(req, res) {
+		try {
+			const { id } = req.params;
+			const { calibratedBy, notes } = req.body;
+
+			const result = await calibrationService.completeZeroSpanCalibration(
+				parseInt(id),
+				calibratedBy || 'system',
+				notes
+			);
+
+			const socketHandler = getSocketHandler();
+			if (socketHandler) {
+				socketHandler.broadcastCalibration(id, result);
+			}
+
+			res.json({
+				success: true,
+				data: result,
+				message: 'Zero/span calibration performed successfully',
+			});
+		} catch (error) {
+			if (error.message === 'Chamber not found') {
+				return res.status(404).json({
+					success: false,
+					message: error.message,
+				});
+			}
+			if (error.statusCode) {
+				return res.status(error.statusCode).json({
+					success: false,
+					message: error.message,
+					...(error.fit && { data: { fit: error.fit } }),
+				});
+			}
+
+			logger.error('Error performing zero/span calibration:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+			});
+		}
+	}
+
+	// Discard captured zero/span points
+	async resetZeroSpan(req, res) {
+		try {
+			res.json({
+				success: true,
+				data: calibrationService.resetZeroSpan(parseInt(req.params.id)),
+				message: 'Zero/span points discarded',
+			});
+		} catch (error) {
+			logger.error('Error resetting zero/span calibration:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+			});
+		}
+	}
+
+	// Health score and predicted replacement of the installed sensor
+	async getSensorHealth(req, res) {
+		try {
+			const health = await calibrationService.getSensorHealth(parseInt(req.params.id));
+			res.json({
+				success: true,
+				data: health,
+			});
+		} catch (error) {
+			if (error.message === 'Chamber not found') {
+				return res.status(404).json({
+					success: false,
+					message: 'Chamber not found',
+				});
+			}
+
+			logger.error('Error getting sensor health:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+			});
+		}
+	}
+
+	// List verification (bump) tests, with the one in progress
+	async getVerifications(req, res) {
+		try {
+			const { id } = req.params;
+			const { status, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+			const verifications = await calibrationVerificationService.getVerifications({
+				chamberId: parseInt(id),
+				status,
+				startDate: startDate ? new Date(startDate) : null,
+				endDate: endDate ? new Date(endDate) : null,
+				limit: parseInt(limit),
+				offset: (parseInt(page) - 1) * parseInt(limit),
+			});
+
+			res.json({
+				success: true,
+				data: verifications.rows,
+				current: calibrationVerificationService.getCurrent(parseInt(id)),
+				count: verifications.count,
+				pagination: {
+					page: parseInt(page),
+					limit: parseInt(limit),
+				},
+			});
+		} catch (error) {
+			logger.error('Error getting verification tests:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+			});
+		}
+	}
+
+	// Start a verification test against a declared test gas
+	async startVerification(req, res) {
+		try {
+			const { id } = req.params;
+
+			const verification = await calibrationVerificationService.start(
+				parseInt(id),
+				req.body
+			);
+
+			res.status(201).json({
+				success: true,
+				data: verification,
+				message: 'Verification test started; waiting for a stable reading',
+			});
+		} catch (error) {
+			if (error.statusCode) {
+				return res.status(error.statusCode).json({
+					success: false,
+					message: error.message,
+				});
+			}
+
+			logger.error('Error starting verification test:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+			});
+		}
+	}
+
+	// Cancel the verification test in progress
+	async cancelVerification(req, res) {
+		try {
+			const { id } = req.params;
+			const { cancelledBy } = req.body || {};
+
+			const verification = await calibrationVerificationService.cancel(
+				parseInt(id),
+				cancelledBy
+			);
+
+			res.json({
+				success: true,
+				data: verification,
+				message: 'Verification test cancelled',
+			});
+		} catch (error) {
+			if (error.statusCode) {
+				return res.status(error.statusCode).json({
+					success: false,
+					message: error.message,
+				});
+			}
+
+			logger.error('Error cancelling verification test:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+			});
+		}
+	}
+
 	// Record sensor change
 	async recordSensorChange(req, res) {
 		try {
 			const { id } = req.params;
-			const { sensorModel, sensorSerialNumber } = req.body;
+			const { sensorModel, sensorSerialNumber, reason, installedBy } = req.body;
 
 			if (!sensorModel || !sensorSerialNumber) {
 				return res.status(400).json({
@@ -260,10 +697,11 @@ class SettingsController {
 				});
 			}
 
-			const settings = await calibrationService.recordSensorChange(
+			const settings = await sensorService.recordSensorChange(
 				parseInt(id),
 				sensorModel,
-				sensorSerialNumber
+				sensorSerialNumber,
+				{ reason, installedBy }
 			);
 
 			res.json({
@@ -272,15 +710,15 @@ class SettingsController {
 				message: 'Sensor change recorded successfully',
 			});
 		} catch (error) {
-			logger.error('Error recording sensor change:', error);
-
-			if (error.message === 'Chamber settings not found') {
-				return res.status(404).json({
+			if (error.statusCode) {
+				return res.status(error.statusCode).json({
 					success: false,
-					message: 'Chamber settings not found',
+					message: error.message,
 				});
 			}
 
+			logger.error('Error recording sensor change:', error);
+
 			res.status(500).json({
 				success: false,
 				message: 'Internal server error',
@@ -292,20 +730,148 @@ class SettingsController {
 	async getCalibrationHistory(req, res) {
 		try {
 			const { id } = req.params;
-			const { limit = 50 } = req.query;
+			const { startDate, endDate, page = 1, limit = 50 } = req.query;
+
+			const history = await calibrationService.getCalibrationHistory({
+				chamberId: parseInt(id),
+				startDate: startDate ? new Date(startDate) : null,
+				endDate: endDate ? new Date(endDate) : null,
+				limit: parseInt(limit),
+				offset: (parseInt(page) - 1) * parseInt(limit),
+			});
+
+			res.json({
+				success: true,
+				data: history.rows,
+				count: history.count,
+				pagination: {
+					page: parseInt(page),
+					limit: parseInt(limit),
+				},
+			});
+		} catch (error) {
+			logger.error('Error getting calibration history:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+			});
+		}
+	}
+
+	// List prior calibrations that can be restored
+	async getCalibrations(req, res) {
+		try {
+			const { id } = req.params;
+			const { page = 1, limit = 50 } = req.query;
+
+			const calibrations = await calibrationService.getCalibrations(parseInt(id), {
+				limit: parseInt(limit),
+				offset: (parseInt(page) - 1) * parseInt(limit),
+			});
+
+			res.json({
+				success: true,
+				data: calibrations.rows,
+				activeCalibrationId: calibrations.activeCalibrationId,
+				count: calibrations.count,
+				pagination: {
+					page: parseInt(page),
+					limit: parseInt(limit),
+				},
+			});
+		} catch (error) {
+			logger.error('Error getting calibrations:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+			});
+		}
+	}
+
+	// Make a prior calibration active again
+	async restoreCalibration(req, res) {
+		try {
+			const { id, calibrationId } = req.params;
+			const { restoredBy, reason } = req.body;
 
-			const history = await calibrationService.getCalibrationHistory(
+			const result = await calibrationService.restoreCalibration(
 				parseInt(id),
-				parseInt(limit)
+				parseInt(calibrationId),
+				restoredBy || 'system',
+				reason
 			);
 
+			// Broadcast like a new calibration so dashboards update
+			const socketHandler = getSocketHandler();
+			if (socketHandler) {
+				socketHandler.broadcastCalibration(id, result);
+			}
+
 			res.json({
 				success: true,
-				data: history,
-				count: history.length,
+				data: result,
+				message: 'Calibration restored successfully',
 			});
 		} catch (error) {
-			logger.error('Error getting calibration history:', error);
+			if (error.message === 'Chamber not found') {
+				return res.status(404).json({
+					success: false,
+					message: error.message,
+				});
+			}
+			if (error.statusCode) {
+				return res.status(error.statusCode).json({
+					success: false,
+					message: error.message,
+				});
+			}
+
+			logger.error('Error restoring calibration:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+			});
+		}
+	}
+
+	// Calibration certificate as HTML (default) or PDF
+	async getCalibrationCertificate(req, res) {
+		try {
+			const { id, calibrationId } = req.params;
+			const { format = 'html' } = req.query;
+
+			if (!['html', 'pdf'].includes(format)) {
+				return res.status(400).json({
+					success: false,
+					message: 'Certificate format must be html or pdf',
+				});
+			}
+
+			const data = await calibrationCertificateService.getCertificateData(
+				parseInt(id),
+				parseInt(calibrationId)
+			);
+			const filename = `calibration-certificate-${data.certificateNumber}.${format}`;
+
+			if (format === 'pdf') {
+				res.set({
+					'Content-Type': 'application/pdf',
+					'Content-Disposition': `inline; filename="${filename}"`,
+				});
+				return res.send(calibrationCertificateService.renderPdf(data));
+			}
+
+			res.set('Content-Disposition', `inline; filename="${filename}"`);
+			res.type('html').send(calibrationCertificateService.renderHtml(data));
+		} catch (error) {
+			if (error.statusCode) {
+				return res.status(error.statusCode).json({
+					success: false,
+					message: error.message,
+				});
+			}
+
+			logger.error('Error generating calibration certificate:', error);
 			res.status(500).json({
 				success: false,
 				message: 'Internal server error',
@@ -354,10 +920,10 @@ class SettingsController {
 		} catch (error) {
 			logger.error('Error marking calibration required:', error);
 
-			if (error.message === 'Chamber settings not found') {
+			if (error.message === 'Chamber not found') {
 				return res.status(404).json({
 					success: false,
-					message: 'Chamber settings not found',
+					message: 'Chamber not found',
 				});
 			}
 
@@ -391,6 +957,68 @@ class SettingsController {
 		}
 	}
 
+	// Get the PLC register map for all chambers
+	async getRegisterMap(req, res) {
+		try {
+			const entries = await registerMapService.load();
+
+			res.json({
+				success: true,
+				data: entries,
+			});
+		} catch (error) {
+			logger.error('Error getting register map:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+			});
+		}
+	}
+
+	// Update the PLC register map entry of a chamber
+	async updateRegisterMap(req, res) {
+		try {
+			const { chamberId } = req.params;
+
+			const entry = await registerMapService.update(
+				parseInt(chamberId),
+				req.body
+			);
+
+			const socketHandler = getSocketHandler();
+			if (socketHandler) {
+				socketHandler.broadcastSettingsUpdate(entry.chamberId, {
+					registerMap: entry,
+				});
+			}
+
+			res.json({
+				success: true,
+				message: 'Register map updated successfully',
+				data: entry,
+			});
+		} catch (error) {
+			if (error.message === 'Chamber not found') {
+				return res.status(404).json({
+					success: false,
+					message: error.message,
+				});
+			}
+			if (error.statusCode === 400) {
+				return res.status(400).json({
+					success: false,
+					message: error.message,
+				});
+			}
+
+			logger.error('Error updating register map:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Internal server error',
+			});
+		}
+	}
+
 	// Eski metodları uyumluluk için koruyoruz
 	async performCalibration(req, res) {
 		return res.status(400).json({
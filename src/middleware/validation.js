@@ -1,6 +1,7 @@
 const Joi = require('joi');
 const { validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { MIN_WINDOW_MS, MAX_WINDOW_MS } = require('../utils/stability');
 
 // Chamber validation schema
 const chamberSchema = Joi.object({
@@ -39,6 +40,11 @@ const chamberSettingsSchema = Joi.object({
 	sensorModel: Joi.string().optional(),
 	sensorSerialNumber: Joi.string().optional(),
 	isCalibrationRequired: Joi.boolean().optional(),
+	// Calibration expiry in days (null = never expires)
+	calibrationIntervalDays: Joi.number().integer().min(1).max(3650).allow(null).optional(),
+	// O2 partial pressure limits in ATA
+	ppO2AlarmHigh: Joi.number().min(0).max(10).allow(null).optional(),
+	ppO2AlarmLow: Joi.number().min(0).max(10).allow(null).optional(),
 });
 
 // 3-Point Calibration validation schema (Updated for automatic PLC-based calibration)
@@ -46,6 +52,20 @@ const threePointCalibrationSchema = Joi.object({
 	calibratedBy: Joi.string().optional(),
 	notes: Joi.string().optional(),
 	calibrationLevel: Joi.number().min(0).max(100).optional(),
+	temperature: Joi.number().min(-50).max(100).allow(null).optional(),
+	// N-point calibration: reference O2 (%) and the raw value captured for it
+	points: Joi.array()
+		.items(
+			Joi.object({
+				raw: Joi.number().required(),
+				o2: Joi.number().min(0).max(100).required(),
+			})
+		)
+		.min(2)
+		.optional(),
+	model: Joi.string().valid('piecewise', 'linear', 'quadratic').optional(),
+	tolerance: Joi.number().positive().max(100).optional(),
+	gasUsed: Joi.string().max(255).optional(),
 });
 
 // Raw reading calibration validation schema
@@ -56,6 +76,141 @@ const calibrateReadingSchema = Joi.object({
 	}),
 });
 
+// PLC register map validation schema
+const registerMapSchema = Joi.object({
+	sourceIndex: Joi.number().integer().min(0).max(63).allow(null).optional(),
+	writeRegister: Joi.string()
+		.pattern(/^[RD]\d{1,5}$/i)
+		.allow(null)
+		.optional()
+		.messages({
+			'string.pattern.base': 'Write register must be an R or D register (e.g. R02001)',
+		}),
+	scaleFactor: Joi.number().positive().optional(),
+	alarmBit: Joi.string()
+		.pattern(/^[MXYS]\d{1,5}$/i)
+		.allow(null)
+		.optional()
+		.messages({
+			'string.pattern.base': 'Alarm bit must be an M, X, Y or S discrete (e.g. M0407)',
+		}),
+	pressureRegister: Joi.string()
+		.pattern(/^[RD]\d{1,5}$/i)
+		.allow(null)
+		.optional()
+		.messages({
+			'string.pattern.base': 'Pressure register must be an R or D register (e.g. R02010)',
+		}),
+	pressureScale: Joi.number().positive().optional(),
+	pressureGauge: Joi.boolean().optional(),
+	isEnabled: Joi.boolean().optional(),
+}).min(1);
+
+// Temperature compensation validation schema
+const temperatureCompensationSchema = Joi.object({
+	mode: Joi.string().valid('none', 'coefficient', 'table').optional(),
+	// Sensor output change in % per °C
+	coefficient: Joi.number().min(-20).max(20).allow(null).optional(),
+	table: Joi.array()
+		.items(
+			Joi.object({
+				temperature: Joi.number().min(-50).max(100).required(),
+				factor: Joi.number().positive().required(),
+			})
+		)
+		.min(2)
+		.allow(null)
+		.optional(),
+	referenceTemperature: Joi.number().min(-50).max(100).allow(null).optional(),
+}).min(1);
+
+// Recording replay validation schema
+const replaySchema = Joi.object({
+	file: Joi.string().required(),
+	speed: Joi.number().min(0.1).max(1000).optional(),
+	loop: Joi.boolean().optional(),
+});
+
+// Calibration restore validation schema (who restored it and why)
+const calibrationRestoreSchema = Joi.object({
+	restoredBy: Joi.string().optional(),
+	reason: Joi.string().min(1).max(1000).required(),
+});
+
+// Zero/span reference gas validation schema
+const zeroSpanPointSchema = Joi.object({
+	concentration: Joi.number().min(0).max(100).optional(),
+	gas: Joi.string().max(100).optional(),
+	certificate: Joi.string().max(255).optional(),
+	lotNumber: Joi.string().max(255).optional(),
+	windowMs: Joi.number().integer().min(MIN_WINDOW_MS).max(MAX_WINDOW_MS).optional(),
+	maxVariance: Joi.number().min(0).optional(),
+	capturedBy: Joi.string().optional(),
+});
+
+// Verification (bump) test validation schema
+const verificationSchema = Joi.object({
+	expectedO2: Joi.number().min(0).max(100).required(),
+	gasUsed: Joi.string().max(100).optional(),
+	certificate: Joi.string().max(255).optional(),
+	tolerance: Joi.number().positive().max(100).optional(),
+	windowMs: Joi.number().integer().min(MIN_WINDOW_MS).max(MAX_WINDOW_MS).optional(),
+	maxVariance: Joi.number().min(0).optional(),
+	performedBy: Joi.string().optional(),
+	notes: Joi.string().max(1000).optional(),
+});
+
+// Guided calibration session validation schemas
+const calibrationSessionSchema = Joi.object({
+	chamberId: Joi.number().integer().required(),
+	startedBy: Joi.string().optional(),
+	model: Joi.string().valid('piecewise', 'linear', 'quadratic').optional(),
+	tolerance: Joi.number().positive().max(100).optional(),
+	windowMs: Joi.number().integer().min(MIN_WINDOW_MS).max(MAX_WINDOW_MS).optional(),
+	maxVariance: Joi.number().min(0).optional(),
+});
+
+const calibrationPointSchema = Joi.object({
+	o2: Joi.number().min(0).max(100).required(),
+	gasUsed: Joi.string().max(255).optional(),
+	by: Joi.string().optional(),
+});
+
+// Sensor inventory validation schemas
+const sensorSchema = Joi.object({
+	model: Joi.string().min(1).max(100).required(),
+	serialNumber: Joi.string().min(1).max(100).required(),
+	manufactureDate: Joi.date().iso().allow(null).optional(),
+	expectedLifetimeMonths: Joi.number().integer().min(1).max(240).optional(),
+	notes: Joi.string().max(1000).allow('', null).optional(),
+});
+
+const sensorUpdateSchema = Joi.object({
+	model: Joi.string().min(1).max(100).optional(),
+	serialNumber: Joi.string().min(1).max(100).optional(),
+	manufactureDate: Joi.date().iso().allow(null).optional(),
+	expectedLifetimeMonths: Joi.number().integer().min(1).max(240).optional(),
+	notes: Joi.string().max(1000).allow('', null).optional(),
+}).min(1);
+
+const sensorInstallSchema = Joi.object({
+	chamberId: Joi.number().integer().required(),
+	installedBy: Joi.string().max(100).optional(),
+});
+
+const sensorRemoveSchema = Joi.object({
+	reason: Joi.string().max(255).optional(),
+	retire: Joi.boolean().optional(),
+});
+
+const sensorSwapSchema = Joi.object({
+	chamberId: Joi.number().integer().required(),
+	sensorId: Joi.number().integer().required(),
+	reason: Joi.string().max(255).optional(),
+	retireRemoved: Joi.boolean().optional(),
+	installedBy: Joi.string().max(100).optional(),
+});
+
 // Validation middleware functions
 const validateChamber = (req, res, next) => {
 	const { error } = chamberSchema.validate(req.body);
@@ -135,6 +290,105 @@ const validateThreePointCalibration = (req, res, next) => {
 	next();
 };
 
+const validateRegisterMap = (req, res, next) => {
+	const { error } = registerMapSchema.validate(req.body);
+	if (error) {
+		logger.warn('Register map validation failed:', error.details[0].message);
+		return res.status(400).json({
+			success: false,
+			message: error.details[0].message,
+		});
+	}
+	next();
+};
+
+const validateTemperatureCompensation = (req, res, next) => {
+	const { error } = temperatureCompensationSchema.validate(req.body);
+	if (error) {
+		logger.warn(
+			'Temperature compensation validation failed:',
+			error.details[0].message
+		);
+		return res.status(400).json({
+			success: false,
+			message: error.details[0].message,
+		});
+	}
+	next();
+};
+
+const validateReplay = (req, res, next) => {
+	const { error } = replaySchema.validate(req.body);
+	if (error) {
+		logger.warn('Replay validation failed:', error.details[0].message);
+		return res.status(400).json({
+			success: false,
+			message: error.details[0].message,
+		});
+	}
+	next();
+};
+
+const validateCalibrationRestore = (req, res, next) => {
+	const { error } = calibrationRestoreSchema.validate(req.body);
+	if (error) {
+		logger.warn('Calibration restore validation failed:', error.details[0].message);
+		return res.status(400).json({
+			success: false,
+			message: error.details[0].message,
+		});
+	}
+	next();
+};
+
+const validateZeroSpanPoint = (req, res, next) => {
+	const { error } = zeroSpanPointSchema.validate(req.body);
+	if (error) {
+		logger.warn('Zero/span point validation failed:', error.details[0].message);
+		return res.status(400).json({
+			success: false,
+			message: error.details[0].message,
+		});
+	}
+	next();
+};
+
+const validateVerification = (req, res, next) => {
+	const { error } = verificationSchema.validate(req.body);
+	if (error) {
+		logger.warn('Verification validation failed:', error.details[0].message);
+		return res.status(400).json({
+			success: false,
+			message: error.details[0].message,
+		});
+	}
+	next();
+};
+
+const validateCalibrationSession = (req, res, next) => {
+	const { error } = calibrationSessionSchema.validate(req.body);
+	if (error) {
+		logger.warn('Calibration session validation failed:', error.details[0].message);
+		return res.status(400).json({
+			success: false,
+			message: error.details[0].message,
+		});
+	}
+	next();
+};
+
+const validateCalibrationPoint = (req, res, next) => {
+	const { error } = calibrationPointSchema.validate(req.body);
+	if (error) {
+		logger.warn('Calibration point validation failed:', error.details[0].message);
+		return res.status(400).json({
+			success: false,
+			message: error.details[0].message,
+		});
+	}
+	next();
+};
+
 const validateCalibrateReading = (req, res, next) => {
 	const { error } = calibrateReadingSchema.validate(req.body);
 	if (error) {
@@ -150,6 +404,66 @@ const validateCalibrateReading = (req, res, next) => {
 	next();
 };
 
+const validateSensor = (req, res, next) => {
+	const { error } = sensorSchema.validate(req.body);
+	if (error) {
+		logger.warn('Sensor validation failed:', error.details[0].message);
+		return res.status(400).json({
+			success: false,
+			message: error.details[0].message,
+		});
+	}
+	next();
+};
+
+const validateSensorUpdate = (req, res, next) => {
+	const { error } = sensorUpdateSchema.validate(req.body);
+	if (error) {
+		logger.warn('Sensor update validation failed:', error.details[0].message);
+		return res.status(400).json({
+			success: false,
+			message: error.details[0].message,
+		});
+	}
+	next();
+};
+
+const validateSensorInstall = (req, res, next) => {
+	const { error } = sensorInstallSchema.validate(req.body);
+	if (error) {
+		logger.warn('Sensor install validation failed:', error.details[0].message);
+		return res.status(400).json({
+			success: false,
+			message: error.details[0].message,
+		});
+	}
+	next();
+};
+
+const validateSensorRemove = (req, res, next) => {
+	const { error } = sensorRemoveSchema.validate(req.body);
+	if (error) {
+		logger.warn('Sensor remove validation failed:', error.details[0].message);
+		return res.status(400).json({
+			success: false,
+			message: error.details[0].message,
+		});
+	}
+	next();
+};
+
+const validateSensorSwap = (req, res, next) => {
+	const { error } = sensorSwapSchema.validate(req.body);
+	if (error) {
+		logger.warn('Sensor swap validation failed:', error.details[0].message);
+		return res.status(400).json({
+			success: false,
+			message: error.details[0].message,
+		});
+	}
+	next();
+};
+
 // Legacy validation for backward compatibility
 const validateCalibration = (req, res, next) => {
 	return res.status(400).json({
@@ -181,6 +495,19 @@ module.exports = {
 	validateChamberSettings,
 	validateThreePointCalibration,
 	validateCalibrateReading,
+	validateRegisterMap,
+	validateReplay,
+	validateCalibrationSession,
+	validateCalibrationPoint,
+	validateCalibrationRestore,
+	validateZeroSpanPoint,
+	validateVerification,
+	validateTemperatureCompensation,
+	validateSensor,
+	validateSensorUpdate,
+	validateSensorInstall,
+	validateSensorRemove,
+	validateSensorSwap,
 	validateCalibration, // Legacy
 	handleValidationErrors, // Express-validator support
 };
@@ -22,7 +22,12 @@ const Alarm = sequelize.define(
 				'high_o2',
 				'low_o2',
 				'sensor_error',
-				'calibration_due'
+				'calibration_due',
+				'plc_write_failure',
+				'communication_loss',
+				'high_ppo2',
+				'low_ppo2',
+				'sensor_degraded'
 			),
 			allowNull: false,
 		},
@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const jsonField = require('./jsonField');
+
+// One row per calibration, with the calibration it replaced
+const CalibrationHistory = sequelize.define(
+	'CalibrationHistory',
+	{
+		id: {
+			type: DataTypes.INTEGER,
+			primaryKey: true,
+			autoIncrement: true,
+		},
+		chamberId: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			references: {
+				model: 'chambers',
+				key: 'id',
+			},
+		},
+		calibrationDate: {
+			type: DataTypes.DATE,
+			allowNull: false,
+			defaultValue: DataTypes.NOW,
+		},
+		// piecewise, linear or quadratic
+		model: {
+			type: DataTypes.STRING,
+			allowNull: false,
+		},
+		// [{ raw, o2 }]
+		points: jsonField('points'),
+		coefficients: jsonField('coefficients'),
+		r2: {
+			type: DataTypes.FLOAT,
+			allowNull: true,
+		},
+		maxResidual: {
+			type: DataTypes.FLOAT,
+			allowNull: true,
+		},
+		// Reference O2 level of a single-gas (3-point) calibration
+		calibrationLevel: {
+			type: DataTypes.DECIMAL(5, 2),
+			allowNull: true,
+		},
+		calibratedBy: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			defaultValue: 'system',
+		},
+		notes: {
+			type: DataTypes.TEXT,
+			allowNull: true,
+		},
+		// Calibration gas, e.g. "ambient air" or "100% O2 cylinder"
+		gasUsed: {
+			type: DataTypes.STRING,
+			allowNull: true,
+		},
+		temperature: {
+			type: DataTypes.FLOAT,
+			allowNull: true,
+		},
+		// Sensor calibrated (snapshot of the chamber's sensor at calibration time)
+		sensorModel: {
+			type: DataTypes.STRING,
+			allowNull: true,
+		},
+		sensorSerialNumber: {
+			type: DataTypes.STRING,
+			allowNull: true,
+		},
+		// Set when this row restores an earlier calibration (calibratedBy and
+		// notes then record who restored it and why)
+		restoredFromId: {
+			type: DataTypes.INTEGER,
+			allowNull: true,
+		},
+		// Certified gases of a zero/span calibration
+		// [{ role, gas, concentration, certificate, lotNumber, raw, capturedAt }]
+		referenceGases: jsonField('referenceGases'),
+		// Calibration in effect before this one (null for the first)
+		previousModel: {
+			type: DataTypes.STRING,
+			allowNull: true,
+		},
+		previousPoints: jsonField('previousPoints'),
+		previousCoefficients: jsonField('previousCoefficients'),
+		previousCalibrationDate: {
+			type: DataTypes.DATE,
+			allowNull: true,
+		},
+	},
+	{
+		tableName: 'calibration_history',
+		timestamps: true,
+	}
+);
+
+module.exports = CalibrationHistory;
@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const jsonField = require('./jsonField');
+
+// Guided calibration session; `events` is its audit trail
+const CalibrationSession = sequelize.define(
+	'CalibrationSession',
+	{
+		id: {
+			type: DataTypes.INTEGER,
+			primaryKey: true,
+			autoIncrement: true,
+		},
+		chamberId: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			references: {
+				model: 'chambers',
+				key: 'id',
+			},
+		},
+		status: {
+			type: DataTypes.ENUM('active', 'committed', 'aborted', 'expired'),
+			allowNull: false,
+			defaultValue: 'active',
+		},
+		startedBy: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			defaultValue: 'system',
+		},
+		// Calibration model and residual tolerance applied on commit
+		model: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			defaultValue: 'piecewise',
+		},
+		tolerance: {
+			type: DataTypes.FLOAT,
+			allowNull: true,
+		},
+		// Stability criteria: raw variance over the trailing window
+		windowMs: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+		},
+		maxVariance: {
+			type: DataTypes.FLOAT,
+			allowNull: false,
+		},
+		// Captured points [{ o2, raw, gasUsed, temperature, variance, samples, responseMs, capturedAt }]
+		points: jsonField('points'),
+		// [{ at, action, by, details }]
+		events: jsonField('events'),
+		calibrationHistoryId: {
+			type: DataTypes.INTEGER,
+			allowNull: true,
+		},
+		startedAt: {
+			type: DataTypes.DATE,
+			allowNull: false,
+			defaultValue: DataTypes.NOW,
+		},
+		endedAt: {
+			type: DataTypes.DATE,
+			allowNull: true,
+		},
+	},
+	{
+		tableName: 'calibration_sessions',
+		timestamps: true,
+	}
+);
+
+module.exports = CalibrationSession;
@@ -0,0 +1,108 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Verification (bump) test of the current calibration against a known gas
+const CalibrationVerification = sequelize.define(
+	'CalibrationVerification',
+	{
+		id: {
+			type: DataTypes.INTEGER,
+			primaryKey: true,
+			autoIncrement: true,
+		},
+		chamberId: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			references: {
+				model: 'chambers',
+				key: 'id',
+			},
+		},
+		status: {
+			type: DataTypes.ENUM('pending', 'passed', 'failed', 'timeout', 'cancelled'),
+			allowNull: false,
+			defaultValue: 'pending',
+		},
+		// Declared test gas
+		expectedO2: {
+			type: DataTypes.DECIMAL(5, 2),
+			allowNull: false,
+		},
+		gasUsed: {
+			type: DataTypes.STRING,
+			allowNull: true,
+		},
+		certificate: {
+			type: DataTypes.STRING,
+			allowNull: true,
+		},
+		// Allowed |measuredO2 - expectedO2| in % O2
+		tolerance: {
+			type: DataTypes.FLOAT,
+			allowNull: false,
+		},
+		// Stabilized result
+		measuredO2: {
+			type: DataTypes.DECIMAL(5, 2),
+			allowNull: true,
+		},
+		deviation: {
+			type: DataTypes.FLOAT,
+			allowNull: true,
+		},
+		rawMean: {
+			type: DataTypes.FLOAT,
+			allowNull: true,
+		},
+		variance: {
+			type: DataTypes.FLOAT,
+			allowNull: true,
+		},
+		samples: {
+			type: DataTypes.INTEGER,
+			allowNull: true,
+		},
+		temperature: {
+			type: DataTypes.FLOAT,
+			allowNull: true,
+		},
+		// Stability criteria: raw variance over the trailing window
+		windowMs: {
+			type: DataTypes.INTEGER,
+			allowNull: true,
+		},
+		maxVariance: {
+			type: DataTypes.FLOAT,
+			allowNull: true,
+		},
+		// Calibration under test
+		calibrationHistoryId: {
+			type: DataTypes.INTEGER,
+			allowNull: true,
+		},
+		performedBy: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			defaultValue: 'system',
+		},
+		notes: {
+			type: DataTypes.TEXT,
+			allowNull: true,
+		},
+		startedAt: {
+			type: DataTypes.DATE,
+			allowNull: false,
+			defaultValue: DataTypes.NOW,
+		},
+		completedAt: {
+			type: DataTypes.DATE,
+			allowNull: true,
+		},
+	},
+	{
+		tableName: 'calibration_verifications',
+		timestamps: true,
+	}
+);
+
+module.exports = CalibrationVerification;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const jsonField = require('./jsonField');
 
 const Chamber = sequelize.define(
 	'Chamber',
@@ -50,6 +51,16 @@ const Chamber = sequelize.define(
 			type: DataTypes.DATE,
 			allowNull: true,
 		},
+		// JSON [{ raw, o2 }]: points captured at the last calibration
+		calibrationPoints: jsonField('calibrationPoints'),
+		calibrationModel: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			defaultValue: 'piecewise',
+			validate: {
+				isIn: [['piecewise', 'linear', 'quadratic']],
+			},
+		},
 		alarmLevelHigh: {
 			type: DataTypes.DECIMAL(5, 2),
 			allowNull: false,
@@ -64,6 +75,81 @@ const Chamber = sequelize.define(
 			type: DataTypes.FLOAT,
 			allowNull: true,
 		},
+		// Ambient temperature (°C) that came with the last raw value
+		lastTemperature: {
+			type: DataTypes.FLOAT,
+			allowNull: true,
+		},
+		// Temperature compensation: reference temperature is captured at calibration
+		calibrationTemperature: {
+			type: DataTypes.FLOAT,
+			allowNull: true,
+		},
+		tempCompMode: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			defaultValue: 'none',
+			validate: {
+				isIn: [['none', 'coefficient', 'table']],
+			},
+		},
+		// Sensor output change in % per °C (coefficient mode)
+		tempCompCoefficient: {
+			type: DataTypes.FLOAT,
+			allowNull: true,
+		},
+		// JSON [{ temperature, factor }]: relative sensor output per °C (table mode)
+		tempCompTable: {
+			type: DataTypes.TEXT,
+			allowNull: true,
+		},
+		// Absolute chamber pressure (kPa) that came with the last raw value
+		lastPressure: {
+			type: DataTypes.FLOAT,
+			allowNull: true,
+		},
+		// O2 partial pressure alarm limits in ATA (null = disabled)
+		ppO2AlarmHigh: {
+			type: DataTypes.FLOAT,
+			allowNull: true,
+		},
+		ppO2AlarmLow: {
+			type: DataTypes.FLOAT,
+			allowNull: true,
+		},
+		// Calibration expires this many days after calibrationDate (null = never)
+		calibrationIntervalDays: {
+			type: DataTypes.INTEGER,
+			allowNull: true,
+			defaultValue: 30,
+			validate: {
+				min: 1,
+			},
+		},
+		// Set by expiry, sensor change, failed verification or manually;
+		// cleared by the next calibration
+		isCalibrationRequired: {
+			type: DataTypes.BOOLEAN,
+			allowNull: false,
+			defaultValue: false,
+		},
+		calibrationRequiredReason: {
+			type: DataTypes.STRING,
+			allowNull: true,
+		},
+		calibrationRequiredAt: {
+			type: DataTypes.DATE,
+			allowNull: true,
+		},
+		// Installed O2 sensor
+		sensorModel: {
+			type: DataTypes.STRING,
+			allowNull: true,
+		},
+		sensorSerialNumber: {
+			type: DataTypes.STRING,
+			allowNull: true,
+		},
 		lastSensorChange: {
 			type: DataTypes.DATE,
 			allowNull: true,
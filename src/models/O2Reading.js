@@ -25,6 +25,11 @@ const O2Reading = sequelize.define(
 				max: 100,
 			},
 		},
+		// O2 level before temperature compensation (equal to o2Level when none applied)
+		uncompensatedO2Level: {
+			type: DataTypes.DECIMAL(5, 2),
+			allowNull: true,
+		},
 		temperature: {
 			type: DataTypes.DECIMAL(5, 2),
 			allowNull: true,
@@ -33,6 +38,20 @@ const O2Reading = sequelize.define(
 				max: 100,
 			},
 		},
+		// Absolute chamber pressure in kPa
+		pressure: {
+			type: DataTypes.FLOAT,
+			allowNull: true,
+		},
+		// O2 partial pressure
+		ppO2Ata: {
+			type: DataTypes.DECIMAL(6, 3),
+			allowNull: true,
+		},
+		ppO2KPa: {
+			type: DataTypes.DECIMAL(7, 2),
+			allowNull: true,
+		},
 		humidity: {
 			type: DataTypes.DECIMAL(5, 2),
 			allowNull: true,
@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RegisterMap = sequelize.define(
+	'RegisterMap',
+	{
+		id: {
+			type: DataTypes.INTEGER,
+			primaryKey: true,
+			autoIncrement: true,
+		},
+		chamberId: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			unique: true,
+			references: {
+				model: 'chambers',
+				key: 'id',
+			},
+		},
+		// Offset of the raw sensor value in the PLC read block (null = not read from PLC)
+		sourceIndex: {
+			type: DataTypes.INTEGER,
+			allowNull: true,
+			validate: {
+				min: 0,
+			},
+		},
+		// Register that receives the calibrated O2 value (e.g. R02001)
+		writeRegister: {
+			type: DataTypes.STRING,
+			allowNull: true,
+		},
+		// Calibrated O2 % is multiplied by this before write-back (21.0 -> 210)
+		scaleFactor: {
+			type: DataTypes.FLOAT,
+			allowNull: false,
+			defaultValue: 10,
+		},
+		// Discrete set while the chamber has an active O2 alarm (e.g. M0407)
+		alarmBit: {
+			type: DataTypes.STRING,
+			allowNull: true,
+		},
+		// Register holding the chamber pressure (null = no pressure input)
+		pressureRegister: {
+			type: DataTypes.STRING,
+			allowNull: true,
+		},
+		// Pressure register value is multiplied by this to get kPa
+		pressureScale: {
+			type: DataTypes.FLOAT,
+			allowNull: false,
+			defaultValue: 1,
+		},
+		// Pressure register reads gauge pressure (atmosphere is added for ppO2)
+		pressureGauge: {
+			type: DataTypes.BOOLEAN,
+			allowNull: false,
+			defaultValue: true,
+		},
+		isEnabled: {
+			type: DataTypes.BOOLEAN,
+			allowNull: false,
+			defaultValue: true,
+		},
+	},
+	{
+		tableName: 'register_maps',
+		timestamps: true,
+	}
+);
+
+module.exports = RegisterMap;
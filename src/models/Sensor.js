@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// O2 sensor (cell) in the inventory; installed in one chamber or FIO slot at a time
+const Sensor = sequelize.define(
+	'Sensor',
+	{
+		id: {
+			type: DataTypes.INTEGER,
+			primaryKey: true,
+			autoIncrement: true,
+		},
+		model: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			validate: {
+				notEmpty: true,
+			},
+		},
+		serialNumber: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			unique: true,
+			validate: {
+				notEmpty: true,
+			},
+		},
+		manufactureDate: {
+			type: DataTypes.DATE,
+			allowNull: true,
+		},
+		// Service life counted from manufacture (or first installation if unknown)
+		expectedLifetimeMonths: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			defaultValue: 24,
+			validate: {
+				min: 1,
+			},
+		},
+		status: {
+			type: DataTypes.ENUM('in_stock', 'installed', 'retired'),
+			allowNull: false,
+			defaultValue: 'in_stock',
+		},
+		// Chamber or FIO slot the sensor is installed in
+		chamberId: {
+			type: DataTypes.INTEGER,
+			allowNull: true,
+			references: {
+				model: 'chambers',
+				key: 'id',
+			},
+		},
+		firstInstalledAt: {
+			type: DataTypes.DATE,
+			allowNull: true,
+		},
+		installedAt: {
+			type: DataTypes.DATE,
+			allowNull: true,
+		},
+		installedBy: {
+			type: DataTypes.STRING,
+			allowNull: true,
+		},
+		removedAt: {
+			type: DataTypes.DATE,
+			allowNull: true,
+		},
+		removalReason: {
+			type: DataTypes.STRING,
+			allowNull: true,
+		},
+		notes: {
+			type: DataTypes.TEXT,
+			allowNull: true,
+		},
+	},
+	{
+		tableName: 'sensors',
+		timestamps: true,
+	}
+);
+
+module.exports = Sensor;
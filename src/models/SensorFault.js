@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per fault episode: opened on the first bad sample, closed on the
+// next good one
+const SensorFault = sequelize.define(
+	'SensorFault',
+	{
+		id: {
+			type: DataTypes.INTEGER,
+			primaryKey: true,
+			autoIncrement: true,
+		},
+		chamberId: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			references: {
+				model: 'chambers',
+				key: 'id',
+			},
+		},
+		// Data source that reported the fault (plc, tcpmodbus, modbustcp)
+		source: {
+			type: DataTypes.STRING,
+			allowNull: false,
+		},
+		reason: {
+			type: DataTypes.ENUM('source_error', 'missing', 'no_value', 'invalid_value'),
+			allowNull: false,
+		},
+		// Error text from the source, or a description of the bad value
+		message: {
+			type: DataTypes.STRING,
+			allowNull: true,
+		},
+		// Offending raw value as received (may be 'NaN' or a non-numeric string)
+		rawValue: {
+			type: DataTypes.STRING,
+			allowNull: true,
+		},
+		occurrences: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			defaultValue: 1,
+		},
+		startedAt: {
+			type: DataTypes.DATE,
+			allowNull: false,
+			defaultValue: DataTypes.NOW,
+		},
+		lastSeenAt: {
+			type: DataTypes.DATE,
+			allowNull: false,
+			defaultValue: DataTypes.NOW,
+		},
+		resolvedAt: {
+			type: DataTypes.DATE,
+			allowNull: true,
+		},
+		isActive: {
+			type: DataTypes.BOOLEAN,
+			allowNull: false,
+			defaultValue: true,
+		},
+	},
+	{
+		tableName: 'sensor_faults',
+		timestamps: true,
+	}
+);
+
+module.exports = SensorFault;
@@ -4,6 +4,12 @@ const { sequelize } = require('../config/database');
 const Chamber = require('./Chamber');
 const O2Reading = require('./O2Reading');
 const Alarm = require('./Alarm');
+const RegisterMap = require('./RegisterMap');
+const SensorFault = require('./SensorFault');
+const CalibrationHistory = require('./CalibrationHistory');
+const CalibrationSession = require('./CalibrationSession');
+const CalibrationVerification = require('./CalibrationVerification');
+const Sensor = require('./Sensor');
 
 // Define associations
 Chamber.hasMany(O2Reading, { foreignKey: 'chamberId', as: 'readings' });
@@ -12,9 +18,50 @@ O2Reading.belongsTo(Chamber, { foreignKey: 'chamberId', as: 'chamber' });
 Chamber.hasMany(Alarm, { foreignKey: 'chamberId', as: 'alarms' });
 Alarm.belongsTo(Chamber, { foreignKey: 'chamberId', as: 'chamber' });
 
+Chamber.hasOne(RegisterMap, { foreignKey: 'chamberId', as: 'registerMap' });
+RegisterMap.belongsTo(Chamber, { foreignKey: 'chamberId', as: 'chamber' });
+
+Chamber.hasMany(SensorFault, { foreignKey: 'chamberId', as: 'sensorFaults' });
+SensorFault.belongsTo(Chamber, { foreignKey: 'chamberId', as: 'chamber' });
+
+Chamber.hasMany(CalibrationHistory, {
+	foreignKey: 'chamberId',
+	as: 'calibrationHistory',
+});
+CalibrationHistory.belongsTo(Chamber, { foreignKey: 'chamberId', as: 'chamber' });
+
+Chamber.hasMany(CalibrationSession, {
+	foreignKey: 'chamberId',
+	as: 'calibrationSessions',
+});
+CalibrationSession.belongsTo(Chamber, { foreignKey: 'chamberId', as: 'chamber' });
+CalibrationSession.belongsTo(CalibrationHistory, {
+	foreignKey: 'calibrationHistoryId',
+	as: 'calibration',
+});
+
+Chamber.hasMany(CalibrationVerification, {
+	foreignKey: 'chamberId',
+	as: 'calibrationVerifications',
+});
+CalibrationVerification.belongsTo(Chamber, { foreignKey: 'chamberId', as: 'chamber' });
+CalibrationVerification.belongsTo(CalibrationHistory, {
+	foreignKey: 'calibrationHistoryId',
+	as: 'calibration',
+});
+
+Chamber.hasMany(Sensor, { foreignKey: 'chamberId', as: 'sensors' });
+Sensor.belongsTo(Chamber, { foreignKey: 'chamberId', as: 'chamber' });
+
 module.exports = {
 	sequelize,
 	Chamber,
 	O2Reading,
 	Alarm,
+	RegisterMap,
+	SensorFault,
+	CalibrationHistory,
+	CalibrationSession,
+	CalibrationVerification,
+	Sensor,
 };
@@ -0,0 +1,22 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * TEXT column holding JSON, parsed on read and serialized on write
+ * @param {string} name - Attribute name
+ */
+const jsonField = (name) => ({
+	type: DataTypes.TEXT,
+	allowNull: true,
+	get() {
+		const value = this.getDataValue(name);
+		return value ? JSON.parse(value) : null;
+	},
+	set(value) {
+		this.setDataValue(
+			name,
+			value === null || value === undefined ? null : JSON.stringify(value)
+		);
+	},
+});
+
+module.exports = jsonField;
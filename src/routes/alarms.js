@@ -7,6 +7,7 @@ const { validateAlarmMute } = require('../middleware/validation');
 router.get('/', alarmController.getActiveAlarms);
 router.get('/history', alarmController.getAlarmHistory);
 router.get('/stats', alarmController.getAlarmStats);
+router.get('/sensor-faults', alarmController.getSensorFaults);
 router.get('/:id', alarmController.getChamberAlarms);
 router.post('/:id/mute', validateAlarmMute, alarmController.muteAlarm);
 router.post('/:id/resolve', alarmController.resolveAlarm);
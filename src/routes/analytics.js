@@ -5,6 +5,7 @@ const analyticsController = require('../controllers/analyticsController');
 // Analytics & Reports
 router.get('/dashboard', analyticsController.getDashboardData);
 router.get('/trends', analyticsController.getO2Trends);
+router.get('/ppo2', analyticsController.getPpO2Summary);
 router.get(
 	'/reports/calibration-history',
 	analyticsController.getCalibrationReports
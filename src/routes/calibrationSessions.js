@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const calibrationSessionController = require('../controllers/calibrationSessionController');
+const {
+	validateCalibrationSession,
+	validateCalibrationPoint,
+} = require('../middleware/validation');
+
+// Guided calibration sessions
+router.get('/', calibrationSessionController.getSessions);
+router.post('/', validateCalibrationSession, calibrationSessionController.startSession);
+router.get('/:id', calibrationSessionController.getSession);
+router.post('/:id/points', validateCalibrationPoint, calibrationSessionController.beginPoint);
+router.post('/:id/points/cancel', calibrationSessionController.cancelPoint);
+router.delete('/:id/points/:index', calibrationSessionController.discardPoint);
+router.post('/:id/commit', calibrationSessionController.commitSession);
+router.post('/:id/abort', calibrationSessionController.abortSession);
+
+module.exports = router;
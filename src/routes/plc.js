@@ -3,6 +3,11 @@ const router = express.Router();
 const plcController = require('../controllers/plcController');
 const { body, param, query } = require('express-validator');
 const validation = require('../middleware/validation');
+const { MAX_REGISTERS_PER_FRAME, MAX_DISCRETES_PER_FRAME } = require('../utils/fatekProtocol');
+
+// Fatek addresses: registers R/D + up to 5 digits, relays M/X/Y + up to 4 digits
+const REGISTER_ADDRESS = /^[RD]\d{1,5}$/i;
+const BIT_ADDRESS = /^[MXY]\d{1,4}$/i;
 
 /**
  * @route   GET /api/plc/raw-values
@@ -46,18 +51,168 @@ router.get(
  */
 router.get('/status', plcController.getConnectionStatus);
 
+/**
+ * @route   GET /api/plc/registers/:address
+ * @desc    Read continuous R/D registers
+ * @access  Public
+ * @param   address - Start register (e.g. R02100, D00010)
+ * @query   count - Number of registers (1-64, default: 1)
+ */
+router.get(
+	'/registers/:address',
+	[
+		param('address')
+			.matches(REGISTER_ADDRESS)
+			.withMessage('address must be an R or D register such as R02100'),
+		query('count')
+			.optional()
+			.isInt({ min: 1, max: MAX_REGISTERS_PER_FRAME })
+			.withMessage(`count must be an integer between 1 and ${MAX_REGISTERS_PER_FRAME}`),
+	],
+	validation.handleValidationErrors,
+	plcController.readRegisters
+);
+
+/**
+ * @route   PUT /api/plc/registers/:address
+ * @desc    Write R/D registers inside the writable allow-list
+ * @access  Public
+ * @param   address - Start register
+ * @body    value - Single 16-bit value, or values - Array of 16-bit values
+ */
+router.put(
+	'/registers/:address',
+	[
+		param('address')
+			.matches(REGISTER_ADDRESS)
+			.withMessage('address must be an R or D register such as R02001'),
+		body('value')
+			.if(body('values').not().exists())
+			.isInt({ min: 0, max: 65535 })
+			.withMessage('value must be an integer between 0 and 65535'),
+		body('values')
+			.optional()
+			.isArray({ min: 1, max: MAX_REGISTERS_PER_FRAME })
+			.withMessage(`values must be an array of 1 to ${MAX_REGISTERS_PER_FRAME} integers`),
+		body('values.*')
+			.isInt({ min: 0, max: 65535 })
+			.withMessage('values must be integers between 0 and 65535')
+			.toInt(),
+		body('value').optional().toInt(),
+	],
+	validation.handleValidationErrors,
+	plcController.writeRegisters
+);
+
+/**
+ * @route   GET /api/plc/bits/:address
+ * @desc    Read continuous M/X/Y bits
+ * @access  Public
+ * @param   address - Start bit (e.g. M0407, Y0001)
+ * @query   count - Number of bits (1-255, default: 1)
+ */
+router.get(
+	'/bits/:address',
+	[
+		param('address')
+			.matches(BIT_ADDRESS)
+			.withMessage('address must be an M, X or Y relay such as M0407'),
+		query('count')
+			.optional()
+			.isInt({ min: 1, max: MAX_DISCRETES_PER_FRAME })
+			.withMessage(`count must be an integer between 1 and ${MAX_DISCRETES_PER_FRAME}`),
+	],
+	validation.handleValidationErrors,
+	plcController.readBits
+);
+
+/**
+ * @route   PUT /api/plc/bits/:address
+ * @desc    Write M/X/Y bits inside the writable allow-list
+ * @access  Public
+ * @param   address - Start bit
+ * @body    value - Single bit (0/1/true/false), or values - Array of bits
+ */
+router.put(
+	'/bits/:address',
+	[
+		param('address')
+			.matches(BIT_ADDRESS)
+			.withMessage('address must be an M, X or Y relay such as M0407'),
+		body('value')
+			.if(body('values').not().exists())
+			.isIn([0, 1, true, false, '0', '1', 'true', 'false'])
+			.withMessage('value must be 0, 1, true or false'),
+		body('values')
+			.optional()
+			.isArray({ min: 1, max: MAX_DISCRETES_PER_FRAME })
+			.withMessage(`values must be an array of 1 to ${MAX_DISCRETES_PER_FRAME} bits`),
+		body('values.*')
+			.isIn([0, 1, true, false, '0', '1', 'true', 'false'])
+			.withMessage('values must be 0, 1, true or false'),
+	],
+	validation.handleValidationErrors,
+	plcController.writeBits
+);
+
+/**
+ * @route   GET /api/plc/writable-ranges
+ * @desc    List register/bit ranges that may be written through the API
+ * @access  Public
+ */
+router.get('/writable-ranges', plcController.getWritableRanges);
+
+/**
+ * @route   GET /api/plc/system-status
+ * @desc    Read PLC run state and status flags
+ * @access  Public
+ */
+router.get('/system-status', plcController.getSystemStatus);
+
+/**
+ * @route   GET /api/plc/queue
+ * @desc    List pending and running PLC transactions with queue statistics
+ * @access  Public
+ */
+router.get('/queue', plcController.getTransactionQueue);
+
+/**
+ * @route   DELETE /api/plc/queue/:transactionId
+ * @desc    Cancel a pending or running PLC transaction
+ * @access  Public
+ * @param   transactionId - Transaction ID from GET /api/plc/queue
+ */
+router.delete(
+	'/queue/:transactionId',
+	[
+		param('transactionId')
+			.isInt({ min: 1 })
+			.withMessage('transactionId must be a positive integer'),
+	],
+	validation.handleValidationErrors,
+	plcController.cancelTransaction
+);
+
+/**
+ * @route   GET /api/plc/write-back
+ * @desc    Last written value and timestamp per write-back register, with
+ *          failure/mismatch counters and read-back verification results
+ * @access  Public
+ */
+router.get('/write-back', plcController.getWriteBackStatus);
+
 /**
  * @route   GET /api/plc/chamber/:chamberId/sensors
  * @desc    Read chamber-specific sensor values
  * @access  Public
- * @param   chamberId - Chamber ID (1 for Main, 2 for Entry)
+ * @param   chamberId - Chamber ID with a PLC sensor in the register map
  */
 router.get(
 	'/chamber/:chamberId/sensors',
 	[
 		param('chamberId')
-			.isIn(['1', '2'])
-			.withMessage('chamberId must be 1 (Main) or 2 (Entry)'),
+			.isInt({ min: 1 })
+			.withMessage('chamberId must be a positive integer'),
 	],
 	validation.handleValidationErrors,
 	plcController.readChamberSensors
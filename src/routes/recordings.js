@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const recordingController = require('../controllers/recordingController');
+const { validateReplay } = require('../middleware/validation');
+
+// Stream recorder
+router.get('/', recordingController.getRecordings);
+router.post('/start', recordingController.startRecording);
+router.post('/stop', recordingController.stopRecording);
+
+// Replay data source
+router.post('/replay', validateReplay, recordingController.startReplay);
+router.post('/replay/stop', recordingController.stopReplay);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const sensorController = require('../controllers/sensorController');
+const {
+	validateSensor,
+	validateSensorUpdate,
+	validateSensorInstall,
+	validateSensorRemove,
+	validateSensorSwap,
+} = require('../middleware/validation');
+
+// Sensor inventory and lifecycle
+router.get('/', sensorController.getSensors);
+router.post('/', validateSensor, sensorController.createSensor);
+router.get('/end-of-life', sensorController.getEndOfLifeReport);
+router.get('/health', sensorController.getSensorHealthReport);
+router.post('/swap', validateSensorSwap, sensorController.swapSensor);
+router.get('/:id', sensorController.getSensor);
+router.put('/:id', validateSensorUpdate, sensorController.updateSensor);
+router.post('/:id/install', validateSensorInstall, sensorController.installSensor);
+router.post('/:id/remove', validateSensorRemove, sensorController.removeSensor);
+
+module.exports = router;
@@ -4,8 +4,21 @@ const settingsController = require('../controllers/settingsController');
 const {
 	validateChamberSettings,
 	validateThreePointCalibration,
+	validateRegisterMap,
+	validateTemperatureCompensation,
+	validateZeroSpanPoint,
+	validateVerification,
+	validateCalibrationRestore,
 } = require('../middleware/validation');
 
+// PLC Register Map (before /:id so 'register-map' is not taken for an ID)
+router.get('/register-map', settingsController.getRegisterMap);
+router.put(
+	'/register-map/:chamberId',
+	validateRegisterMap,
+	settingsController.updateRegisterMap
+);
+
 // Settings Management
 router.get('/:id', settingsController.getChamberSettings);
 router.put(
@@ -26,11 +39,60 @@ router.get(
 );
 router.post('/:id/calibrate-reading', settingsController.calibrateReading);
 
+// Prior calibrations and rollback
+router.get('/:id/calibrations', settingsController.getCalibrations);
+router.post(
+	'/:id/calibrations/:calibrationId/restore',
+	validateCalibrationRestore,
+	settingsController.restoreCalibration
+);
+router.get(
+	'/:id/calibrations/:calibrationId/certificate',
+	settingsController.getCalibrationCertificate
+);
+
+// Zero/Span Calibration with reference gases
+router.get('/:id/zero-span', settingsController.getZeroSpanStatus);
+router.delete('/:id/zero-span', settingsController.resetZeroSpan);
+router.post(
+	'/:id/zero-span/complete',
+	settingsController.completeZeroSpanCalibration
+);
+router.post(
+	'/:id/zero-span/:step(zero|span)',
+	validateZeroSpanPoint,
+	settingsController.captureZeroSpanPoint
+);
+
+// Verification (bump) tests
+router.get('/:id/verifications', settingsController.getVerifications);
+router.post(
+	'/:id/verifications',
+	validateVerification,
+	settingsController.startVerification
+);
+router.post(
+	'/:id/verifications/cancel',
+	settingsController.cancelVerification
+);
+
+// Temperature Compensation
+router.get(
+	'/:id/temperature-compensation',
+	settingsController.getTemperatureCompensation
+);
+router.put(
+	'/:id/temperature-compensation',
+	validateTemperatureCompensation,
+	settingsController.updateTemperatureCompensation
+);
+
 // Legacy calibration endpoint (for backward compatibility)
 router.post('/:id/calibrate', settingsController.performThreePointCalibration);
 
 // Sensor Management
 router.post('/:id/sensor-changed', settingsController.recordSensorChange);
+router.get('/:id/sensor-health', settingsController.getSensorHealth);
 router.get(
 	'/:id/calibration-history',
 	settingsController.getCalibrationHistory
@@ -18,6 +18,9 @@ const alarmRoutes = require('./routes/alarms');
 const settingsRoutes = require('./routes/settings');
 const analyticsRoutes = require('./routes/analytics');
 const plcRoutes = require('./routes/plc');
+const recordingRoutes = require('./routes/recordings');
+const calibrationSessionRoutes = require('./routes/calibrationSessions');
+const sensorRoutes = require('./routes/sensors');
 
 // Import Socket.IO handler
 const SocketHandler = require('./sockets/socketHandler');
@@ -27,8 +30,29 @@ const periodicPLCReader = require('./services/periodicPlcReader');
 const periodicDataService = require('./services/periodicDataService');
 const externalSocketClient = require('./services/externalSocketClient');
 const modbusSocketClient = require('./services/modbusSocketClient');
+const modbusTcpPoller = require('./services/modbusTcpPoller');
+const modbusTcpServer = require('./services/modbusTcpServer');
+const plcService = require('./services/plcService');
+const registerMapService = require('./services/registerMapService');
+const sensorFaultService = require('./services/sensorFaultService');
+const dataWatchdog = require('./services/dataWatchdog');
+const ingestionService = require('./services/ingestionService');
+const streamRecorder = require('./services/streamRecorder');
+const replaySource = require('./services/replaySource');
+const calibrationSessionService = require('./services/calibrationSessionService');
+const calibrationVerificationService = require('./services/calibrationVerificationService');
+const calibrationExpiryScheduler = require('./services/calibrationExpiryScheduler');
+const sensorService = require('./services/sensorService');
 
 const DATA_SOURCE = (process.env.DATA_SOURCE || 'plc').toLowerCase();
+// The external socket server was historically fed only in plc mode
+const USE_EXTERNAL_SOCKET = DATA_SOURCE === 'plc' || !!process.env.EXTERNAL_SOCKET_URL;
+
+ingestionService.registerSource('plc', periodicPLCReader);
+ingestionService.registerSource('tcpmodbus', modbusSocketClient);
+ingestionService.registerSource('modbustcp', modbusTcpPoller);
+// Started through /api/recordings/replay, not DATA_SOURCE
+ingestionService.registerSource('replay', replaySource);
 
 const app = express();
 const server = http.createServer(app);
@@ -70,6 +94,10 @@ app.get('/health', (req, res) => {
 		environment: process.env.NODE_ENV,
 		connectedClients: socketHandler.getConnectedClientsCount(),
 		periodicPlcReader: periodicPLCReader.getStats(),
+		ingestion: ingestionService.getStatus(),
+		modbusServer: modbusTcpServer.getStatus(),
+		dataWatchdog: dataWatchdog.getStatus(),
+		recorder: streamRecorder.getStatus(),
 	});
 });
 
@@ -79,6 +107,9 @@ app.use('/api/alarms', alarmRoutes);
 app.use('/api/settings', settingsRoutes); // Settings routes
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/plc', plcRoutes);
+app.use('/api/recordings', recordingRoutes);
+app.use('/api/calibration-sessions', calibrationSessionRoutes);
+app.use('/api/sensors', sensorRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -91,6 +122,9 @@ app.get('/', (req, res) => {
 			settings: '/api/settings',
 			analytics: '/api/analytics',
 			plc: '/api/plc',
+			recordings: '/api/recordings',
+			calibrationSessions: '/api/calibration-sessions',
+			sensors: '/api/sensors',
 			health: '/health',
 		},
 		documentation: 'API documentation available at /docs (if implemented)',
@@ -120,6 +154,21 @@ app.use((error, req, res, next) => {
 // Database connection and server startup
 const PORT = process.env.PORT || 3001;
 
+// Add model attributes that are missing from an existing table
+async function addMissingColumns(model, tableInfo, attributes) {
+	for (const attribute of attributes) {
+		const definition = model.rawAttributes[attribute];
+		if (tableInfo[definition.field]) continue;
+
+		await sequelize.getQueryInterface().addColumn(model.tableName, definition.field, {
+			type: definition.type,
+			allowNull: definition.allowNull !== false,
+			defaultValue: definition.defaultValue,
+		});
+		logger.info(`Added "${definition.field}" column to ${model.tableName} table`);
+	}
+}
+
 async function startServer() {
 	try {
 		// Test database connection
@@ -150,6 +199,50 @@ async function startServer() {
 				await sequelize.query('ALTER TABLE chambers DROP COLUMN last_raw_from_p_l_c_old');
 				logger.info('Migrated lastRawFromPLC column from INTEGER to REAL');
 			}
+
+			// Temperature compensation, pressure and calibration model columns
+			await addMissingColumns(Chamber, tableInfo, [
+				'lastTemperature',
+				'calibrationTemperature',
+				'tempCompMode',
+				'tempCompCoefficient',
+				'tempCompTable',
+				'lastPressure',
+				'ppO2AlarmHigh',
+				'ppO2AlarmLow',
+				'calibrationPoints',
+				'calibrationModel',
+				'calibrationIntervalDays',
+				'isCalibrationRequired',
+				'calibrationRequiredReason',
+				'calibrationRequiredAt',
+				'sensorModel',
+				'sensorSerialNumber',
+			]);
+			const O2Reading = require('./models/O2Reading');
+			await addMissingColumns(
+				O2Reading,
+				await sequelize.getQueryInterface().describeTable('o2_readings'),
+				['uncompensatedO2Level', 'pressure', 'ppO2Ata', 'ppO2KPa']
+			);
+			const RegisterMap = require('./models/RegisterMap');
+			await addMissingColumns(
+				RegisterMap,
+				await sequelize.getQueryInterface().describeTable('register_maps'),
+				['pressureRegister', 'pressureScale', 'pressureGauge']
+			);
+			const CalibrationHistory = require('./models/CalibrationHistory');
+			await addMissingColumns(
+				CalibrationHistory,
+				await sequelize.getQueryInterface().describeTable('calibration_history'),
+				['referenceGases', 'restoredFromId', 'sensorModel', 'sensorSerialNumber']
+			);
+			const CalibrationVerification = require('./models/CalibrationVerification');
+			await addMissingColumns(
+				CalibrationVerification,
+				await sequelize.getQueryInterface().describeTable('calibration_verifications'),
+				['windowMs', 'maxVariance']
+			);
 		} catch (err) {
 			logger.warn('Migration warning:', err.message);
 		}
@@ -164,6 +257,20 @@ async function startServer() {
 		}
 		logger.info('FIO sensor records ensured in database');
 
+		// Seed and load the PLC register map before any data path starts
+		await registerMapService.ensureDefaults();
+		logger.info('PLC register map loaded');
+
+		// Sensor faults left open by a previous run stay open until a good sample
+		await sensorFaultService.load();
+
+		// Calibration sessions and verification tests cannot survive a restart
+		await calibrationSessionService.load();
+		await calibrationVerificationService.load();
+
+		// Sensors recorded on chambers before the inventory existed
+		await sensorService.load();
+
 		// Start server
 		server.listen(PORT, () => {
 			logger.info(`Server running on port ${PORT}`);
@@ -172,35 +279,43 @@ async function startServer() {
 
 			logger.info(`Data source mode: ${DATA_SOURCE}`);
 
-			if (DATA_SOURCE === 'tcpmodbus') {
-				// tcpmodbus mode: connect to Modbus TCP bridge server
-				try {
-					modbusSocketClient.connect();
-					logger.info('Modbus socket client started successfully');
-				} catch (error) {
-					logger.error('Failed to start Modbus socket client:', error);
-				}
+			// SCADA-facing Modbus TCP slave, independent of the data source
+			modbusTcpServer.start().catch((error) => {
+				logger.error('Failed to start Modbus TCP server:', error);
+			});
 
+			if (process.env.RECORDER_ENABLED === '1') {
 				try {
-					periodicDataService.startBroadcast(socketHandler);
-				} catch (error) {
-					logger.error('Failed to start periodic chamber data broadcast:', error);
-				}
-			} else {
-				// plc mode (default): start PLC reader + periodic data + external socket
-				try {
-					periodicPLCReader.start();
-					logger.info('Periodic PLC reader started successfully');
+					streamRecorder.start();
 				} catch (error) {
-					logger.error('Failed to start periodic PLC reader:', error);
+					logger.error('Failed to start stream recorder:', error);
 				}
+			}
 
-				try {
-					periodicDataService.startBroadcast(socketHandler);
-				} catch (error) {
-					logger.error('Failed to start periodic chamber data broadcast:', error);
-				}
+			// plc (default): Fatek PLC polling; tcpmodbus: Socket.IO bridge;
+			// modbustcp: direct Modbus TCP polling. All feed the ingestion pipeline.
+			try {
+				ingestionService.startSource(DATA_SOURCE);
+			} catch (error) {
+				logger.error(`Failed to start data source ${DATA_SOURCE}:`, error);
+			}
+
+			dataWatchdog.start().catch((error) => {
+				logger.error('Failed to start data watchdog:', error);
+			});
 
+			calibrationExpiryScheduler.start().catch((error) => {
+				logger.error('Failed to start calibration expiry scheduler:', error);
+			});
+
+			try {
+				periodicDataService.startBroadcast(socketHandler);
+			} catch (error) {
+				logger.error('Failed to start periodic chamber data broadcast:', error);
+			}
+
+			// Readings from any source are forwarded when this link is up
+			if (USE_EXTERNAL_SOCKET) {
 				try {
 					externalSocketClient.connect();
 				} catch (error) {
@@ -218,33 +333,28 @@ async function startServer() {
 process.on('SIGTERM', () => {
 	logger.info('SIGTERM received, shutting down gracefully');
 
-	if (DATA_SOURCE === 'tcpmodbus') {
-		try {
-			modbusSocketClient.disconnect();
-			logger.info('Modbus socket client disconnected');
-		} catch (error) {
-			logger.error('Error disconnecting Modbus socket client:', error);
-		}
+	try {
+		ingestionService.stopSource();
+	} catch (error) {
+		logger.error('Error stopping data source:', error);
+	}
 
-		try {
-			periodicDataService.stopBroadcast();
-		} catch (error) {
-			logger.error('Error stopping periodic chamber data broadcast:', error);
-		}
-	} else {
-		try {
-			periodicPLCReader.stop();
-			logger.info('Periodic PLC reader stopped');
-		} catch (error) {
-			logger.error('Error stopping periodic PLC reader:', error);
-		}
+	dataWatchdog.stop();
+	calibrationSessionService.stop();
+	calibrationVerificationService.stop();
+	calibrationExpiryScheduler.stop();
 
-		try {
-			periodicDataService.stopBroadcast();
-		} catch (error) {
-			logger.error('Error stopping periodic chamber data broadcast:', error);
-		}
+	if (streamRecorder.isRecording) {
+		streamRecorder.stop();
+	}
+
+	try {
+		periodicDataService.stopBroadcast();
+	} catch (error) {
+		logger.error('Error stopping periodic chamber data broadcast:', error);
+	}
 
+	if (USE_EXTERNAL_SOCKET) {
 		try {
 			externalSocketClient.disconnect();
 			logger.info('External socket client disconnected');
@@ -253,6 +363,17 @@ process.on('SIGTERM', () => {
 		}
 	}
 
+	modbusTcpServer.stop().catch((error) => {
+		logger.error('Error stopping Modbus TCP server:', error);
+	});
+
+	try {
+		plcService.disconnect();
+		logger.info('PLC connection closed');
+	} catch (error) {
+		logger.error('Error closing PLC connection:', error);
+	}
+
 	server.close(() => {
 		logger.info('Server closed');
 		sequelize.close();
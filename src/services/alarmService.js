@@ -1,27 +1,42 @@
 const { Alarm, Chamber } = require('../models');
 const logger = require('../utils/logger');
 const moment = require('moment');
+const plcService = require('./plcService');
+const registerMapService = require('./registerMapService');
 
 // Get socket handler for real-time notifications
 const getSocketHandler = () => {
 	return global.socketHandler;
 };
 
-// Get PLC alarm register based on chamber ID
+// Get PLC alarm bit for a chamber from the register map
+// (defaults: Ana Kabin (main) M0407, Ara Kabin (intermediate) M0408)
 const getAlarmRegister = (chamberId) => {
-	// Ana Kabin (main): M00407, Ara Kabin (intermediate): M00408
-	if (chamberId === 1) return 'M00407';
-	if (chamberId === 2) return 'M00408';
-	return null;
+	return registerMapService.getAlarmBit(chamberId);
 };
 
+// Alarm bits go straight to the Fatek PLC only when it is the data source;
+// otherwise the socket bridge that owns the PLC link writes them
+const WRITE_ALARM_BITS_TO_PLC =
+	(process.env.DATA_SOURCE || 'plc').toLowerCase() === 'plc';
+
 // Send writeBit command to PLC for alarm state
 const sendAlarmToPLC = (chamberId, value) => {
-	const socketHandler = getSocketHandler();
 	const register = getAlarmRegister(chamberId);
-	
-	if (socketHandler && register) {
-		socketHandler.io.emit('writeBit', { register, value }); 
+
+	if (!register) return;
+
+	if (WRITE_ALARM_BITS_TO_PLC) {
+		// Alarm bits take priority over value writes and polling reads
+		plcService.writeBit(register, value).catch((err) => {
+			logger.error(`Error writing alarm bit ${register}:`, err);
+		});
+		return;
+	}
+
+	const socketHandler = getSocketHandler();
+	if (socketHandler) {
+		socketHandler.io.emit('writeBit', { register, value });
 		logger.info(`PLC writeBit sent: register=${register}, value=${value}`);
 	}
 };
@@ -296,6 +311,70 @@ class AlarmService {
 		}
 	}
 
+	// Raise a condition alarm (not tied to an O2 level) unless one is already active
+	async raiseConditionAlarm(chamberId, alarmType, o2Level = null) {
+		const existingAlarm = await Alarm.findOne({
+			where: { chamberId, alarmType, isActive: true },
+		});
+		if (existingAlarm) return null;
+
+		const alarm = await Alarm.create({
+			chamberId,
+			alarmType,
+			o2LevelWhenTriggered: o2Level,
+			triggeredAt: new Date(),
+		});
+		logger.warn(`${alarmType} alarm triggered for chamber ${chamberId}`);
+
+		const socketHandler = getSocketHandler();
+		if (socketHandler) {
+			socketHandler.broadcastAlarm(alarm);
+		}
+		return alarm;
+	}
+
+	// Resolve the active condition alarm of a type, if any
+	async clearConditionAlarm(chamberId, alarmType) {
+		const alarm = await Alarm.findOne({
+			where: { chamberId, alarmType, isActive: true },
+		});
+		if (!alarm) return null;
+
+		await alarm.update({
+			isActive: false,
+			resolvedAt: new Date(),
+		});
+		logger.info(`${alarmType} alarm resolved for chamber ${chamberId}`);
+
+		const socketHandler = getSocketHandler();
+		if (socketHandler) {
+			socketHandler.broadcastAlarmResolved(alarm);
+		}
+		return alarm;
+	}
+
+	// Raise/resolve O2 partial pressure alarms (limits in ATA, null = disabled)
+	async checkPpO2Alarms(chamber, ppO2Ata, o2Level) {
+		const limits = [
+			{ alarmType: 'high_ppo2', limit: chamber.ppO2AlarmHigh, exceeded: (l) => ppO2Ata > l },
+			{ alarmType: 'low_ppo2', limit: chamber.ppO2AlarmLow, exceeded: (l) => ppO2Ata < l },
+		];
+
+		for (const { alarmType, limit, exceeded } of limits) {
+			if (limit !== null && limit !== undefined && exceeded(limit)) {
+				const alarm = await this.raiseConditionAlarm(chamber.id, alarmType, o2Level);
+				if (alarm) {
+					logger.warn(
+						`ppO2 ${ppO2Ata} ATA outside limit ${limit} ATA for chamber ${chamber.id}`
+					);
+				}
+			} else {
+				// Also clears alarms whose limit was disabled
+				await this.clearConditionAlarm(chamber.id, alarmType);
+			}
+		}
+	}
+
 	// Get all active alarms
 	async getActiveAlarms() {
 		try {
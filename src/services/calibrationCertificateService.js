@@ -0,0 +1,406 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { Chamber, CalibrationHistory, CalibrationVerification } = require('../models');
+const calibrationService = require('./calibrationService');
+const PdfDocument = require('../utils/pdfDocument');
+
+const certificateError = (message, statusCode) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+const formatDate = (date) =>
+	date ? `${moment(date).utc().format('YYYY-MM-DD HH:mm:ss')} UTC` : '-';
+
+const formatValue = (value, unit = '') =>
+	value === null || value === undefined ? '-' : `${value}${unit}`;
+
+// "+ 1.5" / "- 1.5" for the terms of an equation
+const signed = (value) => (value < 0 ? `- ${-value}` : `+ ${value}`);
+
+const VERIFICATION_ATTRIBUTES = [
+	'id',
+	'status',
+	'expectedO2',
+	'measuredO2',
+	'deviation',
+	'tolerance',
+	'gasUsed',
+	'certificate',
+	'performedBy',
+	'completedAt',
+];
+
+/**
+ * Calibration certificates: a printable record of one calibration history
+ * entry (chamber and sensor identity, reference gases, captured points with
+ * fitted values and residuals, coefficients, ambient temperature, technician,
+ * the calibration it replaced and the verification tests before and after
+ * it), rendered server-side as HTML or PDF. The certificate carries a
+ * SHA-256 digest of its content so a printed copy can be matched to the
+ * stored record.
+ */
+class CalibrationCertificateService {
+	/**
+	 * Collect the certificate content for a calibration
+	 * @param {number} chamberId - Chamber ID
+	 * @param {number} calibrationId - Calibration history ID
+	 */
+	async getCertificateData(chamberId, calibrationId) {
+		const chamber = await Chamber.findByPk(chamberId);
+		if (!chamber) {
+			throw certificateError('Chamber not found', 404);
+		}
+
+		const calibration = await CalibrationHistory.findOne({
+			where: { id: calibrationId, chamberId: chamber.id },
+		});
+		if (!calibration) {
+			throw certificateError('Calibration not found', 404);
+		}
+
+		// Fitted values and residuals of the captured points
+		let points = (calibration.points || []).map((point) => ({
+			...point,
+			fitted: null,
+			residual: null,
+		}));
+		try {
+			points = calibrationService.fitCalibrationModel(
+				calibrationService.normalizeCalibrationPoints(calibration.points || []),
+				calibration.model
+			).residuals;
+		} catch (error) {
+			// Stored points that no longer fit are printed as captured
+		}
+
+		// Last verification before the calibration ("as found") and the
+		// first one of this calibration ("as left")
+		const verdicts = { [Op.in]: ['passed', 'failed'] };
+		const verificationBefore = await CalibrationVerification.findOne({
+			where: {
+				chamberId: chamber.id,
+				status: verdicts,
+				completedAt: { [Op.lt]: calibration.calibrationDate },
+			},
+			order: [['completedAt', 'DESC']],
+			attributes: VERIFICATION_ATTRIBUTES,
+		});
+		const verificationAfter = await CalibrationVerification.findOne({
+			where: {
+				calibrationHistoryId: calibration.id,
+				status: verdicts,
+			},
+			order: [['completedAt', 'ASC']],
+			attributes: VERIFICATION_ATTRIBUTES,
+		});
+
+		const data = {
+			certificateNumber: `CAL-${chamber.id}-${calibration.id}`,
+			chamber: {
+				id: chamber.id,
+				name: chamber.name,
+				type: chamber.type,
+				description: chamber.description,
+			},
+			sensor: {
+				model: calibration.sensorModel,
+				serialNumber: calibration.sensorSerialNumber,
+			},
+			calibration: {
+				id: calibration.id,
+				calibrationDate: calibration.calibrationDate,
+				calibratedBy: calibration.calibratedBy,
+				notes: calibration.notes,
+				model: calibration.model,
+				gasUsed: calibration.gasUsed,
+				referenceGases: calibration.referenceGases || [],
+				temperature: calibration.temperature,
+				restoredFromId: calibration.restoredFromId,
+			},
+			points,
+			coefficients: calibration.coefficients,
+			fit: {
+				r2: calibration.r2,
+				maxResidual: calibration.maxResidual,
+			},
+			previous: calibration.previousModel
+				? {
+						model: calibration.previousModel,
+						calibrationDate: calibration.previousCalibrationDate,
+						coefficients: calibration.previousCoefficients,
+				  }
+				: null,
+			verification: {
+				before: verificationBefore ? verificationBefore.toJSON() : null,
+				after: verificationAfter ? verificationAfter.toJSON() : null,
+			},
+		};
+
+		return {
+			...data,
+			digest: crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex'),
+			issuedAt: new Date(),
+		};
+	}
+
+	/**
+	 * Coefficients as readable equations
+	 * @param {string} model - Calibration model
+	 * @param {Object} coefficients - describeCoefficients output
+	 * @returns {Array} Lines
+	 */
+	describeCoefficients(model, coefficients) {
+		if (!coefficients) return ['-'];
+
+		if (model === 'piecewise' && coefficients.segments) {
+			return coefficients.segments.map(
+				(segment) =>
+					`raw ${segment.fromRaw} to ${segment.toRaw}: O2 = ${segment.slope} x raw ${signed(segment.offset)}`
+			);
+		}
+		if (model === 'quadratic') {
+			return [
+				`O2 = ${coefficients.a} x raw^2 ${signed(coefficients.b)} x raw ${signed(coefficients.c)}`,
+			];
+		}
+		return [`O2 = ${coefficients.slope} x raw ${signed(coefficients.offset)}`];
+	}
+
+	describeReferenceGas(gas) {
+		return [
+			gas.role ? `${gas.role}:` : null,
+			gas.gas,
+			formatValue(gas.concentration, '% O2'),
+			gas.certificate ? `certificate ${gas.certificate}` : null,
+			gas.lotNumber ? `lot ${gas.lotNumber}` : null,
+		]
+			.filter(Boolean)
+			.join(' ');
+	}
+
+	describeVerification(verification) {
+		if (!verification) return 'No verification test on record';
+		return (
+			`${verification.status.toUpperCase()} - test ${verification.id} on ${formatDate(
+				verification.completedAt
+			)}: expected ${verification.expectedO2}% O2, measured ${verification.measuredO2}% O2, ` +
+			`deviation ${verification.deviation} (tolerance ±${verification.tolerance}) by ${verification.performedBy}`
+		);
+	}
+
+	/**
+	 * Label/value pairs shared by the HTML and PDF layouts
+	 */
+	getSections(data) {
+		const { chamber, sensor, calibration } = data;
+		return {
+			identity: [
+				['Chamber', `${chamber.name} (ID ${chamber.id}, ${chamber.type})`],
+				['Description', chamber.description || '-'],
+				['Sensor model', sensor.model || 'Not recorded'],
+				['Sensor serial number', sensor.serialNumber || 'Not recorded'],
+			],
+			calibration: [
+				['Calibration ID', calibration.id],
+				['Calibration date', formatDate(calibration.calibrationDate)],
+				['Technician', calibration.calibratedBy],
+				['Calibration model', calibration.model],
+				['Gas reference', calibration.gasUsed || '-'],
+				['Ambient temperature', formatValue(calibration.temperature, ' °C')],
+				['R²', formatValue(data.fit.r2)],
+				['Max residual', formatValue(data.fit.maxResidual, '% O2')],
+				...(calibration.restoredFromId
+					? [['Restored from calibration', calibration.restoredFromId]]
+					: []),
+				['Notes', calibration.notes || '-'],
+			],
+		};
+	}
+
+	escapeHtml(value) {
+		return String(value ?? '')
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+
+	/**
+	 * Render as a standalone, printable HTML page
+	 * @param {Object} data - getCertificateData output
+	 * @returns {string} HTML
+	 */
+	renderHtml(data) {
+		const e = (value) => this.escapeHtml(value);
+		const sections = this.getSections(data);
+		const table = (rows) =>
+			`<table class="fields">${rows
+				.map(([label, value]) => `<tr><th>${e(label)}</th><td>${e(value)}</td></tr>`)
+				.join('')}</table>`;
+		const list = (lines) => `<ul>${lines.map((line) => `<li>${e(line)}</li>`).join('')}</ul>`;
+
+		return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Calibration Certificate ${e(data.certificateNumber)}</title>
+<style>
+	body { font-family: Helvetica, Arial, sans-serif; font-size: 13px; color: #111; max-width: 800px; margin: 32px auto; }
+	h1 { font-size: 22px; margin-bottom: 4px; }
+	h2 { font-size: 15px; border-bottom: 1px solid #999; padding-bottom: 2px; margin-top: 24px; }
+	table { border-collapse: collapse; width: 100%; }
+	table.fields th { text-align: left; width: 35%; font-weight: normal; color: #555; }
+	table.points th, table.points td { border: 1px solid #bbb; padding: 3px 6px; text-align: right; }
+	th, td { padding: 2px 4px; vertical-align: top; }
+	.signatures { display: flex; gap: 48px; margin-top: 48px; }
+	.signatures div { flex: 1; border-top: 1px solid #111; padding-top: 4px; }
+	.digest { font-family: monospace; font-size: 11px; color: #555; word-break: break-all; }
+	@media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>Oxygen Sensor Calibration Certificate</h1>
+<div>Certificate No. ${e(data.certificateNumber)} &middot; Issued ${e(formatDate(data.issuedAt))}</div>
+
+<h2>Chamber and Sensor</h2>
+${table(sections.identity)}
+
+<h2>Calibration</h2>
+${table(sections.calibration)}
+
+<h2>Reference Gases</h2>
+${
+	data.calibration.referenceGases.length > 0
+		? list(data.calibration.referenceGases.map((gas) => this.describeReferenceGas(gas)))
+		: `<p>${e(data.calibration.gasUsed || 'Not recorded')}</p>`
+}
+
+<h2>Captured Points</h2>
+<table class="points">
+<tr><th>Reference O2 (%)</th><th>Raw value</th><th>Fitted O2 (%)</th><th>Residual (% O2)</th></tr>
+${data.points
+	.map(
+		(point) =>
+			`<tr><td>${e(point.o2)}</td><td>${e(point.raw)}</td><td>${e(
+				formatValue(point.fitted)
+			)}</td><td>${e(formatValue(point.residual))}</td></tr>`
+	)
+	.join('\n')}
+</table>
+
+<h2>Fitted Coefficients</h2>
+${list(this.describeCoefficients(data.calibration.model, data.coefficients))}
+
+<h2>Previous Calibration</h2>
+${
+	data.previous
+		? table([
+				['Calibration date', formatDate(data.previous.calibrationDate)],
+				['Calibration model', data.previous.model],
+		  ]) + list(this.describeCoefficients(data.previous.model, data.previous.coefficients))
+		: '<p>None (first calibration)</p>'
+}
+
+<h2>Verification Results</h2>
+${table([
+	['Before calibration', this.describeVerification(data.verification.before)],
+	['After calibration', this.describeVerification(data.verification.after)],
+])}
+
+<div class="signatures">
+<div>Technician: ${e(data.calibration.calibratedBy)}<br>Signature / date</div>
+<div>Reviewed by<br>Signature / date</div>
+</div>
+
+<p class="digest">Record digest (SHA-256): ${e(data.digest)}</p>
+</body>
+</html>
+`;
+	}
+
+	/**
+	 * Render as a PDF document
+	 * @param {Object} data - getCertificateData output
+	 * @returns {Buffer} PDF
+	 */
+	renderPdf(data) {
+		const sections = this.getSections(data);
+		const doc = new PdfDocument({
+			title: `Calibration Certificate ${data.certificateNumber}`,
+		});
+		const heading = (text) => doc.moveDown(8).text(text, { size: 12, bold: true }).rule();
+		const fields = (rows) =>
+			rows.forEach(([label, value]) => doc.row([label, value], [0.35, 0.65], { size: 10 }));
+
+		doc.text('Oxygen Sensor Calibration Certificate', { size: 18, bold: true });
+		doc.text(
+			`Certificate No. ${data.certificateNumber} - Issued ${formatDate(data.issuedAt)}`,
+			{ size: 10 }
+		);
+
+		heading('Chamber and Sensor');
+		fields(sections.identity);
+
+		heading('Calibration');
+		fields(sections.calibration);
+
+		heading('Reference Gases');
+		if (data.calibration.referenceGases.length > 0) {
+			data.calibration.referenceGases.forEach((gas) =>
+				doc.text(`- ${this.describeReferenceGas(gas)}`)
+			);
+		} else {
+			doc.text(data.calibration.gasUsed || 'Not recorded');
+		}
+
+		heading('Captured Points');
+		const columns = [0.25, 0.25, 0.25, 0.25];
+		doc.row(['Reference O2 (%)', 'Raw value', 'Fitted O2 (%)', 'Residual (% O2)'], columns, {
+			bold: true,
+		});
+		data.points.forEach((point) =>
+			doc.row(
+				[point.o2, point.raw, formatValue(point.fitted), formatValue(point.residual)],
+				columns
+			)
+		);
+
+		heading('Fitted Coefficients');
+		this.describeCoefficients(data.calibration.model, data.coefficients).forEach((line) =>
+			doc.text(line)
+		);
+
+		heading('Previous Calibration');
+		if (data.previous) {
+			fields([
+				['Calibration date', formatDate(data.previous.calibrationDate)],
+				['Calibration model', data.previous.model],
+			]);
+			this.describeCoefficients(data.previous.model, data.previous.coefficients).forEach(
+				(line) => doc.text(line)
+			);
+		} else {
+			doc.text('None (first calibration)');
+		}
+
+		heading('Verification Results');
+		doc.text(`Before calibration: ${this.describeVerification(data.verification.before)}`);
+		doc.text(`After calibration: ${this.describeVerification(data.verification.after)}`);
+
+		// Signature block stays on one page
+		doc.ensureSpace(90);
+		doc.moveDown(40);
+		doc.row(['______________________________', '______________________________'], [0.5, 0.5]);
+		doc.row([`Technician: ${data.calibration.calibratedBy}`, 'Reviewed by'], [0.5, 0.5]);
+		doc.row(['Signature / date', 'Signature / date'], [0.5, 0.5]);
+		doc.moveDown(8);
+		doc.text(`Record digest (SHA-256): ${data.digest}`, { size: 8 });
+
+		return doc.toBuffer();
+	}
+}
+
+module.exports = new CalibrationCertificateService();
@@ -0,0 +1,69 @@
+const logger = require('../utils/logger');
+const calibrationService = require('./calibrationService');
+
+/**
+ * Periodically applies the calibration expiry policy: a chamber whose last
+ * calibration is older than its calibrationIntervalDays is marked as
+ * requiring calibration, and every chamber's `calibration_due` alarm is
+ * raised or cleared to match its "calibration required" flag. The same pass
+ * re-scores sensor health and raises or clears `sensor_degraded` alarms.
+ * Runs once at start and then every CALIBRATION_DUE_CHECK_INTERVAL_MS
+ * (default 3600000).
+ */
+class CalibrationExpiryScheduler {
+	constructor() {
+		this.checkIntervalMs =
+			parseInt(process.env.CALIBRATION_DUE_CHECK_INTERVAL_MS) || 3600000;
+		this.intervalId = null;
+		this.lastCheckAt = null;
+	}
+
+	async start() {
+		if (this.intervalId) {
+			logger.warn('Calibration expiry scheduler is already running');
+			return;
+		}
+
+		this.intervalId = setInterval(() => {
+			this.check().catch((error) => {
+				logger.error('Error checking calibration expiry:', error);
+			});
+		}, this.checkIntervalMs);
+
+		logger.info(
+			`Calibration expiry scheduler started (every ${this.checkIntervalMs}ms)`
+		);
+		await this.check();
+	}
+
+	stop() {
+		if (this.intervalId) {
+			clearInterval(this.intervalId);
+			this.intervalId = null;
+			logger.info('Calibration expiry scheduler stopped');
+		}
+	}
+
+	async check() {
+		const required = await calibrationService.checkCalibrationExpiry();
+		this.lastCheckAt = new Date();
+		if (required.length > 0) {
+			logger.info(
+				`${required.length} chamber(s) require calibration: ${required
+					.map((chamber) => chamber.name)
+					.join(', ')}`
+			);
+		}
+
+		const degraded = await calibrationService.checkSensorHealth();
+		if (degraded.length > 0) {
+			logger.info(
+				`${degraded.length} sensor(s) below the health threshold: ${degraded
+					.map((health) => `${health.chamberName} (${health.score})`)
+					.join(', ')}`
+			);
+		}
+	}
+}
+
+module.exports = new CalibrationExpiryScheduler();
@@ -1,9 +1,93 @@
-const { Chamber } = require('../models');
+const { Op } = require('sequelize');
+const {
+	sequelize,
+	Chamber,
+	CalibrationHistory,
+	CalibrationSession,
+	CalibrationVerification,
+} = require('../models');
 const logger = require('../utils/logger');
+const {
+	STABILITY_DEFAULTS,
+	MAX_WINDOW_MS,
+	getWindowStats,
+	averageTemperature,
+} = require('../utils/stability');
+const { dateRange } = require('../utils/dateRange');
+const dataWatchdog = require('./dataWatchdog');
+const alarmService = require('./alarmService');
+
+// Kalibrasyon sıcaklığı kaydedilmemişse kullanılan referans (sensör veri sayfası değeri)
+const DEFAULT_REFERENCE_TEMPERATURE =
+	parseFloat(process.env.TEMP_COMP_REFERENCE_C) || 25;
+
+// Kabul edilen en büyük kalibrasyon artığı (% O2)
+const DEFAULT_MAX_RESIDUAL =
+	parseFloat(process.env.CALIBRATION_MAX_RESIDUAL) || 1.0;
+
+const CALIBRATION_MODELS = ['piecewise', 'linear', 'quadratic'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sensör çıkışının karşılaştırıldığı hava konsantrasyonu (% O2)
+const AIR_O2 = 20.9;
+
+// Sensör sağlığı: ilk kalibrasyondaki çıkışın bu oranına düşen sensör değiştirilir
+const SENSOR_MIN_RELATIVE_OUTPUT =
+	parseFloat(process.env.SENSOR_HEALTH_MIN_OUTPUT) || 0.7;
+
+// Sağlık skoru bunun altındaysa sensor_degraded alarmı verilir
+const SENSOR_HEALTH_ALARM_THRESHOLD =
+	parseFloat(process.env.SENSOR_HEALTH_ALARM_THRESHOLD) || 60;
+
+// Gürültü hesabı için tutulan son canlı ham değer sayısı
+const SENSOR_NOISE_SAMPLES = parseInt(process.env.SENSOR_HEALTH_NOISE_SAMPLES) || 120;
+
+// Sağlık skoru bileşenleri: ağırlık ve 100 / 0 puan verilen değerler
+const SENSOR_HEALTH_COMPONENTS = {
+	// İlk kalibrasyona göre çıkış oranı
+	output: { weight: 0.5, best: 1, worst: SENSOR_MIN_RELATIVE_OUTPUT },
+	// Çıkış eğilimi (ilk çıkışın %'si / ay)
+	trend: { weight: 0.2, best: 0, worst: -5 },
+	// Gürültü (ortalama ham değerin %'si)
+	noise: { weight: 0.15, best: 0.2, worst: 2 },
+	// Gaz verildikten sonra kararlı hale gelme süresi (s)
+	response: { weight: 0.15, best: 30, worst: 120 },
+};
+
+// best -> 100, worst -> 0, arası doğrusal
+const componentScore = (value, { best, worst }) =>
+	Math.round(Math.min(1, Math.max(0, (value - worst) / (best - worst))) * 100);
+
+const median = (values) => {
+	const sorted = [...values].sort((a, b) => a - b);
+	const middle = Math.floor(sorted.length / 2);
+	return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const validationError = (message) => {
+	const error = new Error(message);
+	error.statusCode = 400;
+	return error;
+};
 
 class CalibrationService {
+	constructor() {
+		// Sıfır/span kalibrasyonu sırasında yakalanan noktalar (oda ID'sine göre)
+		this.zeroSpan = new Map();
+		// Gürültü hesabı için son canlı ham değerler (oda ID'sine göre)
+		this.rawSamples = new Map();
+		// Sıfır/span kararlılık penceresi için zaman damgalı son canlı değerler
+		// (oda ID'sine göre): { since, samples: [{ t, raw, temperature }] }
+		this.recentSamples = new Map();
+		// Uydurulmuş aktif kalibrasyon modeli (oda ID'sine göre); kalibrasyon
+		// ve geri yüklemede temizlenir
+		this.fitCache = new Map();
+	}
+
 	/**
-	 * 3 noktalı kalibrasyon hesaplama
+	 * 3 noktalı kalibrasyon hesaplama (0%, orta nokta ve 100% noktalarından
+	 * geçen en küçük kareler doğrusu)
 	 * @param {number} zeroPointRaw - 0% için okunan ham değer
 	 * @param {number} midPointRaw - Orta nokta için okunan ham değer
 	 * @param {number} hundredPointRaw - 100% için okunan ham değer
@@ -17,28 +101,18 @@ class CalibrationService {
 		midPointCalibrated = 21.0
 	) {
 		try {
-			// 3 noktalı kalibrasyon hesaplama
-			// 0% noktası: (0, 0)
-			// Orta nokta: (midPointRaw, midPointCalibrated)
-			// 100% noktası: (hundredPointRaw, 100)
-
-			// İki doğru parçası için eğim hesaplama
-			// 1. Doğru: 0% -> Orta nokta
-			const slope1 = (midPointCalibrated - 0) / (midPointRaw - zeroPointRaw);
-
-			// 2. Doğru: Orta nokta -> 100%
-			const slope2 =
-				(100 - midPointCalibrated) / (hundredPointRaw - midPointRaw);
-
-			// Ortalama eğim (basit yaklaşım)
-			const avgSlope = (slope1 + slope2) / 2;
-
-			// Offset hesaplama (0% noktasından)
-			const offset = 0 - avgSlope * zeroPointRaw;
+			const fit = this.fitCalibrationModel(
+				this.normalizeCalibrationPoints([
+					{ raw: zeroPointRaw, o2: 0 },
+					{ raw: midPointRaw, o2: midPointCalibrated },
+					{ raw: hundredPointRaw, o2: 100 },
+				]),
+				'linear'
+			);
 
 			return {
-				slope: parseFloat(avgSlope.toFixed(6)),
-				offset: parseFloat(offset.toFixed(6)),
+				slope: fit.coefficients.slope,
+				offset: fit.coefficients.offset,
 				zeroPoint: { raw: zeroPointRaw, calibrated: 0 },
 				midPoint: { raw: midPointRaw, calibrated: midPointCalibrated },
 				hundredPoint: { raw: hundredPointRaw, calibrated: 100 },
@@ -49,6 +123,222 @@ class CalibrationService {
 		}
 	}
 
+	/**
+	 * Kalibrasyon noktalarını doğrula ve ham değere göre sırala
+	 * @param {Array} points - [{ raw, o2 }]
+	 * @returns {Array} Sıralı noktalar
+	 */
+	normalizeCalibrationPoints(points) {
+		if (!Array.isArray(points) || points.length < 2) {
+			throw validationError('At least two calibration points are required');
+		}
+
+		return points
+			.map((point) => {
+				const raw = parseFloat(point.raw);
+				const o2 = parseFloat(point.o2);
+				if (!Number.isFinite(raw) || !Number.isFinite(o2)) {
+					throw validationError('Calibration points need numeric raw and o2 values');
+				}
+				if (o2 < 0 || o2 > 100) {
+					throw validationError('Calibration point o2 must be between 0 and 100');
+				}
+				return { raw, o2 };
+			})
+			.sort((a, b) => a.raw - b.raw);
+	}
+
+	/**
+	 * Eski raw0/raw21/raw100 alanları için 0%, orta nokta ve 100%'e en yakın
+	 * noktaların ham değerleri (N noktalı kalibrasyonda da dolu kalır)
+	 * @param {Array} points - normalizeCalibrationPoints çıktısı
+	 * @param {number} midPointO2 - Orta nokta seviyesi
+	 * @returns {object} { raw0, raw21, raw100 }
+	 */
+	getLegacyRawPoints(points, midPointO2 = 21.0) {
+		const nearest = (o2) =>
+			points.reduce((best, point) =>
+				Math.abs(point.o2 - o2) < Math.abs(best.o2 - o2) ? point : best
+			).raw;
+
+		return {
+			raw0: nearest(0),
+			raw21: nearest(midPointO2),
+			raw100: nearest(100).toString(), // raw100 TEXT field olduğu için string olarak kaydet
+		};
+	}
+
+	/**
+	 * Kalibrasyon modelini noktalara uydur
+	 * - piecewise: noktalardan geçen parçalı doğrular (uçlarda son parçayla uzatılır)
+	 * - linear: en küçük kareler doğrusu
+	 * - quadratic: en küçük kareler ikinci derece eğrisi
+	 * @param {Array} points - normalizeCalibrationPoints çıktısı
+	 * @param {string} model - Model adı
+	 * @returns {object} { model, coefficients, r2, maxResidual, residuals }
+	 */
+	fitCalibrationModel(points, model = 'piecewise') {
+		if (!CALIBRATION_MODELS.includes(model)) {
+			throw validationError(
+				`Calibration model must be one of: ${CALIBRATION_MODELS.join(', ')}`
+			);
+		}
+
+		const distinctRaw = new Set(points.map((point) => point.raw)).size;
+		const required = model === 'quadratic' ? 3 : 2;
+		if (distinctRaw < required) {
+			throw validationError(
+				`The ${model} model needs at least ${required} points with different raw values`
+			);
+		}
+
+		let fit;
+		if (model === 'piecewise') {
+			if (distinctRaw !== points.length) {
+				throw validationError('Piecewise calibration points must have unique raw values');
+			}
+			const segments = [];
+			for (let i = 1; i < points.length; i++) {
+				const lower = points[i - 1];
+				const upper = points[i];
+				const slope = (upper.o2 - lower.o2) / (upper.raw - lower.raw);
+				segments.push({
+					fromRaw: lower.raw,
+					toRaw: upper.raw,
+					slope,
+					offset: lower.o2 - slope * lower.raw,
+				});
+			}
+			fit = { model, segments };
+		} else if (model === 'linear') {
+			fit = { model, ...this.fitPolynomial(points, 1) };
+		} else {
+			fit = { model, ...this.fitPolynomial(points, 2) };
+		}
+
+		// Uydurma kalitesi: R² ve en büyük artık (% O2)
+		const residuals = points.map((point) => {
+			const fitted = this.evaluateCalibrationModel(fit, point.raw);
+			return {
+				raw: point.raw,
+				o2: point.o2,
+				fitted: parseFloat(fitted.toFixed(4)),
+				residual: parseFloat((point.o2 - fitted).toFixed(4)),
+			};
+		});
+		const mean = points.reduce((sum, point) => sum + point.o2, 0) / points.length;
+		const ssTot = points.reduce((sum, point) => sum + (point.o2 - mean) ** 2, 0);
+		const ssRes = residuals.reduce((sum, point) => sum + point.residual ** 2, 0);
+
+		fit.r2 = ssTot > 0 ? parseFloat((1 - ssRes / ssTot).toFixed(6)) : null;
+		fit.maxResidual = parseFloat(
+			Math.max(...residuals.map((point) => Math.abs(point.residual))).toFixed(4)
+		);
+		fit.residuals = residuals;
+		fit.coefficients = this.describeCoefficients(fit);
+		return fit;
+	}
+
+	/**
+	 * En küçük kareler polinomu (1. veya 2. derece). Sayısal kararlılık için
+	 * ham değerler ortalama etrafında ölçeklenir: u = (raw - center) / scale
+	 */
+	fitPolynomial(points, degree) {
+		const n = points.length;
+		const center = points.reduce((sum, point) => sum + point.raw, 0) / n;
+		const scale =
+			Math.max(...points.map((point) => Math.abs(point.raw - center))) || 1;
+		const size = degree + 1;
+
+		// Normal denklemler: M · terms = v
+		const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+		const vector = new Array(size).fill(0);
+		points.forEach((point) => {
+			const u = (point.raw - center) / scale;
+			for (let row = 0; row < size; row++) {
+				for (let col = 0; col < size; col++) {
+					matrix[row][col] += u ** (row + col);
+				}
+				vector[row] += point.o2 * u ** row;
+			}
+		});
+
+		// Kısmi pivotlu Gauss eleme
+		for (let col = 0; col < size; col++) {
+			let pivot = col;
+			for (let row = col + 1; row < size; row++) {
+				if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+			}
+			if (Math.abs(matrix[pivot][col]) < 1e-12) {
+				throw validationError('Calibration points do not determine the model');
+			}
+			[matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+			[vector[col], vector[pivot]] = [vector[pivot], vector[col]];
+			for (let row = col + 1; row < size; row++) {
+				const factor = matrix[row][col] / matrix[col][col];
+				for (let k = col; k < size; k++) matrix[row][k] -= factor * matrix[col][k];
+				vector[row] -= factor * vector[col];
+			}
+		}
+		const terms = new Array(size).fill(0);
+		for (let row = size - 1; row >= 0; row--) {
+			let sum = vector[row];
+			for (let k = row + 1; k < size; k++) sum -= matrix[row][k] * terms[k];
+			terms[row] = sum / matrix[row][row];
+		}
+
+		return { center, scale, terms };
+	}
+
+	/**
+	 * Modeli ham değerde hesapla (sınırlama yapılmaz)
+	 * @param {object} fit - fitCalibrationModel çıktısı
+	 * @param {number} rawValue - Ham sensör değeri
+	 * @returns {number} O2 (%)
+	 */
+	evaluateCalibrationModel(fit, rawValue) {
+		if (fit.model === 'piecewise') {
+			const { segments } = fit;
+			const segment =
+				segments.find((item) => rawValue <= item.toRaw) ||
+				segments[segments.length - 1];
+			return segment.slope * rawValue + segment.offset;
+		}
+
+		const u = (rawValue - fit.center) / fit.scale;
+		return fit.terms.reduce((sum, term, power) => sum + term * u ** power, 0);
+	}
+
+	/**
+	 * Model katsayılarını ham değer cinsinden ver
+	 * (linear: o2 = slope·raw + offset, quadratic: o2 = a·raw² + b·raw + c)
+	 */
+	describeCoefficients(fit) {
+		const round = (value) => parseFloat(value.toPrecision(8));
+
+		if (fit.model === 'piecewise') {
+			return {
+				segments: fit.segments.map((segment) => ({
+					fromRaw: segment.fromRaw,
+					toRaw: segment.toRaw,
+					slope: round(segment.slope),
+					offset: round(segment.offset),
+				})),
+			};
+		}
+
+		const { center: m, scale: sc, terms } = fit;
+		if (fit.model === 'linear') {
+			const slope = terms[1] / sc;
+			return { slope: round(slope), offset: round(terms[0] - slope * m) };
+		}
+
+		const a = terms[2] / sc ** 2;
+		const b = terms[1] / sc - 2 * a * m;
+		const c = terms[0] - (terms[1] * m) / sc + a * m ** 2;
+		return { a: round(a), b: round(b), c: round(c) };
+	}
+
 	/**
 	 * Ham sensör değerini kalibre edilmiş değere dönüştür
 	 * @param {number} rawValue - Ham sensör değeri
@@ -62,9 +352,11 @@ class CalibrationService {
 	}
 
 	/**
-	 * 3 noktalı kalibrasyon gerçekleştir
+	 * Kalibrasyon gerçekleştir: 3 nokta (zeroPointRaw, midPointRaw,
+	 * hundredPointRaw) veya N nokta (points: [{ raw, o2 }]) ile seçilen modeli
+	 * uydurur. En büyük artık toleransı aşarsa kalibrasyon reddedilir.
 	 * @param {number} chamberId - Oda ID
-	 * @param {object} calibrationData - Kalibrasyon verileri
+	 * @param {object} calibrationData - Kalibrasyon verileri ({ model, tolerance, temperature, ... })
 	 * @param {string} calibratedBy - Kalibrasyonu yapan kişi
 	 * @param {string} notes - Notlar
 	 * @returns {object} Kalibrasyon sonucu
@@ -81,15 +373,39 @@ class CalibrationService {
 				midPointRaw,
 				hundredPointRaw,
 				midPointCalibrated = 21.0,
+				points = null,
+				model = 'piecewise',
+				tolerance = DEFAULT_MAX_RESIDUAL,
+				temperature = null,
+				gasUsed = null,
+				referenceGases = null,
 			} = calibrationData;
 
-			// Kalibrasyon katsayılarını hesapla
-			const coefficients = this.calculateCalibrationCoefficients(
-				zeroPointRaw,
-				midPointRaw,
-				hundredPointRaw,
-				midPointCalibrated
+			// N nokta verilmediyse klasik 0% / orta / 100% noktaları
+			const calibrationPoints = this.normalizeCalibrationPoints(
+				points || [
+					{ raw: zeroPointRaw, o2: 0 },
+					{ raw: midPointRaw, o2: midPointCalibrated },
+					{ raw: hundredPointRaw, o2: 100 },
+				]
 			);
+			const fit = this.fitCalibrationModel(calibrationPoints, model);
+			const fitQuality = {
+				model,
+				r2: fit.r2,
+				maxResidual: fit.maxResidual,
+				tolerance,
+				residuals: fit.residuals,
+			};
+
+			// Artık toleransı aşan uydurma reddedilir
+			if (fit.maxResidual > tolerance) {
+				const error = validationError(
+					`Calibration rejected: max residual ${fit.maxResidual}% O2 exceeds tolerance ${tolerance}%`
+				);
+				error.fit = fitQuality;
+				throw error;
+			}
 
 			// Chamber'ı bul ve kalibrasyon verilerini kaydet
 			const chamber = await Chamber.findByPk(chamberId);
@@ -97,34 +413,87 @@ class CalibrationService {
 				throw new Error('Chamber not found');
 			}
 
-			// Chamber'daki kalibrasyon alanlarını güncelle
-			await chamber.update({
-				raw0: zeroPointRaw,
-				raw21: midPointRaw,
-				raw100: hundredPointRaw.toString(), // raw100 TEXT field olduğu için string olarak kaydet
-				calibrationDate: new Date(),
+			// Değiştirilen kalibrasyon (geçmiş kaydı için)
+			const previousFields = this.getPreviousCalibrationFields(chamber);
+
+			const calibrationDate = new Date();
+			const history = await sequelize.transaction(async (transaction) => {
+				// Chamber'daki kalibrasyon alanlarını güncelle; raw0/raw21/raw100
+				// en yakın noktalardan doldurulur
+				await chamber.update(
+					{
+						...this.getLegacyRawPoints(calibrationPoints, midPointCalibrated),
+						calibrationPoints,
+						calibrationModel: model,
+						calibrationDate,
+						// Sıcaklık kompanzasyonu için referans sıcaklık
+						calibrationTemperature: temperature,
+						// Yeni kalibrasyon "kalibrasyon gerekli" durumunu kaldırır
+						isCalibrationRequired: false,
+						calibrationRequiredReason: null,
+						calibrationRequiredAt: null,
+					},
+					{ transaction }
+				);
+
+				return CalibrationHistory.create(
+					{
+						chamberId: chamber.id,
+						calibrationDate,
+						model,
+						points: calibrationPoints,
+						coefficients: fit.coefficients,
+						r2: fit.r2,
+						maxResidual: fit.maxResidual,
+						calibrationLevel: points ? null : midPointCalibrated,
+						calibratedBy,
+						notes: notes || null,
+						gasUsed,
+						referenceGases,
+						temperature,
+						sensorModel: chamber.sensorModel,
+						sensorSerialNumber: chamber.sensorSerialNumber,
+						...previousFields,
+					},
+					{ transaction }
+				);
 			});
 
-			logger.info(`3-point calibration completed for chamber ${chamberId}`);
+			this.fitCache.delete(chamber.id);
+
+			logger.info(
+				`${calibrationPoints.length}-point ${model} calibration completed for chamber ${chamberId}`
+			);
 			logger.info(
-				`Calibration points - 0%: ${zeroPointRaw}, 21%: ${midPointRaw}, 100%: ${hundredPointRaw}`
+				`Calibration points - ${calibrationPoints
+					.map((point) => `${point.o2}%: ${point.raw}`)
+					.join(', ')}`
 			);
 			logger.info(
-				`Calibration coefficients - slope: ${coefficients.slope}, offset: ${coefficients.offset}`
+				`Calibration fit - R²: ${fit.r2}, max residual: ${fit.maxResidual}% O2`
 			);
 
+			await alarmService.clearConditionAlarm(chamber.id, 'calibration_due');
+
 			return {
 				chamber: chamber,
+				historyId: history.id,
 				calibrationData: {
-					zeroPointRaw,
-					zeroPointCalibrated: 0,
-					midPointRaw,
-					midPointCalibrated,
-					hundredPointRaw,
-					hundredPointCalibrated: 100,
+					zeroPointRaw: points ? undefined : zeroPointRaw,
+					zeroPointCalibrated: points ? undefined : 0,
+					midPointRaw: points ? undefined : midPointRaw,
+					midPointCalibrated: points ? undefined : midPointCalibrated,
+					hundredPointRaw: points ? undefined : hundredPointRaw,
+					hundredPointCalibrated: points ? undefined : 100,
+					points: calibrationPoints,
+					model,
+					temperature,
+					gasUsed,
+					referenceGases,
 				},
-				coefficients,
-				message: '3-point calibration completed successfully',
+				coefficients: fit.coefficients,
+				fit: fitQuality,
+				message: 'Calibration completed successfully',
 			};
 		} catch (error) {
 			logger.error('Error performing 3-point calibration:', error);
@@ -133,123 +502,724 @@ class CalibrationService {
 	}
 
 	/**
-	 * Aktif kalibrasyon noktalarını getir
+	 * Odada aktif olan (değiştirilecek) kalibrasyonun geçmiş kaydı alanları
+	 * @param {object} chamber - Chamber kaydı
+	 * @returns {object} previousModel, previousPoints, previousCoefficients, previousCalibrationDate
+	 */
+	getPreviousCalibrationFields(chamber) {
+		const previous = this.buildCalibrationPoints(chamber);
+		let previousCoefficients = null;
+		if (previous) {
+			try {
+				previousCoefficients = this.fitCalibrationModel(
+					this.normalizeCalibrationPoints(previous.points),
+					previous.model
+				).coefficients;
+			} catch (error) {
+				logger.warn(
+					`Previous calibration of chamber ${chamber.id} is unusable: ${error.message}`
+				);
+			}
+		}
+
+		return {
+			previousModel: previous ? previous.model : null,
+			previousPoints: previous ? previous.points : null,
+			previousCoefficients,
+			previousCalibrationDate: previous ? previous.calibrationDate : null,
+		};
+	}
+
+	/**
+	 * Geçmişteki bir kalibrasyonu yeniden aktif yap (ör. hatalı gazla yapılan
+	 * kalibrasyonu geri al). Noktalar ve model geri yüklenir, kalibrasyon tarihi
+	 * orijinal kalibrasyonun tarihidir (geçerlilik süresi ona göre işler).
+	 * Geri yükleme geçmişe yeni bir kayıt olarak yazılır.
 	 * @param {number} chamberId - Oda ID
-	 * @returns {object} Aktif kalibrasyon noktaları
+	 * @param {number} calibrationId - Geri yüklenecek geçmiş kaydı ID
+	 * @param {string} restoredBy - Geri yükleyen kişi
+	 * @param {string} reason - Geri yükleme nedeni
+	 * @returns {object} Kalibrasyon sonucu
 	 */
-	async getActiveCalibrationPoints(chamberId) {
+	async restoreCalibration(chamberId, calibrationId, restoredBy = 'system', reason = '') {
 		try {
 			const chamber = await Chamber.findByPk(chamberId);
+			if (!chamber) {
+				throw new Error('Chamber not found');
+			}
 
-			if (!chamber || !chamber.calibrationDate) {
-				return null;
+			const source = await CalibrationHistory.findOne({
+				where: { id: calibrationId, chamberId: chamber.id },
+			});
+			if (!source) {
+				const error = new Error('Calibration not found');
+				error.statusCode = 404;
+				throw error;
+			}
+
+			const latest = await CalibrationHistory.findOne({
+				where: { chamberId: chamber.id },
+				order: [['calibrationDate', 'DESC']],
+				attributes: ['id'],
+			});
+			if (latest && latest.id === source.id) {
+				const error = new Error('Calibration is already active');
+				error.statusCode = 409;
+				throw error;
+			}
+
+			const points = this.normalizeCalibrationPoints(source.points || []);
+			const fit = this.fitCalibrationModel(points, source.model);
+			const previousFields = this.getPreviousCalibrationFields(chamber);
+
+			const history = await sequelize.transaction(async (transaction) => {
+				await chamber.update(
+					{
+						...this.getLegacyRawPoints(points, source.calibrationLevel ?? 21.0),
+						calibrationPoints: points,
+						calibrationModel: source.model,
+						calibrationDate: source.calibrationDate,
+						calibrationTemperature: source.temperature,
+						isCalibrationRequired: false,
+						calibrationRequiredReason: null,
+						calibrationRequiredAt: null,
+					},
+					{ transaction }
+				);
+
+				return CalibrationHistory.create(
+					{
+						chamberId: chamber.id,
+						calibrationDate: new Date(),
+						model: source.model,
+						points,
+						coefficients: fit.coefficients,
+						r2: fit.r2,
+						maxResidual: fit.maxResidual,
+						calibrationLevel: source.calibrationLevel,
+						calibratedBy: restoredBy,
+						notes: reason || null,
+						gasUsed: source.gasUsed,
+						referenceGases: source.referenceGases,
+						temperature: source.temperature,
+						sensorModel: chamber.sensorModel,
+						sensorSerialNumber: chamber.sensorSerialNumber,
+						restoredFromId: source.id,
+						...previousFields,
+					},
+					{ transaction }
+				);
+			});
+
+			this.fitCache.delete(chamber.id);
+
+			logger.info(
+				`Calibration ${source.id} restored for chamber ${chamberId} by ${restoredBy}: ${reason}`
+			);
+
+			await alarmService.clearConditionAlarm(chamber.id, 'calibration_due');
+			const due = this.getCalibrationDue(chamber);
+			if (due.isExpired) {
+				await this.markCalibrationRequired(
+					chamber.id,
+					`Restored calibration expired on ${due.dueDate.toISOString()}`
+				);
+				await chamber.reload();
 			}
 
-			// Chamber modelinden kalibrasyon noktalarını döndür
 			return {
-				chamberId: chamber.id,
-				zeroPointRaw: chamber.raw0,
-				zeroPointCalibrated: 0,
-				midPointRaw: chamber.raw21,
-				midPointCalibrated: 21.0,
-				hundredPointRaw: parseFloat(chamber.raw100),
-				hundredPointCalibrated: 100,
-				calibrationDate: chamber.calibrationDate,
-				chamber: {
-					id: chamber.id,
-					name: chamber.name,
+				chamber,
+				historyId: history.id,
+				restoredFromId: source.id,
+				calibrationData: {
+					points,
+					model: source.model,
+					calibrationDate: source.calibrationDate,
+					temperature: source.temperature,
+					gasUsed: source.gasUsed,
+					referenceGases: source.referenceGases,
+				},
+				coefficients: fit.coefficients,
+				fit: {
+					model: source.model,
+					r2: fit.r2,
+					maxResidual: fit.maxResidual,
+					residuals: fit.residuals,
 				},
+				message: 'Calibration restored successfully',
 			};
+		} catch (error) {
+			logger.error('Error restoring calibration:', error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Sıfır/span kalibrasyonu için kararlı sensör değerini yakala: son
+	 * `windowMs` içindeki canlı ham değerlerin varyansı `maxVariance` altında
+	 * olmalıdır, ortalamaları kaydedilir. Sıfır gazı (genellikle N2) ve span
+	 * gazı (genellikle %100 O2) beyan edilen konsantrasyon ve sertifika/lot
+	 * bilgisiyle kaydedilir.
+	 * @param {number} chamberId - Oda ID
+	 * @param {string} step - 'zero' veya 'span'
+	 * @param {object} gas - { concentration, gas, certificate, lotNumber, windowMs, maxVariance, capturedBy }
+	 * @returns {object} Bekleyen sıfır/span durumu
+	 */
+	async captureZeroSpanPoint(chamberId, step, gas = {}) {
+		if (!['zero', 'span'].includes(step)) {
+			throw validationError('Zero/span step must be zero or span');
+		}
+
+		const chamber = await Chamber.findByPk(chamberId);
+		if (!chamber) {
+			throw new Error('Chamber not found');
+		}
+
+		// Sadece güncel canlı değer kabul edilir
+		const { isStale } = dataWatchdog.getState(chamber.id);
+		if (!Number.isFinite(chamber.lastRawFromPLC) || isStale) {
+			const error = new Error(
+				'No live sensor value for this chamber; check the data source before capturing'
+			);
+			error.statusCode = 409;
+			throw error;
+		}
+
+		const concentration =
+			gas.concentration !== undefined && gas.concentration !== null
+				? parseFloat(gas.concentration)
+				: step === 'zero'
+				? 0
+				: 100;
+		if (!Number.isFinite(concentration) || concentration < 0 || concentration > 100) {
+			throw validationError('Gas concentration must be between 0 and 100');
+		}
+
+		// Kararlı olmayan (henüz oturmamış veya gürültülü) değer yakalanmaz
+		const windowMs = gas.windowMs || STABILITY_DEFAULTS.windowMs;
+		const maxVariance =
+			gas.maxVariance !== undefined && gas.maxVariance !== null
+				? gas.maxVariance
+				: STABILITY_DEFAULTS.maxVariance;
+		const { stats, samples } = this.getRecentWindow(chamber.id, windowMs, maxVariance);
+		if (!stats.stable) {
+			const reason = !stats.windowFilled
+				? `collected for less than ${windowMs} ms`
+				: stats.samples < STABILITY_DEFAULTS.minSamples
+				? `only ${stats.samples} sample(s) in the last ${windowMs} ms`
+				: `variance ${stats.variance} exceeds ${maxVariance}`;
+			const error = new Error(
+				`Sensor value is not stable (${reason}); wait for the reading to settle before capturing`
+			);
+			error.statusCode = 409;
+			error.stability = { ...stats, windowMs, maxVariance };
+			throw error;
+		}
+
+		const temperature = averageTemperature(samples);
+		const pending = this.zeroSpan.get(chamber.id) || { zero: null, span: null };
+		pending[step] = {
+			raw: stats.mean,
+			concentration,
+			gas: gas.gas || (step === 'zero' ? 'N2' : 'O2'),
+			certificate: gas.certificate || null,
+			lotNumber: gas.lotNumber || null,
+			temperature: temperature !== null ? temperature : chamber.lastTemperature,
+			variance: stats.variance,
+			samples: stats.samples,
+			windowMs,
+			capturedBy: gas.capturedBy || 'system',
+			capturedAt: new Date(),
+		};
+		this.zeroSpan.set(chamber.id, pending);
+
+		logger.info(
+			`Zero/span ${step} captured for chamber ${chamber.id}: raw ${stats.mean} (${stats.samples} samples, variance ${stats.variance}) at ${concentration}% (${pending[step].gas})`
+		);
+		return this.getZeroSpanStatus(chamber.id);
+	}
+
+	/**
+	 * Bekleyen sıfır/span noktaları
+	 * @param {number} chamberId - Oda ID
+	 */
+	getZeroSpanStatus(chamberId) {
+		const pending = this.zeroSpan.get(chamberId) || { zero: null, span: null };
+		return {
+			chamberId,
+			zero: pending.zero,
+			span: pending.span,
+			ready: !!(pending.zero && pending.span),
+		};
+	}
+
+	/**
+	 * Bekleyen sıfır/span noktalarını sil
+	 * @param {number} chamberId - Oda ID
+	 */
+	resetZeroSpan(chamberId) {
+		this.zeroSpan.delete(chamberId);
+		return this.getZeroSpanStatus(chamberId);
+	}
+
+	/**
+	 * Yakalanan sıfır ve span noktalarından doğrusal kalibrasyon: eğim iki
+	 * gaz arasındaki farktan, offset ölçülen sıfır değerinden hesaplanır
+	 * (ham 0 = %0 varsayılmaz).
+	 * @param {number} chamberId - Oda ID
+	 * @param {string} calibratedBy - Kalibrasyonu yapan kişi
+	 * @param {string} notes - Notlar
+	 * @returns {object} Kalibrasyon sonucu
+	 */
+	async completeZeroSpanCalibration(chamberId, calibratedBy = 'system', notes = '') {
+		const { zero, span } = this.getZeroSpanStatus(chamberId);
+		if (!zero || !span) {
+			throw validationError('Both zero and span must be captured first');
+		}
+		if (span.concentration <= zero.concentration) {
+			throw validationError('Span gas concentration must be above the zero gas');
+		}
+		if (span.raw <= zero.raw) {
+			throw validationError(
+				`Span raw value (${span.raw}) must be above the zero raw value (${zero.raw})`
+			);
+		}
+
+		const temperatures = [zero.temperature, span.temperature].filter((t) =>
+			Number.isFinite(t)
+		);
+		const describeGas = (point) =>
+			`${point.gas} ${point.concentration}%${point.certificate ? ` (cert ${point.certificate})` : ''}`;
+
+		const result = await this.performThreePointCalibration(
+			chamberId,
+			{
+				points: [
+					{ raw: zero.raw, o2: zero.concentration },
+					{ raw: span.raw, o2: span.concentration },
+				],
+				model: 'linear',
+				temperature:
+					temperatures.length > 0
+						? temperatures.reduce((sum, t) => sum + t, 0) / temperatures.length
+						: null,
+				gasUsed: `zero: ${describeGas(zero)}, span: ${describeGas(span)}`,
+				referenceGases: [
+					{ role: 'zero', ...zero },
+					{ role: 'span', ...span },
+				],
+			},
+			calibratedBy,
+			notes || 'Zero/span calibration'
+		);
+
+		this.zeroSpan.delete(chamberId);
+		return result;
+	}
+
+	/**
+	 * Chamber kaydındaki kalibrasyon noktaları
+	 * @param {object} chamber - Chamber kaydı
+	 * @returns {object|null} Kalibrasyon noktaları (kalibrasyon yoksa null)
+	 */
+	buildCalibrationPoints(chamber) {
+		if (!chamber || !chamber.calibrationDate) {
+			return null;
+		}
+
+		// Kayıtlı N nokta yoksa (eski kalibrasyon) 0% / 21% / 100% noktaları
+		let points = null;
+		try {
+			points = chamber.calibrationPoints;
+		} catch (error) {
+			logger.error(`Invalid calibration points for chamber ${chamber.id}:`, error);
+		}
+		if (!points) {
+			points = [
+				{ raw: chamber.raw0, o2: 0 },
+				{ raw: chamber.raw21, o2: 21.0 },
+				{ raw: parseFloat(chamber.raw100), o2: 100 },
+			];
+		}
+
+		// Chamber modelinden kalibrasyon noktalarını döndür
+		return {
+			chamberId: chamber.id,
+			model: chamber.calibrationModel || 'piecewise',
+			points,
+			zeroPointRaw: chamber.raw0,
+			zeroPointCalibrated: 0,
+			midPointRaw: chamber.raw21,
+			midPointCalibrated: 21.0,
+			hundredPointRaw: parseFloat(chamber.raw100),
+			hundredPointCalibrated: 100,
+			calibrationDate: chamber.calibrationDate,
+			calibrationTemperature: chamber.calibrationTemperature,
+			chamber: {
+				id: chamber.id,
+				name: chamber.name,
+			},
+		};
+	}
+
+	/**
+	 * Aktif kalibrasyon noktalarını getir
+	 * @param {number} chamberId - Oda ID
+	 * @returns {object} Aktif kalibrasyon noktaları
+	 */
+	async getActiveCalibrationPoints(chamberId) {
+		try {
+			const chamber = await Chamber.findByPk(chamberId);
+			return this.buildCalibrationPoints(chamber);
 		} catch (error) {
 			logger.error('Error getting active calibration points:', error);
 			throw error;
 		}
 	}
 
+	/**
+	 * Aktif kalibrasyonun uydurulmuş modeli. Her okumada yeniden uydurmamak
+	 * için oda başına saklanır; kalibrasyon tarihi değişince yenilenir.
+	 * @param {object} calibrationPoints - buildCalibrationPoints çıktısı
+	 * @returns {object} fitCalibrationModel çıktısı
+	 */
+	getCalibrationFit(calibrationPoints) {
+		const { chamberId, calibrationDate } = calibrationPoints;
+		const stamp = new Date(calibrationDate).getTime();
+		const cached = this.fitCache.get(chamberId);
+		if (cached && cached.stamp === stamp) {
+			return cached.fit;
+		}
+
+		const fit = this.fitCalibrationModel(
+			this.normalizeCalibrationPoints(calibrationPoints.points),
+			calibrationPoints.model
+		);
+		this.fitCache.set(chamberId, { stamp, fit });
+		return fit;
+	}
+
 	/**
 	 * Ham sensör değerini kalibre et
 	 * @param {number} chamberId - Oda ID
 	 * @param {number} rawValue - Ham sensör değeri
-	 * @returns {number} Kalibre edilmiş değer
+	 * @param {number} temperature - Ortam sıcaklığı (°C), varsa kompanzasyon uygulanır
+	 * @returns {number} Kalibre (ve sıcaklık kompanze) edilmiş değer
+	 */
+	async calibrateReading(chamberId, rawValue, temperature = null) {
+		const result = await this.calibrateReadingDetailed(
+			chamberId,
+			rawValue,
+			temperature
+		);
+		return result.o2Level;
+	}
+
+	/**
+	 * Ham sensör değerini kalibre et, kompanzasyon öncesi değerle birlikte döndür
+	 * @param {number} chamberId - Oda ID
+	 * @param {number} rawValue - Ham sensör değeri
+	 * @param {number} temperature - Ortam sıcaklığı (°C)
+	 * @returns {object} { o2Level, uncompensatedO2Level, temperatureCompensation, calibrated }
 	 */
-	async calibrateReading(chamberId, rawValue) {
+	async calibrateReadingDetailed(chamberId, rawValue, temperature = null) {
 		try {
-			const calibrationPoints = await this.getActiveCalibrationPoints(
-				chamberId
-			);
+			const chamber = await Chamber.findByPk(chamberId);
+			const calibrationPoints = this.buildCalibrationPoints(chamber);
 
 			if (!calibrationPoints) {
 				logger.warn(
 					`No active calibration found for chamber ${chamberId}, using raw value`
 				);
-				return rawValue;
+				return {
+					o2Level: rawValue,
+					uncompensatedO2Level: rawValue,
+					temperatureCompensation: null,
+					calibrated: false,
+				};
 			}
 
-			// Kalibrasyon katsayılarını yeniden hesapla
-			const coefficients = this.calculateCalibrationCoefficients(
-				calibrationPoints.zeroPointRaw,
-				calibrationPoints.midPointRaw,
-				calibrationPoints.hundredPointRaw,
-				calibrationPoints.midPointCalibrated
+			const fit = this.getCalibrationFit(calibrationPoints);
+
+			const calibratedValue = parseFloat(
+				Math.max(
+					0,
+					Math.min(100, this.evaluateCalibrationModel(fit, rawValue))
+				).toFixed(2)
 			);
 
-			const calibratedValue = this.applyCalibration(
-				rawValue,
-				coefficients.slope,
-				coefficients.offset
+			const compensation = this.compensateTemperature(
+				chamber,
+				calibratedValue,
+				temperature
 			);
 
-			return parseFloat(calibratedValue.toFixed(2));
+			return {
+				o2Level: compensation.o2Level,
+				uncompensatedO2Level: calibratedValue,
+				temperatureCompensation: compensation.details,
+				calibrated: true,
+			};
 		} catch (error) {
 			logger.error('Error calibrating reading:', error);
-			return rawValue; // Hata durumunda ham değeri döndür
+			// Hata durumunda ham değeri döndür
+			return {
+				o2Level: rawValue,
+				uncompensatedO2Level: rawValue,
+				temperatureCompensation: null,
+				calibrated: false,
+			};
+		}
+	}
+
+	/**
+	 * Sıcaklık kompanzasyon tablosunu ayrıştır
+	 * @param {string|Array} table - JSON metni veya [{ temperature, factor }]
+	 * @returns {Array|null} Sıcaklığa göre sıralı tablo
+	 */
+	parseTempCompTable(table) {
+		if (table === null || table === undefined || table === '') {
+			return null;
+		}
+
+		const entries = typeof table === 'string' ? JSON.parse(table) : table;
+		return entries
+			.map((entry) => ({
+				temperature: parseFloat(entry.temperature),
+				factor: parseFloat(entry.factor),
+			}))
+			.sort((a, b) => a.temperature - b.temperature);
+	}
+
+	/**
+	 * Tablodan doğrusal enterpolasyon (uçlarda sabit)
+	 */
+	interpolateTempCompTable(table, temperature) {
+		if (temperature <= table[0].temperature) {
+			return table[0].factor;
+		}
+
+		for (let i = 1; i < table.length; i++) {
+			const upper = table[i];
+			if (temperature <= upper.temperature) {
+				const lower = table[i - 1];
+				const ratio =
+					(temperature - lower.temperature) /
+					(upper.temperature - lower.temperature);
+				return lower.factor + ratio * (upper.factor - lower.factor);
+			}
 		}
+
+		return table[table.length - 1].factor;
 	}
 
 	/**
-	 * Kalibrasyon geçmişini getir
+	 * Sensör çıkışının referans sıcaklığa göre oranı (1 = fark yok)
+	 * @param {object} chamber - Chamber kaydı
+	 * @param {number} temperature - Ölçüm sıcaklığı (°C)
+	 * @param {number} referenceTemperature - Kalibrasyon sıcaklığı (°C)
+	 * @returns {number|null} Çarpan, kompanzasyon kapalıysa null
+	 */
+	getTemperatureCompensationFactor(chamber, temperature, referenceTemperature) {
+		if (chamber.tempCompMode === 'coefficient') {
+			if (chamber.tempCompCoefficient === null) return null;
+			return (
+				1 + (chamber.tempCompCoefficient / 100) * (temperature - referenceTemperature)
+			);
+		}
+
+		if (chamber.tempCompMode === 'table') {
+			const table = this.parseTempCompTable(chamber.tempCompTable);
+			if (!table || table.length < 2) return null;
+			return (
+				this.interpolateTempCompTable(table, temperature) /
+				this.interpolateTempCompTable(table, referenceTemperature)
+			);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Kalibre edilmiş O2 değerine sıcaklık kompanzasyonu uygula. Galvanik
+	 * hücrenin çıkışı sıcaklıkla değiştiği için ölçülen değer, kalibrasyon
+	 * sıcaklığındaki çıkışa oranlanır.
+	 * @param {object} chamber - Chamber kaydı
+	 * @param {number} o2Level - Kalibre edilmiş O2 (%)
+	 * @param {number} temperature - Ortam sıcaklığı (°C)
+	 * @returns {object} { o2Level, details }
+	 */
+	compensateTemperature(chamber, o2Level, temperature) {
+		const mode = chamber.tempCompMode || 'none';
+		const referenceTemperature =
+			chamber.calibrationTemperature !== null &&
+			chamber.calibrationTemperature !== undefined
+				? chamber.calibrationTemperature
+				: DEFAULT_REFERENCE_TEMPERATURE;
+		const details = {
+			applied: false,
+			mode,
+			temperature: Number.isFinite(temperature) ? temperature : null,
+			referenceTemperature,
+			factor: null,
+		};
+
+		if (mode === 'none' || !Number.isFinite(temperature)) {
+			return { o2Level, details };
+		}
+
+		let factor = null;
+		try {
+			factor = this.getTemperatureCompensationFactor(
+				chamber,
+				temperature,
+				referenceTemperature
+			);
+		} catch (error) {
+			logger.error(
+				`Invalid temperature compensation settings for chamber ${chamber.id}:`,
+				error
+			);
+		}
+
+		if (!Number.isFinite(factor) || factor <= 0) {
+			return { o2Level, details };
+		}
+
+		const compensated = Math.max(0, Math.min(100, o2Level / factor));
+		details.applied = true;
+		details.factor = parseFloat(factor.toFixed(6));
+		return { o2Level: parseFloat(compensated.toFixed(2)), details };
+	}
+
+	/**
+	 * Sıcaklık kompanzasyon ayarlarını getir
+	 * @param {object} chamber - Chamber kaydı
+	 */
+	getTemperatureCompensationSettings(chamber) {
+		return {
+			mode: chamber.tempCompMode || 'none',
+			coefficient: chamber.tempCompCoefficient,
+			table: this.parseTempCompTable(chamber.tempCompTable),
+			referenceTemperature: chamber.calibrationTemperature,
+			defaultReferenceTemperature: DEFAULT_REFERENCE_TEMPERATURE,
+			lastTemperature: chamber.lastTemperature,
+		};
+	}
+
+	/**
+	 * Sıcaklık kompanzasyon ayarlarını güncelle
 	 * @param {number} chamberId - Oda ID
-	 * @param {number} limit - Limit
-	 * @returns {array} Kalibrasyon geçmişi
+	 * @param {object} changes - { mode, coefficient, table, referenceTemperature }
+	 * @returns {object} Güncel ayarlar
 	 */
-	async getCalibrationHistory(chamberId, limit = 50) {
+	async updateTemperatureCompensation(chamberId, changes) {
+		const chamber = await Chamber.findByPk(chamberId);
+		if (!chamber) {
+			throw new Error('Chamber not found');
+		}
+
+		const updates = {};
+		if (changes.coefficient !== undefined) {
+			updates.tempCompCoefficient = changes.coefficient;
+		}
+		if (changes.table !== undefined) {
+			const table = this.parseTempCompTable(changes.table);
+			if (table) {
+				const temperatures = new Set(table.map((entry) => entry.temperature));
+				if (temperatures.size !== table.length) {
+					throw validationError('Compensation table temperatures must be unique');
+				}
+			}
+			updates.tempCompTable = table ? JSON.stringify(table) : null;
+		}
+		if (changes.referenceTemperature !== undefined) {
+			updates.calibrationTemperature = changes.referenceTemperature;
+		}
+		if (changes.mode !== undefined) {
+			updates.tempCompMode = changes.mode;
+		}
+
+		const merged = { ...chamber.get(), ...updates };
+		if (merged.tempCompMode === 'coefficient' && merged.tempCompCoefficient === null) {
+			throw validationError('Coefficient mode requires a coefficient');
+		}
+		if (
+			merged.tempCompMode === 'table' &&
+			(this.parseTempCompTable(merged.tempCompTable) || []).length < 2
+		) {
+			throw validationError('Table mode requires at least two table entries');
+		}
+
+		await chamber.update(updates);
+		logger.info(
+			`Temperature compensation for chamber ${chamberId} set to ${chamber.tempCompMode}`
+		);
+		return this.getTemperatureCompensationSettings(chamber);
+	}
+
+	/**
+	 * Kalibrasyon geçmişini getir (en yeni önce)
+	 * @param {object} filters - { chamberId, startDate, endDate, limit, offset }
+	 * @returns {object} { rows, count }
+	 */
+	async getCalibrationHistory(filters = {}) {
 		try {
-			const chamber = await Chamber.findByPk(chamberId);
+			const whereClause = {};
 
-			if (!chamber) {
-				return [];
+			if (filters.chamberId) {
+				whereClause.chamberId = filters.chamberId;
 			}
 
-			// Şu anda sadece son kalibrasyon bilgisini döndürüyoruz
-			// Gelecekte kalibrasyon geçmişi için ayrı bir tablo eklenebilir
-			const history = [];
-			if (
-				chamber.calibrationDate &&
-				chamber.raw0 !== null &&
-				chamber.raw21 !== null &&
-				chamber.raw100 !== null
-			) {
-				history.push({
-					id: 1,
-					chamberId: chamber.id,
-					calibrationDate: chamber.calibrationDate,
-					zeroPointRaw: chamber.raw0,
-					midPointRaw: chamber.raw21,
-					hundredPointRaw: parseFloat(chamber.raw100),
-					chamber: {
-						id: chamber.id,
-						name: chamber.name,
-					},
-				});
+			const calibrationDate = dateRange(filters.startDate, filters.endDate);
+			if (calibrationDate) {
+				whereClause.calibrationDate = calibrationDate;
 			}
 
-			return history;
+			return await CalibrationHistory.findAndCountAll({
+				where: whereClause,
+				include: [
+					{
+						model: Chamber,
+						as: 'chamber',
+						attributes: ['id', 'name'],
+					},
+				],
+				order: [['calibrationDate', 'DESC']],
+				limit: filters.limit || 50,
+				offset: filters.offset || 0,
+			});
 		} catch (error) {
 			logger.error('Error getting calibration history:', error);
 			throw error;
 		}
 	}
 
+	/**
+	 * Odanın önceki kalibrasyonları (en yeni önce); en yeni kayıt aktif olandır
+	 * @param {number} chamberId - Oda ID
+	 * @param {object} options - { limit, offset }
+	 * @returns {object} { rows, count, activeCalibrationId }
+	 */
+	async getCalibrations(chamberId, { limit = 50, offset = 0 } = {}) {
+		const history = await this.getCalibrationHistory({ chamberId, limit, offset });
+		const latest = await CalibrationHistory.findOne({
+			where: { chamberId },
+			order: [['calibrationDate', 'DESC']],
+			attributes: ['id'],
+		});
+		const activeCalibrationId = latest ? latest.id : null;
+
+		return {
+			rows: history.rows.map((calibration) => ({
+				...calibration.toJSON(),
+				isActive: calibration.id === activeCalibrationId,
+			})),
+			count: history.count,
+			activeCalibrationId,
+		};
+	}
+
 	/**
 	 * Kalibrasyon durumunu kontrol et
 	 * @param {number} chamberId - Oda ID
@@ -264,20 +1234,44 @@ class CalibrationService {
 
 			const hasActiveCalibration = !!calibrationPoints;
 			let coefficients = null;
+			let fit = null;
 
 			if (hasActiveCalibration) {
-				coefficients = this.calculateCalibrationCoefficients(
-					calibrationPoints.zeroPointRaw,
-					calibrationPoints.midPointRaw,
-					calibrationPoints.hundredPointRaw,
-					calibrationPoints.midPointCalibrated
-				);
+				try {
+					const points = this.normalizeCalibrationPoints(calibrationPoints.points);
+					fit = this.fitCalibrationModel(points, calibrationPoints.model);
+					// Genel eğim/offset (gösterim için en küçük kareler doğrusu)
+					coefficients = this.fitCalibrationModel(points, 'linear').coefficients;
+				} catch (error) {
+					logger.warn(
+						`Stored calibration of chamber ${chamberId} is unusable: ${error.message}`
+					);
+				}
 			}
 
+			// Son doğrulama (bump test) sonucu
+			const lastVerification = await CalibrationVerification.findOne({
+				where: {
+					chamberId,
+					status: { [Op.in]: ['passed', 'failed'] },
+				},
+				order: [['completedAt', 'DESC']],
+				attributes: [
+					'id',
+					'status',
+					'expectedO2',
+					'measuredO2',
+					'deviation',
+					'tolerance',
+					'completedAt',
+				],
+			});
+
 			return {
 				hasActiveCalibration,
 				lastCalibration: calibrationPoints?.calibrationDate || null,
-				isCalibrationRequired: false, // Chamber modelinde bu alan yok, varsayılan false
+				lastVerification,
+				...(chamber ? this.getCalibrationDueStatus(chamber) : { isCalibrationRequired: false }),
 				calibrationPoints: calibrationPoints
 					? {
 							zeroPoint: {
@@ -292,10 +1286,15 @@ class CalibrationService {
 								raw: calibrationPoints.hundredPointRaw,
 								calibrated: calibrationPoints.hundredPointCalibrated,
 							},
+							points: calibrationPoints.points,
+							model: calibrationPoints.model,
 							coefficients: {
 								slope: coefficients?.slope || 0,
 								offset: coefficients?.offset || 0,
 							},
+							modelCoefficients: fit?.coefficients || null,
+							r2: fit?.r2 ?? null,
+							maxResidual: fit?.maxResidual ?? null,
 					  }
 					: null,
 			};
@@ -318,7 +1317,53 @@ class CalibrationService {
 		);
 	}
 
-	async recordSensorChange(chamberId, sensorModel, sensorSerialNumber) {
+	/**
+	 * Kalibrasyon geçerlilik durumu: son kalibrasyon + aralık (gün)
+	 * @param {object} chamber - Chamber kaydı
+	 * @param {Date} now - Referans zaman
+	 * @returns {object} { intervalDays, dueDate, daysUntilDue, isExpired }
+	 */
+	getCalibrationDue(chamber, now = new Date()) {
+		const intervalDays = chamber.calibrationIntervalDays || null;
+		if (!intervalDays || !chamber.calibrationDate) {
+			return { intervalDays, dueDate: null, daysUntilDue: null, isExpired: false };
+		}
+
+		const dueDate = new Date(
+			new Date(chamber.calibrationDate).getTime() + intervalDays * DAY_MS
+		);
+		return {
+			intervalDays,
+			dueDate,
+			// Süresi geçmişse negatif
+			daysUntilDue: Math.floor((dueDate.getTime() - now.getTime()) / DAY_MS),
+			isExpired: dueDate <= now,
+		};
+	}
+
+	/**
+	 * Ayarlar ve dashboard yanıtları için kalibrasyon gereklilik durumu
+	 * @param {object} chamber - Chamber kaydı
+	 */
+	getCalibrationDueStatus(chamber) {
+		const { intervalDays, dueDate, daysUntilDue } = this.getCalibrationDue(chamber);
+		return {
+			isCalibrationRequired: !!chamber.isCalibrationRequired,
+			calibrationRequiredReason: chamber.calibrationRequiredReason || null,
+			calibrationRequiredAt: chamber.calibrationRequiredAt || null,
+			calibrationIntervalDays: intervalDays,
+			calibrationDueDate: dueDate,
+			daysUntilDue,
+		};
+	}
+
+	/**
+	 * Odayı "kalibrasyon gerekli" olarak işaretle ve calibration_due alarmı ver
+	 * @param {number} chamberId - Oda ID
+	 * @param {string} reason - Süre dolumu, sensör değişimi, başarısız doğrulama...
+	 * @returns {object} Chamber kaydı
+	 */
+	async markCalibrationRequired(chamberId, reason = '') {
 		try {
 			const chamber = await Chamber.findByPk(chamberId);
 
@@ -326,40 +1371,407 @@ class CalibrationService {
 				throw new Error('Chamber not found');
 			}
 
-			// Update lastSensorChange date
-			await chamber.update({ lastSensorChange: new Date() });
+			await chamber.update({
+				isCalibrationRequired: true,
+				calibrationRequiredReason: reason || 'Marked manually',
+				// İlk işaretlenme zamanı korunur
+				calibrationRequiredAt: chamber.isCalibrationRequired
+					? chamber.calibrationRequiredAt
+					: new Date(),
+			});
 
 			logger.info(
-				`Sensor change recorded for chamber ${chamberId}: ${sensorModel} - ${sensorSerialNumber}`
+				`Calibration marked as required for chamber ${chamberId}: ${chamber.calibrationRequiredReason}`
 			);
 
-			await chamber.reload();
+			await alarmService.raiseConditionAlarm(chamber.id, 'calibration_due');
 			return chamber;
 		} catch (error) {
-			logger.error('Error recording sensor change:', error);
+			logger.error('Error marking calibration required:', error);
 			throw error;
 		}
 	}
 
-	async markCalibrationRequired(chamberId, reason = '') {
-		try {
-			const chamber = await Chamber.findByPk(chamberId);
+	/**
+	 * "Kalibrasyon gerekli" işaretini kaldır (kalibrasyon yapılmadan, elle)
+	 * @param {number} chamberId - Oda ID
+	 * @returns {object} Chamber kaydı
+	 */
+	async clearCalibrationRequired(chamberId) {
+		const chamber = await Chamber.findByPk(chamberId);
 
-			if (!chamber) {
-				throw new Error('Chamber not found');
+		if (!chamber) {
+			throw new Error('Chamber not found');
+		}
+
+		await chamber.update({
+			isCalibrationRequired: false,
+			calibrationRequiredReason: null,
+			calibrationRequiredAt: null,
+		});
+
+		logger.info(`Calibration required flag cleared for chamber ${chamberId}`);
+
+		await alarmService.clearConditionAlarm(chamber.id, 'calibration_due');
+		return chamber;
+	}
+
+	/**
+	 * Süresi dolan kalibrasyonları işaretle ve calibration_due alarmlarını
+	 * "kalibrasyon gerekli" durumuyla eşitle (zamanlayıcı tarafından çağrılır)
+	 * @returns {Array} Kalibrasyon gerektiren odalar
+	 */
+	async checkCalibrationExpiry() {
+		const now = new Date();
+		const chambers = await Chamber.findAll({ where: { isActive: true } });
+		const required = [];
+
+		for (const chamber of chambers) {
+			const due = this.getCalibrationDue(chamber, now);
+
+			if (due.isExpired && !chamber.isCalibrationRequired) {
+				await this.markCalibrationRequired(
+					chamber.id,
+					`Calibration expired on ${due.dueDate.toISOString()}`
+				);
+				await chamber.reload();
+			} else if (chamber.isCalibrationRequired) {
+				await alarmService.raiseConditionAlarm(chamber.id, 'calibration_due');
+			} else {
+				await alarmService.clearConditionAlarm(chamber.id, 'calibration_due');
 			}
 
-			logger.info(
-				`Calibration marked as required for chamber ${chamberId}: ${reason}`
-			);
+			if (chamber.isCalibrationRequired) {
+				required.push(chamber);
+			}
+		}
 
-			return chamber;
+		return required;
+	}
+
+	/**
+	 * Canlı ham değeri gürültü hesabı ve sıfır/span kararlılık penceresi için
+	 * sakla (veri akışından çağrılır)
+	 * @param {number} chamberId - Oda ID
+	 * @param {number} rawValue - Ham sensör değeri
+	 * @param {number|null} temperature - Sıcaklık (°C)
+	 */
+	observeRawValue(chamberId, rawValue, temperature = null) {
+		const samples = this.rawSamples.get(chamberId) || [];
+		samples.push(rawValue);
+		if (samples.length > SENSOR_NOISE_SAMPLES) {
+			samples.shift();
+		}
+		this.rawSamples.set(chamberId, samples);
+
+		// En uzun kararlılık penceresi kadar geriye tutulur; veri kesilirse
+		// (bayat sınırından uzun boşluk) pencere yeniden başlar
+		const now = Date.now();
+		let recent = this.recentSamples.get(chamberId);
+		const last = recent && recent.samples[recent.samples.length - 1];
+		if (!last || now - last.t > dataWatchdog.timeoutMs) {
+			recent = { since: now, samples: [] };
+		}
+		recent.samples.push({ t: now, raw: rawValue, temperature });
+		recent.samples = recent.samples.filter((sample) => sample.t >= now - MAX_WINDOW_MS);
+		this.recentSamples.set(chamberId, recent);
+	}
+
+	/**
+	 * Son `windowMs` içindeki canlı ham değerlerin kararlılığı
+	 * @param {number} chamberId - Oda ID
+	 * @param {number} windowMs - Pencere (ms)
+	 * @param {number} maxVariance - İzin verilen en büyük varyans (ham birim²)
+	 * @returns {object} { stats, samples }
+	 */
+	getRecentWindow(chamberId, windowMs, maxVariance) {
+		const now = Date.now();
+		const recent = this.recentSamples.get(chamberId) || { since: now, samples: [] };
+		const samples = recent.samples.filter((sample) => sample.t >= now - windowMs);
+		const stats = getWindowStats(
+			samples,
+			{
+				startedAt: recent.since,
+				windowMs,
+				maxVariance,
+				minSamples: STABILITY_DEFAULTS.minSamples,
+			},
+			now
+		);
+		return { stats, samples };
+	}
+
+	/**
+	 * Son ham değerlerin gürültüsü: ardışık farkların RMS'i / √2 (yavaş
+	 * konsantrasyon değişimlerinden etkilenmez), ortalamanın %'si olarak
+	 * @param {number} chamberId - Oda ID
+	 * @returns {object|null} { percent, samples }
+	 */
+	getNoiseLevel(chamberId) {
+		const samples = this.rawSamples.get(chamberId) || [];
+		if (samples.length < 10) return null;
+
+		const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+		if (mean <= 0) return null;
+
+		let sumSquares = 0;
+		for (let i = 1; i < samples.length; i++) {
+			sumSquares += (samples[i] - samples[i - 1]) ** 2;
+		}
+		const noise = Math.sqrt(sumSquares / (samples.length - 1) / 2);
+		return {
+			percent: parseFloat(((noise / mean) * 100).toFixed(3)),
+			samples: samples.length,
+		};
+	}
+
+	/**
+	 * Kalibrasyon noktalarından sensörün havadaki (%20.9) ham çıkışı
+	 * @param {Array} points - [{ raw, o2 }]
+	 * @returns {number|null} Ham değer
+	 */
+	getAirOutput(points) {
+		try {
+			const { slope, offset } = this.fitCalibrationModel(
+				this.normalizeCalibrationPoints(points),
+				'linear'
+			).coefficients;
+			const raw = (AIR_O2 - offset) / slope;
+			return Number.isFinite(raw) && raw > 0 ? raw : null;
 		} catch (error) {
-			logger.error('Error marking calibration required:', error);
-			throw error;
+			return null;
 		}
 	}
 
+	/**
+	 * Takılı sensörün sağlığı: ilk kalibrasyona göre çıkış, çıkış eğilimi, son
+	 * ham değerlerdeki gürültü ve kalibrasyon/doğrulamadaki tepki süresi.
+	 * Sensör, son sensör değişiminden (lastSensorChange) bu yana olan kayıtlarla
+	 * değerlendirilir; geri yüklenen kalibrasyonlar ölçüm olmadığı için sayılmaz.
+	 * @param {number} chamberId - Oda ID
+	 * @param {Date} now - Referans zaman
+	 * @returns {object} Sağlık skoru, bileşenler ve tahmini değişim tarihi
+	 */
+	async getSensorHealth(chamberId, now = new Date()) {
+		const chamber = await Chamber.findByPk(chamberId);
+		if (!chamber) {
+			throw new Error('Chamber not found');
+		}
+
+		const since = chamber.lastSensorChange
+			? { [Op.gte]: chamber.lastSensorChange }
+			: { [Op.ne]: null };
+
+		// Çıkış: her kalibrasyonda havadaki ham değer, ilk kalibrasyona oranla
+		const calibrations = await CalibrationHistory.findAll({
+			where: { chamberId: chamber.id, calibrationDate: since, restoredFromId: null },
+			order: [['calibrationDate', 'ASC']],
+			attributes: ['id', 'calibrationDate', 'points'],
+		});
+		const outputs = calibrations
+			.map((calibration) => ({
+				calibrationId: calibration.id,
+				date: new Date(calibration.calibrationDate),
+				raw: this.getAirOutput(calibration.points),
+			}))
+			.filter((output) => output.raw !== null);
+
+		let output = null;
+		let trend = null;
+		let trendReplacementDate = null;
+		if (outputs.length > 0) {
+			const initial = outputs[0];
+			const current = outputs[outputs.length - 1];
+			const relative = current.raw / initial.raw;
+			output = {
+				initialRaw: parseFloat(initial.raw.toFixed(2)),
+				currentRaw: parseFloat(current.raw.toFixed(2)),
+				relative: parseFloat(relative.toFixed(4)),
+				calibrations: outputs.length,
+				score: componentScore(relative, SENSOR_HEALTH_COMPONENTS.output),
+			};
+
+			// Eğilim: göreli çıkışın (%) zamana göre en küçük kareler doğrusu
+			const days = outputs.map((o) => (o.date - initial.date) / DAY_MS);
+			if (outputs.length >= 2 && days[days.length - 1] >= 1) {
+				const values = outputs.map((o) => (o.raw / initial.raw) * 100);
+				const meanDay = days.reduce((sum, d) => sum + d, 0) / days.length;
+				const meanValue = values.reduce((sum, v) => sum + v, 0) / values.length;
+				let sxy = 0;
+				let sxx = 0;
+				days.forEach((d, i) => {
+					sxy += (d - meanDay) * (values[i] - meanValue);
+					sxx += (d - meanDay) ** 2;
+				});
+				const perDay = sxy / sxx;
+				const perMonth = perDay * 30;
+				trend = {
+					perMonth: parseFloat(perMonth.toFixed(3)),
+					score: componentScore(perMonth, SENSOR_HEALTH_COMPONENTS.trend),
+				};
+
+				// Doğrunun değişim sınırına indiği gün
+				if (perDay < 0) {
+					const intercept = meanValue - perDay * meanDay;
+					const targetDay = (SENSOR_MIN_RELATIVE_OUTPUT * 100 - intercept) / perDay;
+					trendReplacementDate = new Date(initial.date.getTime() + targetDay * DAY_MS);
+				}
+			}
+		}
+
+		// Gürültü: son canlı ham değerler (yeniden başlatmadan sonra boş)
+		const noiseLevel = this.getNoiseLevel(chamber.id);
+		const noise = noiseLevel
+			? {
+					...noiseLevel,
+					score: componentScore(noiseLevel.percent, SENSOR_HEALTH_COMPONENTS.noise),
+			  }
+			: null;
+
+		// Tepki süresi: yönlendirmeli oturum noktaları ve doğrulama testlerinde
+		// gazın verilmesinden kararlı hale gelmeye kadar geçen süre (kararlılık
+		// penceresi hariç); son 5 ölçümün medyanı
+		const sessions = await CalibrationSession.findAll({
+			where: { chamberId: chamber.id, status: 'committed', startedAt: since },
+			attributes: ['points', 'windowMs'],
+		});
+		const verifications = await CalibrationVerification.findAll({
+			where: {
+				chamberId: chamber.id,
+				status: { [Op.in]: ['passed', 'failed'] },
+				startedAt: since,
+			},
+			attributes: ['startedAt', 'completedAt', 'windowMs'],
+		});
+		const settlings = [
+			...sessions.flatMap((session) =>
+				(session.points || [])
+					.filter((point) => Number.isFinite(point.responseMs))
+					.map((point) => ({
+						at: new Date(point.capturedAt),
+						ms: point.responseMs - session.windowMs,
+					}))
+			),
+			...verifications.map((verification) => ({
+				at: new Date(verification.completedAt),
+				ms:
+					new Date(verification.completedAt) -
+					new Date(verification.startedAt) -
+					// Pencere kaydedilmemiş eski testler varsayılanla yapıldı
+					(verification.windowMs !== null
+						? verification.windowMs
+						: STABILITY_DEFAULTS.windowMs),
+			})),
+		]
+			.sort((a, b) => b.at - a.at)
+			.slice(0, 5);
+		let response = null;
+		if (settlings.length > 0) {
+			const seconds = Math.max(0, median(settlings.map((s) => s.ms))) / 1000;
+			response = {
+				settlingSeconds: parseFloat(seconds.toFixed(1)),
+				measurements: settlings.length,
+				score: componentScore(seconds, SENSOR_HEALTH_COMPONENTS.response),
+			};
+		}
+
+		// Ağırlıklı ortalama (eksik bileşenler hariç); sensörün kalibrasyonu
+		// yoksa skor verilmez
+		const components = { output, trend, noise, response };
+		let weightSum = 0;
+		let weighted = 0;
+		for (const [name, component] of Object.entries(components)) {
+			if (component) {
+				weightSum += SENSOR_HEALTH_COMPONENTS[name].weight;
+				weighted += SENSOR_HEALTH_COMPONENTS[name].weight * component.score;
+			}
+		}
+		const score = output ? Math.round(weighted / weightSum) : null;
+
+		// Tahmini değişim: çıkış eğilimi ile envanterdeki ömür sonundan erken olanı
+		// (sensorService bu servisi kullandığı için burada yüklenir)
+		const sensorService = require('./sensorService');
+		const installed = await sensorService.getInstalledSensor(chamber.id);
+		const endOfLifeDate = installed
+			? sensorService.getLifecycle(installed, now).endOfLifeDate
+			: null;
+		let predictedReplacementDate = trendReplacementDate;
+		let predictedReplacementBasis = trendReplacementDate ? 'output_trend' : null;
+		if (
+			endOfLifeDate &&
+			(!predictedReplacementDate || endOfLifeDate < predictedReplacementDate)
+		) {
+			predictedReplacementDate = endOfLifeDate;
+			predictedReplacementBasis = 'end_of_life';
+		}
+
+		return {
+			chamberId: chamber.id,
+			chamberName: chamber.name,
+			type: chamber.type,
+			sensor: {
+				id: installed ? installed.id : null,
+				model: chamber.sensorModel,
+				serialNumber: chamber.sensorSerialNumber,
+				installedAt: chamber.lastSensorChange,
+			},
+			score,
+			status:
+				score === null
+					? 'unknown'
+					: score < SENSOR_HEALTH_ALARM_THRESHOLD
+					? 'degraded'
+					: 'good',
+			alarmThreshold: SENSOR_HEALTH_ALARM_THRESHOLD,
+			components,
+			predictedReplacementDate,
+			predictedReplacementBasis,
+			evaluatedAt: now,
+		};
+	}
+
+	/**
+	 * Tüm aktif oda ve FIO sensörlerinin sağlığı
+	 * @returns {Array} getSensorHealth sonuçları
+	 */
+	async getSensorHealthReport() {
+		const chambers = await Chamber.findAll({
+			where: { isActive: true },
+			order: [['id', 'ASC']],
+		});
+		const report = [];
+		for (const chamber of chambers) {
+			report.push(await this.getSensorHealth(chamber.id));
+		}
+		return report;
+	}
+
+	/**
+	 * Sağlık skoru eşiğin altındaki sensörler için sensor_degraded alarmı ver,
+	 * diğerlerininkini kaldır
+	 * @returns {Array} Bozulmuş sensörlerin sağlık sonuçları
+	 */
+	async checkSensorHealth() {
+		const degraded = [];
+		for (const health of await this.getSensorHealthReport()) {
+			if (health.status === 'degraded') {
+				const alarm = await alarmService.raiseConditionAlarm(
+					health.chamberId,
+					'sensor_degraded'
+				);
+				if (alarm) {
+					logger.warn(
+						`Sensor health of ${health.chamberName} is ${health.score} (threshold ${SENSOR_HEALTH_ALARM_THRESHOLD})`
+					);
+				}
+				degraded.push(health);
+			} else {
+				await alarmService.clearConditionAlarm(health.chamberId, 'sensor_degraded');
+			}
+		}
+		return degraded;
+	}
+
 	async getCalibrationStats(chamberId = null, days = 30) {
 		try {
 			const whereClause = { isActive: true };
@@ -374,9 +1786,14 @@ class CalibrationService {
 				where: whereClause,
 			});
 
+			// Dönem içindeki kalibrasyon sayıları
+			const counts = await CalibrationHistory.count({
+				where: { calibrationDate: { [Op.gte]: startDate } },
+				group: ['chamberId'],
+			});
+
 			const stats = chambers.map((chamber) => {
-				const hasCalibration =
-					chamber.calibrationDate && chamber.calibrationDate >= startDate;
+				const count = counts.find((item) => item.chamberId === chamber.id);
 
 				return {
 					chamberId: chamber.id,
@@ -384,7 +1801,7 @@ class CalibrationService {
 						id: chamber.id,
 						name: chamber.name,
 					},
-					totalCalibrations: hasCalibration ? 1 : 0,
+					totalCalibrations: count ? count.count : 0,
 					lastCalibration: chamber.calibrationDate,
 				};
 			});
@@ -0,0 +1,511 @@
+const { Op } = require('sequelize');
+const { Chamber, CalibrationSession } = require('../models');
+const logger = require('../utils/logger');
+const calibrationService = require('./calibrationService');
+const {
+	STABILITY_DEFAULTS,
+	getWindowStats,
+	averageTemperature,
+} = require('../utils/stability');
+
+const sessionError = (message, statusCode) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+/**
+ * Guided calibration: an operator starts a session for a chamber, applies a
+ * gas and names its O2 level, and the session watches the live raw values
+ * until they settle. A point is stable once raw values have been collected
+ * for a full window (CAL_STABILITY_WINDOW_MS, default 10000) with a variance
+ * of at most CAL_STABILITY_MAX_VARIANCE (raw units², default 4) over at least
+ * CAL_STABILITY_MIN_SAMPLES (default 5) samples; the window average is then
+ * captured as the point's raw value. Further points follow the same way,
+ * and the captured set is committed through calibrationService or the
+ * session is aborted.
+ *
+ * A point that does not settle within CAL_POINT_TIMEOUT_MS (default 300000)
+ * is dropped, and a session without operator activity for
+ * CAL_SESSION_TIMEOUT_MS (default 1800000) expires. Every step is appended to
+ * the session's `events` audit trail. Progress is broadcast as
+ * `calibration-session` Socket.IO events.
+ */
+class CalibrationSessionService {
+	constructor() {
+		this.windowMs = STABILITY_DEFAULTS.windowMs;
+		this.maxVariance = STABILITY_DEFAULTS.maxVariance;
+		this.minSamples = STABILITY_DEFAULTS.minSamples;
+		this.pointTimeoutMs = STABILITY_DEFAULTS.timeoutMs;
+		this.sessionTimeoutMs = parseInt(process.env.CAL_SESSION_TIMEOUT_MS) || 1800000;
+		this.checkIntervalMs = 1000;
+		this.intervalId = null;
+		// Active sessions by chamber ID: { session, point, lastActivityAt, saving }
+		this.active = new Map();
+	}
+
+	/**
+	 * Sessions left active by a previous run cannot resume (their live state
+	 * is gone), so they are closed as expired
+	 */
+	async load() {
+		const stale = await CalibrationSession.findAll({ where: { status: 'active' } });
+		for (const session of stale) {
+			session.events = [
+				...(session.events || []),
+				this.createEvent('expired', 'system', { reason: 'server restarted' }),
+			];
+			await session.update({ status: 'expired', endedAt: new Date(), events: session.events });
+		}
+		if (stale.length > 0) {
+			logger.info(`Closed ${stale.length} calibration session(s) left open by a previous run`);
+		}
+	}
+
+	createEvent(action, by = 'system', details = null) {
+		return { at: new Date().toISOString(), action, by, ...(details && { details }) };
+	}
+
+	/**
+	 * Append an audit event and persist; saves are serialized per session
+	 */
+	record(runtime, action, by, details) {
+		const { session } = runtime;
+		session.events = [...(session.events || []), this.createEvent(action, by, details)];
+		runtime.saving = runtime.saving
+			.then(() => session.save())
+			.catch((error) => {
+				logger.error(`Error saving calibration session ${session.id}:`, error);
+			});
+		return runtime.saving;
+	}
+
+	broadcast(runtime, type, data = {}) {
+		const socketHandler = global.socketHandler;
+		if (socketHandler) {
+			socketHandler.broadcastCalibrationSession(runtime.session.chamberId, {
+				type,
+				sessionId: runtime.session.id,
+				...data,
+				session: this.getState(runtime),
+			});
+		}
+	}
+
+	getRuntime(sessionId) {
+		for (const runtime of this.active.values()) {
+			if (runtime.session.id === sessionId) return runtime;
+		}
+		return null;
+	}
+
+	async getActiveRuntime(sessionId) {
+		const runtime = this.getRuntime(sessionId);
+		if (runtime) return runtime;
+
+		const session = await CalibrationSession.findByPk(sessionId);
+		if (!session) {
+			throw sessionError('Calibration session not found', 404);
+		}
+		throw sessionError(`Calibration session is ${session.status}`, 409);
+	}
+
+	/**
+	 * Start a session
+	 * @param {number} chamberId - Chamber ID
+	 * @param {Object} options - { startedBy, model, tolerance, windowMs, maxVariance }
+	 */
+	async start(chamberId, options = {}) {
+		const chamber = await Chamber.findByPk(chamberId);
+		if (!chamber) {
+			throw sessionError('Chamber not found', 404);
+		}
+		if (this.active.has(chamber.id)) {
+			throw sessionError(
+				`Chamber already has an active calibration session (${this.active.get(chamber.id).session.id})`,
+				409
+			);
+		}
+
+		const startedBy = options.startedBy || 'system';
+		const session = await CalibrationSession.create({
+			chamberId: chamber.id,
+			startedBy,
+			model: options.model || 'piecewise',
+			tolerance: options.tolerance !== undefined ? options.tolerance : null,
+			windowMs: options.windowMs || this.windowMs,
+			maxVariance:
+				options.maxVariance !== undefined ? options.maxVariance : this.maxVariance,
+			points: [],
+			events: [
+				this.createEvent('started', startedBy, {
+					model: options.model || 'piecewise',
+					windowMs: options.windowMs || this.windowMs,
+				}),
+			],
+		});
+
+		const runtime = {
+			session,
+			point: null,
+			lastActivityAt: Date.now(),
+			saving: Promise.resolve(),
+		};
+		this.active.set(chamber.id, runtime);
+		this.ensureTimer();
+
+		logger.info(`Calibration session ${session.id} started for chamber ${chamber.name} by ${startedBy}`);
+		this.broadcast(runtime, 'started');
+		return this.getState(runtime);
+	}
+
+	/**
+	 * Begin waiting for a stable raw value at a gas point
+	 * @param {number} sessionId - Session ID
+	 * @param {Object} point - { o2, gasUsed, by }
+	 */
+	async beginPoint(sessionId, { o2, gasUsed = null, by = 'system' }) {
+		const runtime = await this.getActiveRuntime(sessionId);
+		if (runtime.point) {
+			throw sessionError(
+				`Point ${runtime.point.o2}% is still being measured; wait for it or cancel it first`,
+				409
+			);
+		}
+
+		runtime.point = {
+			o2,
+			gasUsed,
+			startedAt: Date.now(),
+			samples: [],
+		};
+		runtime.lastActivityAt = Date.now();
+		await this.record(runtime, 'point-started', by, { o2, gasUsed });
+
+		logger.info(`Calibration session ${sessionId}: waiting for stable value at ${o2}%`);
+		this.broadcast(runtime, 'point-started');
+		return this.getState(runtime);
+	}
+
+	/**
+	 * Drop the point being measured
+	 */
+	async cancelPoint(sessionId, by = 'system') {
+		const runtime = await this.getActiveRuntime(sessionId);
+		if (!runtime.point) {
+			throw sessionError('No point is being measured', 409);
+		}
+
+		const { o2 } = runtime.point;
+		runtime.point = null;
+		runtime.lastActivityAt = Date.now();
+		await this.record(runtime, 'point-cancelled', by, { o2 });
+		this.broadcast(runtime, 'point-cancelled');
+		return this.getState(runtime);
+	}
+
+	/**
+	 * Remove a captured point (e.g. to repeat it)
+	 * @param {number} sessionId - Session ID
+	 * @param {number} index - Position in the captured points
+	 */
+	async discardPoint(sessionId, index, by = 'system') {
+		const runtime = await this.getActiveRuntime(sessionId);
+		const points = runtime.session.points || [];
+		if (!Number.isInteger(index) || index < 0 || index >= points.length) {
+			throw sessionError('Captured point not found', 404);
+		}
+
+		const [removed] = points.splice(index, 1);
+		runtime.session.points = [...points];
+		runtime.lastActivityAt = Date.now();
+		await this.record(runtime, 'point-discarded', by, { o2: removed.o2, raw: removed.raw });
+		this.broadcast(runtime, 'point-discarded');
+		return this.getState(runtime);
+	}
+
+	/**
+	 * Feed a live raw value (called by the ingestion pipeline)
+	 * @param {Object} chamber - Chamber instance
+	 * @param {number} rawValue - Raw sensor value
+	 * @param {number|null} temperature - Ambient temperature (°C)
+	 */
+	observe(chamber, rawValue, temperature = null) {
+		const runtime = this.active.get(chamber.id);
+		if (!runtime || !runtime.point) return;
+
+		const now = Date.now();
+		const { point } = runtime;
+		point.samples.push({ t: now, raw: rawValue, temperature });
+		point.samples = point.samples.filter((sample) => sample.t >= now - runtime.session.windowMs);
+
+		const stats = this.getWindowStats(runtime, now);
+		this.broadcast(runtime, 'sample', { rawValue, temperature, stability: stats });
+
+		if (stats.stable) {
+			this.capture(runtime, stats);
+		}
+	}
+
+	/**
+	 * Mean and variance of the raw values in the trailing window
+	 */
+	getWindowStats(runtime, now = Date.now()) {
+		const { point, session } = runtime;
+		return getWindowStats(
+			point.samples,
+			{
+				startedAt: point.startedAt,
+				windowMs: session.windowMs,
+				maxVariance: session.maxVariance,
+				minSamples: this.minSamples,
+			},
+			now
+		);
+	}
+
+	capture(runtime, stats) {
+		const { point, session } = runtime;
+
+		const captured = {
+			o2: point.o2,
+			raw: stats.mean,
+			gasUsed: point.gasUsed,
+			temperature: averageTemperature(point.samples),
+			variance: stats.variance,
+			samples: stats.samples,
+			// From the start of the point until the value was stable
+			responseMs: Date.now() - point.startedAt,
+			capturedAt: new Date().toISOString(),
+		};
+
+		session.points = [...(session.points || []), captured];
+		runtime.point = null;
+		runtime.lastActivityAt = Date.now();
+		this.record(runtime, 'point-captured', 'system', captured);
+
+		logger.info(
+			`Calibration session ${session.id}: captured ${captured.o2}% at raw ${captured.raw} (variance ${captured.variance})`
+		);
+		this.broadcast(runtime, 'point-captured', { point: captured });
+	}
+
+	/**
+	 * Apply the captured points as the chamber's calibration
+	 * @param {number} sessionId - Session ID
+	 * @param {Object} options - { calibratedBy, notes }
+	 */
+	async commit(sessionId, { calibratedBy, notes } = {}) {
+		const runtime = await this.getActiveRuntime(sessionId);
+		const { session } = runtime;
+		const by = calibratedBy || session.startedBy;
+		const points = session.points || [];
+
+		const temperatures = points
+			.map((point) => point.temperature)
+			.filter((temperature) => Number.isFinite(temperature));
+		const gases = [...new Set(points.map((point) => point.gasUsed).filter(Boolean))];
+
+		let result;
+		try {
+			result = await calibrationService.performThreePointCalibration(
+				session.chamberId,
+				{
+					points: points.map((point) => ({ raw: point.raw, o2: point.o2 })),
+					model: session.model,
+					...(session.tolerance !== null && { tolerance: session.tolerance }),
+					temperature:
+						temperatures.length > 0
+							? temperatures.reduce((sum, t) => sum + t, 0) / temperatures.length
+							: null,
+					gasUsed: gases.length > 0 ? gases.join(', ') : null,
+				},
+				by,
+				notes || `Guided calibration session ${session.id}`
+			);
+		} catch (error) {
+			// The session stays open so points can be added or repeated
+			runtime.lastActivityAt = Date.now();
+			await this.record(runtime, 'commit-rejected', by, {
+				message: error.message,
+				...(error.fit && { maxResidual: error.fit.maxResidual, r2: error.fit.r2 }),
+			});
+			this.broadcast(runtime, 'commit-rejected', { message: error.message });
+			throw error;
+		}
+
+		runtime.point = null;
+		session.status = 'committed';
+		session.endedAt = new Date();
+		session.calibrationHistoryId = result.historyId;
+		await this.record(runtime, 'committed', by, { calibrationHistoryId: result.historyId });
+		this.active.delete(session.chamberId);
+		if (this.active.size === 0) {
+			this.stopTimer();
+		}
+
+		logger.info(`Calibration session ${session.id} committed by ${by}`);
+		this.broadcast(runtime, 'committed');
+
+		const socketHandler = global.socketHandler;
+		if (socketHandler) {
+			socketHandler.broadcastCalibration(session.chamberId, result);
+		}
+		return { session: this.getState(runtime), calibration: result };
+	}
+
+	/**
+	 * Close the session without changing the calibration
+	 */
+	async abort(sessionId, { by = 'system', reason = null } = {}) {
+		const runtime = await this.getActiveRuntime(sessionId);
+		await this.close(runtime, 'aborted', by, reason);
+		return this.getState(runtime);
+	}
+
+	async close(runtime, status, by, reason) {
+		const { session } = runtime;
+		runtime.point = null;
+		session.status = status;
+		session.endedAt = new Date();
+		this.active.delete(session.chamberId);
+		await this.record(runtime, status, by, reason ? { reason } : null);
+
+		logger.info(`Calibration session ${session.id} ${status}${reason ? `: ${reason}` : ''}`);
+		this.broadcast(runtime, status);
+		if (this.active.size === 0) {
+			this.stopTimer();
+		}
+	}
+
+	ensureTimer() {
+		if (this.intervalId) return;
+		this.intervalId = setInterval(() => {
+			this.checkTimeouts().catch((error) => {
+				logger.error('Error checking calibration session timeouts:', error);
+			});
+		}, this.checkIntervalMs);
+	}
+
+	stopTimer() {
+		if (this.intervalId) {
+			clearInterval(this.intervalId);
+			this.intervalId = null;
+		}
+	}
+
+	async checkTimeouts() {
+		const now = Date.now();
+
+		for (const runtime of [...this.active.values()]) {
+			const { point } = runtime;
+			if (point && now - point.startedAt > this.pointTimeoutMs) {
+				const stats = this.getWindowStats(runtime, now);
+				runtime.point = null;
+				runtime.lastActivityAt = now;
+				await this.record(runtime, 'point-timeout', 'system', {
+					o2: point.o2,
+					samples: stats.samples,
+					variance: stats.variance,
+				});
+				logger.warn(
+					`Calibration session ${runtime.session.id}: ${point.o2}% did not stabilize within ${this.pointTimeoutMs}ms`
+				);
+				this.broadcast(runtime, 'point-timeout', { o2: point.o2 });
+			}
+
+			if (!runtime.point && now - runtime.lastActivityAt > this.sessionTimeoutMs) {
+				await this.close(runtime, 'expired', 'system', 'no activity');
+			}
+		}
+	}
+
+	stop() {
+		this.stopTimer();
+	}
+
+	getState(runtime) {
+		const { session, point } = runtime;
+		return {
+			id: session.id,
+			chamberId: session.chamberId,
+			status: session.status,
+			startedBy: session.startedBy,
+			startedAt: session.startedAt,
+			endedAt: session.endedAt,
+			model: session.model,
+			tolerance: session.tolerance,
+			windowMs: session.windowMs,
+			maxVariance: session.maxVariance,
+			minSamples: this.minSamples,
+			points: session.points || [],
+			currentPoint: point
+				? {
+						o2: point.o2,
+						gasUsed: point.gasUsed,
+						startedAt: new Date(point.startedAt),
+						timeoutAt: new Date(point.startedAt + this.pointTimeoutMs),
+						...this.getWindowStats(runtime),
+				  }
+				: null,
+			expiresAt:
+				session.status === 'active'
+					? new Date(runtime.lastActivityAt + this.sessionTimeoutMs)
+					: null,
+			calibrationHistoryId: session.calibrationHistoryId,
+			events: session.events || [],
+		};
+	}
+
+	/**
+	 * Live state of an active session, or the stored record of a closed one
+	 */
+	async getSession(sessionId) {
+		const runtime = this.getRuntime(sessionId);
+		if (runtime) return this.getState(runtime);
+
+		const session = await CalibrationSession.findByPk(sessionId);
+		if (!session) {
+			throw sessionError('Calibration session not found', 404);
+		}
+		return session;
+	}
+
+	/**
+	 * Sessions, newest first
+	 * @param {Object} filters - { chamberId, status, startDate, endDate, limit, offset }
+	 */
+	async getSessions(filters = {}) {
+		const whereClause = {};
+
+		if (filters.chamberId) {
+			whereClause.chamberId = filters.chamberId;
+		}
+
+		if (filters.status) {
+			whereClause.status = filters.status;
+		}
+
+		if (filters.startDate && filters.endDate) {
+			whereClause.startedAt = {
+				[Op.between]: [filters.startDate, filters.endDate],
+			};
+		}
+
+		return CalibrationSession.findAndCountAll({
+			where: whereClause,
+			include: [
+				{
+					model: Chamber,
+					as: 'chamber',
+					attributes: ['id', 'name'],
+				},
+			],
+			order: [['startedAt', 'DESC']],
+			limit: filters.limit || 50,
+			offset: filters.offset || 0,
+		});
+	}
+}
+
+module.exports = new CalibrationSessionService();
@@ -0,0 +1,326 @@
+const { Chamber, CalibrationHistory, CalibrationVerification } = require('../models');
+const logger = require('../utils/logger');
+const calibrationService = require('./calibrationService');
+const {
+	STABILITY_DEFAULTS,
+	getWindowStats,
+	averageTemperature,
+} = require('../utils/stability');
+const { dateRange } = require('../utils/dateRange');
+
+const verificationError = (message, statusCode) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+/**
+ * Verification (bump) tests: the operator applies a known test gas and the
+ * current calibration is checked against it without being changed. Live
+ * values are watched until they are stable (same criteria as guided
+ * calibration sessions, see utils/stability; `windowMs` and `maxVariance`
+ * can be set per test), then the average calibrated O2 of the window is
+ * compared with the declared concentration. The test
+ * passes when the deviation is within the tolerance (CAL_VERIFICATION_TOLERANCE,
+ * % O2, default 1.0); a failed test marks the chamber as requiring
+ * calibration. A test that does not stabilize within CAL_POINT_TIMEOUT_MS
+ * ends as `timeout` without a verdict.
+ *
+ * Every test is stored in calibration_verifications and progress is
+ * broadcast as `calibration-verification` Socket.IO events.
+ */
+class CalibrationVerificationService {
+	constructor() {
+		this.tolerance = parseFloat(process.env.CAL_VERIFICATION_TOLERANCE) || 1.0;
+		this.checkIntervalMs = 1000;
+		this.intervalId = null;
+		// Pending tests by chamber ID: { verification, samples, startedAt, completing }
+		this.active = new Map();
+	}
+
+	/**
+	 * Tests left pending by a previous run lost their samples and are cancelled
+	 */
+	async load() {
+		const [count] = await CalibrationVerification.update(
+			{
+				status: 'cancelled',
+				completedAt: new Date(),
+			},
+			{ where: { status: 'pending' } }
+		);
+		if (count > 0) {
+			logger.info(`Cancelled ${count} verification test(s) left pending by a previous run`);
+		}
+	}
+
+	broadcast(runtime, type, data = {}) {
+		const socketHandler = global.socketHandler;
+		if (socketHandler) {
+			socketHandler.broadcastCalibrationVerification(runtime.verification.chamberId, {
+				type,
+				verificationId: runtime.verification.id,
+				...data,
+				verification: this.getState(runtime),
+			});
+		}
+	}
+
+	/**
+	 * Start a verification test
+	 * @param {number} chamberId - Chamber ID
+	 * @param {Object} options - { expectedO2, gasUsed, certificate, tolerance, windowMs, maxVariance, performedBy, notes }
+	 */
+	async start(chamberId, options = {}) {
+		const chamber = await Chamber.findByPk(chamberId);
+		if (!chamber) {
+			throw verificationError('Chamber not found', 404);
+		}
+		if (this.active.has(chamber.id)) {
+			throw verificationError(
+				`Chamber already has a verification test in progress (${this.active.get(chamber.id).verification.id})`,
+				409
+			);
+		}
+		if (!calibrationService.buildCalibrationPoints(chamber)) {
+			throw verificationError('Chamber has no active calibration to verify', 409);
+		}
+
+		const calibration = await CalibrationHistory.findOne({
+			where: { chamberId: chamber.id },
+			order: [['calibrationDate', 'DESC']],
+			attributes: ['id'],
+		});
+
+		const verification = await CalibrationVerification.create({
+			chamberId: chamber.id,
+			expectedO2: options.expectedO2,
+			gasUsed: options.gasUsed || null,
+			certificate: options.certificate || null,
+			tolerance:
+				options.tolerance !== undefined ? options.tolerance : this.tolerance,
+			windowMs: options.windowMs || STABILITY_DEFAULTS.windowMs,
+			maxVariance:
+				options.maxVariance !== undefined
+					? options.maxVariance
+					: STABILITY_DEFAULTS.maxVariance,
+			calibrationHistoryId: calibration ? calibration.id : null,
+			performedBy: options.performedBy || 'system',
+			notes: options.notes || null,
+		});
+
+		const runtime = {
+			verification,
+			samples: [],
+			startedAt: Date.now(),
+			completing: false,
+		};
+		this.active.set(chamber.id, runtime);
+		this.ensureTimer();
+
+		logger.info(
+			`Verification test ${verification.id} started for chamber ${chamber.name}: expecting ${options.expectedO2}% O2`
+		);
+		this.broadcast(runtime, 'started');
+		return this.getState(runtime);
+	}
+
+	/**
+	 * Feed a live value (called by the ingestion pipeline)
+	 * @param {Object} chamber - Chamber instance
+	 * @param {number} rawValue - Raw sensor value
+	 * @param {number} o2Level - Calibrated, compensated O2 (%)
+	 * @param {number|null} temperature - Ambient temperature (°C)
+	 */
+	observe(chamber, rawValue, o2Level, temperature = null) {
+		const runtime = this.active.get(chamber.id);
+		if (!runtime || runtime.completing) return;
+
+		const now = Date.now();
+		runtime.samples.push({ t: now, raw: rawValue, o2: o2Level, temperature });
+		runtime.samples = runtime.samples.filter(
+			(sample) => sample.t >= now - runtime.verification.windowMs
+		);
+
+		const stats = this.getWindowStats(runtime, now);
+		this.broadcast(runtime, 'sample', { rawValue, o2Level, stability: stats });
+
+		if (stats.stable) {
+			runtime.completing = true;
+			this.complete(runtime, stats).catch((error) => {
+				runtime.completing = false;
+				logger.error(`Error completing verification test ${runtime.verification.id}:`, error);
+			});
+		}
+	}
+
+	getWindowStats(runtime, now = Date.now()) {
+		return getWindowStats(
+			runtime.samples,
+			{
+				startedAt: runtime.startedAt,
+				windowMs: runtime.verification.windowMs,
+				maxVariance: runtime.verification.maxVariance,
+				minSamples: STABILITY_DEFAULTS.minSamples,
+			},
+			now
+		);
+	}
+
+	/**
+	 * Compare the stabilized reading with the test gas and store the verdict
+	 */
+	async complete(runtime, stats) {
+		const { verification, samples } = runtime;
+		const measuredO2 = parseFloat(
+			(samples.reduce((sum, sample) => sum + sample.o2, 0) / samples.length).toFixed(2)
+		);
+		const deviation = parseFloat(
+			(measuredO2 - parseFloat(verification.expectedO2)).toFixed(2)
+		);
+		const passed = Math.abs(deviation) <= verification.tolerance;
+
+		await verification.update({
+			status: passed ? 'passed' : 'failed',
+			measuredO2,
+			deviation,
+			rawMean: stats.mean,
+			variance: stats.variance,
+			samples: stats.samples,
+			temperature: averageTemperature(samples),
+			completedAt: new Date(),
+		});
+		this.finish(runtime);
+
+		const summary = `measured ${measuredO2}% O2 against ${verification.expectedO2}% (deviation ${deviation}, tolerance ±${verification.tolerance})`;
+		if (passed) {
+			logger.info(`Verification test ${verification.id} passed: ${summary}`);
+		} else {
+			logger.warn(`Verification test ${verification.id} failed: ${summary}`);
+			await calibrationService.markCalibrationRequired(
+				verification.chamberId,
+				`Verification test ${verification.id} failed: ${summary}`
+			);
+		}
+
+		this.broadcast(runtime, verification.status);
+	}
+
+	/**
+	 * Stop a pending test without a verdict
+	 * @param {number} chamberId - Chamber ID
+	 */
+	async cancel(chamberId, by = 'system') {
+		const runtime = this.active.get(chamberId);
+		if (!runtime || runtime.completing) {
+			throw verificationError('No verification test in progress', 409);
+		}
+
+		await runtime.verification.update({ status: 'cancelled', completedAt: new Date() });
+		this.finish(runtime);
+
+		logger.info(`Verification test ${runtime.verification.id} cancelled by ${by}`);
+		this.broadcast(runtime, 'cancelled');
+		return this.getState(runtime);
+	}
+
+	finish(runtime) {
+		this.active.delete(runtime.verification.chamberId);
+		if (this.active.size === 0) {
+			this.stopTimer();
+		}
+	}
+
+	ensureTimer() {
+		if (this.intervalId) return;
+		this.intervalId = setInterval(() => {
+			this.checkTimeouts().catch((error) => {
+				logger.error('Error checking verification test timeouts:', error);
+			});
+		}, this.checkIntervalMs);
+	}
+
+	stopTimer() {
+		if (this.intervalId) {
+			clearInterval(this.intervalId);
+			this.intervalId = null;
+		}
+	}
+
+	async checkTimeouts() {
+		const now = Date.now();
+
+		for (const runtime of [...this.active.values()]) {
+			if (runtime.completing || now - runtime.startedAt <= STABILITY_DEFAULTS.timeoutMs) {
+				continue;
+			}
+
+			const stats = this.getWindowStats(runtime, now);
+			await runtime.verification.update({
+				status: 'timeout',
+				variance: stats.variance,
+				samples: stats.samples,
+				completedAt: new Date(),
+			});
+			this.finish(runtime);
+
+			logger.warn(
+				`Verification test ${runtime.verification.id} did not stabilize within ${STABILITY_DEFAULTS.timeoutMs}ms`
+			);
+			this.broadcast(runtime, 'timeout');
+		}
+	}
+
+	stop() {
+		this.stopTimer();
+	}
+
+	getState(runtime) {
+		const { verification } = runtime;
+		const pending = verification.status === 'pending';
+		return {
+			...verification.toJSON(),
+			stability: pending ? this.getWindowStats(runtime) : null,
+			timeoutAt: pending ? new Date(runtime.startedAt + STABILITY_DEFAULTS.timeoutMs) : null,
+		};
+	}
+
+	/**
+	 * Live state of a chamber's pending test, or null
+	 * @param {number} chamberId - Chamber ID
+	 */
+	getCurrent(chamberId) {
+		const runtime = this.active.get(chamberId);
+		return runtime ? this.getState(runtime) : null;
+	}
+
+	/**
+	 * Verification tests, newest first
+	 * @param {Object} filters - { chamberId, status, startDate, endDate, limit, offset }
+	 */
+	async getVerifications(filters = {}) {
+		const whereClause = {};
+
+		if (filters.chamberId) {
+			whereClause.chamberId = filters.chamberId;
+		}
+
+		if (filters.status) {
+			whereClause.status = filters.status;
+		}
+
+		const startedAt = dateRange(filters.startDate, filters.endDate);
+		if (startedAt) {
+			whereClause.startedAt = startedAt;
+		}
+
+		return CalibrationVerification.findAndCountAll({
+			where: whereClause,
+			order: [['startedAt', 'DESC']],
+			limit: filters.limit || 50,
+			offset: filters.offset || 0,
+		});
+	}
+}
+
+module.exports = new CalibrationVerificationService();
@@ -0,0 +1,174 @@
+const { Op } = require('sequelize');
+const { Chamber, Alarm } = require('../models');
+const logger = require('../utils/logger');
+const alarmService = require('./alarmService');
+const registerMapService = require('./registerMapService');
+
+/**
+ * Tracks when each chamber/FIO sensor last received a sample from the active
+ * data source. A sensor that has been silent for longer than
+ * DATA_STALE_TIMEOUT_MS (default 5000) is stale: the periodic broadcast flags
+ * it and chambers get a `communication_loss` alarm, which clears as soon as
+ * samples arrive again.
+ *
+ * Every active chamber/FIO sensor with an enabled register map entry is
+ * expected to report from start(), and goes stale if it never does. This
+ * includes entries without a PLC source index (FIO sensors, chambers fed only
+ * over Modbus TCP or the socket bridge). Other sensors are only watched once
+ * their first sample arrives.
+ */
+class DataWatchdog {
+	constructor() {
+		this.timeoutMs = parseInt(process.env.DATA_STALE_TIMEOUT_MS) || 5000;
+		this.checkIntervalMs = 1000;
+		this.intervalId = null;
+		this.startedAt = null;
+		this.sensors = new Map();
+	}
+
+	getEntry(chamberId) {
+		if (!this.sensors.has(chamberId)) {
+			this.sensors.set(chamberId, {
+				chamberId,
+				type: null,
+				lastDataAt: null,
+				// Baseline for sensors that are expected but have not reported yet
+				watchedSince: null,
+				isStale: false,
+				alarmActive: false,
+			});
+		}
+		return this.sensors.get(chamberId);
+	}
+
+	async start() {
+		if (this.intervalId) {
+			logger.warn('Data watchdog is already running');
+			return;
+		}
+
+		this.startedAt = new Date();
+		const mappedIds = registerMapService
+			.getAll()
+			.filter((entry) => entry.isEnabled)
+			.map((entry) => entry.chamberId);
+		const chambers = await Chamber.findAll({
+			where: { isActive: true, id: { [Op.in]: mappedIds } },
+		});
+		chambers.forEach((chamber) => {
+			const entry = this.getEntry(chamber.id);
+			entry.type = chamber.type;
+			entry.watchedSince = entry.watchedSince || this.startedAt;
+		});
+
+		// Alarms left open by a previous run clear on the first sample
+		const openAlarms = await Alarm.findAll({
+			where: { alarmType: 'communication_loss', isActive: true },
+		});
+		openAlarms.forEach((alarm) => {
+			this.getEntry(alarm.chamberId).alarmActive = true;
+		});
+
+		this.intervalId = setInterval(() => {
+			this.check().catch((error) => {
+				logger.error('Error in data watchdog check:', error);
+			});
+		}, this.checkIntervalMs);
+
+		logger.info(
+			`Data watchdog started (stale after ${this.timeoutMs}ms, ${chambers.length} sensor(s) expected)`
+		);
+	}
+
+	stop() {
+		if (this.intervalId) {
+			clearInterval(this.intervalId);
+			this.intervalId = null;
+			logger.info('Data watchdog stopped');
+		}
+	}
+
+	/**
+	 * Record that a sample for the chamber arrived
+	 * @param {Object} chamber - Chamber instance
+	 */
+	touch(chamber) {
+		const entry = this.getEntry(chamber.id);
+		entry.type = chamber.type;
+		entry.lastDataAt = new Date();
+
+		if (entry.isStale) {
+			entry.isStale = false;
+			logger.info(`Data for ${chamber.name} resumed`);
+		}
+
+		if (entry.alarmActive) {
+			entry.alarmActive = false;
+			alarmService
+				.clearConditionAlarm(chamber.id, 'communication_loss')
+				.catch((error) =>
+					logger.error(`Error clearing communication loss alarm for ${chamber.name}:`, error)
+				);
+		}
+	}
+
+	/**
+	 * Age of the newest sample, measured from watchedSince if none arrived yet
+	 */
+	getAgeMs(entry, now = Date.now()) {
+		const since = entry.lastDataAt || entry.watchedSince;
+		return since ? now - since.getTime() : null;
+	}
+
+	async check() {
+		const now = Date.now();
+
+		for (const entry of this.sensors.values()) {
+			const ageMs = this.getAgeMs(entry, now);
+			if (ageMs === null || ageMs <= this.timeoutMs || entry.isStale) continue;
+
+			entry.isStale = true;
+			logger.warn(`No data for chamber ${entry.chamberId} in ${ageMs}ms, marking stale`);
+
+			// FIO sensors are monitored only; alarms apply to chambers
+			if (entry.type === 'chamber') {
+				entry.alarmActive = true;
+				await alarmService.raiseConditionAlarm(entry.chamberId, 'communication_loss');
+			}
+		}
+	}
+
+	/**
+	 * Freshness of one sensor, for status broadcasts
+	 * @param {number} chamberId - Chamber ID
+	 * @returns {Object} - { lastDataAt, dataAgeMs, isStale }
+	 */
+	getState(chamberId) {
+		const entry = this.sensors.get(chamberId);
+		if (!entry) {
+			return { lastDataAt: null, dataAgeMs: null, isStale: true };
+		}
+
+		const dataAgeMs = entry.lastDataAt ? Date.now() - entry.lastDataAt.getTime() : null;
+		return {
+			lastDataAt: entry.lastDataAt,
+			dataAgeMs,
+			isStale: dataAgeMs === null || dataAgeMs > this.timeoutMs,
+		};
+	}
+
+	getStatus() {
+		return {
+			isRunning: this.intervalId !== null,
+			timeoutMs: this.timeoutMs,
+			startedAt: this.startedAt,
+			sensors: Array.from(this.sensors.values()).map((entry) => ({
+				chamberId: entry.chamberId,
+				...this.getState(entry.chamberId),
+				alarmActive: entry.alarmActive,
+			})),
+		};
+	}
+}
+
+module.exports = new DataWatchdog();
@@ -0,0 +1,414 @@
+const sequelize = require('sequelize');
+const { Chamber, O2Reading } = require('../models');
+const logger = require('../utils/logger');
+const calibrationService = require('./calibrationService');
+const alarmService = require('./alarmService');
+const sensorFaultService = require('./sensorFaultService');
+const dataWatchdog = require('./dataWatchdog');
+const plcWriteBackService = require('./plcWriteBackService');
+const registerMapService = require('./registerMapService');
+const modbusTcpServer = require('./modbusTcpServer');
+const externalSocketClient = require('./externalSocketClient');
+const streamRecorder = require('./streamRecorder');
+const calibrationSessionService = require('./calibrationSessionService');
+const calibrationVerificationService = require('./calibrationVerificationService');
+const { computePpO2 } = require('../utils/pressure');
+
+/**
+ * Single path from a raw sensor value to everything downstream: calibration,
+ * PLC write-back, validation, persistence, alarms and fan-out (Socket.IO,
+ * SCADA Modbus server, external socket server).
+ *
+ * Data sources are pluggable. A source is any object with start() and stop()
+ * (and optionally getStatus()) that hands samples to ingest():
+ *
+ *   { chamberId | name, rawValue, temperature?, pressure?, error?, missing?, meta? }
+ *
+ * `pressure` is the absolute chamber pressure in kPa, used for ppO2. `name`
+ * is matched case-insensitively against chamber names; `meta` is
+ * merged into the raw-value broadcast (e.g. { sensorIndex }). Samples with
+ * `error` set, `missing: true` or no usable value are recorded as sensor
+ * faults (see sensorFaultService).
+ *
+ * A source with `live = false` (replay) only reaches the UI: its samples are
+ * broadcast over Socket.IO but not stored, alarmed, recorded, written back to
+ * the PLC, published to SCADA or forwarded to the external socket server, and
+ * they neither feed the data watchdog nor the sensor fault log.
+ */
+class IngestionService {
+	constructor() {
+		this.sources = new Map();
+		this.activeSource = null;
+		this.nameCache = new Map();
+		this.stats = {};
+	}
+
+	/**
+	 * Make a data source selectable by name (DATA_SOURCE)
+	 * @param {string} name - Source name
+	 * @param {Object} source - { start(), stop(), getStatus()? }
+	 */
+	registerSource(name, source) {
+		if (typeof source.start !== 'function' || typeof source.stop !== 'function') {
+			throw new Error(`Data source ${name} must implement start() and stop()`);
+		}
+		this.sources.set(name, source);
+	}
+
+	/**
+	 * Start the named source (only one source runs at a time)
+	 * @param {string} name - Source name
+	 */
+	startSource(name) {
+		const source = this.sources.get(name);
+		if (!source) {
+			throw new Error(
+				`Unknown data source ${name}. Available: ${Array.from(this.sources.keys()).join(', ')}`
+			);
+		}
+		if (this.activeSource && this.activeSource !== name) {
+			this.stopSource();
+		}
+
+		source.start();
+		this.activeSource = name;
+		logger.info(`Data source ${name} started`);
+	}
+
+	stopSource() {
+		if (!this.activeSource) return;
+
+		const source = this.sources.get(this.activeSource);
+		source.stop();
+		logger.info(`Data source ${this.activeSource} stopped`);
+		this.activeSource = null;
+	}
+
+	getSourceStats(name) {
+		if (!this.stats[name]) {
+			this.stats[name] = {
+				batches: 0,
+				samples: 0,
+				stored: 0,
+				skipped: 0,
+				errors: 0,
+				lastIngestAt: null,
+			};
+		}
+		return this.stats[name];
+	}
+
+	isLive(sourceName) {
+		const source = this.sources.get(sourceName);
+		return !source || source.live !== false;
+	}
+
+	/**
+	 * Process one batch of samples from a source
+	 * @param {string} sourceName - Name of the producing source
+	 * @param {Array<Object>} samples - Samples (see class comment)
+	 * @param {*} frame - Raw input the samples were built from, for the recorder
+	 * @returns {Promise<Array>} - Per-sample results
+	 */
+	async ingest(sourceName, samples, frame = null) {
+		const stats = this.getSourceStats(sourceName);
+		stats.batches++;
+		stats.lastIngestAt = new Date();
+
+		const live = this.isLive(sourceName);
+		if (live) {
+			streamRecorder.record(sourceName, samples, frame);
+		}
+
+		const results = await Promise.all(
+			samples.map(async (sample) => {
+				stats.samples++;
+				try {
+					const result = await this.ingestSample(sourceName, sample, live);
+					if (result.stored) {
+						stats.stored++;
+					} else {
+						stats.skipped++;
+					}
+					return result;
+				} catch (error) {
+					stats.errors++;
+					logger.error(
+						`Error ingesting ${sourceName} sample for ${sample.name || sample.chamberId}:`,
+						error
+					);
+					return { stored: false, reason: error.message };
+				}
+			})
+		);
+
+		return results;
+	}
+
+	async ingestSample(sourceName, sample, live = true) {
+		const label = sample.name || `chamber ${sample.chamberId}`;
+
+		const chamber = await this.findChamber(sample);
+		if (!chamber || !chamber.isActive) {
+			logger.debug(`No active chamber found for ${sourceName} sensor ${label}`);
+			return { stored: false, reason: 'unknown chamber' };
+		}
+
+		// The link to the sensor is alive even if the sample itself is bad
+		if (live) {
+			dataWatchdog.touch(chamber);
+		}
+
+		if (sample.error || sample.rawValue === undefined || sample.rawValue === null) {
+			logger.debug(`Skipping ${sourceName} sensor ${label}: error or no value`);
+			let reason = 'no_value';
+			if (sample.missing) {
+				reason = 'missing';
+			} else if (sample.error) {
+				reason = 'source_error';
+			}
+			if (live) {
+				await sensorFaultService.reportFault(
+					chamber,
+					sourceName,
+					reason,
+					sample.error ? String(sample.error) : 'No value received'
+				);
+			}
+			return { stored: false, chamberId: chamber.id, reason: 'no value' };
+		}
+
+		const rawValue =
+			typeof sample.rawValue === 'number' ? sample.rawValue : parseFloat(sample.rawValue);
+		if (!Number.isFinite(rawValue)) {
+			logger.warn(`Invalid raw value for ${sourceName} sensor ${label}: ${sample.rawValue}`);
+			if (live) {
+				await sensorFaultService.reportFault(
+					chamber,
+					sourceName,
+					'invalid_value',
+					'Raw value is not a finite number',
+					sample.rawValue
+				);
+			}
+			return { stored: false, chamberId: chamber.id, reason: 'invalid value' };
+		}
+
+		// A numeric value means the sensor is alive again, calibrated or not
+		if (live) {
+			await sensorFaultService.clearFault(chamber).catch((error) => {
+				logger.error(`Error clearing sensor fault for ${label}:`, error);
+			});
+		}
+
+		let temperature =
+			sample.temperature !== undefined && sample.temperature !== null
+				? parseFloat(sample.temperature)
+				: null;
+		if (!Number.isFinite(temperature)) temperature = null;
+
+		let pressure =
+			sample.pressure !== undefined && sample.pressure !== null
+				? parseFloat(sample.pressure)
+				: null;
+		if (!Number.isFinite(pressure) || pressure < 0) pressure = null;
+
+		// Last values, guided calibration sessions and sensor noise only follow
+		// the live sensor; zero/span capture and health checks read them
+		if (live) {
+			await chamber.update({
+				lastRawFromPLC: rawValue,
+				lastTemperature: temperature,
+				lastPressure: pressure,
+			});
+			calibrationSessionService.observe(chamber, rawValue, temperature);
+			calibrationService.observeRawValue(chamber.id, rawValue, temperature);
+		}
+
+		const calibration = await calibrationService.calibrateReadingDetailed(
+			chamber.id,
+			rawValue,
+			temperature
+		);
+		const calibratedO2Level = calibration.o2Level;
+
+		if (live) {
+			calibrationVerificationService.observe(
+				chamber,
+				rawValue,
+				calibratedO2Level,
+				temperature
+			);
+		}
+
+		// Uncalibrated sensors return the raw value, which is outside 0-100
+		const isValid = calibratedO2Level >= 0 && calibratedO2Level <= 100;
+
+		// Only calibrated values go to the PLC; a raw value would be written as
+		// a bogus O2 level (or overflow the register) and count as a write failure
+		if (live && isValid && calibration.calibrated) {
+			this.writeBack(chamber, calibratedO2Level);
+		}
+
+		if (live) {
+			modbusTcpServer.publishReading(chamber.id, {
+				o2Level: isValid ? calibratedO2Level : null,
+				rawValue,
+				temperature,
+			});
+		}
+
+		const socketHandler = global.socketHandler;
+		if (socketHandler) {
+			socketHandler.broadcastChamberRawValue(chamber.id, {
+				chamberId: chamber.id,
+				chamberName: chamber.name,
+				lastRawFromPLC: rawValue,
+				temperature,
+				pressure,
+				uncompensatedO2Level: calibration.uncompensatedO2Level,
+				o2Level: calibratedO2Level,
+				source: sourceName,
+				...sample.meta,
+				timestamp: new Date().toISOString(),
+			});
+		}
+
+		if (!isValid) {
+			logger.debug(
+				`Skipping O2Reading for ${label}: uncalibrated value ${calibratedO2Level} out of range`
+			);
+			return { stored: false, chamberId: chamber.id, reason: 'out of range' };
+		}
+
+		const ppO2 = computePpO2(calibratedO2Level, pressure);
+
+		const readingData = {
+			chamberId: chamber.id,
+			o2Level: calibratedO2Level,
+			uncompensatedO2Level: calibration.uncompensatedO2Level,
+			pressure,
+			ppO2Ata: ppO2 ? ppO2.ata : null,
+			ppO2KPa: ppO2 ? ppO2.kPa : null,
+			temperature,
+			humidity: null,
+			sensorStatus: 'normal',
+			timestamp: new Date(),
+		};
+
+		// Replayed readings are shown, never stored or alarmed: alarms would
+		// set the PLC alarm bits for a chamber that is not in that state
+		if (!live) {
+			if (socketHandler) {
+				socketHandler.broadcastNewReading(chamber.id, {
+					...readingData,
+					rawO2Level: rawValue,
+					convertedO2Level: calibratedO2Level,
+					temperatureCompensation: calibration.temperatureCompensation,
+					source: sourceName,
+					...sample.meta,
+				});
+			}
+			return {
+				stored: false,
+				chamberId: chamber.id,
+				reason: 'replay',
+				o2Level: calibratedO2Level,
+			};
+		}
+
+		const reading = await O2Reading.create(readingData);
+
+		logger.debug(
+			`Ingested ${label} (chamber ${chamber.id}) from ${sourceName} - Raw: ${rawValue}, O2: ${calibratedO2Level}%, Temp: ${temperature}`
+		);
+
+		// FIO sensors are monitored only; alarms apply to chambers
+		if (chamber.type === 'chamber') {
+			try {
+				await alarmService.checkForAlarms(chamber.id, calibratedO2Level, 'normal');
+				await alarmService.resolveAlarms(chamber.id, calibratedO2Level, 'normal');
+				if (ppO2) {
+					await alarmService.checkPpO2Alarms(chamber, ppO2.ata, calibratedO2Level);
+				}
+			} catch (alarmError) {
+				logger.error(`Alarm check failed for chamber ${chamber.id}:`, alarmError);
+			}
+		}
+
+		if (socketHandler) {
+			socketHandler.broadcastNewReading(chamber.id, {
+				...reading.toJSON(),
+				rawO2Level: rawValue,
+				convertedO2Level: calibratedO2Level,
+				temperatureCompensation: calibration.temperatureCompensation,
+			});
+		}
+
+		externalSocketClient.emitO2Level(chamber.id, calibratedO2Level, rawValue);
+
+		return {
+			stored: true,
+			chamberId: chamber.id,
+			readingId: reading.id,
+			o2Level: calibratedO2Level,
+		};
+	}
+
+	/**
+	 * Write the calibrated value to the chamber's PLC register. Not awaited:
+	 * outcomes are tracked by plcWriteBackService.
+	 */
+	writeBack(chamber, calibratedO2Level) {
+		const writeRegister = registerMapService.getWriteRegister(chamber.id);
+		if (!writeRegister) return;
+
+		const plcWriteValue = registerMapService.toPLCValue(chamber.id, calibratedO2Level);
+		plcWriteBackService.write(chamber.id, writeRegister, plcWriteValue).catch((err) => {
+			logger.error(`Error writing to PLC ${writeRegister}:`, err);
+		});
+	}
+
+	/**
+	 * Find the chamber a sample belongs to, by ID or (cached) name
+	 */
+	async findChamber(sample) {
+		if (sample.chamberId !== undefined && sample.chamberId !== null) {
+			return Chamber.findByPk(sample.chamberId);
+		}
+		if (!sample.name) return null;
+
+		const normalizedName = String(sample.name).toLowerCase();
+		if (this.nameCache.has(normalizedName)) {
+			// Re-fetch to get latest field values
+			const cached = await Chamber.findByPk(this.nameCache.get(normalizedName));
+			if (cached) return cached;
+			this.nameCache.delete(normalizedName);
+		}
+
+		const chamber = await Chamber.findOne({
+			where: sequelize.where(
+				sequelize.fn('LOWER', sequelize.col('name')),
+				normalizedName
+			),
+		});
+		if (chamber) {
+			this.nameCache.set(normalizedName, chamber.id);
+		}
+		return chamber;
+	}
+
+	getStatus() {
+		const sources = {};
+		this.sources.forEach((source, name) => {
+			sources[name] = {
+				active: name === this.activeSource,
+				status: typeof source.getStatus === 'function' ? source.getStatus() : null,
+				ingestion: this.getSourceStats(name),
+			};
+		});
+		return { activeSource: this.activeSource, sources };
+	}
+}
+
+module.exports = new IngestionService();
@@ -1,19 +1,14 @@
 /**
  * Modbus TCP Socket.IO Client
  * Connects to an external Modbus TCP bridge server via Socket.IO,
- * listens for 'modbus_data' events, processes sensor data (calibration,
- * DB storage, alarm checks for chambers), and relays to frontend clients.
+ * listens for 'modbus_data' events, hands sensor data to the ingestion
+ * pipeline (calibration, DB storage, alarm checks), and relays to frontend
+ * clients.
  */
 
 const ioClient = require('socket.io-client');
 const logger = require('../utils/logger');
-const { Chamber, O2Reading } = require('../models');
-const calibrationService = require('./calibrationService');
-const alarmService = require('./alarmService');
-const plcService = require('./plcService');
-
-// Name-to-Chamber mapping (populated on first data event)
-const NAME_TO_CHAMBER_CACHE = {};
+const ingestionService = require('./ingestionService');
 
 class ModbusSocketClient {
     constructor() {
@@ -22,6 +17,8 @@ class ModbusSocketClient {
         this.serverUrl = process.env.MODBUS_SOCKET_URL || 'http://localhost:5001';
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 10;
+        // Sensor names seen so far, per source, to spot sensors missing from a frame
+        this.knownSensors = new Map();
     }
 
     connect() {
@@ -93,172 +90,74 @@ class ModbusSocketClient {
     }
 
     /**
-     * Process incoming modbus_data array.
-     * Each entry: { slave_id, name, giris_degeri, ortam_sicakligi, error }
+     * Convert bridge entries to ingestion samples.
+     * Each entry: { slave_id, name, giris_degeri, ortam_sicakligi, basinc?, error }
      * Known names: main, ante, fio1-fio5
+     * `basinc` (optional) is the absolute chamber pressure in kPa.
+     *
+     * A sensor that appeared in an earlier frame from the same source but is
+     * absent from this one is reported as a missing sample, so a dead sensor
+     * the bridge stops listing still raises a fault.
      */
-    async processModbusData(data) {
-        if (!Array.isArray(data)) {
-            logger.warn('modbus_data is not an array, skipping processing');
-            return;
+    toSamples(data, sourceName = 'tcpmodbus') {
+        if (!this.knownSensors.has(sourceName)) {
+            this.knownSensors.set(sourceName, new Map());
         }
-
-        for (const entry of data) {
-            try {
-                const { name, giris_degeri, ortam_sicakligi } = entry;
-
-                if (!name) continue;
-
-                // Skip entries with errors
-                if (entry.error || giris_degeri === undefined || giris_degeri === null) {
-                    logger.debug(`Skipping sensor ${name}: error or no value`);
-                    continue;
-                }
-
-                // Find the chamber record by name
-                const chamber = await this.findChamberByName(name);
-                if (!chamber) {
-                    logger.debug(`No chamber found for sensor name: ${name}`);
-                    continue;
-                }
-
-                const rawValue = typeof giris_degeri === 'number' ? giris_degeri : parseFloat(giris_degeri);
-                if (isNaN(rawValue)) {
-                    logger.warn(`Invalid giris_degeri for sensor ${name}: ${giris_degeri}`);
-                    continue;
-                }
-
-                const temperature = ortam_sicakligi != null ? parseFloat(ortam_sicakligi) : null;
-
-                // Update lastRawFromPLC
-                await chamber.update({ lastRawFromPLC: rawValue });
-
-                // Calibrate the reading
-                const calibratedO2Level = await calibrationService.calibrateReading(
-                    chamber.id,
-                    rawValue
-                );
-
-                // Write calibrated value to PLC for chambers and FIO sensors
-                const plcWriteValue = Math.round(calibratedO2Level * 10);
-                const writeRegister = this.getWriteRegister(chamber);
-
-                if (writeRegister) {
-                    plcService.writeData(writeRegister, plcWriteValue)
-                        .then(result => {
-                            if (result.success) {
-                                logger.debug(`Wrote calibrated O2 ${plcWriteValue} to ${writeRegister} for ${name}`);
-                            } else {
-                                logger.error(`Failed to write to ${writeRegister}: ${result.error}`);
-                            }
-                        })
-                        .catch(err => {
-                            logger.error(`Error writing to PLC ${writeRegister}:`, err);
-                        });
-                }
-
-                // Skip O2Reading if no calibration exists (raw value returned as-is, exceeds 0-100 range)
-                if (calibratedO2Level < 0 || calibratedO2Level > 100) {
-                    logger.debug(`Skipping O2Reading for ${name}: uncalibrated value ${calibratedO2Level} out of range`);
-                    continue;
-                }
-
-                // Create O2Reading record
-                const reading = await O2Reading.create({
-                    chamberId: chamber.id,
-                    o2Level: calibratedO2Level,
-                    temperature: isNaN(temperature) ? null : temperature,
-                    humidity: null,
-                    sensorStatus: 'normal',
-                    timestamp: new Date(),
+        const known = this.knownSensors.get(sourceName);
+
+        const samples = data
+            .filter((entry) => entry && entry.name)
+            .map((entry) => ({
+                name: entry.name,
+                rawValue: entry.giris_degeri,
+                temperature: entry.ortam_sicakligi,
+                pressure: entry.basinc,
+                error: entry.error,
+                meta: { slaveId: entry.slave_id },
+            }));
+
+        const present = new Set(samples.map((sample) => String(sample.name).toLowerCase()));
+        known.forEach((slaveId, name) => {
+            if (!present.has(name)) {
+                samples.push({
+                    name,
+                    rawValue: null,
+                    error: 'Sensor missing from frame',
+                    missing: true,
+                    meta: { slaveId },
                 });
-
-                logger.debug(
-                    `Processed ${name} (chamber ${chamber.id}) - Raw: ${rawValue}, Calibrated: ${calibratedO2Level}%, Temp: ${temperature}`
-                );
-
-                // Alarm check only for chamber type (not FIO sensors)
-                if (chamber.type === 'chamber') {
-                    try {
-                        await alarmService.checkForAlarms(chamber.id, calibratedO2Level, 'normal');
-                        await alarmService.resolveAlarms(chamber.id, calibratedO2Level, 'normal');
-                    } catch (alarmError) {
-                        logger.error(`Alarm check failed for chamber ${chamber.id}:`, alarmError);
-                    }
-                }
-
-                // Broadcast via Socket.IO
-                const socketHandler = global.socketHandler;
-                if (socketHandler) {
-                    socketHandler.broadcastChamberRawValue(chamber.id, {
-                        chamberId: chamber.id,
-                        chamberName: chamber.name,
-                        lastRawFromPLC: rawValue,
-                        temperature,
-                        timestamp: new Date().toISOString(),
-                    });
-
-                    socketHandler.broadcastNewReading(chamber.id, {
-                        ...reading.toJSON(),
-                        rawO2Level: rawValue,
-                        convertedO2Level: calibratedO2Level,
-                    });
-                }
-            } catch (error) {
-                logger.error(`Error processing modbus entry ${entry?.name}:`, error);
             }
-        }
-    }
-
-    /**
-     * Get PLC write register for a chamber/sensor.
-     * Chambers: main=R02001, ante=R02005
-     * FIO sensors: fio1=R02020, fio2=R02021, fio3=R02022, fio4=R02023, fio5=R02024
-     */
-    getWriteRegister(chamber) {
-        const normalizedName = chamber.name.toLowerCase();
-
-        // Chamber registers
-        if (normalizedName === 'main') return 'R02001';
-        if (normalizedName === 'ante') return 'R02005';
-
-        // FIO sensor registers: fio1=R02020, fio2=R02021, ...
-        const fioMatch = normalizedName.match(/^fio(\d+)$/);
-        if (fioMatch) {
-            const fioNum = parseInt(fioMatch[1]);
-            if (fioNum >= 1 && fioNum <= 5) {
-                return `R0202${fioNum - 1}`;
+        });
+        samples.forEach((sample) => {
+            if (!sample.missing) {
+                known.set(String(sample.name).toLowerCase(), sample.meta.slaveId);
             }
-        }
+        });
 
-        return null;
+        return samples;
     }
 
     /**
-     * Find chamber by name, with caching.
+     * Process incoming modbus_data array through the shared ingestion pipeline
+     * @param {Array} data - Bridge entries
+     * @param {string} sourceName - Data source the entries came from
      */
-    async findChamberByName(name) {
-        const normalizedName = name.toLowerCase();
-
-        if (NAME_TO_CHAMBER_CACHE[normalizedName]) {
-            // Re-fetch to get latest field values
-            const cached = NAME_TO_CHAMBER_CACHE[normalizedName];
-            return await Chamber.findByPk(cached.id);
+    async processModbusData(data, sourceName = 'tcpmodbus') {
+        if (!Array.isArray(data)) {
+            logger.warn('modbus_data is not an array, skipping processing');
+            return;
         }
 
-        const sequelize = require('sequelize');
-        const chamber = await Chamber.findOne({
-            where: sequelize.where(
-                sequelize.fn('LOWER', sequelize.col('name')),
-                normalizedName
-            )
-        });
-        if (chamber) {
-            NAME_TO_CHAMBER_CACHE[normalizedName] = { id: chamber.id };
-            return chamber;
-        }
+        return ingestionService.ingest(sourceName, this.toSamples(data, sourceName), data);
+    }
+
+    // Data source interface (see ingestionService)
+    start() {
+        this.connect();
+    }
 
-        return null;
+    stop() {
+        this.disconnect();
     }
 
     disconnect() {
@@ -0,0 +1,174 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const modbus = require('../utils/modbusProtocol');
+const PLCConnection = require('./plcConnection');
+const { PLCTransactionQueue, PRIORITY } = require('./plcTransactionQueue');
+
+// Largest legal ADU: MBAP header + 253 byte PDU
+const MAX_ADU_LENGTH = 260;
+
+/**
+ * Cut the first complete Modbus TCP ADU out of a receive buffer. There is no
+ * start marker to resynchronise on, so a corrupt header drops the buffer.
+ */
+const extractModbusFrame = (buffer) => {
+	if (buffer.length >= 6) {
+		const protocolId = buffer.readUInt16BE(2);
+		const length = buffer.readUInt16BE(4);
+		if (protocolId !== 0 || length < 2 || length + 6 > MAX_ADU_LENGTH) {
+			return { frame: null, discarded: buffer.length, remaining: Buffer.alloc(0) };
+		}
+	}
+
+	const length = modbus.frameLength(buffer);
+	if (length === 0) {
+		return { frame: null, discarded: 0, remaining: buffer };
+	}
+
+	return {
+		frame: buffer.slice(0, length),
+		discarded: 0,
+		remaining: buffer.slice(length),
+	};
+};
+
+/**
+ * Modbus TCP master for one device (host:port). Requests to any unit id on
+ * the device share one socket and are serialized through a transaction queue,
+ * so gateways that only handle one request at a time are never overrun.
+ */
+class ModbusTCPClient extends EventEmitter {
+	constructor(options = {}) {
+		super();
+		this.name = options.name || `${options.host}:${options.port}`;
+		this.host = options.host;
+		this.port = options.port || 502;
+		this.timeout = options.timeout || 1000;
+		this.transactionId = 0;
+
+		this.queue = new PLCTransactionQueue({
+			maxDepth: options.maxQueueDepth || 100,
+		});
+		this.connection = new PLCConnection({
+			host: this.host,
+			port: this.port,
+			label: `Modbus ${this.name}`,
+			extractFrame: extractModbusFrame,
+			formatFrame: (frame) => frame.toString('hex'),
+			connectTimeout: options.connectTimeout,
+			minBackoff: options.minBackoff,
+			maxBackoff: options.maxBackoff,
+		});
+		this.connection.on('stateChange', (state) =>
+			this.emit('stateChange', { ...state, device: this.name })
+		);
+	}
+
+	start() {
+		this.connection.start();
+	}
+
+	stop() {
+		this.queue.cancelAll('Modbus client stopped');
+		this.connection.stop();
+	}
+
+	nextTransactionId() {
+		this.transactionId = (this.transactionId + 1) & 0xffff;
+		return this.transactionId;
+	}
+
+	/**
+	 * Queue a request and resolve with its parsed reply
+	 * @param {number} unitId - Slave id
+	 * @param {Object} request - Builder output from modbusProtocol
+	 * @param {Object} options - { priority, timeout, label, dedupeKey }
+	 */
+	async execute(unitId, request, options = {}) {
+		const transaction = this.queue.enqueue(
+			async ({ signal }) => {
+				const transactionId = this.nextTransactionId();
+				const frame = modbus.encodeFrame(transactionId, unitId, request.pdu);
+				const reply = modbus.decodeFrame(
+					await this.connection.request(frame, signal)
+				);
+
+				if (reply.transactionId !== transactionId || reply.unitId !== unitId) {
+					throw new modbus.ModbusFrameError(
+						`Reply for transaction ${reply.transactionId}/unit ${reply.unitId} does not match ${transactionId}/${unitId}`
+					);
+				}
+
+				return request.parse(modbus.verifyReply(reply, request.functionCode));
+			},
+			{
+				priority: options.priority !== undefined ? options.priority : PRIORITY.READ,
+				timeout: options.timeout || this.timeout,
+				label: options.label || `unit ${unitId} fc ${request.functionCode}`,
+				dedupeKey: options.dedupeKey,
+			}
+		);
+
+		return transaction.promise;
+	}
+
+	// FC 03
+	readHoldingRegisters(unitId, address, count, options = {}) {
+		return this.execute(
+			unitId,
+			modbus.readHoldingRegisters(address, count),
+			options
+		);
+	}
+
+	// FC 04
+	readInputRegisters(unitId, address, count, options = {}) {
+		return this.execute(unitId, modbus.readInputRegisters(address, count), options);
+	}
+
+	// FC 06
+	writeSingleRegister(unitId, address, value, options = {}) {
+		return this.execute(unitId, modbus.writeSingleRegister(address, value), {
+			priority: PRIORITY.WRITE,
+			...options,
+		});
+	}
+
+	// FC 16
+	writeMultipleRegisters(unitId, address, values, options = {}) {
+		return this.execute(
+			unitId,
+			modbus.writeMultipleRegisters(address, values),
+			{ priority: PRIORITY.WRITE, ...options }
+		);
+	}
+
+	/**
+	 * Write a typed value, using FC 06 for one register and FC 16 otherwise
+	 * @param {number} unitId - Slave id
+	 * @param {number} address - Register address
+	 * @param {number} value - Value to encode
+	 * @param {string} type - int16 | uint16 | float32
+	 * @param {string} wordOrder - big | little
+	 */
+	writeValue(unitId, address, value, type = 'uint16', wordOrder = 'big') {
+		const words = modbus.encodeValue(value, type, wordOrder);
+		logger.debug(
+			`Modbus ${this.name} write unit ${unitId} @${address} = ${value} (${type})`
+		);
+		return words.length === 1
+			? this.writeSingleRegister(unitId, address, words[0])
+			: this.writeMultipleRegisters(unitId, address, words);
+	}
+
+	getStatus() {
+		return {
+			name: this.name,
+			connection: this.connection.getStatus(),
+			queue: this.queue.getStats(),
+		};
+	}
+}
+
+module.exports = ModbusTCPClient;
+module.exports.extractModbusFrame = extractModbusFrame;
@@ -0,0 +1,271 @@
+const logger = require('../utils/logger');
+const modbus = require('../utils/modbusProtocol');
+const { loadConfig } = require('../config/modbusTcp');
+const ModbusTCPClient = require('./modbusTcpClient');
+const modbusSocketClient = require('./modbusSocketClient');
+
+/**
+ * Group register fields into as few read requests as possible
+ * @param {Array<Object>} fields - Normalised fields ({ functionCode, address, size })
+ * @returns {Array<Object>} - [{ functionCode, address, count }]
+ */
+const planBlocks = (fields) => {
+	const blocks = [];
+	const byFunction = {};
+	fields.forEach((field) => {
+		(byFunction[field.functionCode] = byFunction[field.functionCode] || []).push(field);
+	});
+
+	Object.values(byFunction).forEach((group) => {
+		group.sort((a, b) => a.address - b.address);
+		let block = null;
+		group.forEach((field) => {
+			const end = field.address + field.size;
+			if (block && end - block.address <= modbus.MAX_READ_REGISTERS) {
+				block.count = Math.max(block.count, end - block.address);
+				return;
+			}
+			block = {
+				functionCode: field.functionCode,
+				address: field.address,
+				count: field.size,
+			};
+			blocks.push(block);
+		});
+	});
+
+	return blocks;
+};
+
+/**
+ * Polls Modbus TCP slaves directly (DATA_SOURCE=modbustcp) and feeds the
+ * readings, in the bridge's `modbus_data` entry format, into the shared
+ * ingestion pipeline.
+ */
+class ModbusTCPPoller {
+	constructor() {
+		this.isRunning = false;
+		this.clients = new Map();
+		this.slaves = [];
+	}
+
+	/**
+	 * Load the slave configuration and start one poll timer per slave
+	 * @param {Object} config - Normalised config (defaults to loadConfig())
+	 */
+	start(config = loadConfig()) {
+		if (this.isRunning) {
+			logger.warn('Modbus TCP poller is already running');
+			return;
+		}
+
+		this.isRunning = true;
+
+		config.devices.forEach((device) => {
+			const client = new ModbusTCPClient({
+				name: device.name,
+				host: device.host,
+				port: device.port,
+				timeout: device.timeoutMs,
+			});
+			client.on('stateChange', (state) => {
+				if (global.socketHandler) {
+					global.socketHandler.broadcastToAll('modbus-connection-state', state);
+				}
+			});
+			client.start();
+			this.clients.set(device.name, client);
+
+			device.slaves.forEach((slave) => {
+				const fields = [];
+				slave.sensors.forEach((sensor) => {
+					fields.push(sensor.value);
+					if (sensor.temperature) fields.push(sensor.temperature);
+					if (sensor.pressure) fields.push(sensor.pressure);
+				});
+
+				const state = {
+					device: device.name,
+					client,
+					slave,
+					blocks: planBlocks(fields),
+					timer: null,
+					inFlight: false,
+					stats: {
+						polls: 0,
+						failures: 0,
+						skipped: 0,
+						lastPollAt: null,
+						lastDurationMs: null,
+						lastError: null,
+					},
+				};
+				state.timer = setInterval(() => this.pollSlave(state), slave.pollIntervalMs);
+				this.slaves.push(state);
+				this.pollSlave(state);
+
+				logger.info(
+					`Polling Modbus slave ${slave.slaveId} on ${device.name} every ${slave.pollIntervalMs}ms (${state.blocks.length} request(s))`
+				);
+			});
+		});
+	}
+
+	stop() {
+		if (!this.isRunning) {
+			logger.warn('Modbus TCP poller is not running');
+			return;
+		}
+
+		this.isRunning = false;
+		this.slaves.forEach((state) => clearInterval(state.timer));
+		this.clients.forEach((client) => client.stop());
+		this.slaves = [];
+		this.clients.clear();
+		logger.info('Modbus TCP poller stopped');
+	}
+
+	async pollSlave(state) {
+		// A slow slave must not pile up overlapping polls
+		if (state.inFlight) {
+			state.stats.skipped++;
+			return;
+		}
+		state.inFlight = true;
+
+		const startedAt = Date.now();
+		const { slave, client } = state;
+		const words = {};
+		const errors = {};
+
+		try {
+			for (const block of state.blocks) {
+				const key = `${block.functionCode}:${block.address}`;
+				try {
+					const read =
+						block.functionCode === modbus.FUNCTION_CODES.READ_INPUT_REGISTERS
+							? client.readInputRegisters
+							: client.readHoldingRegisters;
+					words[key] = await read.call(client, slave.slaveId, block.address, block.count, {
+						dedupeKey: `poll:${slave.slaveId}:${key}:${block.count}`,
+					});
+				} catch (error) {
+					errors[key] = error.message;
+				}
+			}
+
+			const entries = slave.sensors.map((sensor) => {
+				const entry = {
+					slave_id: slave.slaveId,
+					name: sensor.name,
+					giris_degeri: null,
+					ortam_sicakligi: null,
+					basinc: null,
+					error: null,
+				};
+
+				try {
+					entry.giris_degeri = this.readField(state.blocks, words, errors, sensor.value);
+					if (sensor.temperature) {
+						entry.ortam_sicakligi = this.readField(
+							state.blocks,
+							words,
+							errors,
+							sensor.temperature
+						);
+					}
+					if (sensor.pressure) {
+						entry.basinc = this.readField(state.blocks, words, errors, sensor.pressure);
+					}
+				} catch (error) {
+					entry.error = error.message;
+				}
+				return entry;
+			});
+
+			state.stats.polls++;
+			if (Object.keys(errors).length > 0) {
+				state.stats.failures++;
+				state.stats.lastError = Object.values(errors)[0];
+				logger.debug(
+					`Modbus slave ${slave.slaveId} on ${state.device} poll failed: ${state.stats.lastError}`
+				);
+			}
+
+			// Same event the bridge relays, so frontends work with either source
+			if (global.socketHandler) {
+				global.socketHandler.io.emit('modbus_data', entries);
+			}
+			await modbusSocketClient.processModbusData(entries, 'modbustcp');
+		} catch (error) {
+			state.stats.failures++;
+			state.stats.lastError = error.message;
+			logger.error(`Error polling Modbus slave ${slave.slaveId} on ${state.device}:`, error);
+		} finally {
+			state.stats.lastPollAt = new Date();
+			state.stats.lastDurationMs = Date.now() - startedAt;
+			state.inFlight = false;
+		}
+	}
+
+	/**
+	 * Decode and scale one field out of the block that contains it
+	 */
+	readField(blocks, words, errors, field) {
+		const block = blocks.find(
+			(b) =>
+				b.functionCode === field.functionCode &&
+				field.address >= b.address &&
+				field.address + field.size <= b.address + b.count
+		);
+		const key = `${block.functionCode}:${block.address}`;
+		if (errors[key]) {
+			throw new Error(errors[key]);
+		}
+
+		const value = modbus.decodeValue(
+			words[key],
+			field.address - block.address,
+			field.type,
+			field.wordOrder
+		);
+		if (!Number.isFinite(value)) {
+			throw new Error(`Non-finite ${field.type} value at register ${field.address}`);
+		}
+		return value * field.scale + field.offset;
+	}
+
+	/**
+	 * Write a typed value to a slave (FC 06 for 16-bit types, FC 16 otherwise)
+	 * @param {string} deviceName - Device name from the config
+	 * @param {number} slaveId - Slave id
+	 * @param {number} address - Register address
+	 * @param {number} value - Value to write
+	 * @param {string} type - int16 | uint16 | float32
+	 * @param {string} wordOrder - big | little
+	 */
+	async writeValue(deviceName, slaveId, address, value, type, wordOrder) {
+		const client = this.clients.get(deviceName);
+		if (!client) {
+			throw new Error(`Unknown Modbus device ${deviceName}`);
+		}
+		return client.writeValue(slaveId, address, value, type, wordOrder);
+	}
+
+	getStatus() {
+		return {
+			isRunning: this.isRunning,
+			devices: Array.from(this.clients.values()).map((client) => client.getStatus()),
+			slaves: this.slaves.map((state) => ({
+				device: state.device,
+				slaveId: state.slave.slaveId,
+				pollIntervalMs: state.slave.pollIntervalMs,
+				sensors: state.slave.sensors.map((sensor) => sensor.name),
+				blocks: state.blocks,
+				...state.stats,
+			})),
+		};
+	}
+}
+
+module.exports = new ModbusTCPPoller();
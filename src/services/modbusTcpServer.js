@@ -0,0 +1,306 @@
+const net = require('net');
+const { Chamber, Alarm } = require('../models');
+const logger = require('../utils/logger');
+const modbus = require('../utils/modbusProtocol');
+const config = require('../config/modbusServer');
+
+const { CHAMBER_REGISTERS, HEADER_REGISTERS, STATUS_BITS } = config;
+
+// Written to TEMPERATURE when no temperature is known (int16 minimum)
+const TEMPERATURE_UNKNOWN = 0x8000;
+
+const SENSOR_TYPES = { chamber: 1, fio: 2 };
+
+/**
+ * Embedded Modbus TCP slave for SCADA systems. Serves a read-only register
+ * image (FC 03 and FC 04 return the same data): a header block followed by one
+ * block per chamber/FIO sensor, addressed by chamber ID. Layout is documented
+ * in MODBUS_SERVER.md.
+ */
+class ModbusTCPServer {
+	constructor() {
+		this.server = null;
+		this.clients = new Set();
+		this.refreshTimer = null;
+		this.heartbeat = 0;
+		this.readings = new Map();
+		this.chambers = new Map();
+		this.alarmFlags = new Map();
+		this.stats = {
+			requests: 0,
+			exceptions: 0,
+			connections: 0,
+		};
+	}
+
+	/**
+	 * Start listening (no-op unless MODBUS_SERVER_ENABLED=1 or forced)
+	 * @param {Object} options - { force, port, host }
+	 * @returns {Promise<number|null>} - Bound port, or null when disabled
+	 */
+	async start(options = {}) {
+		if (!config.enabled && !options.force) {
+			logger.info('Modbus TCP server disabled (MODBUS_SERVER_ENABLED != 1)');
+			return null;
+		}
+		if (this.server) {
+			logger.warn('Modbus TCP server is already running');
+			return this.server.address().port;
+		}
+
+		await this.refresh();
+		this.refreshTimer = setInterval(() => {
+			this.refresh().catch((error) =>
+				logger.error('Error refreshing Modbus server state:', error)
+			);
+		}, 1000);
+
+		const port = options.port !== undefined ? options.port : config.port;
+		const host = options.host || config.host;
+
+		return new Promise((resolve, reject) => {
+			this.server = net.createServer((socket) => this.handleClient(socket));
+			this.server.once('error', reject);
+			this.server.listen(port, host, () => {
+				const boundPort = this.server.address().port;
+				logger.info(`Modbus TCP server listening on ${host}:${boundPort}`);
+				resolve(boundPort);
+			});
+		});
+	}
+
+	stop() {
+		clearInterval(this.refreshTimer);
+		this.refreshTimer = null;
+		this.clients.forEach((socket) => socket.destroy());
+		this.clients.clear();
+
+		return new Promise((resolve) => {
+			if (!this.server) return resolve();
+			this.server.close(() => resolve());
+			this.server = null;
+			logger.info('Modbus TCP server stopped');
+		});
+	}
+
+	/**
+	 * Record the latest processed reading of a chamber/sensor
+	 * @param {number} chamberId - Chamber ID
+	 * @param {Object} reading - { o2Level, rawValue, temperature }
+	 */
+	publishReading(chamberId, { o2Level, rawValue, temperature = null }) {
+		this.readings.set(chamberId, {
+			o2Level,
+			rawValue,
+			temperature,
+			updatedAt: Date.now(),
+		});
+	}
+
+	/**
+	 * Reload chamber metadata and active alarms; bumps the heartbeat
+	 */
+	async refresh() {
+		const [chambers, alarms] = await Promise.all([
+			Chamber.findAll(),
+			Alarm.findAll({ where: { isActive: true } }),
+		]);
+
+		this.chambers = new Map(chambers.map((chamber) => [chamber.id, chamber]));
+
+		const flags = new Map();
+		alarms.forEach((alarm) => {
+			const entry = flags.get(alarm.chamberId) || {};
+			entry[alarm.alarmType] = true;
+			if (alarm.isMuted) entry.muted = true;
+			flags.set(alarm.chamberId, entry);
+		});
+		this.alarmFlags = flags;
+
+		this.heartbeat = (this.heartbeat + 1) & 0xffff;
+	}
+
+	handleClient(socket) {
+		this.clients.add(socket);
+		this.stats.connections++;
+		let buffer = Buffer.alloc(0);
+
+		socket.on('data', (chunk) => {
+			buffer = Buffer.concat([buffer, chunk]);
+
+			let length;
+			while ((length = modbus.frameLength(buffer)) > 0) {
+				const frame = buffer.slice(0, length);
+				buffer = buffer.slice(length);
+
+				let request;
+				try {
+					request = modbus.decodeFrame(frame);
+				} catch (error) {
+					// Unrecoverable framing; the client will reconnect
+					logger.warn(`Dropping Modbus client: ${error.message}`);
+					socket.destroy();
+					return;
+				}
+
+				const reply = this.handleRequest(request);
+				if (reply) {
+					socket.write(
+						modbus.encodeFrame(request.transactionId, request.unitId, reply)
+					);
+				}
+			}
+		});
+
+		socket.on('error', () => {});
+		socket.on('close', () => this.clients.delete(socket));
+	}
+
+	/**
+	 * Build the reply PDU for a decoded request
+	 * @returns {Buffer|null} - PDU, or null to stay silent
+	 */
+	handleRequest({ unitId, functionCode, data }) {
+		if (config.unitId && unitId !== config.unitId) {
+			return null;
+		}
+		this.stats.requests++;
+
+		const exception = (code) => {
+			this.stats.exceptions++;
+			return Buffer.from([functionCode | 0x80, code]);
+		};
+
+		if (
+			functionCode !== modbus.FUNCTION_CODES.READ_HOLDING_REGISTERS &&
+			functionCode !== modbus.FUNCTION_CODES.READ_INPUT_REGISTERS
+		) {
+			// Read-only image: writes and everything else are illegal functions
+			return exception(1);
+		}
+		if (data.length !== 4) {
+			return exception(3);
+		}
+
+		const address = data.readUInt16BE(0);
+		const count = data.readUInt16BE(2);
+		if (count < 1 || count > modbus.MAX_READ_REGISTERS) {
+			return exception(3);
+		}
+
+		const start = address - config.baseAddress;
+		const end = start + count;
+		if (start < 0 || end > (config.maxChambers + 1) * config.blockSize) {
+			return exception(2);
+		}
+
+		const pdu = Buffer.alloc(2 + count * 2);
+		pdu.writeUInt8(functionCode, 0);
+		pdu.writeUInt8(count * 2, 1);
+		for (let i = 0; i < count; i++) {
+			pdu.writeUInt16BE(this.getRegister(start + i), 2 + i * 2);
+		}
+		return pdu;
+	}
+
+	/**
+	 * Value of one register, relative to the base address
+	 * @param {number} offset - Register offset from MODBUS_SERVER_BASE_ADDRESS
+	 */
+	getRegister(offset) {
+		const block = Math.floor(offset / config.blockSize);
+		const index = offset % config.blockSize;
+		const words = block === 0 ? this.headerWords() : this.chamberWords(block);
+		return words[index] || 0;
+	}
+
+	headerWords() {
+		const words = [];
+		words[HEADER_REGISTERS.LAYOUT_VERSION] = config.LAYOUT_VERSION;
+		words[HEADER_REGISTERS.BLOCK_SIZE] = config.blockSize;
+		words[HEADER_REGISTERS.CHAMBER_COUNT] = this.chambers.size;
+		words[HEADER_REGISTERS.HEARTBEAT] = this.heartbeat;
+		words[HEADER_REGISTERS.O2_SCALE] = config.o2Scale;
+		return words;
+	}
+
+	/**
+	 * Register block of one chamber (all zero if the chamber does not exist)
+	 * @param {number} chamberId - Chamber ID (= block number)
+	 * @returns {Array<number>} - Register words
+	 */
+	chamberWords(chamberId) {
+		const words = [];
+		const chamber = this.chambers.get(chamberId);
+		if (!chamber) return words;
+
+		const reading = this.readings.get(chamberId);
+		const flags = this.alarmFlags.get(chamberId) || {};
+		const ageMs = reading ? Date.now() - reading.updatedAt : null;
+
+		let status = 0;
+		const setBit = (bit, on) => {
+			if (on) status |= 1 << bit;
+		};
+		setBit(STATUS_BITS.HIGH_O2_ALARM, flags.high_o2);
+		setBit(STATUS_BITS.LOW_O2_ALARM, flags.low_o2);
+		setBit(STATUS_BITS.SENSOR_ERROR, flags.sensor_error);
+		setBit(STATUS_BITS.CALIBRATION_DUE, flags.calibration_due);
+		setBit(STATUS_BITS.DATA_STALE, !reading || ageMs > config.staleAfterMs);
+		setBit(STATUS_BITS.NO_DATA, !reading);
+		setBit(STATUS_BITS.CALIBRATED, !!chamber.calibrationDate);
+		setBit(STATUS_BITS.ALARM_MUTED, flags.muted);
+
+		words[CHAMBER_REGISTERS.STATUS] = status;
+		words[CHAMBER_REGISTERS.CHAMBER_ID] = chamber.id;
+		words[CHAMBER_REGISTERS.SENSOR_TYPE] = SENSOR_TYPES[chamber.type] || 0;
+		words[CHAMBER_REGISTERS.TEMPERATURE] = TEMPERATURE_UNKNOWN;
+
+		if (!reading) return words;
+
+		words[CHAMBER_REGISTERS.DATA_AGE] = Math.min(0xffff, Math.floor(ageMs / 1000));
+
+		if (Number.isFinite(reading.o2Level)) {
+			words[CHAMBER_REGISTERS.O2_SCALED] = Math.max(
+				0,
+				Math.min(0xffff, Math.round(reading.o2Level * config.o2Scale))
+			);
+			const o2Words = modbus.encodeValue(reading.o2Level, 'float32', config.wordOrder);
+			words[CHAMBER_REGISTERS.O2_FLOAT] = o2Words[0];
+			words[CHAMBER_REGISTERS.O2_FLOAT + 1] = o2Words[1];
+		}
+
+		if (Number.isFinite(reading.rawValue)) {
+			const rawWords = modbus.encodeValue(reading.rawValue, 'float32', config.wordOrder);
+			words[CHAMBER_REGISTERS.RAW_FLOAT] = rawWords[0];
+			words[CHAMBER_REGISTERS.RAW_FLOAT + 1] = rawWords[1];
+		}
+
+		if (Number.isFinite(reading.temperature)) {
+			const tenths = Math.max(-32767, Math.min(32767, Math.round(reading.temperature * 10)));
+			words[CHAMBER_REGISTERS.TEMPERATURE] = tenths & 0xffff;
+		}
+
+		return words;
+	}
+
+	getStatus() {
+		return {
+			isRunning: !!this.server,
+			port: this.server ? this.server.address().port : null,
+			clients: this.clients.size,
+			heartbeat: this.heartbeat,
+			publishedChambers: Array.from(this.readings.keys()),
+			layout: {
+				version: config.LAYOUT_VERSION,
+				baseAddress: config.baseAddress,
+				blockSize: config.blockSize,
+				o2Scale: config.o2Scale,
+				wordOrder: config.wordOrder,
+			},
+			...this.stats,
+		};
+	}
+}
+
+module.exports = new ModbusTCPServer();
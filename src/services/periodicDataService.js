@@ -1,5 +1,8 @@
 const { Chamber, O2Reading } = require('../models');
 const calibrationService = require('./calibrationService');
+const sensorFaultService = require('./sensorFaultService');
+const dataWatchdog = require('./dataWatchdog');
+const { computePpO2 } = require('../utils/pressure');
 const logger = require('../utils/logger');
 
 class PeriodicDataService {
@@ -19,6 +22,11 @@ class PeriodicDataService {
 
 			// Her chamber için veri topla
 			const chamberDataPromises = chambers.map(async (chamber) => {
+				// Açık sensör arızası (kaynak hatası, eksik sensör, geçersiz değer)
+				const sensorFault = sensorFaultService.getActiveFault(chamber.id);
+				// Son veri zamanı; zaman aşımında değer canlı değildir
+				const { dataAgeMs, isStale, lastDataAt } = dataWatchdog.getState(chamber.id);
+
 				try {
 					// En son O2 okumasını getir
 					const latestReading = await O2Reading.findOne({
@@ -32,6 +40,7 @@ class PeriodicDataService {
 
 					// Ham değeri kalibre et (eğer lastRawFromPLC varsa)
 					let calibratedCurrentValue = null;
+					let uncompensatedCurrentValue = null;
 					if (chamber.lastRawFromPLC !== null) {
 						// Raw PLC değerini O2 yüzdesine çevir (basit linear conversion)
 						const minRaw = 2500;
@@ -45,13 +54,22 @@ class PeriodicDataService {
 							minO2;
 						convertedO2 = Math.max(minO2, Math.min(maxO2, convertedO2));
 
-						// Kalibre et
-						calibratedCurrentValue = await calibrationService.calibrateReading(
+						// Kalibre et (son ortam sıcaklığı ile kompanze)
+						const calibration = await calibrationService.calibrateReadingDetailed(
 							chamber.id,
-							convertedO2
+							convertedO2,
+							chamber.lastTemperature
 						);
+						calibratedCurrentValue = calibration.o2Level;
+						uncompensatedCurrentValue = calibration.uncompensatedO2Level;
 					}
 
+					// Oksijen kısmi basıncı (basınç girişi olan kabinler için)
+					const currentPpO2 = computePpO2(
+						calibratedCurrentValue,
+						chamber.lastPressure
+					);
+
 					return {
 						id: chamber.id,
 						name: chamber.name,
@@ -60,13 +78,28 @@ class PeriodicDataService {
 						isActive: chamber.isActive,
 						// Güncel kalibre edilmiş değer
 						currentCalibratedValue: calibratedCurrentValue,
+						// Sıcaklık kompanzasyonu öncesi değer
+						currentUncompensatedValue: uncompensatedCurrentValue,
 						lastRawFromPLC: chamber.lastRawFromPLC,
+						lastTemperature: chamber.lastTemperature,
+						lastPressure: chamber.lastPressure,
+						currentPpO2Ata: currentPpO2 ? currentPpO2.ata : null,
+						currentPpO2KPa: currentPpO2 ? currentPpO2.kPa : null,
 						lastValue: chamber.lastValue,
+						sensorStatus: sensorFault ? 'error' : 'normal',
+						sensorFault,
+						dataAgeMs,
+						isStale,
+						lastDataAt,
 						// En son veritabanı okuması
 						latestReading: latestReading
 							? {
 									id: latestReading.id,
 									o2Level: latestReading.o2Level,
+									uncompensatedO2Level: latestReading.uncompensatedO2Level,
+									pressure: latestReading.pressure,
+									ppO2Ata: latestReading.ppO2Ata,
+									ppO2KPa: latestReading.ppO2KPa,
 									temperature: latestReading.temperature,
 									humidity: latestReading.humidity,
 									sensorStatus: latestReading.sensorStatus,
@@ -77,6 +110,8 @@ class PeriodicDataService {
 						alarmSettings: (chamber.type || 'chamber') === 'fio' ? null : {
 							alarmLevelHigh: chamber.alarmLevelHigh,
 							alarmLevelLow: chamber.alarmLevelLow,
+							ppO2AlarmHigh: chamber.ppO2AlarmHigh,
+							ppO2AlarmLow: chamber.ppO2AlarmLow,
 						},
 						// Kalibrasyon bilgileri
 						calibrationInfo: {
@@ -84,6 +119,11 @@ class PeriodicDataService {
 							lastCalibration: calibrationStatus.lastCalibration,
 							calibrationPoints: calibrationStatus.calibrationPoints,
 							isCalibrationRequired: calibrationStatus.isCalibrationRequired,
+							calibrationRequiredReason: calibrationStatus.calibrationRequiredReason,
+							calibrationDueDate: calibrationStatus.calibrationDueDate,
+							daysUntilDue: calibrationStatus.daysUntilDue,
+							temperatureCompensation: chamber.tempCompMode || 'none',
+							calibrationTemperature: chamber.calibrationTemperature,
 						},
 						// Diğer ayarlar
 						lastSensorChange: chamber.lastSensorChange,
@@ -107,6 +147,11 @@ class PeriodicDataService {
 						isActive: chamber.isActive,
 						error: 'Data collection failed',
 						currentCalibratedValue: null,
+						sensorStatus: sensorFault ? 'error' : 'normal',
+						sensorFault,
+						dataAgeMs,
+						isStale,
+						lastDataAt,
 						latestReading: null,
 						alarmSettings: (chamber.type || 'chamber') === 'fio' ? null : {
 							alarmLevelHigh: chamber.alarmLevelHigh,
@@ -116,7 +161,7 @@ class PeriodicDataService {
 							hasActiveCalibration: false,
 							lastCalibration: null,
 							calibrationPoints: null,
-							isCalibrationRequired: false,
+							isCalibrationRequired: !!chamber.isCalibrationRequired,
 						},
 					};
 				}
@@ -1,8 +1,7 @@
 const plcService = require('./plcService');
-const { Chamber, O2Reading } = require('../models');
-const calibrationService = require('./calibrationService');
 const logger = require('../utils/logger');
-const externalSocketClient = require('./externalSocketClient');
+const registerMapService = require('./registerMapService');
+const ingestionService = require('./ingestionService');
 
 class PeriodicPLCReader {
 	constructor() {
@@ -12,10 +11,6 @@ class PeriodicPLCReader {
 		this.lastReadAttempt = null;
 		this.successfulReads = 0;
 		this.failedReads = 0;
-		this.chamberSensorMapping = {
-			1: 0, // Chamber 1 (Main) uses sensor index 0
-			2: 1, // Chamber 2 (Entry) uses sensor index 4
-		};
 	}
 
 	/**
@@ -60,15 +55,21 @@ class PeriodicPLCReader {
 	}
 
 	/**
-	 * Read raw values from PLC and update chamber lastRawFromPLC fields
+	 * Read raw values from PLC and hand them to the ingestion pipeline
 	 */
 	async readAndUpdateChambers() {
 		try {
 			this.lastReadAttempt = new Date();
 
-			// Read raw values from PLC
-			const plcResult = await plcService.readRawValues(2); // Read 19 sensor values
-			//console.log("result" , plcResult)
+			// Read just enough of the sensor block to cover every mapped chamber
+			const sensorMapping = registerMapService.getSourceIndexMapping();
+			const readCount = registerMapService.getReadCount();
+			if (readCount === 0) {
+				logger.debug('No chambers mapped to PLC sensor indexes, skipping read');
+				return;
+			}
+
+			const plcResult = await plcService.readRawValues(readCount);
 
 			if (!plcResult.success) {
 				this.failedReads++;
@@ -78,112 +79,18 @@ class PeriodicPLCReader {
 
 			this.successfulReads++;
 			const rawData = plcResult.data;
-
-			// Get all active chambers
-			const chambers = await Chamber.findAll({
-				where: {
-					isActive: true,
-				},
-			});
-
-			// Update each chamber with its corresponding raw value and create reading
-			const updatePromises = chambers.map(async (chamber) => {
-				try {
-					const sensorIndex = this.chamberSensorMapping[chamber.id];
-
-					if (sensorIndex !== undefined && rawData[sensorIndex] !== undefined) {
-						const rawValue = rawData[sensorIndex];
-
-						// Update the chamber's lastRawFromPLC field
-						await chamber.update({
-							lastRawFromPLC: rawValue,
-						});
-
-						// Convert raw value to O2 percentage (basic linear conversion)
-
-
-						// Calibrate the O2 reading
-						const calibratedO2Level = await calibrationService.calibrateReading(
-							chamber.id,
-							rawValue
-						);
-
-						console.log("calibratedO2Level", chamber.id, rawValue, calibratedO2Level)
-
-						// Write calibrated value to PLC (multiplied by 10, e.g., 21.0 -> 210)
-						const plcWriteValue = Math.round(calibratedO2Level * 10);
-						let writeRegister = null;
-
-						if (chamber.id === 1) {
-							// Main chamber -> R02001
-							writeRegister = 'R02001';
-						} else if (chamber.id === 2) {
-							// Antechamber -> R02005
-							writeRegister = 'R02005';
-						}
-
-						if (writeRegister) {
-							plcService.writeData(writeRegister, plcWriteValue)
-								.then(result => {
-									if (result.success) {
-										logger.debug(`Wrote calibrated O2 ${plcWriteValue} to ${writeRegister} for chamber ${chamber.id}`);
-									} else {
-										logger.error(`Failed to write to ${writeRegister}: ${result.error}`);
-									}
-								})
-								.catch(err => {
-									logger.error(`Error writing to PLC ${writeRegister}:`, err);
-								});
-						}
-
-						// Create O2Reading record in database
-						const reading = await O2Reading.create({
-							chamberId: chamber.id,
-							o2Level: calibratedO2Level,
-							temperature: null, // PLC doesn't provide temperature
-							humidity: null, // PLC doesn't provide humidity
-							sensorStatus: 'normal',
-							timestamp: new Date(),
-						});
-
-						logger.debug(
-							`Updated chamber ${chamber.id} (${chamber.name}) - Raw: ${rawValue}, O2: ${calibratedO2Level}%, Reading ID: ${reading.id}`
-						);
-
-						// Broadcast the update via Socket.IO if available
-						const socketHandler = global.socketHandler;
-						if (socketHandler) {
-							// Broadcast raw value update
-							socketHandler.broadcastChamberRawValue(chamber.id, {
-								chamberId: chamber.id,
-								chamberName: chamber.name,
-								lastRawFromPLC: rawValue,
-								sensorIndex: sensorIndex,
-								timestamp: new Date().toISOString(),
-							});
-
-							// Broadcast new reading
-							socketHandler.broadcastNewReading(chamber.id, {
-								...reading.toJSON(),
-								rawO2Level: rawValue,
-								convertedO2Level: calibratedO2Level,
-							});
-						}
-
-						// Emit to external socket server (192.168.77.100:4000)
-						externalSocketClient.emitO2Level(chamber.id, calibratedO2Level, rawValue);
-					} else {
-						logger.debug(
-							`No sensor mapping found for chamber ${chamber.id} or sensor data unavailable`
-						);
-					}
-				} catch (error) {
-					logger.error(`Error updating chamber ${chamber.id}:`, error);
-				}
-			});
-
-			// Wait for all chamber updates to complete
-			await Promise.all(updatePromises);
+			const pressures = await this.readPressures();
+
+			// Calibration, storage, alarms and fan-out happen in the shared pipeline
+			const samples = Object.entries(sensorMapping)
+				.filter(([, sensorIndex]) => rawData[sensorIndex] !== undefined)
+				.map(([chamberId, sensorIndex]) => ({
+					chamberId: parseInt(chamberId),
+					rawValue: rawData[sensorIndex],
+					pressure: pressures[chamberId],
+					meta: { sensorIndex },
+				}));
+			await ingestionService.ingest('plc', samples, rawData);
 
 			// Log periodic status (every 100 successful reads to avoid spam)
 			if (this.successfulReads % 100 === 0) {
@@ -197,6 +104,32 @@ class PeriodicPLCReader {
 		}
 	}
 
+	/**
+	 * Read the chamber pressure registers from the register map
+	 * @returns {Promise<Object>} - { chamberId: absolute kPa }, empty on failure
+	 */
+	async readPressures() {
+		const registers = registerMapService.getPressureRegisters();
+		if (registers.length === 0 || plcService.demo == 1) return {};
+
+		const result = await plcService.readBlocks(
+			registers.map(({ register }) => ({ address: register, count: 1 }))
+		);
+		if (!result.success) {
+			logger.debug(`Failed to read chamber pressures: ${result.error}`);
+			return {};
+		}
+
+		const pressures = {};
+		registers.forEach(({ chamberId }, i) => {
+			pressures[chamberId] = registerMapService.toPressureKPa(
+				chamberId,
+				result.data[i].values[0]
+			);
+		});
+		return pressures;
+	}
+
 	/**
 	 * Get statistics about the periodic reader
 	 */
@@ -215,16 +148,25 @@ class PeriodicPLCReader {
 						100
 					).toFixed(2) + '%'
 					: '0%',
-			chamberSensorMapping: this.chamberSensorMapping,
+			chamberSensorMapping: registerMapService.getSourceIndexMapping(),
 		};
 	}
 
+	// Data source interface (see ingestionService)
+	getStatus() {
+		return this.getStats();
+	}
+
 	/**
-	 * Update the sensor mapping for chambers
+	 * Update the sensor mapping for chambers (persisted in the register map)
+	 * @param {Object} mapping - { chamberId: sourceIndex }
 	 */
-	updateSensorMapping(mapping) {
+	async updateSensorMapping(mapping) {
 		logger.info('Updating chamber sensor mapping:', mapping);
-		this.chamberSensorMapping = { ...this.chamberSensorMapping, ...mapping };
+		for (const [chamberId, sourceIndex] of Object.entries(mapping)) {
+			await registerMapService.update(chamberId, { sourceIndex });
+		}
+		return registerMapService.getSourceIndexMapping();
 	}
 
 	/**
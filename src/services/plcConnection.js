@@ -0,0 +1,353 @@
+const net = require('net');
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+const STX = 0x02;
+const ETX = 0x03;
+
+/**
+ * Cut the first STX..ETX frame out of a receive buffer
+ * @param {Buffer} buffer - Accumulated bytes
+ * @returns {Object} - { frame (or null), discarded, remaining }
+ */
+const extractFatekFrame = (buffer) => {
+	const start = buffer.indexOf(STX);
+	if (start === -1) {
+		return { frame: null, discarded: buffer.length, remaining: Buffer.alloc(0) };
+	}
+
+	const end = buffer.indexOf(ETX, start + 1);
+	if (end === -1) {
+		return { frame: null, discarded: start, remaining: buffer.slice(start) };
+	}
+
+	return {
+		frame: buffer.slice(start, end + 1),
+		discarded: start,
+		remaining: buffer.slice(end + 1),
+	};
+};
+
+/**
+ * Long-lived TCP link to the PLC.
+ *
+ * Keeps a single socket open, reassembles reply frames that arrive split
+ * across TCP chunks and reconnects with exponential backoff when the link
+ * drops. Emits 'stateChange' whenever the connection state changes.
+ *
+ * Framing defaults to Fatek STX..ETX; pass `extractFrame` (same contract as
+ * extractFatekFrame), `formatFrame` and `label` to reuse the link for other
+ * protocols.
+ *
+ * States: disconnected -> connecting -> connected -> reconnecting -> ...
+ */
+class PLCConnection extends EventEmitter {
+	constructor(options = {}) {
+		super();
+		this.host = options.host;
+		this.port = options.port;
+		this.connectTimeout = options.connectTimeout || 3000;
+		this.keepAliveDelay = options.keepAliveDelay || 10000;
+		this.minBackoff = options.minBackoff || 500;
+		this.maxBackoff = options.maxBackoff || 30000;
+		this.maxFrameSize = options.maxFrameSize || 4096;
+		this.label = options.label || 'PLC';
+		this.extractFrame = options.extractFrame || extractFatekFrame;
+		this.formatFrame = options.formatFrame || ((frame) => frame.toString());
+
+		this.socket = null;
+		this.state = 'disconnected';
+		this.enabled = false;
+		this.reconnectAttempts = 0;
+		this.reconnectTimer = null;
+		this.connectTimer = null;
+		this.receiveBuffer = Buffer.alloc(0);
+		this.pendingRequest = null;
+		this.lastError = null;
+		this.connectedAt = null;
+		this.stats = {
+			connects: 0,
+			disconnects: 0,
+			framesSent: 0,
+			framesReceived: 0,
+			strayFrames: 0,
+			discardedBytes: 0,
+		};
+	}
+
+	setState(state, error = null) {
+		if (error) {
+			this.lastError = error.message || String(error);
+		}
+		if (state === this.state) return;
+
+		const previousState = this.state;
+		this.state = state;
+		logger.info(`${this.label} connection ${previousState} -> ${state}`);
+
+		this.emit('stateChange', {
+			state,
+			previousState,
+			host: this.host,
+			port: this.port,
+			reconnectAttempts: this.reconnectAttempts,
+			lastError: this.lastError,
+			timestamp: new Date().toISOString(),
+		});
+	}
+
+	/**
+	 * Open the link and keep it open until stop() is called
+	 */
+	start() {
+		if (this.enabled) return;
+		this.enabled = true;
+		this.connect();
+	}
+
+	/**
+	 * Close the link and stop reconnecting
+	 */
+	stop() {
+		this.enabled = false;
+		clearTimeout(this.reconnectTimer);
+		this.reconnectTimer = null;
+		this.teardown(new Error(`${this.label} connection closed`));
+		this.setState('disconnected');
+	}
+
+	connect() {
+		if (!this.enabled || this.socket) return;
+
+		this.setState(this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
+
+		const socket = new net.Socket();
+		this.socket = socket;
+		this.receiveBuffer = Buffer.alloc(0);
+
+		this.connectTimer = setTimeout(() => {
+			logger.warn(
+				`${this.label} connection to ${this.host}:${this.port} timed out after ${this.connectTimeout}ms`
+			);
+			this.handleDisconnect(socket, new Error('Connection timeout'));
+		}, this.connectTimeout);
+
+		socket.on('connect', () => {
+			clearTimeout(this.connectTimer);
+			socket.setKeepAlive(true, this.keepAliveDelay);
+			socket.setNoDelay(true);
+			this.reconnectAttempts = 0;
+			this.connectedAt = new Date();
+			this.stats.connects++;
+			logger.info(`${this.label} connected to ${this.host}:${this.port}`);
+			this.setState('connected');
+		});
+
+		socket.on('data', (chunk) => this.handleData(chunk));
+
+		socket.on('error', (err) => {
+			logger.error(`${this.label} connection error:`, err);
+			this.handleDisconnect(socket, err);
+		});
+
+		socket.on('close', () => {
+			this.handleDisconnect(
+				socket,
+				new Error(`Connection closed by ${this.label}`)
+			);
+		});
+
+		socket.connect(this.port, this.host);
+	}
+
+	teardown(error) {
+		clearTimeout(this.connectTimer);
+
+		if (this.socket) {
+			this.socket.removeAllListeners();
+			this.socket.on('error', () => {});
+			this.socket.destroy();
+			this.socket = null;
+		}
+
+		this.receiveBuffer = Buffer.alloc(0);
+		this.connectedAt = null;
+
+		if (this.pendingRequest) {
+			this.pendingRequest.reject(error);
+			this.pendingRequest = null;
+		}
+	}
+
+	handleDisconnect(socket, error) {
+		// Ignore late events from a socket that has already been replaced
+		if (socket !== this.socket) return;
+
+		if (this.state === 'connected') {
+			this.stats.disconnects++;
+		}
+		this.teardown(error);
+
+		if (!this.enabled) {
+			this.setState('disconnected', error);
+			return;
+		}
+
+		this.reconnectAttempts++;
+		const delay = Math.min(
+			this.maxBackoff,
+			this.minBackoff * Math.pow(2, this.reconnectAttempts - 1)
+		);
+		this.setState('reconnecting', error);
+		logger.warn(
+			`${this.label} link lost (${error.message}), reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`
+		);
+
+		clearTimeout(this.reconnectTimer);
+		this.reconnectTimer = setTimeout(() => {
+			this.reconnectTimer = null;
+			this.connect();
+		}, delay);
+	}
+
+	/**
+	 * Accumulate TCP chunks and hand out complete frames
+	 */
+	handleData(chunk) {
+		this.receiveBuffer = Buffer.concat([this.receiveBuffer, chunk]);
+
+		for (;;) {
+			const { frame, discarded, remaining } = this.extractFrame(
+				this.receiveBuffer
+			);
+			this.stats.discardedBytes += discarded;
+			this.receiveBuffer = remaining;
+
+			if (!frame) {
+				if (this.receiveBuffer.length > this.maxFrameSize) {
+					logger.warn(
+						`${this.label} receive buffer overflow, discarding partial frame`
+					);
+					this.stats.discardedBytes += this.receiveBuffer.length;
+					this.receiveBuffer = Buffer.alloc(0);
+				}
+				return;
+			}
+
+			this.stats.framesReceived++;
+			logger.debug(
+				`Received ${this.label} frame: ${this.formatFrame(frame)}, size: ${frame.length}`
+			);
+
+			if (this.pendingRequest) {
+				const request = this.pendingRequest;
+				this.pendingRequest = null;
+				request.resolve(frame);
+			} else {
+				this.stats.strayFrames++;
+				logger.warn(`Discarding unsolicited ${this.label} frame`);
+			}
+		}
+	}
+
+	/**
+	 * Resolve once the link is up, starting it on first use
+	 * @param {AbortSignal} signal - Aborts the wait
+	 */
+	waitForConnection(signal) {
+		if (this.state === 'connected') {
+			return Promise.resolve();
+		}
+		this.start();
+
+		return new Promise((resolve, reject) => {
+			const cleanup = () => {
+				this.removeListener('stateChange', onState);
+				if (signal) signal.removeEventListener('abort', onAbort);
+			};
+			const onState = ({ state }) => {
+				if (state === 'connected') {
+					cleanup();
+					resolve();
+				}
+			};
+			const onAbort = () => {
+				cleanup();
+				reject(
+					new Error(`${this.label} not connected: ${this.lastError || this.state}`)
+				);
+			};
+
+			if (signal) {
+				if (signal.aborted) return onAbort();
+				signal.addEventListener('abort', onAbort);
+			}
+			this.on('stateChange', onState);
+		});
+	}
+
+	/**
+	 * Send one frame and wait for the next complete reply frame.
+	 * Callers must serialize requests (see PLCTransactionQueue).
+	 * @param {Buffer} frame - Complete request frame
+	 * @param {AbortSignal} signal - Aborts the request
+	 * @returns {Promise<Buffer>} - Reply frame
+	 */
+	async request(frame, signal) {
+		await this.waitForConnection(signal);
+
+		if (this.pendingRequest) {
+			throw new Error(`${this.label} request already in flight`);
+		}
+
+		const socket = this.socket;
+
+		return new Promise((resolve, reject) => {
+			const onAbort = () => {
+				if (this.pendingRequest !== entry) return;
+				this.pendingRequest = null;
+				reject(new Error(`${this.label} exchange aborted`));
+				// A late reply would be mistaken for the next request's answer,
+				// so drop the link and resynchronise on a fresh socket.
+				this.handleDisconnect(socket, new Error('Reply timeout, resynchronising'));
+			};
+
+			const entry = {
+				resolve: (data) => {
+					if (signal) signal.removeEventListener('abort', onAbort);
+					resolve(data);
+				},
+				reject: (error) => {
+					if (signal) signal.removeEventListener('abort', onAbort);
+					reject(error);
+				},
+			};
+
+			if (signal) {
+				if (signal.aborted) {
+					return reject(new Error(`${this.label} exchange aborted`));
+				}
+				signal.addEventListener('abort', onAbort);
+			}
+
+			this.pendingRequest = entry;
+			this.stats.framesSent++;
+			socket.write(frame);
+		});
+	}
+
+	getStatus() {
+		return {
+			state: this.state,
+			host: this.host,
+			port: this.port,
+			connectedAt: this.connectedAt,
+			reconnectAttempts: this.reconnectAttempts,
+			lastError: this.lastError,
+			...this.stats,
+		};
+	}
+}
+
+module.exports = PLCConnection;
+module.exports.extractFatekFrame = extractFatekFrame;
@@ -1,121 +1,173 @@
-const net = require('net');
 const logger = require('../utils/logger');
+const fatek = require('../utils/fatekProtocol');
+const { sensorStartRegister } = require('../config/plc');
+const PLCConnection = require('./plcConnection');
+const { PLCTransactionQueue, PRIORITY } = require('./plcTransactionQueue');
+
+// HTTP status for transport-level failures that are not PLC error codes
+const TRANSPORT_ERROR_STATUS = {
+	TIMEOUT: 504,
+	QUEUE_FULL: 503,
+	CANCELLED: 409,
+};
 
 class PLCService {
 	constructor() {
-		this.isWorking = false;
 		this.isConnectedPLC = 0; // 0: disconnected, 1: connected, 2: error
-		this.sensorData = [];
-		this.connectionTimeout = 250;
 		this.demo = process.env.DEMO_MODE || 0;
 
+		// Every frame goes through this queue, one at a time
+		this.queue = new PLCTransactionQueue({
+			maxDepth: parseInt(process.env.PLC_QUEUE_MAX_DEPTH) || 100,
+		});
+		this.transactionTimeouts = {
+			alarm: parseInt(process.env.PLC_ALARM_TIMEOUT) || 3000,
+			write: parseInt(process.env.PLC_WRITE_TIMEOUT) || 2000,
+			read: parseInt(process.env.PLC_READ_TIMEOUT) || 1000,
+		};
+
 		// PLC configuration from environment variables
 		this.plcIP = process.env.PLC_IP || '192.168.1.3';
 		this.plcPort = process.env.PLC_PORT || 500;
+		this.station = parseInt(process.env.PLC_STATION) || 1;
+
+		// Single long-lived socket, opened on first use
+		this.connection = new PLCConnection({
+			host: this.plcIP,
+			port: this.plcPort,
+			connectTimeout: parseInt(process.env.PLC_CONNECT_TIMEOUT) || 3000,
+			keepAliveDelay: parseInt(process.env.PLC_KEEPALIVE_DELAY) || 10000,
+			minBackoff: parseInt(process.env.PLC_RECONNECT_MIN_DELAY) || 500,
+			maxBackoff: parseInt(process.env.PLC_RECONNECT_MAX_DELAY) || 30000,
+		});
+		this.connection.on('stateChange', (change) =>
+			this.handleConnectionStateChange(change)
+		);
 	}
 
 	/**
-	 * Calculate LRC (Longitudinal Redundancy Check) for the buffer
-	 * @param {Buffer} buf - Buffer to calculate LRC for
-	 * @returns {string} - LRC as hex string
+	 * Send a single frame over the persistent PLC link and wait for the reply.
+	 * Must only be called from inside a queued transaction.
+	 * @param {Buffer} frame - Complete frame including LRC and ETX
+	 * @param {AbortSignal} signal - Aborts the exchange when the transaction is cancelled
+	 * @returns {Promise<Buffer>} - Raw reply frame
 	 */
-	calculateLRC(buf) {
-		let lrc = 0;
-		for (let i = 0; i < buf.length; i++) {
-			lrc += buf[i];
+	async exchangeFrame(frame, signal) {
+		return this.connection.request(frame, signal);
+	}
+
+	/**
+	 * Track link state and broadcast transitions to the global room
+	 * @param {Object} change - stateChange payload from PLCConnection
+	 */
+	handleConnectionStateChange(change) {
+		if (change.state === 'connected') {
+			this.isConnectedPLC = 1;
+		} else if (change.state === 'reconnecting') {
+			this.isConnectedPLC = 2;
+		} else {
+			this.isConnectedPLC = 0;
+		}
+
+		const socketHandler = global.socketHandler;
+		if (socketHandler) {
+			socketHandler.broadcastPLCConnectionState({
+				...change,
+				isConnectedPLC: this.isConnectedPLC,
+			});
 		}
-		return (lrc & 0xff).toString(16);
 	}
 
 	/**
-	 * Open connection to PLC
-	 * @returns {Promise<net.Socket>} - Connected socket
+	 * Close the persistent PLC link and cancel queued transactions
 	 */
-	async openClientConnection() {
-		return new Promise((resolve, reject) => {
-			try {
-				//console.log("openClientConnection");
-				const client = new net.Socket();
-
-				client.connect(this.plcPort, this.plcIP);
-
-				client.setTimeout(this.connectionTimeout, () => {
-					this.isConnectedPLC = 2;
-					client.end();
-					reject(new Error('Connection timeout'));
-				});
-
-				client.on('ready', () => {
-					this.isConnectedPLC = 1;
-					logger.info(`PLC connected to ${this.plcIP}:${this.plcPort}`);
-					resolve(client);
-				});
-
-				client.on('error', (err) => {
-					this.isConnectedPLC = 2;
-					logger.error('PLC connection error:', err);
-					reject(new Error('Connection error'));
-				});
-
-				client.on('data', (data) => {
-					try {
-						client.destroy();
-
-						logger.debug(
-							`Received PLC data: ${data}, size: ${client.bytesRead}`
-						);
-
-						const test = Buffer.from(data.slice(0, 4), 'hex');
-						if (
-							Buffer.compare(test, Buffer.from([0x02, 0x30, 0x31, 0x34])) === 0
-						) {
-							const buff = Buffer.from(data.slice(6, data.length - 3), 'hex');
-							const size = buff.length / 4;
-
-							// Clear previous data
-							this.sensorData = [];
-
-							// Parse sensor data
-							for (let index = 0; index < size; index++) {
-								this.sensorData[index] = parseInt(
-									buff.slice(index * 4, index * 4 + 4).toString(),
-									16
-								);
-							}
-
-							console.log(this.sensorData)
-
-							logger.debug('Parsed sensor data:', this.sensorData);
-						}
-					} catch (error) {
-						logger.error('Error parsing PLC data:', error);
-					}
-				});
-			} catch (err) {
-				logger.error('Error creating PLC connection:', err);
-				reject(err);
+	disconnect() {
+		this.queue.cancelAll('PLC service shutting down');
+		this.connection.stop();
+	}
+
+	/**
+	 * Run a codec request as a queued transaction and decode the reply.
+	 * The reply LRC, station, command echo and error field are all verified.
+	 * @param {Object} request - Built by a fatekProtocol request builder
+	 * @param {Object} options - { priority, timeout, label, dedupeKey }
+	 * @returns {Promise<*>} - Parsed reply data
+	 */
+	async execute(request, options = {}) {
+		if (this.demo == 1) {
+			throw new Error('Generic PLC access is not available in demo mode');
+		}
+
+		const priority =
+			options.priority !== undefined ? options.priority : PRIORITY.READ;
+		const defaultTimeout =
+			priority === PRIORITY.ALARM
+				? this.transactionTimeouts.alarm
+				: priority === PRIORITY.WRITE
+				? this.transactionTimeouts.write
+				: this.transactionTimeouts.read;
+
+		const transaction = this.queue.enqueue(
+			async ({ signal }) => this.exchangeFrame(request.frame, signal),
+			{
+				priority,
+				timeout: options.timeout || defaultTimeout,
+				label: options.label || `command ${request.command}`,
+				dedupeKey: options.dedupeKey,
 			}
+		);
+
+		const reply = await transaction.promise;
+		const decoded = fatek.decodeFrame(reply, {
+			station: this.station,
+			command: request.command,
 		});
+
+		return {
+			transactionId: transaction.id,
+			data: request.parse(decoded.data),
+		};
 	}
 
 	/**
-	 * Read raw values from PLC register R02000
+	 * Build a failure result, carrying typed protocol error details
+	 * @param {Error} error - Thrown error
+	 * @param {Object} extra - Additional fields for the result
+	 * @returns {Object} - Failure result
+	 */
+	failureResult(error, extra = {}) {
+		return {
+			success: false,
+			isConnectedPLC: this.isConnectedPLC,
+			...extra,
+			error: error.message,
+			errorCode: error.code || 'PLC_ERROR',
+			plcErrorCode: error.plcErrorCode,
+			statusCode:
+				error.statusCode || TRANSPORT_ERROR_STATUS[error.code] || 500,
+			timestamp: new Date().toISOString(),
+		};
+	}
+
+	/**
+	 * Read raw sensor values from the sensor block (R02100 unless
+	 * PLC_SENSOR_START_REGISTER says otherwise)
 	 * @param {number} numValues - Number of values to read (default: 19)
+	 * @param {Object} options - { priority, timeout }
 	 * @returns {Promise<Array>} - Array of raw sensor values
 	 */
-	async readRawValues(numValues = 19) {
+	async readRawValues(numValues = 19, options = {}) {
 		try {
 			if (this.demo == 1) {
-				// Return demo data if in demo mode
-				const { Chance } = require('chance');
-				const chance = new Chance();
+				// Return demo data if in demo mode. For realistic framing, ramps
+				// and faults run scripts/plcSimulator.js instead.
 				const demoData = [];
 
 				for (let i = 0; i < numValues; i++) {
 					if (i === 10) {
 						demoData.push(0); // One zero value as in original
 					} else {
-						demoData.push(chance.integer({ min: 2500, max: 16383 }));
+						demoData.push(2500 + Math.floor(Math.random() * (16383 - 2500 + 1)));
 					}
 				}
 
@@ -128,76 +180,219 @@ class PLCService {
 				};
 			}
 
-			if (this.isWorking) {
-				throw new Error('PLC operation already in progress');
-			}
+			// Identical polling reads waiting in the queue share one transaction
+			const result = await this.execute(
+				fatek.readRegisters(this.station, sensorStartRegister, numValues),
+				{
+					priority: options.priority,
+					timeout: options.timeout,
+					label: `read ${sensorStartRegister}`,
+					dedupeKey: `read:${sensorStartRegister}:${numValues}`,
+				}
+			);
+			logger.debug('Parsed sensor data:', result.data);
+
+			return {
+				success: true,
+				isConnectedPLC: this.isConnectedPLC,
+				data: result.data,
+				transactionId: result.transactionId,
+				timestamp: new Date().toISOString(),
+			};
+		} catch (error) {
+			logger.error('Error reading raw values from PLC:', error);
+			return this.failureResult(error);
+		}
+	}
 
-			console.log("working readRawValues")
-			this.isWorking = true;
-			const client = await this.openClientConnection();
-
-			// Build read command for R02000 register
-			const buf1 = Buffer.from(
-				[
-					0x02,
-					'0'.charCodeAt(),
-					'1'.charCodeAt(),
-					'4'.charCodeAt(),
-					'6'.charCodeAt(),
-					'0'.charCodeAt(),
-					'2'.charCodeAt(),
-				],
-				'ascii'
+	/**
+	 * Read continuous registers (R/D)
+	 * @param {string} address - Start address (e.g., 'R02100')
+	 * @param {number} count - Number of registers (1-64)
+	 * @param {Object} options - { priority, timeout }
+	 * @returns {Promise<Object>} - Register values
+	 */
+	async readRegisters(address, count = 1, options = {}) {
+		try {
+			const result = await this.execute(
+				fatek.readRegisters(this.station, address, count),
+				{ ...options, label: `read ${address}` }
 			);
+			return {
+				success: true,
+				isConnectedPLC: this.isConnectedPLC,
+				address: fatek.parseAddress(address).address,
+				data: result.data,
+				transactionId: result.transactionId,
+				timestamp: new Date().toISOString(),
+			};
+		} catch (error) {
+			logger.error(`Error reading PLC registers at ${address}:`, error);
+			return this.failureResult(error, { address });
+		}
+	}
 
-			// Register address R02000
-			const buf2 = Buffer.from('R02100');
-			const bufA = Buffer.concat([buf1, buf2], buf1.length + buf2.length);
-
-			// Calculate and append LRC
-			const LRC = this.calculateLRC(bufA);
-			const bufB = Buffer.concat([
-				bufA,
-				Buffer.from([LRC[0].charCodeAt(), LRC[1].charCodeAt(), 0x03]),
-			]);
-
-			// Send read command
-			await client.write(bufB);
-
-			// Wait for response and return data
-			return new Promise((resolve, reject) => {
-				const timeout = setTimeout(() => {
-					this.isWorking = false;
-					reject(new Error('Read operation timeout'));
-				}, 1000);
-
-				// Data will be parsed in the 'data' event handler
-				const checkData = setInterval(() => {
-					if (this.sensorData.length > 0) {
-						clearTimeout(timeout);
-						clearInterval(checkData);
-						this.isWorking = false;
-
-						resolve({
-							success: true,
-							isConnectedPLC: this.isConnectedPLC,
-							data: this.sensorData.slice(0, numValues),
-							timestamp: new Date().toISOString(),
-						});
-					}
-				}, 50);
+	/**
+	 * Write continuous registers (R/D)
+	 * @param {string} address - Start address
+	 * @param {Array<number>} values - 16-bit values
+	 * @param {Object} options - { priority, timeout }
+	 * @returns {Promise<Object>} - Result of write operation
+	 */
+	async writeRegisters(address, values, options = {}) {
+		try {
+			const result = await this.execute(
+				fatek.writeRegisters(this.station, address, values),
+				{
+					priority: PRIORITY.WRITE,
+					...options,
+					label: `write ${address}`,
+				}
+			);
+			logger.info(`Wrote [${values.join(', ')}] to PLC registers at ${address}`);
+			return {
+				success: true,
+				address: fatek.parseAddress(address).address,
+				values,
+				transactionId: result.transactionId,
+				timestamp: new Date().toISOString(),
+			};
+		} catch (error) {
+			logger.error(`Error writing PLC registers at ${address}:`, error);
+			return this.failureResult(error, { address, values });
+		}
+	}
+
+	/**
+	 * Read continuous discretes (X/Y/M/S/T/C)
+	 * @param {string} address - Start address (e.g., 'M0407')
+	 * @param {number} count - Number of bits
+	 * @param {Object} options - { priority, timeout }
+	 * @returns {Promise<Object>} - Bit values (0/1)
+	 */
+	async readBits(address, count = 1, options = {}) {
+		try {
+			const result = await this.execute(
+				fatek.readDiscretes(this.station, address, count),
+				{ ...options, label: `read ${address}` }
+			);
+			return {
+				success: true,
+				isConnectedPLC: this.isConnectedPLC,
+				address: fatek.parseAddress(address).address,
+				data: result.data,
+				transactionId: result.transactionId,
+				timestamp: new Date().toISOString(),
+			};
+		} catch (error) {
+			logger.error(`Error reading PLC bits at ${address}:`, error);
+			return this.failureResult(error, { address });
+		}
+	}
+
+	/**
+	 * Write continuous discretes
+	 * @param {string} address - Start address
+	 * @param {Array<number|boolean>} values - Bit values
+	 * @param {Object} options - { priority, timeout }
+	 * @returns {Promise<Object>} - Result of write operation
+	 */
+	async writeBits(address, values, options = {}) {
+		try {
+			const result = await this.execute(
+				fatek.writeDiscretes(this.station, address, values),
+				{
+					priority: PRIORITY.WRITE,
+					...options,
+					label: `write ${address}`,
+				}
+			);
+			logger.info(`Wrote bits [${values.join(', ')}] to PLC at ${address}`);
+			return {
+				success: true,
+				address: fatek.parseAddress(address).address,
+				values: values.map((v) => (v ? 1 : 0)),
+				transactionId: result.transactionId,
+				timestamp: new Date().toISOString(),
+			};
+		} catch (error) {
+			logger.error(`Error writing PLC bits at ${address}:`, error);
+			return this.failureResult(error, { address, values });
+		}
+	}
+
+	/**
+	 * Read several register/discrete blocks in as few frames as possible
+	 * @param {Array<Object>} blocks - [{ address, count }]
+	 * @param {Object} options - { priority, timeout }
+	 * @returns {Promise<Object>} - [{ address, values }]
+	 */
+	async readBlocks(blocks, options = {}) {
+		try {
+			// Expand blocks into individual addresses for the mixed-read command
+			const addresses = [];
+			blocks.forEach((block) => {
+				const start = fatek.parseAddress(block.address);
+				for (let i = 0; i < (block.count || 1); i++) {
+					addresses.push(fatek.offsetAddress(start, i).address);
+				}
+			});
+
+			const values = [];
+			for (
+				let i = 0;
+				i < addresses.length;
+				i += fatek.MAX_REGISTERS_PER_FRAME
+			) {
+				const chunk = addresses.slice(i, i + fatek.MAX_REGISTERS_PER_FRAME);
+				const result = await this.execute(
+					fatek.mixedRead(this.station, chunk),
+					{ ...options, label: `mixed read ${chunk.length} points` }
+				);
+				values.push(...result.data);
+			}
+
+			let pos = 0;
+			const data = blocks.map((block) => {
+				const count = block.count || 1;
+				const blockValues = values.slice(pos, pos + count);
+				pos += count;
+				return {
+					address: fatek.parseAddress(block.address).address,
+					values: blockValues,
+				};
 			});
+
+			return {
+				success: true,
+				isConnectedPLC: this.isConnectedPLC,
+				data,
+				timestamp: new Date().toISOString(),
+			};
 		} catch (error) {
-			this.isWorking = false;
-			this.isConnectedPLC = 0;
-			logger.error('Error reading raw values from PLC:', error);
+			logger.error('Error reading PLC blocks:', error);
+			return this.failureResult(error, { blocks });
+		}
+	}
 
+	/**
+	 * Read PLC run state and status flags (command 40)
+	 * @returns {Promise<Object>} - System status
+	 */
+	async readSystemStatus() {
+		try {
+			const result = await this.execute(fatek.readSystemStatus(this.station), {
+				label: 'system status',
+			});
 			return {
-				success: false,
+				success: true,
 				isConnectedPLC: this.isConnectedPLC,
-				error: error.message,
+				data: result.data,
 				timestamp: new Date().toISOString(),
 			};
+		} catch (error) {
+			logger.error('Error reading PLC system status:', error);
+			return this.failureResult(error);
 		}
 	}
 
@@ -208,7 +403,6 @@ class PLCService {
 	 */
 	async readSensorValue(sensorIndex) {
 		try {
-			//console.log("read value")
 			const result = await this.readRawValues();
 
 			if (!result.success) {
@@ -250,7 +444,9 @@ class PLCService {
 		return {
 			isConnected: this.isConnectedPLC === 1,
 			connectionState: this.isConnectedPLC, // 0: disconnected, 1: connected, 2: error
-			isWorking: this.isWorking,
+			isWorking: this.queue.isBusy(),
+			queue: this.queue.getStats(),
+			connection: this.connection.getStatus(),
 			plcIP: this.plcIP,
 			plcPort: this.plcPort,
 			demoMode: this.demo == 1,
@@ -259,97 +455,92 @@ class PLCService {
 	}
 
 	/**
-	 * Convert decimal to 4-character hex string
-	 * @param {number} d - Decimal number
-	 * @returns {string} - 4-character hex string
+	 * Write data to PLC register
+	 * @param {string} registerAddress - Register address (e.g., 'R02001')
+	 * @param {number} value - Value to write
+	 * @param {Object} options - { priority, timeout }
+	 * @returns {Promise<Object>} - Result of write operation
 	 */
-	d2h(d) {
-		return ('0000' + (+d).toString(16)).slice(-4);
+	async writeData(registerAddress, value, options = {}) {
+		if (this.demo == 1) {
+			logger.info(`Demo mode: Would write ${value} to ${registerAddress}`);
+			return {
+				success: true,
+				registerAddress,
+				value,
+				timestamp: new Date().toISOString(),
+			};
+		}
+
+		const result = await this.writeRegisters(
+			registerAddress,
+			[parseInt(value)],
+			options
+		);
+		const { address, values, ...rest } = result;
+		return { ...rest, registerAddress, value };
 	}
 
 	/**
-	 * Write data to PLC register
-	 * @param {string} registerAddress - Register address (e.g., 'R02001')
-	 * @param {number} value - Value to write
+	 * Set or reset a discrete bit (M/X/Y) on the PLC. Alarm bits jump ahead
+	 * of value writes and polling reads in the transaction queue.
+	 * @param {string} bitAddress - Discrete address (e.g., 'M0407' or 'M00407')
+	 * @param {number|boolean} value - 1/true to set, 0/false to reset
 	 * @returns {Promise<Object>} - Result of write operation
 	 */
-	async writeData(registerAddress, value) {
+	async writeBit(bitAddress, value) {
 		try {
+			const address = fatek.parseAddress(bitAddress).address;
+
 			if (this.demo == 1) {
-				logger.info(`Demo mode: Would write ${value} to ${registerAddress}`);
+				logger.info(`Demo mode: Would write bit ${value ? 1 : 0} to ${address}`);
 				return {
 					success: true,
-					registerAddress,
-					value,
+					bitAddress: address,
+					value: value ? 1 : 0,
 					timestamp: new Date().toISOString(),
 				};
 			}
 
-			// Wait if another operation is in progress
-			while (this.isWorking) {
-				await new Promise(resolve => setTimeout(resolve, 50));
-			}
-
-			this.isWorking = true;
-
-			const buf1 = Buffer.from(
-				[
-					0x02,
-					'0'.charCodeAt(),
-					'1'.charCodeAt(),
-					'4'.charCodeAt(),
-					'7'.charCodeAt(),
-					'0'.charCodeAt(),
-					'1'.charCodeAt(),
-				],
-				'ascii'
+			const result = await this.execute(
+				fatek.controlDiscrete(
+					this.station,
+					address,
+					value ? fatek.DISCRETE_ACTIONS.SET : fatek.DISCRETE_ACTIONS.RESET
+				),
+				{ priority: PRIORITY.ALARM, label: `bit ${address}` }
 			);
 
-			const buf2 = Buffer.from(registerAddress, 'ascii');
-			const buf3 = Buffer.from(this.d2h(parseInt(value)).toUpperCase(), 'ascii');
-
-			const bufA = Buffer.concat(
-				[buf1, buf2, buf3],
-				buf1.length + buf2.length + buf3.length
-			);
-
-			const LRC = this.calculateLRC(bufA);
-			const bufB = Buffer.concat([
-				bufA,
-				Buffer.from([LRC[0].charCodeAt(), LRC[1].charCodeAt(), 0x03]),
-			]);
-
-			logger.debug('Write data buffer:', bufB);
-
-			// Open connection and send data
-			const client = await this.openClientConnection();
-			await client.write(bufB);
-
-			// Wait a bit for the write to complete
-			await new Promise(resolve => setTimeout(resolve, 100));
-			client.destroy();
-
-			this.isWorking = false;
-
-			logger.info(`Wrote ${value} to PLC register ${registerAddress}`);
+			logger.info(`Wrote bit ${value ? 1 : 0} to PLC ${address}`);
 			return {
 				success: true,
-				registerAddress,
-				value,
+				bitAddress: address,
+				value: value ? 1 : 0,
+				transactionId: result.transactionId,
 				timestamp: new Date().toISOString(),
 			};
 		} catch (error) {
-			this.isWorking = false;
-			logger.error(`Error writing to PLC register ${registerAddress}:`, error);
-			return {
-				success: false,
-				registerAddress,
-				value,
-				error: error.message,
-				timestamp: new Date().toISOString(),
-			};
+			logger.error(`Error writing PLC bit ${bitAddress}:`, error);
+			return this.failureResult(error, { bitAddress, value: value ? 1 : 0 });
 		}
 	}
+
+	/**
+	 * List pending and running PLC transactions
+	 * @returns {Array} - Transaction descriptions
+	 */
+	getPendingTransactions() {
+		return this.queue.getPending();
+	}
+
+	/**
+	 * Cancel a queued or running PLC transaction
+	 * @param {number} transactionId - Transaction ID
+	 * @returns {boolean} - True if the transaction was cancelled
+	 */
+	cancelTransaction(transactionId) {
+		return this.queue.cancel(transactionId, 'Cancelled by operator');
+	}
 }
 
 module.exports = new PLCService();
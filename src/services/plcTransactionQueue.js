@@ -0,0 +1,259 @@
+const logger = require('../utils/logger');
+
+// Lower number = served first
+const PRIORITY = {
+	ALARM: 0,
+	WRITE: 1,
+	READ: 2,
+};
+
+const PRIORITY_NAMES = {
+	[PRIORITY.ALARM]: 'alarm',
+	[PRIORITY.WRITE]: 'write',
+	[PRIORITY.READ]: 'read',
+};
+
+class PLCTransactionQueue {
+	constructor(options = {}) {
+		this.defaultTimeout = options.defaultTimeout || 2000;
+		this.maxDepth = options.maxDepth || 100;
+		this.pending = [];
+		this.active = null;
+		this.nextId = 1;
+		this.stats = {
+			enqueued: 0,
+			completed: 0,
+			failed: 0,
+			timedOut: 0,
+			cancelled: 0,
+			rejectedFull: 0,
+			maxObservedDepth: 0,
+			lastDurationMs: null,
+		};
+	}
+
+	/**
+	 * Queue a PLC transaction. Transactions run strictly one at a time, so no
+	 * two frames are ever in flight on the PLC link simultaneously.
+	 * @param {Function} handler - async ({ signal, id }) => result
+	 * @param {Object} options - { priority, timeout, label, dedupeKey }
+	 * @returns {Object} - { id, promise, cancel }
+	 */
+	enqueue(handler, options = {}) {
+		const priority =
+			options.priority !== undefined ? options.priority : PRIORITY.READ;
+		const timeout = options.timeout || this.defaultTimeout;
+
+		// Coalesce identical requests (e.g. polling reads) that are still waiting
+		if (options.dedupeKey) {
+			const existing = this.pending.find(
+				(tx) => tx.dedupeKey === options.dedupeKey
+			);
+			if (existing) {
+				return this.toHandle(existing);
+			}
+		}
+
+		if (this.pending.length >= this.maxDepth) {
+			this.stats.rejectedFull++;
+			const error = new Error('PLC transaction queue is full');
+			error.code = 'QUEUE_FULL';
+			return {
+				id: null,
+				promise: Promise.reject(error),
+				cancel: () => false,
+			};
+		}
+
+		const tx = {
+			id: this.nextId++,
+			priority,
+			label: options.label || PRIORITY_NAMES[priority] || 'transaction',
+			dedupeKey: options.dedupeKey || null,
+			handler,
+			timeout,
+			enqueuedAt: Date.now(),
+			startedAt: null,
+			controller: new AbortController(),
+			settled: false,
+		};
+
+		tx.promise = new Promise((resolve, reject) => {
+			tx.resolve = resolve;
+			tx.reject = reject;
+		});
+
+		// The timeout covers waiting in the queue as well as execution
+		tx.timer = setTimeout(() => {
+			this.stats.timedOut++;
+			const error = new Error(
+				`PLC transaction ${tx.id} (${tx.label}) timed out after ${timeout}ms`
+			);
+			error.code = 'TIMEOUT';
+			this.abort(tx, error);
+		}, timeout);
+
+		// Insert after every transaction of equal or higher priority (FIFO per level)
+		const index = this.pending.findIndex((p) => p.priority > priority);
+		if (index === -1) {
+			this.pending.push(tx);
+		} else {
+			this.pending.splice(index, 0, tx);
+		}
+
+		this.stats.enqueued++;
+		this.stats.maxObservedDepth = Math.max(
+			this.stats.maxObservedDepth,
+			this.pending.length
+		);
+
+		this.processNext();
+		return this.toHandle(tx);
+	}
+
+	toHandle(tx) {
+		return {
+			id: tx.id,
+			promise: tx.promise,
+			cancel: (reason) => this.cancel(tx.id, reason),
+		};
+	}
+
+	/**
+	 * Cancel a pending or running transaction
+	 * @param {number} id - Transaction ID
+	 * @param {string} reason - Cancellation reason
+	 * @returns {boolean} - True if a transaction was cancelled
+	 */
+	cancel(id, reason = 'Cancelled') {
+		const tx =
+			this.active && this.active.id === id
+				? this.active
+				: this.pending.find((p) => p.id === id);
+
+		if (!tx || tx.settled) {
+			return false;
+		}
+
+		this.stats.cancelled++;
+		const error = new Error(reason);
+		error.code = 'CANCELLED';
+		this.abort(tx, error);
+		return true;
+	}
+
+	/**
+	 * Cancel every pending transaction (the running one is left to finish)
+	 * @param {string} reason - Cancellation reason
+	 * @returns {number} - Number of cancelled transactions
+	 */
+	cancelAll(reason = 'Queue cleared') {
+		const ids = this.pending.map((tx) => tx.id);
+		ids.forEach((id) => this.cancel(id, reason));
+		return ids.length;
+	}
+
+	abort(tx, error) {
+		if (tx.settled) return;
+
+		this.pending = this.pending.filter((p) => p !== tx);
+		tx.controller.abort();
+		this.settle(tx, error);
+	}
+
+	settle(tx, error, result) {
+		if (tx.settled) return;
+		tx.settled = true;
+		clearTimeout(tx.timer);
+
+		if (error) {
+			tx.reject(error);
+		} else {
+			tx.resolve(result);
+		}
+	}
+
+	async processNext() {
+		if (this.active || this.pending.length === 0) {
+			return;
+		}
+
+		const tx = this.pending.shift();
+		this.active = tx;
+		tx.startedAt = Date.now();
+
+		try {
+			const result = await tx.handler({
+				id: tx.id,
+				signal: tx.controller.signal,
+			});
+			if (!tx.settled) {
+				this.stats.completed++;
+			}
+			this.settle(tx, null, result);
+		} catch (error) {
+			if (!tx.settled) {
+				this.stats.failed++;
+				logger.debug(`PLC transaction ${tx.id} (${tx.label}) failed:`, error);
+			}
+			this.settle(tx, error);
+		} finally {
+			this.stats.lastDurationMs = Date.now() - tx.startedAt;
+			this.active = null;
+			setImmediate(() => this.processNext());
+		}
+	}
+
+	isBusy() {
+		return this.active !== null;
+	}
+
+	getDepth() {
+		return this.pending.length;
+	}
+
+	/**
+	 * List pending and running transactions
+	 */
+	getPending() {
+		const now = Date.now();
+		const describe = (tx, state) => ({
+			id: tx.id,
+			label: tx.label,
+			priority: PRIORITY_NAMES[tx.priority] || tx.priority,
+			state,
+			waitingMs: (tx.startedAt || now) - tx.enqueuedAt,
+			timeout: tx.timeout,
+		});
+
+		const list = this.pending.map((tx) => describe(tx, 'pending'));
+		if (this.active) {
+			list.unshift(describe(this.active, 'running'));
+		}
+		return list;
+	}
+
+	getStats() {
+		const depthByPriority = {};
+		Object.values(PRIORITY_NAMES).forEach((name) => {
+			depthByPriority[name] = 0;
+		});
+		this.pending.forEach((tx) => {
+			const name = PRIORITY_NAMES[tx.priority];
+			if (name) depthByPriority[name]++;
+		});
+
+		return {
+			depth: this.pending.length,
+			depthByPriority,
+			busy: this.isBusy(),
+			activeTransaction: this.active
+				? { id: this.active.id, label: this.active.label }
+				: null,
+			maxDepth: this.maxDepth,
+			...this.stats,
+		};
+	}
+}
+
+module.exports = { PLCTransactionQueue, PRIORITY };
@@ -0,0 +1,136 @@
+const logger = require('../utils/logger');
+const plcService = require('./plcService');
+const alarmService = require('./alarmService');
+const { PRIORITY } = require('./plcTransactionQueue');
+
+/**
+ * Writes calibrated O2 values back to the PLC and keeps track of how those
+ * writes fare, per register. The PLC uses these values for its own
+ * interlocks, so failed or mismatched writes are counted and, after
+ * PLC_WRITE_FAILURE_THRESHOLD consecutive failures, raise a
+ * `plc_write_failure` alarm on the chamber. The alarm clears on the next
+ * good write.
+ *
+ * With PLC_WRITE_VERIFY=1 every write is read back and compared.
+ */
+class PLCWriteBackService {
+	constructor() {
+		this.verify = process.env.PLC_WRITE_VERIFY === '1';
+		this.failureThreshold = parseInt(process.env.PLC_WRITE_FAILURE_THRESHOLD) || 5;
+		this.registers = new Map();
+	}
+
+	getEntry(register, chamberId) {
+		if (!this.registers.has(register)) {
+			this.registers.set(register, {
+				register,
+				chamberId,
+				lastValue: null,
+				lastWrittenAt: null,
+				lastAttemptAt: null,
+				lastReadBack: null,
+				lastVerifiedAt: null,
+				writes: 0,
+				failures: 0,
+				mismatches: 0,
+				consecutiveFailures: 0,
+				lastError: null,
+				alarmActive: false,
+			});
+		}
+		const entry = this.registers.get(register);
+		entry.chamberId = chamberId;
+		return entry;
+	}
+
+	/**
+	 * Write one value and record the outcome
+	 * @param {number} chamberId - Chamber the register belongs to
+	 * @param {string} register - Register address (e.g. 'R02001')
+	 * @param {number} value - Scaled integer value
+	 * @returns {Promise<Object>} - { success, verified, error }
+	 */
+	async write(chamberId, register, value) {
+		const entry = this.getEntry(register, chamberId);
+		entry.lastAttemptAt = new Date();
+
+		const result = await plcService.writeData(register, value);
+		if (!result.success) {
+			return this.recordFailure(entry, result.error);
+		}
+
+		entry.writes++;
+		entry.lastValue = value;
+		entry.lastWrittenAt = new Date();
+
+		if (this.verify && plcService.demo != 1) {
+			// Same priority as the write so the read-back follows it directly
+			const readBack = await plcService.readRegisters(register, 1, {
+				priority: PRIORITY.WRITE,
+			});
+			if (!readBack.success) {
+				return this.recordFailure(entry, `Read-back failed: ${readBack.error}`);
+			}
+
+			entry.lastReadBack = readBack.data[0];
+			entry.lastVerifiedAt = new Date();
+			if (entry.lastReadBack !== value) {
+				entry.mismatches++;
+				return this.recordFailure(
+					entry,
+					`Read-back mismatch: wrote ${value}, PLC holds ${entry.lastReadBack}`
+				);
+			}
+		}
+
+		await this.recordSuccess(entry);
+		return { success: true, verified: this.verify, register, value };
+	}
+
+	async recordSuccess(entry) {
+		entry.consecutiveFailures = 0;
+		entry.lastError = null;
+
+		if (entry.alarmActive) {
+			entry.alarmActive = false;
+			await alarmService
+				.clearConditionAlarm(entry.chamberId, 'plc_write_failure')
+				.catch((error) =>
+					logger.error(`Error clearing PLC write alarm for ${entry.register}:`, error)
+				);
+		}
+	}
+
+	async recordFailure(entry, error) {
+		entry.failures++;
+		entry.consecutiveFailures++;
+		entry.lastError = error;
+		logger.error(`PLC write-back to ${entry.register} failed: ${error}`);
+
+		if (!entry.alarmActive && entry.consecutiveFailures >= this.failureThreshold) {
+			entry.alarmActive = true;
+			logger.warn(
+				`${entry.consecutiveFailures} consecutive write-back failures on ${entry.register}`
+			);
+			await alarmService
+				.raiseConditionAlarm(entry.chamberId, 'plc_write_failure')
+				.catch((alarmError) =>
+					logger.error(`Error raising PLC write alarm for ${entry.register}:`, alarmError)
+				);
+		}
+
+		return { success: false, register: entry.register, error };
+	}
+
+	getStatus() {
+		return {
+			verify: this.verify,
+			failureThreshold: this.failureThreshold,
+			registers: Array.from(this.registers.values()).sort((a, b) =>
+				a.register.localeCompare(b.register)
+			),
+		};
+	}
+}
+
+module.exports = new PLCWriteBackService();
@@ -0,0 +1,266 @@
+const { Chamber, RegisterMap } = require('../models');
+const fatek = require('../utils/fatekProtocol');
+const plcConfig = require('../config/plc');
+const { toAbsoluteKPa } = require('../utils/pressure');
+const logger = require('../utils/logger');
+
+const DEFAULT_SCALE_FACTOR = 10;
+
+// Factory wiring, used to seed the table for chambers that have no row yet
+const CHAMBER_SLOTS = [
+	{ sourceIndex: 0, writeRegister: 'R02001', alarmBit: 'M0407' }, // Ana kabin (main)
+	{ sourceIndex: 1, writeRegister: 'R02005', alarmBit: 'M0408' }, // Ara kabin (ante/entry)
+];
+const SLOT_BY_NAME = { main: 0, ante: 1, entry: 1 };
+const FIO_WRITE_BASE = 'R02020';
+
+const validationError = (message) => {
+	const error = new Error(message);
+	error.statusCode = 400;
+	return error;
+};
+
+/**
+ * Per-chamber PLC wiring: which raw value in the PLC read block belongs to the
+ * chamber, where its calibrated value is written back, how it is scaled and
+ * which bit signals its alarm. Kept in memory so the polling paths never hit
+ * the database for it.
+ */
+class RegisterMapService {
+	constructor() {
+		this.entries = new Map();
+		this.loaded = false;
+	}
+
+	/**
+	 * Factory default mapping for a chamber, or null if it has no known wiring
+	 * @param {Object} chamber - Chamber record
+	 */
+	getDefaults(chamber) {
+		const name = chamber.name.toLowerCase();
+
+		const fioMatch = name.match(/^fio(\d+)$/);
+		if (fioMatch) {
+			const fioNum = parseInt(fioMatch[1]);
+			if (fioNum < 1 || fioNum > 5) return null;
+			return {
+				sourceIndex: null,
+				writeRegister: fatek.offsetAddress(
+					fatek.parseAddress(FIO_WRITE_BASE),
+					fioNum - 1
+				).address,
+				scaleFactor: DEFAULT_SCALE_FACTOR,
+				alarmBit: null,
+			};
+		}
+
+		let slot = SLOT_BY_NAME[name];
+		if (slot === undefined && chamber.type !== 'fio') {
+			slot = chamber.id - 1;
+		}
+		if (!CHAMBER_SLOTS[slot]) return null;
+
+		return { ...CHAMBER_SLOTS[slot], scaleFactor: DEFAULT_SCALE_FACTOR };
+	}
+
+	/**
+	 * Create default rows for chambers that have none, then load the cache
+	 */
+	async ensureDefaults() {
+		const chambers = await Chamber.findAll();
+		const existing = await RegisterMap.findAll();
+		const mapped = new Set(existing.map((entry) => entry.chamberId));
+		const claimed = new Set(
+			existing.map((entry) => entry.sourceIndex).filter((i) => i !== null)
+		);
+
+		for (const chamber of chambers) {
+			if (mapped.has(chamber.id)) continue;
+
+			const defaults = this.getDefaults(chamber);
+			if (!defaults) continue;
+
+			// Never hand the same PLC slot to two chambers
+			if (defaults.sourceIndex !== null && claimed.has(defaults.sourceIndex)) {
+				continue;
+			}
+			if (defaults.sourceIndex !== null) claimed.add(defaults.sourceIndex);
+
+			await RegisterMap.create({ chamberId: chamber.id, ...defaults });
+			logger.info(
+				`Created default register map for chamber ${chamber.id} (${chamber.name})`
+			);
+		}
+
+		return this.load();
+	}
+
+	/**
+	 * Reload the cache from the database
+	 */
+	async load() {
+		const rows = await RegisterMap.findAll();
+		this.entries = new Map(rows.map((row) => [row.chamberId, row.toJSON()]));
+		this.loaded = true;
+		return this.getAll();
+	}
+
+	getAll() {
+		return Array.from(this.entries.values()).sort(
+			(a, b) => a.chamberId - b.chamberId
+		);
+	}
+
+	/**
+	 * Enabled mapping for a chamber
+	 * @param {number} chamberId - Chamber ID
+	 * @returns {Object|null} - Mapping or null if unmapped/disabled
+	 */
+	getForChamber(chamberId) {
+		const entry = this.entries.get(parseInt(chamberId));
+		return entry && entry.isEnabled ? entry : null;
+	}
+
+	/**
+	 * Chambers fed from the PLC read block
+	 * @returns {Object} - { chamberId: sourceIndex }
+	 */
+	getSourceIndexMapping() {
+		const mapping = {};
+		this.entries.forEach((entry) => {
+			if (entry.isEnabled && entry.sourceIndex !== null) {
+				mapping[entry.chamberId] = entry.sourceIndex;
+			}
+		});
+		return mapping;
+	}
+
+	/**
+	 * Number of consecutive registers needed to cover every source index
+	 */
+	getReadCount() {
+		const indexes = Object.values(this.getSourceIndexMapping());
+		return indexes.length > 0 ? Math.max(...indexes) + 1 : 0;
+	}
+
+	getWriteRegister(chamberId) {
+		const entry = this.getForChamber(chamberId);
+		return entry ? entry.writeRegister : null;
+	}
+
+	getAlarmBit(chamberId) {
+		const entry = this.getForChamber(chamberId);
+		return entry ? entry.alarmBit : null;
+	}
+
+	/**
+	 * Chambers with a pressure input in the PLC
+	 * @returns {Array<Object>} - [{ chamberId, register }]
+	 */
+	getPressureRegisters() {
+		return this.getAll()
+			.filter((entry) => entry.isEnabled && entry.pressureRegister)
+			.map((entry) => ({ chamberId: entry.chamberId, register: entry.pressureRegister }));
+	}
+
+	/**
+	 * Absolute chamber pressure in kPa from the raw pressure register value
+	 * @param {number} chamberId - Chamber ID
+	 * @param {number} value - Register value
+	 */
+	toPressureKPa(chamberId, value) {
+		const entry = this.getForChamber(chamberId);
+		if (!entry) return null;
+		return toAbsoluteKPa(value, entry.pressureScale, entry.pressureGauge);
+	}
+
+	/**
+	 * Scale a calibrated O2 % to the integer written back to the PLC
+	 * @param {number} chamberId - Chamber ID
+	 * @param {number} o2Level - Calibrated O2 %
+	 */
+	toPLCValue(chamberId, o2Level) {
+		const entry = this.getForChamber(chamberId);
+		const scaleFactor = entry ? entry.scaleFactor : DEFAULT_SCALE_FACTOR;
+		return Math.round(o2Level * scaleFactor);
+	}
+
+	/**
+	 * Create or update the mapping for a chamber
+	 * @param {number} chamberId - Chamber ID
+	 * @param {Object} changes - sourceIndex, writeRegister, scaleFactor, alarmBit,
+	 *                           pressureRegister, pressureScale, pressureGauge, isEnabled
+	 */
+	async update(chamberId, changes) {
+		const chamber = await Chamber.findByPk(chamberId);
+		if (!chamber) {
+			throw new Error('Chamber not found');
+		}
+
+		// Write targets must be inside the PLC write allow-list, like API writes
+		const values = { ...changes };
+		if (values.writeRegister) {
+			values.writeRegister = this.normalizeAddress(values.writeRegister, 'register');
+			this.assertWritable(values.writeRegister);
+		}
+		if (values.alarmBit) {
+			values.alarmBit = this.normalizeAddress(values.alarmBit, 'discrete');
+			this.assertWritable(values.alarmBit);
+		}
+		if (values.pressureRegister) {
+			values.pressureRegister = this.normalizeAddress(values.pressureRegister, 'register');
+		}
+
+		if (values.sourceIndex !== undefined && values.sourceIndex !== null) {
+			const clash = this.getAll().find(
+				(entry) =>
+					entry.chamberId !== chamber.id &&
+					entry.isEnabled &&
+					entry.sourceIndex === values.sourceIndex
+			);
+			if (clash) {
+				throw validationError(
+					`Source index ${values.sourceIndex} is already mapped to chamber ${clash.chamberId}`
+				);
+			}
+		}
+
+		let entry = await RegisterMap.findOne({ where: { chamberId: chamber.id } });
+		if (entry) {
+			await entry.update(values);
+		} else {
+			entry = await RegisterMap.create({ chamberId: chamber.id, ...values });
+		}
+
+		this.entries.set(chamber.id, entry.toJSON());
+		logger.info(
+			`Register map updated for chamber ${chamber.id} (${chamber.name}):`,
+			values
+		);
+
+		return entry.toJSON();
+	}
+
+	assertWritable(address) {
+		if (!plcConfig.isWritable(address)) {
+			throw validationError(
+				`${address} is outside the PLC writable ranges (PLC_WRITABLE_RANGES)`
+			);
+		}
+	}
+
+	normalizeAddress(address, kind) {
+		let parsed;
+		try {
+			parsed = fatek.parseAddress(address);
+		} catch (error) {
+			throw validationError(error.message);
+		}
+		if (parsed.kind !== kind) {
+			throw validationError(`${address} is not a ${kind} address`);
+		}
+		return parsed.address;
+	}
+}
+
+module.exports = new RegisterMapService();
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+const ingestionService = require('./ingestionService');
+const streamRecorder = require('./streamRecorder');
+
+/**
+ * Data source that feeds a stream recording back through the ingestion
+ * pipeline, keeping the recorded spacing between frames divided by `speed`
+ * (1 = real time, 10 = ten times faster).
+ *
+ * play() swaps the live source out and restores it when the recording ends
+ * or stop is requested. Replayed values are calibrated and broadcast to the
+ * UI only; they are never stored, alarmed or written back to the PLC
+ * (`live = false`, see ingestionService).
+ */
+class ReplaySource {
+	constructor() {
+		this.live = false;
+		this.isRunning = false;
+		this.file = null;
+		this.speed = 1;
+		this.loop = false;
+		this.frames = [];
+		this.index = 0;
+		this.timer = null;
+		this.startedAt = null;
+		this.baseTime = null;
+		this.framesReplayed = 0;
+		this.skippedLines = 0;
+		this.previousSource = null;
+	}
+
+	/**
+	 * Load a recording
+	 * @param {Object} options - { file, speed, loop }
+	 */
+	load({ file, speed = 1, loop = false }) {
+		const filePath = streamRecorder.resolveFile(file);
+
+		const frames = [];
+		let skipped = 0;
+		fs.readFileSync(filePath, 'utf8')
+			.split('\n')
+			.filter((line) => line.trim())
+			.forEach((line) => {
+				try {
+					const frame = JSON.parse(line);
+					const time = Date.parse(frame.t);
+					if (!Number.isFinite(time) || !Array.isArray(frame.samples)) {
+						throw new Error('missing t or samples');
+					}
+					frames.push({ time, source: frame.source, samples: frame.samples });
+				} catch (error) {
+					skipped++;
+				}
+			});
+
+		if (frames.length === 0) {
+			const error = new Error('Recording contains no frames');
+			error.statusCode = 400;
+			throw error;
+		}
+
+		this.file = file;
+		this.speed = speed;
+		this.loop = loop;
+		this.frames = frames;
+		this.skippedLines = skipped;
+		logger.info(
+			`Loaded recording ${file}: ${frames.length} frame(s)${skipped ? `, ${skipped} unreadable line(s) skipped` : ''}`
+		);
+	}
+
+	/**
+	 * Replay a recording in place of the active data source
+	 * @param {Object} options - { file, speed, loop }
+	 */
+	play(options) {
+		if (this.isRunning) {
+			const error = new Error('A replay is already running');
+			error.statusCode = 409;
+			throw error;
+		}
+
+		this.load(options);
+		if (ingestionService.activeSource !== 'replay') {
+			this.previousSource = ingestionService.activeSource;
+		}
+		ingestionService.startSource('replay');
+		return this.getStatus();
+	}
+
+	/**
+	 * End the replay and restore the source that was active before it
+	 */
+	finish() {
+		const previous = this.previousSource;
+		this.previousSource = null;
+
+		if (ingestionService.activeSource !== 'replay') {
+			this.stop();
+		} else if (previous) {
+			ingestionService.startSource(previous);
+		} else {
+			ingestionService.stopSource();
+		}
+		return this.getStatus();
+	}
+
+	// Data source interface (see ingestionService)
+	start() {
+		if (this.frames.length === 0) {
+			throw new Error('No recording loaded for replay');
+		}
+
+		this.isRunning = true;
+		this.index = 0;
+		this.framesReplayed = 0;
+		this.startedAt = new Date();
+		this.baseTime = Date.now();
+		this.scheduleNext();
+	}
+
+	stop() {
+		this.isRunning = false;
+		if (this.timer) {
+			clearTimeout(this.timer);
+			this.timer = null;
+		}
+	}
+
+	scheduleNext() {
+		if (!this.isRunning) return;
+
+		if (this.index >= this.frames.length) {
+			if (!this.loop) {
+				logger.info(`Replay of ${this.file} finished (${this.framesReplayed} frame(s))`);
+				this.finish();
+				return;
+			}
+			this.index = 0;
+			this.baseTime = Date.now();
+		}
+
+		const frame = this.frames[this.index];
+		const offset = (frame.time - this.frames[0].time) / this.speed;
+		const delay = Math.max(0, this.baseTime + offset - Date.now());
+		this.timer = setTimeout(() => this.replayFrame(frame), delay);
+	}
+
+	async replayFrame(frame) {
+		this.timer = null;
+		if (!this.isRunning) return;
+
+		const samples = frame.samples.map((sample) => ({
+			...sample,
+			meta: {
+				...sample.meta,
+				recordedAt: new Date(frame.time).toISOString(),
+				recordedSource: frame.source,
+			},
+		}));
+
+		try {
+			await ingestionService.ingest('replay', samples);
+		} catch (error) {
+			logger.error('Error replaying frame:', error);
+		}
+
+		this.index++;
+		this.framesReplayed++;
+		this.scheduleNext();
+	}
+
+	getStatus() {
+		const total = this.frames.length;
+		return {
+			isRunning: this.isRunning,
+			file: this.file,
+			speed: this.speed,
+			loop: this.loop,
+			frames: total,
+			position: this.index,
+			framesReplayed: this.framesReplayed,
+			skippedLines: this.skippedLines,
+			recordedAt: total > 0 ? new Date(this.frames[Math.min(this.index, total - 1)].time) : null,
+			startedAt: this.startedAt,
+			restoreSource: this.previousSource,
+		};
+	}
+}
+
+module.exports = new ReplaySource();
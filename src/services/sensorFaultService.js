@@ -0,0 +1,160 @@
+const { SensorFault, Chamber } = require('../models');
+const logger = require('../utils/logger');
+const { dateRange } = require('../utils/dateRange');
+const alarmService = require('./alarmService');
+
+/**
+ * Keeps the sensor fault log and the `sensor_error` alarm in step with what
+ * the data sources report. A fault opens on the first bad sample for a
+ * chamber (source error, sensor missing from the frame, no value or a
+ * non-numeric value) and is closed by the next good one.
+ *
+ * The alarm is raised once SENSOR_ERROR_THRESHOLD consecutive bad samples
+ * have been seen (default 3, so a single dropped frame does not alarm) and
+ * only for chambers; FIO sensors are logged but not alarmed.
+ */
+class SensorFaultService {
+	constructor() {
+		this.threshold = parseInt(process.env.SENSOR_ERROR_THRESHOLD) || 3;
+		this.active = new Map();
+		this.loading = null;
+	}
+
+	/**
+	 * Load faults left open by a previous run
+	 */
+	load() {
+		if (!this.loading) {
+			this.loading = SensorFault.findAll({ where: { isActive: true } }).then((faults) => {
+				faults.forEach((fault) => {
+					this.active.set(fault.chamberId, { fault, consecutive: fault.occurrences });
+				});
+			});
+		}
+		return this.loading;
+	}
+
+	/**
+	 * Record a bad sample
+	 * @param {Object} chamber - Chamber instance
+	 * @param {string} source - Data source name
+	 * @param {string} reason - source_error | missing | no_value | invalid_value
+	 * @param {string} message - Description
+	 * @param {*} rawValue - Value as received, if any
+	 */
+	async reportFault(chamber, source, reason, message, rawValue = null) {
+		await this.load();
+
+		const now = new Date();
+		const storedRaw =
+			rawValue === null || rawValue === undefined ? null : String(rawValue);
+		let entry = this.active.get(chamber.id);
+
+		if (entry) {
+			entry.consecutive++;
+			await entry.fault.update({
+				source,
+				reason,
+				message,
+				rawValue: storedRaw,
+				occurrences: entry.fault.occurrences + 1,
+				lastSeenAt: now,
+			});
+		} else {
+			const fault = await SensorFault.create({
+				chamberId: chamber.id,
+				source,
+				reason,
+				message,
+				rawValue: storedRaw,
+				startedAt: now,
+				lastSeenAt: now,
+			});
+			entry = { fault, consecutive: 1 };
+			this.active.set(chamber.id, entry);
+			logger.warn(`Sensor fault on ${chamber.name} (${source}): ${reason} - ${message}`);
+		}
+
+		if (chamber.type === 'chamber' && entry.consecutive >= this.threshold) {
+			await alarmService.raiseConditionAlarm(chamber.id, 'sensor_error');
+		}
+
+		return entry.fault;
+	}
+
+	/**
+	 * Record a good sample, closing any open fault and its alarm
+	 * @param {Object} chamber - Chamber instance
+	 */
+	async clearFault(chamber) {
+		await this.load();
+
+		const entry = this.active.get(chamber.id);
+		if (!entry) return null;
+
+		this.active.delete(chamber.id);
+		await entry.fault.update({ isActive: false, resolvedAt: new Date() });
+		logger.info(
+			`Sensor fault on ${chamber.name} cleared after ${entry.fault.occurrences} bad sample(s)`
+		);
+
+		await alarmService.clearConditionAlarm(chamber.id, 'sensor_error');
+		return entry.fault;
+	}
+
+	/**
+	 * Open fault for a chamber, for status broadcasts
+	 * @param {number} chamberId - Chamber ID
+	 * @returns {Object|null} - { reason, message, source, since, occurrences }
+	 */
+	getActiveFault(chamberId) {
+		const entry = this.active.get(chamberId);
+		if (!entry) return null;
+
+		return {
+			reason: entry.fault.reason,
+			message: entry.fault.message,
+			source: entry.fault.source,
+			since: entry.fault.startedAt,
+			lastSeenAt: entry.fault.lastSeenAt,
+			occurrences: entry.fault.occurrences,
+		};
+	}
+
+	/**
+	 * Fault log
+	 * @param {Object} filters - { chamberId, isActive, startDate, endDate, limit, offset }
+	 */
+	async getFaultHistory(filters = {}) {
+		const whereClause = {};
+
+		if (filters.chamberId) {
+			whereClause.chamberId = filters.chamberId;
+		}
+
+		if (filters.isActive !== undefined && filters.isActive !== null) {
+			whereClause.isActive = filters.isActive;
+		}
+
+		const startedAt = dateRange(filters.startDate, filters.endDate);
+		if (startedAt) {
+			whereClause.startedAt = startedAt;
+		}
+
+		return SensorFault.findAll({
+			where: whereClause,
+			include: [
+				{
+					model: Chamber,
+					as: 'chamber',
+					attributes: ['id', 'name', 'type'],
+				},
+			],
+			order: [['startedAt', 'DESC']],
+			limit: filters.limit || 100,
+			offset: filters.offset || 0,
+		});
+	}
+}
+
+module.exports = new SensorFaultService();
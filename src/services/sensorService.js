@@ -0,0 +1,442 @@
+const { Op } = require('sequelize');
+const moment = require('moment');
+const { sequelize, Chamber, Sensor } = require('../models');
+const logger = require('../utils/logger');
+const calibrationService = require('./calibrationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sensorError = (message, statusCode) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+const describeSensor = (sensor) =>
+	sensor ? `${sensor.model} ${sensor.serialNumber}` : 'none';
+
+/**
+ * O2 sensor inventory and lifecycle. Every cell is registered with its model,
+ * serial number, manufacture date and expected lifetime, and is either in
+ * stock, installed in one chamber or FIO slot, or retired. Installing,
+ * removing or swapping a sensor keeps the chamber's sensorModel /
+ * sensorSerialNumber / lastSensorChange in sync and marks the chamber as
+ * requiring calibration, since the active calibration belongs to the
+ * previous cell.
+ *
+ * A sensor's end of life is expectedLifetimeMonths after its manufacture date
+ * (galvanic cells age on the shelf too), or after its first installation when
+ * the manufacture date is unknown. The end-of-life report lists sensors that
+ * reach it within SENSOR_EOL_WARNING_DAYS (default 60).
+ */
+class SensorService {
+	constructor() {
+		this.eolWarningDays = parseInt(process.env.SENSOR_EOL_WARNING_DAYS) || 60;
+	}
+
+	/**
+	 * Register sensors that chambers already report (set before the inventory
+	 * existed) so every installed sensor has a record
+	 */
+	async load() {
+		const chambers = await Chamber.findAll({
+			where: { sensorSerialNumber: { [Op.ne]: null } },
+		});
+
+		let registered = 0;
+		for (const chamber of chambers) {
+			const existing = await Sensor.findOne({
+				where: { serialNumber: chamber.sensorSerialNumber },
+			});
+			if (existing) continue;
+
+			await Sensor.create({
+				model: chamber.sensorModel || 'unknown',
+				serialNumber: chamber.sensorSerialNumber,
+				status: 'installed',
+				chamberId: chamber.id,
+				firstInstalledAt: chamber.lastSensorChange,
+				installedAt: chamber.lastSensorChange,
+			});
+			registered++;
+		}
+
+		if (registered > 0) {
+			logger.info(`Registered ${registered} installed sensor(s) in the sensor inventory`);
+		}
+	}
+
+	/**
+	 * End-of-life figures for a sensor
+	 * @param {Object} sensor - Sensor instance
+	 * @param {Date} now - Reference time
+	 * @returns {Object} { lifetimeStartedAt, endOfLifeDate, daysRemaining, isEndOfLife }
+	 */
+	getLifecycle(sensor, now = new Date()) {
+		const lifetimeStartedAt = sensor.manufactureDate || sensor.firstInstalledAt;
+		if (!lifetimeStartedAt) {
+			return {
+				lifetimeStartedAt: null,
+				endOfLifeDate: null,
+				daysRemaining: null,
+				isEndOfLife: false,
+			};
+		}
+
+		const endOfLifeDate = moment(lifetimeStartedAt)
+			.add(sensor.expectedLifetimeMonths, 'months')
+			.toDate();
+		return {
+			lifetimeStartedAt,
+			endOfLifeDate,
+			// Negative once past end of life
+			daysRemaining: Math.floor((endOfLifeDate.getTime() - now.getTime()) / DAY_MS),
+			isEndOfLife: endOfLifeDate <= now,
+		};
+	}
+
+	toResponse(sensor) {
+		return {
+			...sensor.toJSON(),
+			lifecycle: this.getLifecycle(sensor),
+		};
+	}
+
+	async findSensor(sensorId) {
+		const sensor = await Sensor.findByPk(sensorId, {
+			include: [{ model: Chamber, as: 'chamber', attributes: ['id', 'name', 'type'] }],
+		});
+		if (!sensor) {
+			throw sensorError('Sensor not found', 404);
+		}
+		return sensor;
+	}
+
+	async findChamber(chamberId) {
+		const chamber = await Chamber.findByPk(chamberId);
+		if (!chamber) {
+			throw sensorError('Chamber not found', 404);
+		}
+		return chamber;
+	}
+
+	/**
+	 * Sensor currently installed in a chamber or FIO slot
+	 * @param {number} chamberId - Chamber ID
+	 * @returns {Object|null} Sensor instance
+	 */
+	async getInstalledSensor(chamberId) {
+		return Sensor.findOne({ where: { chamberId, status: 'installed' } });
+	}
+
+	/**
+	 * List sensors
+	 * @param {Object} filters - { status, chamberId, limit, offset }
+	 */
+	async getSensors({ status, chamberId, limit = 50, offset = 0 } = {}) {
+		const where = {};
+		if (status) where.status = status;
+		if (chamberId) where.chamberId = chamberId;
+
+		const { rows, count } = await Sensor.findAndCountAll({
+			where,
+			include: [{ model: Chamber, as: 'chamber', attributes: ['id', 'name', 'type'] }],
+			order: [['serialNumber', 'ASC']],
+			limit,
+			offset,
+		});
+
+		return { rows: rows.map((sensor) => this.toResponse(sensor)), count };
+	}
+
+	async getSensor(sensorId) {
+		return this.toResponse(await this.findSensor(sensorId));
+	}
+
+	/**
+	 * Register a sensor in stock
+	 * @param {Object} data - { model, serialNumber, manufactureDate, expectedLifetimeMonths, notes }
+	 */
+	async createSensor(data) {
+		const existing = await Sensor.findOne({ where: { serialNumber: data.serialNumber } });
+		if (existing) {
+			throw sensorError(`Sensor ${data.serialNumber} is already registered`, 409);
+		}
+
+		const sensor = await Sensor.create({
+			model: data.model,
+			serialNumber: data.serialNumber,
+			manufactureDate: data.manufactureDate || null,
+			expectedLifetimeMonths: data.expectedLifetimeMonths,
+			notes: data.notes || null,
+			status: 'in_stock',
+		});
+
+		logger.info(`Sensor registered: ${describeSensor(sensor)}`);
+		return this.getSensor(sensor.id);
+	}
+
+	/**
+	 * Update a sensor's details; an installed sensor's chamber follows the change
+	 * @param {number} sensorId - Sensor ID
+	 * @param {Object} data - { model, serialNumber, manufactureDate, expectedLifetimeMonths, notes }
+	 */
+	async updateSensor(sensorId, data) {
+		const sensor = await this.findSensor(sensorId);
+
+		if (data.serialNumber !== undefined && data.serialNumber !== sensor.serialNumber) {
+			const existing = await Sensor.findOne({ where: { serialNumber: data.serialNumber } });
+			if (existing) {
+				throw sensorError(`Sensor ${data.serialNumber} is already registered`, 409);
+			}
+		}
+
+		const updates = {};
+		for (const field of [
+			'model',
+			'serialNumber',
+			'manufactureDate',
+			'expectedLifetimeMonths',
+			'notes',
+		]) {
+			if (data[field] !== undefined) updates[field] = data[field];
+		}
+
+		await sequelize.transaction(async (transaction) => {
+			await sensor.update(updates, { transaction });
+			if (sensor.status === 'installed') {
+				await Chamber.update(
+					{ sensorModel: sensor.model, sensorSerialNumber: sensor.serialNumber },
+					{ where: { id: sensor.chamberId }, transaction }
+				);
+			}
+		});
+
+		return this.getSensor(sensor.id);
+	}
+
+	// Sensor instance changes for installation/removal (within a transaction)
+	async attach(sensor, chamber, { installedBy } = {}, transaction) {
+		const now = new Date();
+		await sensor.update(
+			{
+				status: 'installed',
+				chamberId: chamber.id,
+				installedAt: now,
+				firstInstalledAt: sensor.firstInstalledAt || now,
+				installedBy: installedBy || null,
+				removedAt: null,
+				removalReason: null,
+			},
+			{ transaction }
+		);
+	}
+
+	async detach(sensor, { reason, retire = false } = {}, transaction) {
+		await sensor.update(
+			{
+				status: retire ? 'retired' : 'in_stock',
+				chamberId: null,
+				removedAt: new Date(),
+				removalReason: reason || null,
+			},
+			{ transaction }
+		);
+	}
+
+	async syncChamber(chamber, sensor, transaction) {
+		await chamber.update(
+			{
+				sensorModel: sensor ? sensor.model : null,
+				sensorSerialNumber: sensor ? sensor.serialNumber : null,
+				lastSensorChange: new Date(),
+			},
+			{ transaction }
+		);
+	}
+
+	assertInstallable(sensor, chamber) {
+		if (sensor.status === 'retired') {
+			throw sensorError(`Sensor ${sensor.serialNumber} is retired`, 409);
+		}
+		if (sensor.status === 'installed') {
+			throw sensorError(
+				sensor.chamberId === chamber.id
+					? `Sensor ${sensor.serialNumber} is already installed in ${chamber.name}`
+					: `Sensor ${sensor.serialNumber} is installed in another chamber (${sensor.chamberId}); remove it first`,
+				409
+			);
+		}
+	}
+
+	/**
+	 * Install a sensor from stock into an empty chamber or FIO slot
+	 * @param {number} sensorId - Sensor ID
+	 * @param {number} chamberId - Chamber ID
+	 * @param {Object} options - { installedBy }
+	 */
+	async install(sensorId, chamberId, options = {}) {
+		const sensor = await this.findSensor(sensorId);
+		const chamber = await this.findChamber(chamberId);
+		this.assertInstallable(sensor, chamber);
+
+		const current = await this.getInstalledSensor(chamber.id);
+		if (current) {
+			throw sensorError(
+				`${chamber.name} already has sensor ${current.serialNumber} installed; swap it instead`,
+				409
+			);
+		}
+
+		await sequelize.transaction(async (transaction) => {
+			await this.attach(sensor, chamber, options, transaction);
+			await this.syncChamber(chamber, sensor, transaction);
+		});
+
+		logger.info(`Sensor ${describeSensor(sensor)} installed in ${chamber.name}`);
+		await calibrationService.markCalibrationRequired(
+			chamber.id,
+			`Sensor installed (${describeSensor(sensor)})`
+		);
+
+		return this.getSensor(sensor.id);
+	}
+
+	/**
+	 * Remove an installed sensor (back to stock or retired), or retire a
+	 * sensor in stock
+	 * @param {number} sensorId - Sensor ID
+	 * @param {Object} options - { reason, retire }
+	 */
+	async remove(sensorId, { reason, retire = false } = {}) {
+		const sensor = await this.findSensor(sensorId);
+
+		if (sensor.status !== 'installed') {
+			if (retire && sensor.status === 'in_stock') {
+				await this.detach(sensor, { reason, retire });
+				logger.info(`Sensor ${describeSensor(sensor)} retired`);
+				return this.getSensor(sensor.id);
+			}
+			throw sensorError(`Sensor ${sensor.serialNumber} is not installed`, 409);
+		}
+
+		const chamber = await this.findChamber(sensor.chamberId);
+		await sequelize.transaction(async (transaction) => {
+			await this.detach(sensor, { reason, retire }, transaction);
+			await this.syncChamber(chamber, null, transaction);
+		});
+
+		logger.info(
+			`Sensor ${describeSensor(sensor)} removed from ${chamber.name}${retire ? ' and retired' : ''}`
+		);
+		await calibrationService.markCalibrationRequired(
+			chamber.id,
+			`Sensor removed (${describeSensor(sensor)})`
+		);
+
+		return this.getSensor(sensor.id);
+	}
+
+	/**
+	 * Replace the sensor installed in a chamber or FIO slot
+	 * @param {number} chamberId - Chamber ID
+	 * @param {number} sensorId - Sensor to install
+	 * @param {Object} options - { reason, retireRemoved, installedBy }
+	 * @returns {Object} { chamberId, removed, installed }
+	 */
+	async swap(chamberId, sensorId, options = {}) {
+		const chamber = await this.findChamber(chamberId);
+		const sensor = await this.findSensor(sensorId);
+		this.assertInstallable(sensor, chamber);
+
+		const current = await this.getInstalledSensor(chamber.id);
+
+		await sequelize.transaction(async (transaction) => {
+			if (current) {
+				await this.detach(
+					current,
+					{ reason: options.reason || 'Swapped', retire: options.retireRemoved },
+					transaction
+				);
+			}
+			await this.attach(sensor, chamber, options, transaction);
+			await this.syncChamber(chamber, sensor, transaction);
+		});
+
+		const change = current
+			? `Sensor swapped (${describeSensor(current)} -> ${describeSensor(sensor)})`
+			: `Sensor installed (${describeSensor(sensor)})`;
+		logger.info(`${change} in ${chamber.name}`);
+		await calibrationService.markCalibrationRequired(chamber.id, change);
+
+		return {
+			chamberId: chamber.id,
+			removed: current ? await this.getSensor(current.id) : null,
+			installed: await this.getSensor(sensor.id),
+		};
+	}
+
+	/**
+	 * Record a sensor change by model and serial number: the sensor is
+	 * registered if unknown and swapped in. Repeating the installed serial
+	 * only updates its model.
+	 * @param {number} chamberId - Chamber ID
+	 * @param {string} sensorModel - Sensor model
+	 * @param {string} sensorSerialNumber - Sensor serial number
+	 * @param {Object} options - { reason, installedBy }
+	 * @returns {Object} Chamber instance
+	 */
+	async recordSensorChange(chamberId, sensorModel, sensorSerialNumber, options = {}) {
+		const chamber = await this.findChamber(chamberId);
+
+		let sensor = await Sensor.findOne({ where: { serialNumber: sensorSerialNumber } });
+		if (sensor && sensor.status === 'installed' && sensor.chamberId === chamber.id) {
+			if (sensorModel && sensorModel !== sensor.model) {
+				await this.updateSensor(sensor.id, { model: sensorModel });
+			}
+		} else {
+			if (!sensor) {
+				sensor = await Sensor.create({
+					model: sensorModel,
+					serialNumber: sensorSerialNumber,
+					status: 'in_stock',
+				});
+				logger.info(`Sensor registered: ${describeSensor(sensor)}`);
+			}
+			await this.swap(chamber.id, sensor.id, options);
+		}
+
+		await chamber.reload();
+		return chamber;
+	}
+
+	/**
+	 * Sensors in stock or installed that reach end of life within a window
+	 * (past end of life included), soonest first
+	 * @param {number} withinDays - Window in days
+	 */
+	async getEndOfLifeReport(withinDays = this.eolWarningDays) {
+		const sensors = await Sensor.findAll({
+			where: { status: { [Op.ne]: 'retired' } },
+			include: [{ model: Chamber, as: 'chamber', attributes: ['id', 'name', 'type'] }],
+		});
+
+		const rows = sensors
+			.map((sensor) => this.toResponse(sensor))
+			.filter(
+				(sensor) =>
+					sensor.lifecycle.endOfLifeDate !== null &&
+					sensor.lifecycle.daysRemaining <= withinDays
+			)
+			.sort((a, b) => a.lifecycle.daysRemaining - b.lifecycle.daysRemaining);
+
+		return {
+			withinDays,
+			count: rows.length,
+			expired: rows.filter((sensor) => sensor.lifecycle.isEndOfLife).length,
+			sensors: rows,
+		};
+	}
+}
+
+module.exports = new SensorService();
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const FILE_PATTERN = /^stream-[\w-]+\.jsonl$/;
+
+/**
+ * Captures every batch a live data source hands to the ingestion pipeline,
+ * one JSON object per line:
+ *
+ *   { "t": "<ISO time>", "source": "plc", "samples": [...], "frame": <raw> }
+ *
+ * `frame` is the input as received (PLC raw array, `modbus_data` entries);
+ * `samples` is what the replay source feeds back into ingestion.
+ *
+ * Files live in RECORDINGS_DIR (default ./recordings) and rotate once they
+ * reach RECORDER_MAX_FILE_MB (default 10); only the newest
+ * RECORDER_MAX_FILES (default 20) are kept. RECORDER_ENABLED=1 starts
+ * recording at boot.
+ */
+class StreamRecorder {
+	constructor() {
+		this.dir = path.resolve(process.env.RECORDINGS_DIR || './recordings');
+		this.maxFileBytes = (parseFloat(process.env.RECORDER_MAX_FILE_MB) || 10) * 1024 * 1024;
+		this.maxFiles = parseInt(process.env.RECORDER_MAX_FILES) || 20;
+		this.isRecording = false;
+		this.stream = null;
+		this.currentFile = null;
+		this.currentBytes = 0;
+		this.startedAt = null;
+		this.framesWritten = 0;
+	}
+
+	start() {
+		if (this.isRecording) {
+			logger.warn('Stream recorder is already running');
+			return this.getStatus();
+		}
+
+		fs.mkdirSync(this.dir, { recursive: true });
+		this.isRecording = true;
+		this.startedAt = new Date();
+		this.framesWritten = 0;
+		this.openFile();
+		logger.info(`Stream recorder started, writing to ${this.dir}`);
+		return this.getStatus();
+	}
+
+	stop() {
+		if (!this.isRecording) {
+			logger.warn('Stream recorder is not running');
+			return this.getStatus();
+		}
+
+		this.isRecording = false;
+		this.closeFile();
+		logger.info(`Stream recorder stopped after ${this.framesWritten} frame(s)`);
+		return this.getStatus();
+	}
+
+	openFile() {
+		const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+		this.currentFile = `stream-${stamp}.jsonl`;
+		this.currentBytes = 0;
+		this.stream = fs.createWriteStream(path.join(this.dir, this.currentFile), { flags: 'a' });
+		this.stream.on('error', (error) => {
+			logger.error(`Stream recorder write error on ${this.currentFile}:`, error);
+		});
+		this.prune();
+	}
+
+	closeFile() {
+		if (this.stream) {
+			this.stream.end();
+			this.stream = null;
+		}
+	}
+
+	// Drop the oldest recordings beyond maxFiles
+	prune() {
+		const files = this.listFiles();
+		files.slice(this.maxFiles).forEach((file) => {
+			try {
+				fs.unlinkSync(path.join(this.dir, file.name));
+				logger.info(`Removed old recording ${file.name}`);
+			} catch (error) {
+				logger.error(`Error removing recording ${file.name}:`, error);
+			}
+		});
+	}
+
+	/**
+	 * Append one batch (no-op while not recording)
+	 * @param {string} source - Data source name
+	 * @param {Array<Object>} samples - Samples passed to ingest()
+	 * @param {*} frame - Raw input the samples were built from
+	 */
+	record(source, samples, frame = null) {
+		if (!this.isRecording) return;
+
+		const line =
+			JSON.stringify({ t: new Date().toISOString(), source, samples, frame }) + '\n';
+		const bytes = Buffer.byteLength(line);
+		if (this.currentBytes > 0 && this.currentBytes + bytes > this.maxFileBytes) {
+			this.closeFile();
+			this.openFile();
+		}
+
+		this.stream.write(line);
+		this.currentBytes += bytes;
+		this.framesWritten++;
+	}
+
+	/**
+	 * Recordings on disk, newest first
+	 * @returns {Array<Object>} - [{ name, size, modifiedAt }]
+	 */
+	listFiles() {
+		if (!fs.existsSync(this.dir)) return [];
+
+		return fs
+			.readdirSync(this.dir)
+			.filter((name) => FILE_PATTERN.test(name))
+			.map((name) => {
+				const stat = fs.statSync(path.join(this.dir, name));
+				return { name, size: stat.size, modifiedAt: stat.mtime };
+			})
+			.sort((a, b) => b.name.localeCompare(a.name));
+	}
+
+	/**
+	 * Absolute path of a recording, refusing anything outside the directory
+	 * @param {string} name - File name as listed by listFiles()
+	 */
+	resolveFile(name) {
+		if (typeof name !== 'string' || !FILE_PATTERN.test(name)) {
+			const error = new Error('Invalid recording name');
+			error.statusCode = 400;
+			throw error;
+		}
+
+		const filePath = path.join(this.dir, name);
+		if (!fs.existsSync(filePath)) {
+			const error = new Error('Recording not found');
+			error.statusCode = 404;
+			throw error;
+		}
+		return filePath;
+	}
+
+	getStatus() {
+		return {
+			isRecording: this.isRecording,
+			directory: this.dir,
+			currentFile: this.currentFile,
+			currentBytes: this.currentBytes,
+			startedAt: this.startedAt,
+			framesWritten: this.framesWritten,
+			maxFileBytes: this.maxFileBytes,
+			maxFiles: this.maxFiles,
+		};
+	}
+}
+
+module.exports = new StreamRecorder();
@@ -87,6 +87,15 @@ class SocketHandler {
 		logger.info(`Broadcasted PLC data: ${plcData.data.length} sensors`);
 	}
 
+	// Broadcast PLC link state transitions (connecting, connected, reconnecting...)
+	broadcastPLCConnectionState(connectionState) {
+		this.io.to('global').emit('plc-connection-state', {
+			...connectionState,
+			timestamp: new Date().toISOString(),
+		});
+		logger.info(`Broadcasted PLC connection state: ${connectionState.state}`);
+	}
+
 	// Broadcast chamber-specific sensor data
 	broadcastChamberSensorData(chamberId, sensorData) {
 		this.io.to(`chamber-${chamberId}`).emit('chamber-sensor-data', {
@@ -173,6 +182,34 @@ class SocketHandler {
 		logger.info(`Broadcasted calibration for chamber ${chamberId}`);
 	}
 
+	// Broadcast guided calibration session progress (samples, captures, commit...)
+	broadcastCalibrationSession(chamberId, sessionEvent) {
+		const data = {
+			chamberId,
+			...sessionEvent,
+			timestamp: new Date().toISOString(),
+		};
+		this.io.to(`chamber-${chamberId}`).emit('calibration-session', data);
+		this.io.to('global').emit('calibration-session', data);
+		logger.debug(
+			`Broadcasted calibration session ${sessionEvent.type} for chamber ${chamberId}`
+		);
+	}
+
+	// Broadcast verification (bump) test progress and verdict
+	broadcastCalibrationVerification(chamberId, verificationEvent) {
+		const data = {
+			chamberId,
+			...verificationEvent,
+			timestamp: new Date().toISOString(),
+		};
+		this.io.to(`chamber-${chamberId}`).emit('calibration-verification', data);
+		this.io.to('global').emit('calibration-verification', data);
+		logger.debug(
+			`Broadcasted verification ${verificationEvent.type} for chamber ${chamberId}`
+		);
+	}
+
 	// Broadcast settings update
 	broadcastSettingsUpdate(chamberId, settings) {
 		this.io.to(`chamber-${chamberId}`).emit('settings-updated', {
@@ -0,0 +1,17 @@
+const { Op } = require('sequelize');
+
+/**
+ * Where-clause condition for an optional date range. Either bound may be
+ * left out to get an open-ended range.
+ * @param {Date|null} startDate - Inclusive lower bound
+ * @param {Date|null} endDate - Inclusive upper bound
+ * @returns {Object|null} - { [Op.gte], [Op.lte] }, or null without bounds
+ */
+const dateRange = (startDate, endDate) => {
+	const condition = {};
+	if (startDate) condition[Op.gte] = startDate;
+	if (endDate) condition[Op.lte] = endDate;
+	return startDate || endDate ? condition : null;
+};
+
+module.exports = { dateRange };
@@ -0,0 +1,493 @@
+/**
+ * Fatek FBs communication protocol codec.
+ *
+ * Frame layout (all fields ASCII except STX/ETX):
+ *   STX | station (2 hex) | command (2 hex) | data... | LRC (2 hex) | ETX
+ * Replies insert a one-character error code after the command.
+ * The LRC is the sum of every byte from STX to the end of data, modulo 256.
+ */
+
+const STX = 0x02;
+const ETX = 0x03;
+
+const COMMANDS = {
+	READ_SYSTEM_STATUS: '40',
+	RUN_STOP: '41',
+	SINGLE_DISCRETE: '42',
+	READ_DISCRETES: '44',
+	WRITE_DISCRETES: '45',
+	READ_REGISTERS: '46',
+	WRITE_REGISTERS: '47',
+	MIXED_READ: '48',
+	MIXED_WRITE: '49',
+	LOOPBACK: '4E',
+};
+
+// Action codes for the single discrete control command (42)
+const DISCRETE_ACTIONS = {
+	DISABLE: '1',
+	ENABLE: '2',
+	SET: '3',
+	RESET: '4',
+};
+
+// PLC error field values and how they are surfaced to API clients
+const PLC_ERRORS = {
+	2: { type: 'ILLEGAL_VALUE', message: 'Illegal value', statusCode: 400 },
+	4: {
+		type: 'ILLEGAL_FORMAT',
+		message: 'Illegal format or command cannot be executed',
+		statusCode: 400,
+	},
+	5: {
+		type: 'CANNOT_RUN',
+		message: 'Cannot run: ladder checksum error',
+		statusCode: 409,
+	},
+	6: {
+		type: 'CANNOT_RUN',
+		message: 'Cannot run: PLC ID does not match ladder ID',
+		statusCode: 409,
+	},
+	7: {
+		type: 'CANNOT_RUN',
+		message: 'Cannot run: ladder syntax check error',
+		statusCode: 409,
+	},
+	9: {
+		type: 'CANNOT_RUN',
+		message: 'Cannot run: function not supported',
+		statusCode: 409,
+	},
+	A: { type: 'ILLEGAL_ADDRESS', message: 'Illegal address', statusCode: 400 },
+};
+
+const REGISTER_TYPES = ['R', 'D'];
+const DISCRETE_TYPES = ['X', 'Y', 'M', 'S', 'T', 'C'];
+
+const MAX_REGISTERS_PER_FRAME = 64;
+// The point count is sent as two hex digits, so one frame carries at most FF
+const MAX_DISCRETES_PER_FRAME = 255;
+
+class FatekError extends Error {
+	constructor(message, code, statusCode = 502) {
+		super(message);
+		this.name = this.constructor.name;
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+// Reply could not be decoded (missing STX/ETX, wrong length, wrong command)
+class FatekFrameError extends FatekError {
+	constructor(message) {
+		super(message, 'FRAME_ERROR');
+	}
+}
+
+// Reply LRC does not match its contents
+class FatekChecksumError extends FatekError {
+	constructor(expected, received) {
+		super(
+			`PLC reply checksum mismatch (expected ${expected}, received ${received})`,
+			'CHECKSUM_ERROR'
+		);
+		this.expected = expected;
+		this.received = received;
+	}
+}
+
+// PLC answered with a non-zero error code
+class FatekResponseError extends FatekError {
+	constructor(plcErrorCode) {
+		const info = PLC_ERRORS[plcErrorCode] || {
+			type: 'UNKNOWN_PLC_ERROR',
+			message: `Unknown PLC error code ${plcErrorCode}`,
+			statusCode: 502,
+		};
+		super(`PLC error ${plcErrorCode}: ${info.message}`, info.type, info.statusCode);
+		this.plcErrorCode = plcErrorCode;
+	}
+}
+
+// Request could not be built (bad address, count or value)
+class FatekRequestError extends FatekError {
+	constructor(message) {
+		super(message, 'INVALID_REQUEST', 400);
+	}
+}
+
+const toHex = (value, width) =>
+	value.toString(16).toUpperCase().padStart(width, '0');
+
+/**
+ * Calculate LRC for a frame body
+ * @param {Buffer} buf - Bytes from STX to the end of data
+ * @returns {string} - Two-character uppercase hex LRC
+ */
+const calculateLRC = (buf) => {
+	let lrc = 0;
+	for (let i = 0; i < buf.length; i++) {
+		lrc += buf[i];
+	}
+	return toHex(lrc & 0xff, 2);
+};
+
+/**
+ * Parse and normalise a PLC address
+ * @param {string} address - e.g. 'R02100', 'D00010', 'M0407', 'M00407'
+ * @returns {Object} - { kind, type, number, address }
+ */
+const parseAddress = (address) => {
+	const match = /^([A-Z])(\d{1,5})$/.exec(String(address).trim().toUpperCase());
+	if (!match) {
+		throw new FatekRequestError(`Invalid PLC address: ${address}`);
+	}
+
+	const type = match[1];
+	const number = parseInt(match[2], 10);
+
+	if (REGISTER_TYPES.includes(type)) {
+		return {
+			kind: 'register',
+			type,
+			number,
+			address: type + String(number).padStart(5, '0'),
+		};
+	}
+
+	if (DISCRETE_TYPES.includes(type)) {
+		if (number > 9999) {
+			throw new FatekRequestError(`Discrete address out of range: ${address}`);
+		}
+		return {
+			kind: 'discrete',
+			type,
+			number,
+			address: type + String(number).padStart(4, '0'),
+		};
+	}
+
+	throw new FatekRequestError(`Unsupported PLC address type: ${address}`);
+};
+
+/**
+ * Return the address `offset` positions after `parsed`
+ */
+const offsetAddress = (parsed, offset) =>
+	parseAddress(parsed.type + String(parsed.number + offset));
+
+const assertCount = (count, max) => {
+	if (!Number.isInteger(count) || count < 1 || count > max) {
+		throw new FatekRequestError(`Count must be an integer between 1 and ${max}`);
+	}
+};
+
+const assertWord = (value) => {
+	if (!Number.isInteger(value) || value < 0 || value > 0xffff) {
+		throw new FatekRequestError(
+			`Register value must be an integer between 0 and 65535, got ${value}`
+		);
+	}
+};
+
+/**
+ * Build a complete request frame
+ * @param {number} station - PLC station number (1-254)
+ * @param {string} command - Two-character command code
+ * @param {string} payload - ASCII data
+ * @returns {Buffer} - Frame including LRC and ETX
+ */
+const encodeFrame = (station, command, payload = '') => {
+	const body = Buffer.concat([
+		Buffer.from([STX]),
+		Buffer.from(toHex(station, 2) + command + payload, 'ascii'),
+	]);
+	return Buffer.concat([
+		body,
+		Buffer.from(calculateLRC(body), 'ascii'),
+		Buffer.from([ETX]),
+	]);
+};
+
+/**
+ * Validate and split a reply frame
+ * @param {Buffer} frame - STX..ETX reply
+ * @param {Object} expected - { station, command } to check against
+ * @returns {Object} - { station, command, errorCode, data }
+ */
+const decodeFrame = (frame, expected = {}) => {
+	if (!Buffer.isBuffer(frame) || frame.length < 9) {
+		throw new FatekFrameError('PLC reply too short');
+	}
+	if (frame[0] !== STX || frame[frame.length - 1] !== ETX) {
+		throw new FatekFrameError('PLC reply is missing STX/ETX');
+	}
+
+	const body = frame.slice(0, frame.length - 3);
+	const receivedLRC = frame
+		.slice(frame.length - 3, frame.length - 1)
+		.toString('ascii')
+		.toUpperCase();
+	const expectedLRC = calculateLRC(body);
+	if (receivedLRC !== expectedLRC) {
+		throw new FatekChecksumError(expectedLRC, receivedLRC);
+	}
+
+	const text = body.slice(1).toString('ascii');
+	const station = parseInt(text.slice(0, 2), 16);
+	const command = text.slice(2, 4).toUpperCase();
+	const errorCode = text.slice(4, 5).toUpperCase();
+	const data = text.slice(5);
+
+	if (isNaN(station)) {
+		throw new FatekFrameError('PLC reply has an invalid station number');
+	}
+	if (expected.station !== undefined && station !== expected.station) {
+		throw new FatekFrameError(
+			`PLC reply from station ${station}, expected ${expected.station}`
+		);
+	}
+	if (expected.command !== undefined && command !== expected.command) {
+		throw new FatekFrameError(
+			`PLC reply to command ${command}, expected ${expected.command}`
+		);
+	}
+	if (errorCode !== '0') {
+		throw new FatekResponseError(errorCode);
+	}
+
+	return { station, command, errorCode, data };
+};
+
+/**
+ * Validate and split a request frame (used by the PLC simulator)
+ * @param {Buffer} frame - STX..ETX request
+ * @returns {Object} - { station, command, data }
+ */
+const decodeRequest = (frame) => {
+	if (!Buffer.isBuffer(frame) || frame.length < 8) {
+		throw new FatekFrameError('PLC request too short');
+	}
+	if (frame[0] !== STX || frame[frame.length - 1] !== ETX) {
+		throw new FatekFrameError('PLC request is missing STX/ETX');
+	}
+
+	const body = frame.slice(0, frame.length - 3);
+	const receivedLRC = frame
+		.slice(frame.length - 3, frame.length - 1)
+		.toString('ascii')
+		.toUpperCase();
+	const expectedLRC = calculateLRC(body);
+	if (receivedLRC !== expectedLRC) {
+		throw new FatekChecksumError(expectedLRC, receivedLRC);
+	}
+
+	const text = body.slice(1).toString('ascii');
+	return {
+		station: parseInt(text.slice(0, 2), 16),
+		command: text.slice(2, 4).toUpperCase(),
+		data: text.slice(4),
+	};
+};
+
+const parseWords = (data, count) => {
+	if (data.length !== count * 4 || !/^[0-9A-F]*$/i.test(data)) {
+		throw new FatekFrameError(
+			`Expected ${count} register values, got ${data.length} characters`
+		);
+	}
+	const values = [];
+	for (let i = 0; i < count; i++) {
+		values.push(parseInt(data.slice(i * 4, i * 4 + 4), 16));
+	}
+	return values;
+};
+
+const parseBits = (data, count) => {
+	if (data.length !== count || !/^[01]*$/.test(data)) {
+		throw new FatekFrameError(
+			`Expected ${count} discrete values, got '${data}'`
+		);
+	}
+	return data.split('').map((c) => (c === '1' ? 1 : 0));
+};
+
+// Request builders. Each returns { frame, command, parse } where parse turns
+// the decoded reply data into a result.
+
+const readRegisters = (station, start, count) => {
+	const addr = parseAddress(start);
+	if (addr.kind !== 'register') {
+		throw new FatekRequestError(`${start} is not a register address`);
+	}
+	assertCount(count, MAX_REGISTERS_PER_FRAME);
+	return {
+		command: COMMANDS.READ_REGISTERS,
+		frame: encodeFrame(
+			station,
+			COMMANDS.READ_REGISTERS,
+			toHex(count, 2) + addr.address
+		),
+		parse: (data) => parseWords(data, count),
+	};
+};
+
+const writeRegisters = (station, start, values) => {
+	const addr = parseAddress(start);
+	if (addr.kind !== 'register') {
+		throw new FatekRequestError(`${start} is not a register address`);
+	}
+	assertCount(values.length, MAX_REGISTERS_PER_FRAME);
+	values.forEach(assertWord);
+	return {
+		command: COMMANDS.WRITE_REGISTERS,
+		frame: encodeFrame(
+			station,
+			COMMANDS.WRITE_REGISTERS,
+			toHex(values.length, 2) +
+				addr.address +
+				values.map((v) => toHex(v, 4)).join('')
+		),
+		parse: () => null,
+	};
+};
+
+const readDiscretes = (station, start, count) => {
+	const addr = parseAddress(start);
+	if (addr.kind !== 'discrete') {
+		throw new FatekRequestError(`${start} is not a discrete address`);
+	}
+	assertCount(count, MAX_DISCRETES_PER_FRAME);
+	return {
+		command: COMMANDS.READ_DISCRETES,
+		frame: encodeFrame(
+			station,
+			COMMANDS.READ_DISCRETES,
+			toHex(count, 2) + addr.address
+		),
+		parse: (data) => parseBits(data, count),
+	};
+};
+
+const writeDiscretes = (station, start, values) => {
+	const addr = parseAddress(start);
+	if (addr.kind !== 'discrete') {
+		throw new FatekRequestError(`${start} is not a discrete address`);
+	}
+	assertCount(values.length, MAX_DISCRETES_PER_FRAME);
+	return {
+		command: COMMANDS.WRITE_DISCRETES,
+		frame: encodeFrame(
+			station,
+			COMMANDS.WRITE_DISCRETES,
+			toHex(values.length, 2) +
+				addr.address +
+				values.map((v) => (v ? '1' : '0')).join('')
+		),
+		parse: () => null,
+	};
+};
+
+const controlDiscrete = (station, address, action) => {
+	const addr = parseAddress(address);
+	if (addr.kind !== 'discrete') {
+		throw new FatekRequestError(`${address} is not a discrete address`);
+	}
+	if (!Object.values(DISCRETE_ACTIONS).includes(action)) {
+		throw new FatekRequestError(`Invalid discrete action ${action}`);
+	}
+	return {
+		command: COMMANDS.SINGLE_DISCRETE,
+		frame: encodeFrame(station, COMMANDS.SINGLE_DISCRETE, action + addr.address),
+		parse: () => null,
+	};
+};
+
+/**
+ * Read a random list of registers and discretes in one frame (command 48)
+ */
+const mixedRead = (station, addresses) => {
+	const parsed = addresses.map(parseAddress);
+	assertCount(parsed.length, MAX_REGISTERS_PER_FRAME);
+	return {
+		command: COMMANDS.MIXED_READ,
+		frame: encodeFrame(
+			station,
+			COMMANDS.MIXED_READ,
+			toHex(parsed.length, 2) + parsed.map((a) => a.address).join('')
+		),
+		parse: (data) => {
+			const values = [];
+			let pos = 0;
+			parsed.forEach((addr) => {
+				const width = addr.kind === 'register' ? 4 : 1;
+				const chunk = data.slice(pos, pos + width);
+				pos += width;
+				values.push(
+					addr.kind === 'register' ? parseWords(chunk, 1)[0] : parseBits(chunk, 1)[0]
+				);
+			});
+			if (pos !== data.length) {
+				throw new FatekFrameError('Mixed read reply length mismatch');
+			}
+			return values;
+		},
+	};
+};
+
+const readSystemStatus = (station) => ({
+	command: COMMANDS.READ_SYSTEM_STATUS,
+	frame: encodeFrame(station, COMMANDS.READ_SYSTEM_STATUS),
+	parse: (data) => {
+		if (data.length < 6 || !/^[0-9A-F]+$/i.test(data)) {
+			throw new FatekFrameError(`Invalid system status reply '${data}'`);
+		}
+		const status1 = parseInt(data.slice(0, 2), 16);
+		return {
+			running: (status1 & 0x01) !== 0,
+			batteryLow: (status1 & 0x02) !== 0,
+			ladderChecksumError: (status1 & 0x04) !== 0,
+			romPack: (status1 & 0x08) !== 0,
+			watchdogError: (status1 & 0x10) !== 0,
+			idSet: (status1 & 0x20) !== 0,
+			emergencyStop: (status1 & 0x40) !== 0,
+			rawStatus: data.slice(0, 6),
+		};
+	},
+});
+
+const runStop = (station, run) => ({
+	command: COMMANDS.RUN_STOP,
+	frame: encodeFrame(station, COMMANDS.RUN_STOP, run ? '1' : '0'),
+	parse: () => null,
+});
+
+module.exports = {
+	STX,
+	ETX,
+	COMMANDS,
+	DISCRETE_ACTIONS,
+	PLC_ERRORS,
+	MAX_REGISTERS_PER_FRAME,
+	MAX_DISCRETES_PER_FRAME,
+	FatekError,
+	FatekFrameError,
+	FatekChecksumError,
+	FatekResponseError,
+	FatekRequestError,
+	calculateLRC,
+	parseAddress,
+	offsetAddress,
+	encodeFrame,
+	decodeFrame,
+	decodeRequest,
+	readRegisters,
+	writeRegisters,
+	readDiscretes,
+	writeDiscretes,
+	controlDiscrete,
+	mixedRead,
+	readSystemStatus,
+	runStop,
+};
@@ -0,0 +1,382 @@
+/**
+ * Modbus TCP protocol codec.
+ *
+ * ADU layout (big-endian):
+ *   transaction id (2) | protocol id (2, always 0) | length (2) | unit id (1) | PDU
+ * The length field counts the unit id plus the PDU. Exception replies echo the
+ * function code with the high bit set, followed by a one-byte exception code.
+ */
+
+const MBAP_HEADER_LENGTH = 7;
+
+const FUNCTION_CODES = {
+	READ_HOLDING_REGISTERS: 0x03,
+	READ_INPUT_REGISTERS: 0x04,
+	WRITE_SINGLE_REGISTER: 0x06,
+	WRITE_MULTIPLE_REGISTERS: 0x10,
+};
+
+const MAX_READ_REGISTERS = 125;
+const MAX_WRITE_REGISTERS = 123;
+
+// Exception codes and how they are surfaced to API clients
+const EXCEPTIONS = {
+	1: { type: 'ILLEGAL_FUNCTION', message: 'Illegal function', statusCode: 400 },
+	2: {
+		type: 'ILLEGAL_DATA_ADDRESS',
+		message: 'Illegal data address',
+		statusCode: 400,
+	},
+	3: { type: 'ILLEGAL_DATA_VALUE', message: 'Illegal data value', statusCode: 400 },
+	4: {
+		type: 'SLAVE_DEVICE_FAILURE',
+		message: 'Slave device failure',
+		statusCode: 502,
+	},
+	5: { type: 'ACKNOWLEDGE', message: 'Acknowledge (processing)', statusCode: 502 },
+	6: { type: 'SLAVE_DEVICE_BUSY', message: 'Slave device busy', statusCode: 503 },
+	10: {
+		type: 'GATEWAY_PATH_UNAVAILABLE',
+		message: 'Gateway path unavailable',
+		statusCode: 502,
+	},
+	11: {
+		type: 'GATEWAY_TARGET_FAILED',
+		message: 'Gateway target device failed to respond',
+		statusCode: 504,
+	},
+};
+
+// Registers occupied by each supported data type
+const DATA_TYPES = {
+	int16: 1,
+	uint16: 1,
+	float32: 2,
+};
+
+// 'big' = high word first (ABCD), 'little' = low word first (CDAB)
+const WORD_ORDERS = ['big', 'little'];
+
+class ModbusError extends Error {
+	constructor(message, code, statusCode = 502) {
+		super(message);
+		this.name = this.constructor.name;
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+// Reply could not be decoded (short frame, bad header, wrong function)
+class ModbusFrameError extends ModbusError {
+	constructor(message) {
+		super(message, 'FRAME_ERROR');
+	}
+}
+
+// Slave answered with an exception
+class ModbusExceptionError extends ModbusError {
+	constructor(functionCode, exceptionCode) {
+		const info = EXCEPTIONS[exceptionCode] || {
+			type: 'UNKNOWN_EXCEPTION',
+			message: `Unknown exception code ${exceptionCode}`,
+			statusCode: 502,
+		};
+		super(
+			`Modbus exception ${exceptionCode} on function ${functionCode}: ${info.message}`,
+			info.type,
+			info.statusCode
+		);
+		this.functionCode = functionCode;
+		this.exceptionCode = exceptionCode;
+	}
+}
+
+// Request could not be built (bad address, count, value or type)
+class ModbusRequestError extends ModbusError {
+	constructor(message) {
+		super(message, 'INVALID_REQUEST', 400);
+	}
+}
+
+const checkAddress = (address) => {
+	if (!Number.isInteger(address) || address < 0 || address > 0xffff) {
+		throw new ModbusRequestError(`Invalid register address ${address}`);
+	}
+};
+
+const checkCount = (address, count, max) => {
+	if (!Number.isInteger(count) || count < 1 || count > max) {
+		throw new ModbusRequestError(`Register count must be between 1 and ${max}`);
+	}
+	if (address + count - 1 > 0xffff) {
+		throw new ModbusRequestError(
+			`Register range ${address}+${count} exceeds the address space`
+		);
+	}
+};
+
+const checkWord = (value) => {
+	if (!Number.isInteger(value) || value < 0 || value > 0xffff) {
+		throw new ModbusRequestError(
+			`Register value ${value} must be an integer between 0 and 65535`
+		);
+	}
+};
+
+/**
+ * Wrap a PDU in an MBAP header
+ * @param {number} transactionId - 0-65535, echoed by the slave
+ * @param {number} unitId - Slave id (0-255)
+ * @param {Buffer} pdu - Function code + data
+ * @returns {Buffer} - Complete ADU
+ */
+const encodeFrame = (transactionId, unitId, pdu) => {
+	const header = Buffer.alloc(MBAP_HEADER_LENGTH);
+	header.writeUInt16BE(transactionId & 0xffff, 0);
+	header.writeUInt16BE(0, 2);
+	header.writeUInt16BE(pdu.length + 1, 4);
+	header.writeUInt8(unitId & 0xff, 6);
+	return Buffer.concat([header, pdu]);
+};
+
+/**
+ * Length of the first complete ADU in a receive buffer
+ * @param {Buffer} buffer - Accumulated bytes
+ * @returns {number} - ADU length, or 0 if more bytes are needed
+ */
+const frameLength = (buffer) => {
+	if (buffer.length < MBAP_HEADER_LENGTH) return 0;
+	const length = 6 + buffer.readUInt16BE(4);
+	return buffer.length >= length ? length : 0;
+};
+
+/**
+ * Split an ADU into header fields and PDU
+ * @param {Buffer} frame - Complete ADU
+ * @returns {Object} - { transactionId, unitId, functionCode, data }
+ */
+const decodeFrame = (frame) => {
+	if (frame.length < MBAP_HEADER_LENGTH + 1) {
+		throw new ModbusFrameError(`Modbus frame too short (${frame.length} bytes)`);
+	}
+	if (frame.readUInt16BE(2) !== 0) {
+		throw new ModbusFrameError(
+			`Unexpected Modbus protocol id ${frame.readUInt16BE(2)}`
+		);
+	}
+	const length = frame.readUInt16BE(4);
+	if (frame.length !== 6 + length) {
+		throw new ModbusFrameError(
+			`Modbus length field ${length} does not match frame size ${frame.length}`
+		);
+	}
+
+	return {
+		transactionId: frame.readUInt16BE(0),
+		unitId: frame.readUInt8(6),
+		functionCode: frame.readUInt8(7),
+		data: frame.slice(8),
+	};
+};
+
+/**
+ * Check a decoded reply against the request that produced it
+ * @param {Object} reply - Output of decodeFrame
+ * @param {number} functionCode - Function code of the request
+ * @returns {Buffer} - Reply data after the function code
+ */
+const verifyReply = (reply, functionCode) => {
+	if (reply.functionCode === (functionCode | 0x80)) {
+		throw new ModbusExceptionError(functionCode, reply.data.readUInt8(0));
+	}
+	if (reply.functionCode !== functionCode) {
+		throw new ModbusFrameError(
+			`Reply function ${reply.functionCode} does not match request ${functionCode}`
+		);
+	}
+	return reply.data;
+};
+
+const readRequest = (functionCode) => (address, count) => {
+	checkAddress(address);
+	checkCount(address, count, MAX_READ_REGISTERS);
+
+	const pdu = Buffer.alloc(5);
+	pdu.writeUInt8(functionCode, 0);
+	pdu.writeUInt16BE(address, 1);
+	pdu.writeUInt16BE(count, 3);
+
+	return {
+		functionCode,
+		pdu,
+		parse: (data) => {
+			const byteCount = data.readUInt8(0);
+			if (byteCount !== count * 2 || data.length !== byteCount + 1) {
+				throw new ModbusFrameError(
+					`Expected ${count} registers, got ${byteCount} bytes`
+				);
+			}
+			const values = [];
+			for (let i = 0; i < count; i++) {
+				values.push(data.readUInt16BE(1 + i * 2));
+			}
+			return values;
+		},
+	};
+};
+
+// FC 03
+const readHoldingRegisters = readRequest(FUNCTION_CODES.READ_HOLDING_REGISTERS);
+
+// FC 04
+const readInputRegisters = readRequest(FUNCTION_CODES.READ_INPUT_REGISTERS);
+
+// FC 06
+const writeSingleRegister = (address, value) => {
+	checkAddress(address);
+	checkWord(value);
+
+	const pdu = Buffer.alloc(5);
+	pdu.writeUInt8(FUNCTION_CODES.WRITE_SINGLE_REGISTER, 0);
+	pdu.writeUInt16BE(address, 1);
+	pdu.writeUInt16BE(value, 3);
+
+	return {
+		functionCode: FUNCTION_CODES.WRITE_SINGLE_REGISTER,
+		pdu,
+		parse: (data) => {
+			// The slave echoes address and value
+			if (
+				data.length !== 4 ||
+				data.readUInt16BE(0) !== address ||
+				data.readUInt16BE(2) !== value
+			) {
+				throw new ModbusFrameError('Write single register echo mismatch');
+			}
+			return null;
+		},
+	};
+};
+
+// FC 16
+const writeMultipleRegisters = (address, values) => {
+	checkAddress(address);
+	checkCount(address, values.length, MAX_WRITE_REGISTERS);
+	values.forEach(checkWord);
+
+	const pdu = Buffer.alloc(6 + values.length * 2);
+	pdu.writeUInt8(FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS, 0);
+	pdu.writeUInt16BE(address, 1);
+	pdu.writeUInt16BE(values.length, 3);
+	pdu.writeUInt8(values.length * 2, 5);
+	values.forEach((value, i) => pdu.writeUInt16BE(value, 6 + i * 2));
+
+	return {
+		functionCode: FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS,
+		pdu,
+		parse: (data) => {
+			if (
+				data.length !== 4 ||
+				data.readUInt16BE(0) !== address ||
+				data.readUInt16BE(2) !== values.length
+			) {
+				throw new ModbusFrameError('Write multiple registers echo mismatch');
+			}
+			return null;
+		},
+	};
+};
+
+/**
+ * Decode a typed value from consecutive register words
+ * @param {Array<number>} words - Register values
+ * @param {number} offset - Index of the first word
+ * @param {string} type - int16 | uint16 | float32
+ * @param {string} wordOrder - big | little (32-bit types only)
+ * @returns {number}
+ */
+const decodeValue = (words, offset, type, wordOrder = 'big') => {
+	const size = DATA_TYPES[type];
+	if (!size) {
+		throw new ModbusRequestError(`Unsupported data type ${type}`);
+	}
+	if (offset + size > words.length) {
+		throw new ModbusFrameError(`Not enough registers to decode ${type}`);
+	}
+
+	const buf = Buffer.alloc(size * 2);
+	for (let i = 0; i < size; i++) {
+		const word = words[offset + (wordOrder === 'little' ? size - 1 - i : i)];
+		buf.writeUInt16BE(word, i * 2);
+	}
+
+	switch (type) {
+		case 'int16':
+			return buf.readInt16BE(0);
+		case 'uint16':
+			return buf.readUInt16BE(0);
+		case 'float32':
+			return buf.readFloatBE(0);
+	}
+};
+
+/**
+ * Encode a typed value into register words
+ * @param {number} value - Value to encode
+ * @param {string} type - int16 | uint16 | float32
+ * @param {string} wordOrder - big | little (32-bit types only)
+ * @returns {Array<number>} - Register values
+ */
+const encodeValue = (value, type, wordOrder = 'big') => {
+	const size = DATA_TYPES[type];
+	if (!size) {
+		throw new ModbusRequestError(`Unsupported data type ${type}`);
+	}
+
+	const buf = Buffer.alloc(size * 2);
+	switch (type) {
+		case 'int16':
+			if (!Number.isInteger(value) || value < -32768 || value > 32767) {
+				throw new ModbusRequestError(`Value ${value} does not fit int16`);
+			}
+			buf.writeInt16BE(value, 0);
+			break;
+		case 'uint16':
+			checkWord(value);
+			buf.writeUInt16BE(value, 0);
+			break;
+		case 'float32':
+			buf.writeFloatBE(value, 0);
+			break;
+	}
+
+	const words = [];
+	for (let i = 0; i < size; i++) {
+		words.push(buf.readUInt16BE(i * 2));
+	}
+	return wordOrder === 'little' ? words.reverse() : words;
+};
+
+module.exports = {
+	MBAP_HEADER_LENGTH,
+	FUNCTION_CODES,
+	MAX_READ_REGISTERS,
+	MAX_WRITE_REGISTERS,
+	EXCEPTIONS,
+	DATA_TYPES,
+	WORD_ORDERS,
+	ModbusError,
+	ModbusFrameError,
+	ModbusExceptionError,
+	ModbusRequestError,
+	encodeFrame,
+	frameLength,
+	decodeFrame,
+	verifyReply,
+	readHoldingRegisters,
+	readInputRegisters,
+	writeSingleRegister,
+	writeMultipleRegisters,
+	decodeValue,
+	encodeValue,
+};
@@ -0,0 +1,200 @@
+// A4 in PDF points (1/72 inch)
+const A4 = { width: 595.28, height: 841.89 };
+
+// Letters without a WinAnsi glyph that do not decompose to one
+const TRANSLITERATIONS = { ı: 'i', ł: 'l', Ł: 'L', đ: 'd', Đ: 'D' };
+
+// Average Helvetica glyph width as a fraction of the font size (for wrapping)
+const AVERAGE_GLYPH_WIDTH = 0.52;
+
+/**
+ * Minimal PDF writer for text documents (reports, certificates) so no PDF
+ * library is needed: A4 pages, the standard Helvetica fonts, lines of text
+ * laid out top to bottom with automatic page breaks, horizontal rules and
+ * simple column rows. Text is WinAnsi encoded: accented letters outside
+ * Latin-1 (e.g. Turkish ş, ğ, ı) are printed without their accent and other
+ * characters as "?".
+ */
+class PdfDocument {
+	constructor({ margin = 50, title = null } = {}) {
+		this.margin = margin;
+		this.title = title;
+		this.pages = [];
+		this.addPage();
+	}
+
+	addPage() {
+		this.current = [];
+		this.pages.push(this.current);
+		this.y = A4.height - this.margin;
+	}
+
+	get contentWidth() {
+		return A4.width - this.margin * 2;
+	}
+
+	ensureSpace(height) {
+		if (this.y - height < this.margin) {
+			this.addPage();
+		}
+	}
+
+	escape(text) {
+		return String(text)
+			.replace(/[^\x20-\xff]/g, (char) => {
+				const plain =
+					TRANSLITERATIONS[char] || char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+				return /^[\x20-\xff]+$/.test(plain) ? plain : '?';
+			})
+			.replace(/\\/g, '\\\\')
+			.replace(/\(/g, '\\(')
+			.replace(/\)/g, '\\)');
+	}
+
+	drawText(text, x, y, size, bold) {
+		this.current.push(
+			`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${this.escape(text)}) Tj ET`
+		);
+	}
+
+	wrap(text, size, width) {
+		const maxChars = Math.max(1, Math.floor(width / (size * AVERAGE_GLYPH_WIDTH)));
+		const lines = [];
+		for (const paragraph of String(text).split('\n')) {
+			let line = '';
+			for (const word of paragraph.split(' ')) {
+				const candidate = line ? `${line} ${word}` : word;
+				if (candidate.length > maxChars && line) {
+					lines.push(line);
+					line = word;
+				} else {
+					line = candidate;
+				}
+			}
+			lines.push(line);
+		}
+		return lines;
+	}
+
+	/**
+	 * Write a (wrapped) paragraph
+	 * @param {string} text - Text
+	 * @param {Object} options - { size, bold, indent, spacing }
+	 */
+	text(text, { size = 10, bold = false, indent = 0, spacing = 1.4 } = {}) {
+		const lineHeight = size * spacing;
+		for (const line of this.wrap(text, size, this.contentWidth - indent)) {
+			this.ensureSpace(lineHeight);
+			this.y -= lineHeight;
+			this.drawText(line, this.margin + indent, this.y, size, bold);
+		}
+		return this;
+	}
+
+	/**
+	 * Write one row of columns; widths are fractions of the content width
+	 * @param {Array} cells - Cell texts
+	 * @param {Array} widths - Column widths (fractions summing to 1)
+	 * @param {Object} options - { size, bold }
+	 */
+	row(cells, widths, { size = 9, bold = false } = {}) {
+		const lineHeight = size * 1.4;
+		this.ensureSpace(lineHeight);
+		this.y -= lineHeight;
+
+		let x = this.margin;
+		cells.forEach((cell, index) => {
+			const width = widths[index] * this.contentWidth;
+			const maxChars = Math.max(1, Math.floor(width / (size * AVERAGE_GLYPH_WIDTH)) - 1);
+			const value = String(cell ?? '');
+			this.drawText(
+				value.length > maxChars ? `${value.slice(0, maxChars - 1)}~` : value,
+				x,
+				this.y,
+				size,
+				bold
+			);
+			x += width;
+		});
+		return this;
+	}
+
+	rule() {
+		this.ensureSpace(8);
+		this.y -= 6;
+		this.current.push(
+			`0.5 w ${this.margin} ${this.y.toFixed(2)} m ${(A4.width - this.margin).toFixed(2)} ${this.y.toFixed(2)} l S`
+		);
+		this.y -= 2;
+		return this;
+	}
+
+	moveDown(points = 10) {
+		this.y -= points;
+		if (this.y < this.margin) {
+			this.addPage();
+		}
+		return this;
+	}
+
+	/**
+	 * Serialize to a PDF file
+	 * @returns {Buffer} PDF bytes
+	 */
+	toBuffer() {
+		const objects = [];
+		const add = (body) => {
+			objects.push(body);
+			return objects.length;
+		};
+
+		const catalogId = add(null);
+		const pagesId = add(null);
+		const regularFontId = add(
+			'<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+		);
+		const boldFontId = add(
+			'<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+		);
+
+		const pageIds = this.pages.map((operations, index) => {
+			const footer = `BT /F1 8 Tf ${this.margin} ${(this.margin / 2).toFixed(2)} Td (${this.escape(
+				`Page ${index + 1} of ${this.pages.length}`
+			)}) Tj ET`;
+			const stream = [...operations, footer].join('\n');
+			const contentId = add(
+				`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`
+			);
+			return add(
+				`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${A4.width} ${A4.height}] ` +
+					`/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> ` +
+					`/Contents ${contentId} 0 R >>`
+			);
+		});
+
+		objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+		objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds
+			.map((id) => `${id} 0 R`)
+			.join(' ')}] /Count ${pageIds.length} >>`;
+		const infoId = add(
+			`<< /Producer (o2-analyzer-backend)${this.title ? ` /Title (${this.escape(this.title)})` : ''} >>`
+		);
+
+		let output = '%PDF-1.4\n';
+		const offsets = objects.map((body, index) => {
+			const offset = Buffer.byteLength(output, 'latin1');
+			output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+			return offset;
+		});
+
+		const xrefOffset = Buffer.byteLength(output, 'latin1');
+		output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+		output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+		output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+		output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+		return Buffer.from(output, 'latin1');
+	}
+}
+
+module.exports = PdfDocument;
@@ -0,0 +1,37 @@
+// 1 ATA (standard atmosphere) in kPa
+const ATMOSPHERE_KPA = 101.325;
+
+/**
+ * Oxygen partial pressure from O2 fraction and absolute chamber pressure
+ * @param {number} o2Level - O2 in %
+ * @param {number} pressureKPa - Absolute chamber pressure in kPa
+ * @returns {Object|null} - { ata, kPa }, or null if either input is unknown
+ */
+const computePpO2 = (o2Level, pressureKPa) => {
+	if (!Number.isFinite(o2Level) || !Number.isFinite(pressureKPa)) {
+		return null;
+	}
+
+	const kPa = (o2Level / 100) * pressureKPa;
+	return {
+		ata: parseFloat((kPa / ATMOSPHERE_KPA).toFixed(3)),
+		kPa: parseFloat(kPa.toFixed(2)),
+	};
+};
+
+/**
+ * Absolute pressure in kPa from a scaled register value
+ * @param {number} value - Register value
+ * @param {number} scale - Multiplier to kPa
+ * @param {boolean} gauge - Value is gauge pressure (atmosphere is added)
+ */
+const toAbsoluteKPa = (value, scale = 1, gauge = true) => {
+	const kPa = value * scale + (gauge ? ATMOSPHERE_KPA : 0);
+	return parseFloat(kPa.toFixed(2));
+};
+
+module.exports = {
+	ATMOSPHERE_KPA,
+	computePpO2,
+	toAbsoluteKPa,
+};
@@ -0,0 +1,60 @@
+// Stability criteria shared by guided calibration and verification tests
+const STABILITY_DEFAULTS = {
+	windowMs: parseInt(process.env.CAL_STABILITY_WINDOW_MS) || 10000,
+	maxVariance: parseFloat(process.env.CAL_STABILITY_MAX_VARIANCE) || 4,
+	minSamples: parseInt(process.env.CAL_STABILITY_MIN_SAMPLES) || 5,
+	timeoutMs: parseInt(process.env.CAL_POINT_TIMEOUT_MS) || 300000,
+};
+
+// Sensors are sampled about once a second (periodic PLC reader), so a window
+// shorter than minSamples seconds can never hold enough samples to be stable
+const SAMPLE_INTERVAL_MS = 1000;
+const MIN_WINDOW_MS = STABILITY_DEFAULTS.minSamples * SAMPLE_INTERVAL_MS;
+// Longest window a session, verification or zero/span capture may ask for
+const MAX_WINDOW_MS = 600000;
+
+/**
+ * Mean and variance of the raw values in a trailing window. The window is
+ * stable once it has been collected for `windowMs` since `startedAt` with at
+ * least `minSamples` samples and a variance of at most `maxVariance`.
+ * @param {Array} samples - [{ t, raw }] inside the window
+ * @param {Object} criteria - { startedAt, windowMs, maxVariance, minSamples }
+ * @param {number} now - Current time (ms)
+ * @returns {Object} - { samples, mean, variance, windowFilled, stable }
+ */
+const getWindowStats = (samples, criteria, now = Date.now()) => {
+	const raws = samples.map((sample) => sample.raw);
+	const count = raws.length;
+	const mean = count > 0 ? raws.reduce((sum, raw) => sum + raw, 0) / count : null;
+	const variance =
+		count > 0 ? raws.reduce((sum, raw) => sum + (raw - mean) ** 2, 0) / count : null;
+	const windowFilled = now - criteria.startedAt >= criteria.windowMs;
+
+	return {
+		samples: count,
+		mean: mean !== null ? parseFloat(mean.toFixed(4)) : null,
+		variance: variance !== null ? parseFloat(variance.toFixed(4)) : null,
+		windowFilled,
+		stable:
+			windowFilled && count >= criteria.minSamples && variance <= criteria.maxVariance,
+	};
+};
+
+// Average of the finite temperatures of a window, or null
+const averageTemperature = (samples) => {
+	const temperatures = samples
+		.map((sample) => sample.temperature)
+		.filter((temperature) => Number.isFinite(temperature));
+	if (temperatures.length === 0) return null;
+	return parseFloat(
+		(temperatures.reduce((sum, t) => sum + t, 0) / temperatures.length).toFixed(2)
+	);
+};
+
+module.exports = {
+	STABILITY_DEFAULTS,
+	MIN_WINDOW_MS,
+	MAX_WINDOW_MS,
+	getWindowStats,
+	averageTemperature,
+};
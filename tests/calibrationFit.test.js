@@ -0,0 +1,192 @@
+// In-memory database, so calibrations never touch database.sqlite
+process.env.DATABASE_URL = ':memory:';
+
+const { sequelize, Chamber } = require('../src/models');
+const calibrationService = require('../src/services/calibrationService');
+require('../src/utils/logger').silent = true;
+
+const points = (pairs) => pairs.map(([raw, o2]) => ({ raw, o2 }));
+
+describe('fitPolynomial', () => {
+	test('recovers an exact line', () => {
+		const fit = calibrationService.fitPolynomial(
+			points([
+				[1000, 10],
+				[2000, 20],
+				[3000, 30],
+			]),
+			1
+		);
+		const at = (raw) => fit.terms[0] + fit.terms[1] * ((raw - fit.center) / fit.scale);
+
+		expect(fit.center).toBe(2000);
+		expect(fit.scale).toBe(1000);
+		expect(at(2500)).toBeCloseTo(25, 10);
+	});
+
+	test('recovers an exact parabola', () => {
+		const data = [0, 1000, 2000, 3000, 4000].map((raw) => ({
+			raw,
+			o2: 2e-6 * raw ** 2 + 0.001 * raw + 1,
+		}));
+		const fit = calibrationService.fitPolynomial(data, 2);
+		const u = (raw) => (raw - fit.center) / fit.scale;
+
+		data.forEach(({ raw, o2 }) => {
+			const fitted = fit.terms.reduce((sum, term, power) => sum + term * u(raw) ** power, 0);
+			expect(fitted).toBeCloseTo(o2, 8);
+		});
+	});
+
+	test('rejects points that do not determine the model', () => {
+		expect(() =>
+			calibrationService.fitPolynomial(
+				points([
+					[1000, 0],
+					[1000, 21],
+					[1000, 100],
+				]),
+				1
+			)
+		).toThrow('Calibration points do not determine the model');
+	});
+});
+
+describe('fitCalibrationModel', () => {
+	const threePoints = calibrationService.normalizeCalibrationPoints(
+		points([
+			[2090, 20.9],
+			[100, 0],
+			[10000, 100],
+		])
+	);
+
+	test('piecewise passes through every point', () => {
+		const fit = calibrationService.fitCalibrationModel(threePoints, 'piecewise');
+
+		expect(fit.maxResidual).toBe(0);
+		expect(fit.r2).toBe(1);
+		expect(fit.coefficients.segments).toHaveLength(2);
+		expect(calibrationService.evaluateCalibrationModel(fit, 2090)).toBeCloseTo(20.9, 10);
+		// Beyond the last point the last segment is extended
+		expect(calibrationService.evaluateCalibrationModel(fit, 11000)).toBeGreaterThan(100);
+	});
+
+	test('linear returns raw-unit slope and offset', () => {
+		const fit = calibrationService.fitCalibrationModel(
+			points([
+				[0, 0],
+				[5000, 50],
+				[10000, 100],
+			]),
+			'linear'
+		);
+
+		expect(fit.coefficients).toEqual({ slope: 0.01, offset: 0 });
+		expect(fit.maxResidual).toBe(0);
+	});
+
+	test('quadratic coefficients match the fitted curve', () => {
+		const data = points([
+			[0, 1],
+			[1000, 4],
+			[2000, 11],
+			[3000, 22],
+		]);
+		const fit = calibrationService.fitCalibrationModel(data, 'quadratic');
+		const { a, b, c } = fit.coefficients;
+
+		expect(a * 1500 ** 2 + b * 1500 + c).toBeCloseTo(
+			calibrationService.evaluateCalibrationModel(fit, 1500),
+			4
+		);
+	});
+
+	test('reports residuals for an imperfect linear fit', () => {
+		const fit = calibrationService.fitCalibrationModel(
+			points([
+				[0, 0],
+				[5000, 52],
+				[10000, 100],
+			]),
+			'linear'
+		);
+
+		expect(fit.maxResidual).toBeGreaterThan(1);
+		expect(fit.r2).toBeLessThan(1);
+		expect(fit.residuals.map((point) => point.raw)).toEqual([0, 5000, 10000]);
+	});
+
+	test('rejects unknown models and too few distinct points', () => {
+		expect(() => calibrationService.fitCalibrationModel(threePoints, 'cubic')).toThrow(
+			'Calibration model must be one of'
+		);
+		expect(() =>
+			calibrationService.fitCalibrationModel(
+				points([
+					[100, 0],
+					[2090, 20.9],
+				]),
+				'quadratic'
+			)
+		).toThrow('needs at least 3 points');
+	});
+});
+
+describe('stored calibrations', () => {
+	let chamber;
+
+	beforeAll(async () => {
+		await sequelize.sync();
+		chamber = await Chamber.create({ name: 'Test chamber', type: 'chamber' });
+	});
+
+	afterAll(() => sequelize.close());
+
+	test('keeps raw0/raw21/raw100 filled from the nearest points of an N-point calibration', async () => {
+		await calibrationService.performThreePointCalibration(chamber.id, {
+			points: points([
+				[100, 0],
+				[1100, 10],
+				[2090, 20.9],
+				[5000, 50],
+				[10000, 100],
+			]),
+		});
+		await chamber.reload();
+
+		expect(chamber.raw0).toBe(100);
+		expect(chamber.raw21).toBe(2090);
+		expect(parseFloat(chamber.raw100)).toBe(10000);
+		expect(Array.isArray(chamber.calibrationPoints)).toBe(true);
+		expect(chamber.calibrationPoints).toHaveLength(5);
+	});
+
+	test('reuses the fitted model until the chamber is recalibrated', async () => {
+		const fitSpy = jest.spyOn(calibrationService, 'fitCalibrationModel');
+
+		const first = await calibrationService.calibrateReadingDetailed(chamber.id, 2090);
+		await calibrationService.calibrateReadingDetailed(chamber.id, 5000);
+		expect(first).toMatchObject({ o2Level: 20.9, calibrated: true });
+		expect(fitSpy).toHaveBeenCalledTimes(1);
+
+		await calibrationService.performThreePointCalibration(chamber.id, {
+			zeroPointRaw: 0,
+			midPointRaw: 2100,
+			hundredPointRaw: 10000,
+		});
+		fitSpy.mockClear();
+
+		const after = await calibrationService.calibrateReadingDetailed(chamber.id, 2100);
+		expect(after.o2Level).toBe(21);
+		expect(fitSpy).toHaveBeenCalledTimes(1);
+		fitSpy.mockRestore();
+	});
+
+	test('returns the raw value for an uncalibrated chamber', async () => {
+		const uncalibrated = await Chamber.create({ name: 'Uncalibrated', type: 'chamber' });
+		const result = await calibrationService.calibrateReadingDetailed(uncalibrated.id, 2090);
+
+		expect(result).toMatchObject({ o2Level: 2090, calibrated: false });
+	});
+});
@@ -0,0 +1,66 @@
+// In-memory database, so the watchdog never touches database.sqlite
+process.env.DATABASE_URL = ':memory:';
+
+jest.mock('../src/services/alarmService', () => ({
+	raiseConditionAlarm: jest.fn().mockResolvedValue(null),
+	clearConditionAlarm: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../src/services/registerMapService', () => ({ getAll: jest.fn(() => []) }));
+
+const { sequelize, Chamber } = require('../src/models');
+const alarmService = require('../src/services/alarmService');
+const registerMapService = require('../src/services/registerMapService');
+const dataWatchdog = require('../src/services/dataWatchdog');
+require('../src/utils/logger').silent = true;
+
+let plcChamber;
+let modbusChamber;
+let fioSensor;
+let unmapped;
+let disabled;
+
+beforeAll(async () => {
+	await sequelize.sync();
+	plcChamber = await Chamber.create({ name: 'PLC chamber', type: 'chamber' });
+	modbusChamber = await Chamber.create({ name: 'Modbus chamber', type: 'chamber' });
+	fioSensor = await Chamber.create({ name: 'FIO 1', type: 'fio' });
+	unmapped = await Chamber.create({ name: 'Unmapped', type: 'chamber' });
+	disabled = await Chamber.create({ name: 'Disabled', type: 'chamber' });
+
+	registerMapService.getAll.mockReturnValue([
+		{ chamberId: plcChamber.id, isEnabled: true, sourceIndex: 0 },
+		{ chamberId: modbusChamber.id, isEnabled: true, sourceIndex: null },
+		{ chamberId: fioSensor.id, isEnabled: true, sourceIndex: null },
+		{ chamberId: disabled.id, isEnabled: false, sourceIndex: 1 },
+	]);
+});
+
+afterAll(async () => {
+	dataWatchdog.stop();
+	await sequelize.close();
+});
+
+describe('data watchdog', () => {
+	test('expects every enabled register map entry from start, with or without a source index', async () => {
+		await dataWatchdog.start();
+
+		// Only the PLC chamber reports before the timeout passes
+		jest.useFakeTimers({ now: Date.now() + dataWatchdog.timeoutMs + 1000 });
+		dataWatchdog.touch(plcChamber);
+		await dataWatchdog.check();
+		jest.useRealTimers();
+
+		expect(dataWatchdog.getState(plcChamber.id).isStale).toBe(false);
+		expect(dataWatchdog.getState(modbusChamber.id).isStale).toBe(true);
+		expect(dataWatchdog.getState(fioSensor.id).isStale).toBe(true);
+		expect(dataWatchdog.sensors.has(unmapped.id)).toBe(false);
+		expect(dataWatchdog.sensors.has(disabled.id)).toBe(false);
+
+		// FIO sensors are monitored only
+		expect(alarmService.raiseConditionAlarm).toHaveBeenCalledTimes(1);
+		expect(alarmService.raiseConditionAlarm).toHaveBeenCalledWith(
+			modbusChamber.id,
+			'communication_loss'
+		);
+	});
+});
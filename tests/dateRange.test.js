@@ -0,0 +1,30 @@
+const { Op } = require('sequelize');
+const { dateRange } = require('../src/utils/dateRange');
+
+describe('dateRange', () => {
+	const start = new Date('2026-01-01T00:00:00Z');
+	const end = new Date('2026-02-01T00:00:00Z');
+
+	test('returns null without bounds', () => {
+		expect(dateRange(null, null)).toBeNull();
+		expect(dateRange(undefined, undefined)).toBeNull();
+	});
+
+	test('applies only the lower bound', () => {
+		const condition = dateRange(start, null);
+		expect(Object.getOwnPropertySymbols(condition)).toEqual([Op.gte]);
+		expect(condition[Op.gte]).toBe(start);
+	});
+
+	test('applies only the upper bound', () => {
+		const condition = dateRange(null, end);
+		expect(Object.getOwnPropertySymbols(condition)).toEqual([Op.lte]);
+		expect(condition[Op.lte]).toBe(end);
+	});
+
+	test('applies both bounds', () => {
+		const condition = dateRange(start, end);
+		expect(condition[Op.gte]).toBe(start);
+		expect(condition[Op.lte]).toBe(end);
+	});
+});
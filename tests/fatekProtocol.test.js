@@ -0,0 +1,156 @@
+const fatek = require('../src/utils/fatekProtocol');
+
+// Reply frame as the PLC would send it: STX station command error data LRC ETX
+const reply = (command, errorCode, data = '', station = 1) =>
+	fatek.encodeFrame(station, command, errorCode + data);
+
+describe('calculateLRC', () => {
+	test('sums every byte modulo 256 as two uppercase hex digits', () => {
+		expect(fatek.calculateLRC(Buffer.from([0x02, 0x30, 0x31]))).toBe('63');
+		expect(fatek.calculateLRC(Buffer.from([0xff, 0x02]))).toBe('01');
+		expect(fatek.calculateLRC(Buffer.alloc(0))).toBe('00');
+	});
+});
+
+describe('encodeFrame', () => {
+	test('frames a register read request', () => {
+		const { frame, command } = fatek.readRegisters(1, 'R2100', 2);
+
+		expect(command).toBe('46');
+		expect(frame[0]).toBe(fatek.STX);
+		expect(frame[frame.length - 1]).toBe(fatek.ETX);
+		expect(frame.slice(1, -1).toString('ascii')).toBe('014602R0210074');
+	});
+
+	test('encodes register values as four hex digits', () => {
+		const { frame } = fatek.writeRegisters(1, 'R02001', [2090, 65535]);
+		expect(frame.slice(1, -3).toString('ascii')).toBe('014702R02001082AFFFF');
+	});
+
+	test('encodes discrete control with the action code', () => {
+		const { frame } = fatek.controlDiscrete(1, 'M407', fatek.DISCRETE_ACTIONS.SET);
+		expect(frame.slice(1, -3).toString('ascii')).toBe('01423M0407');
+	});
+
+	test('round-trips through decodeRequest', () => {
+		const { frame } = fatek.readDiscretes(12, 'M0407', 2);
+		expect(fatek.decodeRequest(frame)).toEqual({
+			station: 12,
+			command: '44',
+			data: '02M0407',
+		});
+	});
+});
+
+describe('request validation', () => {
+	test('normalises addresses', () => {
+		expect(fatek.parseAddress('r2100')).toMatchObject({ kind: 'register', address: 'R02100' });
+		expect(fatek.parseAddress('M00407')).toMatchObject({ kind: 'discrete', address: 'M0407' });
+	});
+
+	test('rejects bad addresses, counts and values', () => {
+		expect(() => fatek.parseAddress('Q0001')).toThrow(fatek.FatekRequestError);
+		expect(() => fatek.parseAddress('M10000')).toThrow('Discrete address out of range');
+		expect(() => fatek.readRegisters(1, 'M0407', 1)).toThrow('not a register address');
+		expect(() => fatek.readRegisters(1, 'R02100', 65)).toThrow('between 1 and 64');
+		expect(() => fatek.writeRegisters(1, 'R02001', [70000])).toThrow('between 0 and 65535');
+	});
+
+	test('fits the largest discrete count in the two-digit count field', () => {
+		const read = fatek.readDiscretes(1, 'M0000', fatek.MAX_DISCRETES_PER_FRAME);
+		expect(fatek.decodeRequest(read.frame).data).toBe('FFM0000');
+
+		const values = new Array(fatek.MAX_DISCRETES_PER_FRAME).fill(1);
+		const write = fatek.writeDiscretes(1, 'M0000', values);
+		expect(fatek.decodeRequest(write.frame).data).toBe(`FFM0000${'1'.repeat(255)}`);
+
+		expect(() => fatek.readDiscretes(1, 'M0000', 256)).toThrow('between 1 and 255');
+		expect(() => fatek.writeDiscretes(1, 'M0000', [...values, 0])).toThrow(
+			'between 1 and 255'
+		);
+	});
+
+	test('request errors map to 400', () => {
+		try {
+			fatek.parseAddress('bad');
+		} catch (error) {
+			expect(error).toMatchObject({ code: 'INVALID_REQUEST', statusCode: 400 });
+		}
+		expect.assertions(1);
+	});
+});
+
+describe('decodeFrame', () => {
+	test('splits a valid reply', () => {
+		expect(fatek.decodeFrame(reply('46', '0', '082A'), { station: 1, command: '46' })).toEqual(
+			{ station: 1, command: '46', errorCode: '0', data: '082A' }
+		);
+	});
+
+	test('rejects short or unterminated replies', () => {
+		expect(() => fatek.decodeFrame(Buffer.from('\x0201'))).toThrow('too short');
+		const frame = reply('46', '0', '082A');
+		expect(() => fatek.decodeFrame(frame.slice(0, -1))).toThrow(fatek.FatekFrameError);
+	});
+
+	test('rejects a checksum mismatch', () => {
+		const frame = reply('46', '0', '082A');
+		frame[3] = 0x37; // corrupt the command without fixing the LRC
+
+		try {
+			fatek.decodeFrame(frame);
+		} catch (error) {
+			expect(error).toBeInstanceOf(fatek.FatekChecksumError);
+			expect(error).toMatchObject({ code: 'CHECKSUM_ERROR', statusCode: 502 });
+		}
+		expect.assertions(2);
+	});
+
+	test('rejects replies for another station or command', () => {
+		expect(() => fatek.decodeFrame(reply('46', '0', '', 2), { station: 1 })).toThrow(
+			'from station 2, expected 1'
+		);
+		expect(() => fatek.decodeFrame(reply('47', '0'), { command: '46' })).toThrow(
+			'to command 47, expected 46'
+		);
+	});
+
+	test.each([
+		['2', 'ILLEGAL_VALUE', 400],
+		['4', 'ILLEGAL_FORMAT', 400],
+		['5', 'CANNOT_RUN', 409],
+		['9', 'CANNOT_RUN', 409],
+		['A', 'ILLEGAL_ADDRESS', 400],
+		['3', 'UNKNOWN_PLC_ERROR', 502],
+	])('maps PLC error code %s to %s', (code, type, statusCode) => {
+		try {
+			fatek.decodeFrame(reply('46', code));
+		} catch (error) {
+			expect(error).toBeInstanceOf(fatek.FatekResponseError);
+			expect(error).toMatchObject({ plcErrorCode: code, code: type, statusCode });
+		}
+		expect.assertions(2);
+	});
+});
+
+describe('reply parsers', () => {
+	test('parse register words and discrete bits', () => {
+		expect(fatek.readRegisters(1, 'R02100', 2).parse('082A1388')).toEqual([2090, 5000]);
+		expect(fatek.readDiscretes(1, 'M0407', 3).parse('101')).toEqual([1, 0, 1]);
+	});
+
+	test('reject replies of the wrong length', () => {
+		expect(() => fatek.readRegisters(1, 'R02100', 2).parse('082A')).toThrow(
+			fatek.FatekFrameError
+		);
+		expect(() => fatek.readDiscretes(1, 'M0407', 2).parse('1')).toThrow(
+			fatek.FatekFrameError
+		);
+	});
+
+	test('parse a mixed read in address order', () => {
+		const request = fatek.mixedRead(1, ['R02100', 'M0407', 'D00010']);
+		expect(request.parse('082A1000F')).toEqual([2090, 1, 15]);
+		expect(() => request.parse('082A1000F0')).toThrow('length mismatch');
+	});
+});
@@ -0,0 +1,193 @@
+const modbus = require('../src/utils/modbusProtocol');
+
+const { FUNCTION_CODES } = modbus;
+
+// Reply ADU as the slave would send it: MBAP header, function code, data
+const reply = (functionCode, data, transactionId = 1, unitId = 1) =>
+	modbus.encodeFrame(transactionId, unitId, Buffer.concat([Buffer.from([functionCode]), data]));
+
+// Parse a reply through the same steps as the client: decode, verify, parse
+const roundTrip = (request, data) => {
+	const frame = modbus.decodeFrame(reply(request.functionCode, data));
+	return request.parse(modbus.verifyReply(frame, request.functionCode));
+};
+
+const words = (...values) => {
+	const buf = Buffer.alloc(values.length * 2);
+	values.forEach((value, i) => buf.writeUInt16BE(value, i * 2));
+	return buf;
+};
+
+describe('MBAP framing', () => {
+	test('writes transaction id, protocol id, length and unit id', () => {
+		const frame = modbus.encodeFrame(0x1234, 17, Buffer.from([0x03, 0x00, 0x10, 0x00, 0x02]));
+
+		expect(frame.toString('hex')).toBe('12340000000611' + '0300100002');
+	});
+
+	test('wraps the transaction id and unit id', () => {
+		const frame = modbus.encodeFrame(0x10001, 0x1ff, Buffer.from([0x03]));
+		expect(frame.readUInt16BE(0)).toBe(1);
+		expect(frame.readUInt8(6)).toBe(0xff);
+	});
+
+	test('finds the first complete frame in a receive buffer', () => {
+		const frame = reply(FUNCTION_CODES.READ_HOLDING_REGISTERS, Buffer.from([2, 0, 7]));
+
+		expect(modbus.frameLength(frame.slice(0, 6))).toBe(0);
+		expect(modbus.frameLength(frame.slice(0, frame.length - 1))).toBe(0);
+		expect(modbus.frameLength(frame)).toBe(frame.length);
+		expect(modbus.frameLength(Buffer.concat([frame, frame.slice(0, 3)]))).toBe(frame.length);
+	});
+
+	test('decodes the header fields', () => {
+		const frame = reply(FUNCTION_CODES.READ_INPUT_REGISTERS, Buffer.from([2, 0, 7]), 42, 5);
+
+		expect(modbus.decodeFrame(frame)).toEqual({
+			transactionId: 42,
+			unitId: 5,
+			functionCode: 4,
+			data: Buffer.from([2, 0, 7]),
+		});
+	});
+
+	test('rejects short frames, a foreign protocol id and a wrong length field', () => {
+		expect(() => modbus.decodeFrame(Buffer.alloc(7))).toThrow(modbus.ModbusFrameError);
+
+		const foreign = reply(FUNCTION_CODES.READ_HOLDING_REGISTERS, Buffer.from([0]));
+		foreign.writeUInt16BE(1, 2);
+		expect(() => modbus.decodeFrame(foreign)).toThrow('Unexpected Modbus protocol id 1');
+
+		const truncated = reply(FUNCTION_CODES.READ_HOLDING_REGISTERS, Buffer.from([2, 0, 7]));
+		expect(() => modbus.decodeFrame(truncated.slice(0, -1))).toThrow('does not match frame size');
+	});
+});
+
+describe('function codes', () => {
+	test('FC3 reads holding registers', () => {
+		const request = modbus.readHoldingRegisters(100, 2);
+
+		expect(request.functionCode).toBe(3);
+		expect(request.pdu.toString('hex')).toBe('0300640002');
+		const data = Buffer.concat([Buffer.from([4]), words(2090, 65535)]);
+		expect(roundTrip(request, data)).toEqual([2090, 65535]);
+	});
+
+	test('FC4 reads input registers', () => {
+		const request = modbus.readInputRegisters(0, 1);
+
+		expect(request.pdu.toString('hex')).toBe('0400000001');
+		expect(roundTrip(request, Buffer.concat([Buffer.from([2]), words(7)]))).toEqual([7]);
+	});
+
+	test('reads reject a reply with the wrong register count', () => {
+		const request = modbus.readHoldingRegisters(100, 2);
+		expect(() => roundTrip(request, Buffer.concat([Buffer.from([2]), words(1)]))).toThrow(
+			'Expected 2 registers, got 2 bytes'
+		);
+	});
+
+	test('FC6 writes a single register and checks the echo', () => {
+		const request = modbus.writeSingleRegister(2001, 2090);
+
+		expect(request.pdu.toString('hex')).toBe('0607d1082a');
+		expect(roundTrip(request, words(2001, 2090))).toBeNull();
+		expect(() => roundTrip(request, words(2001, 2091))).toThrow('echo mismatch');
+	});
+
+	test('FC16 writes multiple registers and checks the echo', () => {
+		const request = modbus.writeMultipleRegisters(10, [1, 0xffff]);
+
+		expect(request.pdu.toString('hex')).toBe('10000a0002040001ffff');
+		expect(roundTrip(request, words(10, 2))).toBeNull();
+		expect(() => roundTrip(request, words(10, 3))).toThrow('echo mismatch');
+	});
+
+	test('rejects a reply for another function', () => {
+		const request = modbus.readHoldingRegisters(0, 1);
+		const frame = modbus.decodeFrame(
+			reply(FUNCTION_CODES.READ_INPUT_REGISTERS, Buffer.from([2, 0, 1]))
+		);
+
+		expect(() => modbus.verifyReply(frame, request.functionCode)).toThrow(
+			'Reply function 4 does not match request 3'
+		);
+	});
+
+	test('validates addresses, counts and values', () => {
+		expect(() => modbus.readHoldingRegisters(-1, 1)).toThrow('Invalid register address');
+		expect(() => modbus.readHoldingRegisters(0, 126)).toThrow('between 1 and 125');
+		expect(() => modbus.readHoldingRegisters(0xffff, 2)).toThrow('exceeds the address space');
+		expect(() => modbus.writeMultipleRegisters(0, new Array(124).fill(0))).toThrow(
+			'between 1 and 123'
+		);
+		expect(() => modbus.writeSingleRegister(0, 70000)).toThrow('between 0 and 65535');
+		expect(() => modbus.writeSingleRegister(0, 1.5)).toThrow(modbus.ModbusRequestError);
+	});
+});
+
+describe('data types', () => {
+	test('int16 and uint16 use one register', () => {
+		expect(modbus.encodeValue(-2, 'int16')).toEqual([0xfffe]);
+		expect(modbus.decodeValue([0xfffe], 0, 'int16')).toBe(-2);
+		expect(modbus.decodeValue([0xfffe], 0, 'uint16')).toBe(0xfffe);
+		expect(() => modbus.encodeValue(40000, 'int16')).toThrow('does not fit int16');
+		expect(() => modbus.encodeValue(-1, 'uint16')).toThrow(modbus.ModbusRequestError);
+	});
+
+	test('float32 follows the word order', () => {
+		// 20.9 = 0x41A7 3333
+		const big = modbus.encodeValue(20.9, 'float32');
+		const little = modbus.encodeValue(20.9, 'float32', 'little');
+
+		expect(big).toEqual([0x41a7, 0x3333]);
+		expect(little).toEqual([0x3333, 0x41a7]);
+		expect(modbus.decodeValue(big, 0, 'float32')).toBeCloseTo(20.9, 5);
+		expect(modbus.decodeValue(little, 0, 'float32', 'little')).toBeCloseTo(20.9, 5);
+		expect(modbus.decodeValue([0, ...little], 1, 'float32', 'little')).toBeCloseTo(20.9, 5);
+	});
+
+	test('rejects unknown types and missing registers', () => {
+		expect(() => modbus.encodeValue(1, 'int32')).toThrow('Unsupported data type int32');
+		expect(() => modbus.decodeValue([0x41a7], 0, 'float32')).toThrow(
+			'Not enough registers to decode float32'
+		);
+	});
+});
+
+describe('exceptions', () => {
+	const exception = (code) =>
+		modbus.decodeFrame(reply(FUNCTION_CODES.READ_HOLDING_REGISTERS | 0x80, Buffer.from([code])));
+
+	test.each([
+		[2, 'ILLEGAL_DATA_ADDRESS', 400],
+		[4, 'SLAVE_DEVICE_FAILURE', 502],
+		[6, 'SLAVE_DEVICE_BUSY', 503],
+		[11, 'GATEWAY_TARGET_FAILED', 504],
+	])('maps exception %i to %s (%i)', (code, type, statusCode) => {
+		try {
+			modbus.verifyReply(exception(code), FUNCTION_CODES.READ_HOLDING_REGISTERS);
+		} catch (error) {
+			expect(error).toBeInstanceOf(modbus.ModbusExceptionError);
+			expect(error).toMatchObject({
+				code: type,
+				statusCode,
+				functionCode: 3,
+				exceptionCode: code,
+			});
+		}
+		expect.assertions(2);
+	});
+
+	test('reports unknown exception codes as 502', () => {
+		expect(() =>
+			modbus.verifyReply(exception(0x42), FUNCTION_CODES.READ_HOLDING_REGISTERS)
+		).toThrow(expect.objectContaining({ code: 'UNKNOWN_EXCEPTION', statusCode: 502 }));
+	});
+
+	test('request errors map to 400', () => {
+		expect(() => modbus.readInputRegisters(0, 0)).toThrow(
+			expect.objectContaining({ code: 'INVALID_REQUEST', statusCode: 400 })
+		);
+	});
+});
@@ -0,0 +1,202 @@
+const { startSimulator } = require('../scripts/plcSimulator');
+
+// The DB-backed services the PLC paths report to are replaced with recorders
+jest.mock('../src/services/ingestionService', () => ({ ingest: jest.fn() }));
+jest.mock('../src/services/alarmService', () => ({
+	raiseConditionAlarm: jest.fn().mockResolvedValue(null),
+	clearConditionAlarm: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../src/services/registerMapService', () => ({
+	getSourceIndexMapping: jest.fn(() => ({ 1: 0, 2: 1 })),
+	getReadCount: jest.fn(() => 2),
+	getPressureRegisters: jest.fn(() => []),
+}));
+
+let simulator;
+let plcService;
+let periodicPlcReader;
+let plcWriteBackService;
+let ingestionService;
+let alarmService;
+
+beforeAll(async () => {
+	simulator = await startSimulator({
+		port: 0,
+		scenario: {
+			sensors: [
+				{ index: 0, o2: 20.9 },
+				{ index: 1, o2: 50 },
+			],
+		},
+	});
+
+	// plcService reads its link settings once, when it is first required
+	process.env.PLC_IP = '127.0.0.1';
+	process.env.PLC_PORT = String(simulator.port);
+	process.env.PLC_READ_TIMEOUT = '300';
+	process.env.PLC_WRITE_TIMEOUT = '300';
+	process.env.PLC_ALARM_TIMEOUT = '300';
+	process.env.PLC_RECONNECT_MIN_DELAY = '20';
+	process.env.PLC_RECONNECT_MAX_DELAY = '100';
+	process.env.PLC_WRITE_FAILURE_THRESHOLD = '2';
+
+	// Injected faults are logged as errors; keep the test output readable
+	require('../src/utils/logger').silent = true;
+	plcService = require('../src/services/plcService');
+	periodicPlcReader = require('../src/services/periodicPlcReader');
+	plcWriteBackService = require('../src/services/plcWriteBackService');
+	ingestionService = require('../src/services/ingestionService');
+	alarmService = require('../src/services/alarmService');
+});
+
+afterAll(async () => {
+	if (plcService) plcService.disconnect();
+	await simulator.stop();
+});
+
+beforeEach(() => {
+	simulator.clearFaults();
+	jest.clearAllMocks();
+});
+
+describe('periodic PLC reader', () => {
+	test('reads the mapped sensor block and hands it to ingestion', async () => {
+		await periodicPlcReader.readAndUpdateChambers();
+
+		expect(ingestionService.ingest).toHaveBeenCalledTimes(1);
+		const [source, samples, frame] = ingestionService.ingest.mock.calls[0];
+		expect(source).toBe('plc');
+		expect(frame).toEqual([2090, 5000]);
+		expect(samples).toEqual([
+			{ chamberId: 1, rawValue: 2090, pressure: undefined, meta: { sensorIndex: 0 } },
+			{ chamberId: 2, rawValue: 5000, pressure: undefined, meta: { sensorIndex: 1 } },
+		]);
+	});
+
+	test('follows scripted sensor changes', async () => {
+		simulator.setSensor(1, { o2: 95 });
+		await periodicPlcReader.readAndUpdateChambers();
+
+		const [, samples] = ingestionService.ingest.mock.calls[0];
+		expect(samples[1].rawValue).toBe(9500);
+	});
+
+	test('counts a failed read and skips ingestion', async () => {
+		simulator.injectFault('errorCode', { code: '4' });
+		const failedReads = periodicPlcReader.failedReads;
+
+		await periodicPlcReader.readAndUpdateChambers();
+
+		expect(periodicPlcReader.failedReads).toBe(failedReads + 1);
+		expect(ingestionService.ingest).not.toHaveBeenCalled();
+	});
+});
+
+describe('write-back', () => {
+	test('writes the value into the simulator register', async () => {
+		const result = await plcWriteBackService.write(1, 'R02001', 2090);
+
+		expect(result.success).toBe(true);
+		expect(simulator.getRegister('R02001')).toBe(2090);
+		expect(simulator.writeLog[simulator.writeLog.length - 1]).toMatchObject({
+			address: 'R02001',
+			value: 2090,
+		});
+	});
+
+	test('raises plc_write_failure after consecutive failures and clears it on success', async () => {
+		simulator.injectFault('errorCode', { code: 'A', count: 2 });
+
+		await plcWriteBackService.write(1, 'R02005', 100);
+		expect(alarmService.raiseConditionAlarm).not.toHaveBeenCalled();
+		await plcWriteBackService.write(1, 'R02005', 100);
+		expect(alarmService.raiseConditionAlarm).toHaveBeenCalledWith(1, 'plc_write_failure');
+
+		const result = await plcWriteBackService.write(1, 'R02005', 100);
+		expect(result.success).toBe(true);
+		expect(alarmService.clearConditionAlarm).toHaveBeenCalledWith(1, 'plc_write_failure');
+	});
+});
+
+describe('alarm bits', () => {
+	test('sets and resets a discrete bit', async () => {
+		const set = await plcService.writeBit('M0407', 1);
+		expect(set).toMatchObject({ success: true, bitAddress: 'M0407', value: 1 });
+		expect(simulator.getBit('M0407')).toBe(1);
+
+		const reset = await plcService.writeBit('M407', false);
+		expect(reset.success).toBe(true);
+		expect(simulator.getBit('M0407')).toBe(0);
+	});
+
+	test('reads back bits written by the simulator', async () => {
+		simulator.setBit('M0408', 1);
+		const result = await plcService.readBits('M0407', 2);
+
+		expect(result.success).toBe(true);
+		expect(result.data).toEqual([0, 1]);
+	});
+});
+
+describe('fault injection', () => {
+	test('surfaces PLC error codes as typed errors', async () => {
+		simulator.injectFault('errorCode', { code: 'A' });
+		const result = await plcService.readRegisters('R02100', 1);
+
+		expect(result).toMatchObject({
+			success: false,
+			errorCode: 'ILLEGAL_ADDRESS',
+			plcErrorCode: 'A',
+			statusCode: 400,
+		});
+	});
+
+	test('rejects a reply with a bad checksum', async () => {
+		simulator.injectFault('badChecksum');
+		const result = await plcService.readRegisters('R02100', 1);
+
+		expect(result).toMatchObject({ success: false, errorCode: 'CHECKSUM_ERROR' });
+	});
+
+	test('times out on a missing reply and recovers on the next request', async () => {
+		simulator.injectFault('noReply');
+		const lost = await plcService.readRegisters('R02100', 1);
+		expect(lost).toMatchObject({ success: false, errorCode: 'TIMEOUT' });
+
+		const next = await plcService.readRegisters('R02100', 1);
+		expect(next.success).toBe(true);
+		expect(next.data).toEqual([2090]);
+	});
+
+	test('skips leading garbage and reassembles split replies', async () => {
+		simulator.injectFault('garbage');
+		const afterGarbage = await plcService.readRegisters('R02100', 1);
+		expect(afterGarbage.data).toEqual([2090]);
+
+		simulator.injectFault('split', { delayMs: 30 });
+		const afterSplit = await plcService.readRegisters('R02100', 1);
+		expect(afterSplit.data).toEqual([2090]);
+	});
+
+	test('reconnects after the simulator drops the link', async () => {
+		await plcService.readRegisters('R02100', 1);
+		const lost = new Promise((resolve) =>
+			plcService.connection.once('stateChange', resolve)
+		);
+		simulator.dropConnections();
+		expect((await lost).state).toBe('reconnecting');
+
+		const result = await plcService.readRegisters('R02100', 1, { timeout: 1000 });
+		expect(result.success).toBe(true);
+		expect(result.data).toEqual([2090]);
+	});
+
+	test('applies fault steps from a scenario without touching the sensor config', async () => {
+		simulator.applyStep({ sensor: 0, fault: 'errorCode', code: '2', count: 1 });
+
+		expect(simulator.sensors.get(0)).not.toHaveProperty('code');
+		expect(simulator.sensors.get(0)).not.toHaveProperty('count');
+		const result = await plcService.readRegisters('R02100', 1);
+		expect(result).toMatchObject({ success: false, plcErrorCode: '2' });
+	});
+});
@@ -0,0 +1,113 @@
+const { PLCTransactionQueue, PRIORITY } = require('../src/services/plcTransactionQueue');
+
+// A handler that stays busy until release() is called
+const blocker = () => {
+	let release;
+	const done = new Promise((resolve) => {
+		release = resolve;
+	});
+	return { handler: () => done, release: () => release('released') };
+};
+
+describe('PLCTransactionQueue', () => {
+	test('serves alarms before writes before reads, FIFO within a level', async () => {
+		const queue = new PLCTransactionQueue();
+		const order = [];
+		const record = (label) => async () => {
+			order.push(label);
+			return label;
+		};
+
+		const busy = blocker();
+		const first = queue.enqueue(busy.handler, { priority: PRIORITY.READ });
+		const handles = [
+			queue.enqueue(record('read 1'), { priority: PRIORITY.READ }),
+			queue.enqueue(record('write 1'), { priority: PRIORITY.WRITE }),
+			queue.enqueue(record('alarm 1'), { priority: PRIORITY.ALARM }),
+			queue.enqueue(record('read 2')),
+			queue.enqueue(record('write 2'), { priority: PRIORITY.WRITE }),
+			queue.enqueue(record('alarm 2'), { priority: PRIORITY.ALARM }),
+		];
+
+		expect(queue.getStats().depthByPriority).toEqual({ alarm: 2, write: 2, read: 2 });
+		busy.release();
+		await first.promise;
+		await Promise.all(handles.map((handle) => handle.promise));
+
+		expect(order).toEqual(['alarm 1', 'alarm 2', 'write 1', 'write 2', 'read 1', 'read 2']);
+	});
+
+	test('runs one transaction at a time', async () => {
+		const queue = new PLCTransactionQueue();
+		let running = 0;
+		let maxRunning = 0;
+		const handler = async () => {
+			running++;
+			maxRunning = Math.max(maxRunning, running);
+			await new Promise((resolve) => setTimeout(resolve, 5));
+			running--;
+		};
+
+		await Promise.all(
+			[1, 2, 3].map(() => queue.enqueue(handler, { priority: PRIORITY.WRITE }).promise)
+		);
+		expect(maxRunning).toBe(1);
+	});
+
+	test('coalesces waiting transactions with the same dedupe key', async () => {
+		const queue = new PLCTransactionQueue();
+		const busy = blocker();
+		queue.enqueue(busy.handler);
+
+		const handler = jest.fn().mockResolvedValue([2090]);
+		const a = queue.enqueue(handler, { dedupeKey: 'read:R02100:2' });
+		const b = queue.enqueue(handler, { dedupeKey: 'read:R02100:2' });
+		expect(b.id).toBe(a.id);
+
+		busy.release();
+		await expect(b.promise).resolves.toEqual([2090]);
+		expect(handler).toHaveBeenCalledTimes(1);
+	});
+
+	test('rejects new transactions when full', async () => {
+		const queue = new PLCTransactionQueue({ maxDepth: 1 });
+		const busy = blocker();
+		queue.enqueue(busy.handler);
+		const waiting = queue.enqueue(async () => 'ok');
+
+		const rejected = queue.enqueue(async () => 'too many');
+		await expect(rejected.promise).rejects.toMatchObject({ code: 'QUEUE_FULL' });
+
+		busy.release();
+		await expect(waiting.promise).resolves.toBe('ok');
+	});
+
+	test('times out transactions that wait too long', async () => {
+		const queue = new PLCTransactionQueue();
+		const busy = blocker();
+		queue.enqueue(busy.handler, { timeout: 1000 });
+
+		const late = queue.enqueue(async () => 'late', { timeout: 20 });
+		await expect(late.promise).rejects.toMatchObject({ code: 'TIMEOUT' });
+		expect(queue.getDepth()).toBe(0);
+		busy.release();
+	});
+
+	test('cancels pending transactions', async () => {
+		const queue = new PLCTransactionQueue();
+		const busy = blocker();
+		queue.enqueue(busy.handler);
+		const handler = jest.fn();
+		const pending = queue.enqueue(handler);
+
+		expect(pending.cancel('operator')).toBe(true);
+		await expect(pending.promise).rejects.toMatchObject({
+			code: 'CANCELLED',
+			message: 'operator',
+		});
+
+		busy.release();
+		await new Promise((resolve) => setImmediate(resolve));
+		expect(handler).not.toHaveBeenCalled();
+	});
+});
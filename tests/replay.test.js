@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// In-memory database and a throwaway recordings directory
+process.env.DATABASE_URL = ':memory:';
+process.env.RECORDINGS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'o2-replay-'));
+process.env.DATA_SOURCE = 'plc';
+
+// Alarm bits would go straight to the PLC; record them instead
+jest.mock('../src/services/plcService', () => ({
+	writeBit: jest.fn().mockResolvedValue({ success: true }),
+}));
+jest.mock('../src/services/registerMapService', () => ({
+	getAlarmBit: jest.fn(() => 'M0407'),
+	getWriteRegister: jest.fn(() => null),
+}));
+
+const { sequelize, Chamber, O2Reading, Alarm, SensorFault } = require('../src/models');
+const plcService = require('../src/services/plcService');
+const calibrationService = require('../src/services/calibrationService');
+const dataWatchdog = require('../src/services/dataWatchdog');
+const ingestionService = require('../src/services/ingestionService');
+const replaySource = require('../src/services/replaySource');
+require('../src/utils/logger').silent = true;
+
+const RECORDING = 'stream-replay-test.jsonl';
+
+let chamber;
+
+const writeRecording = (frames) => {
+	fs.writeFileSync(
+		path.join(process.env.RECORDINGS_DIR, RECORDING),
+		frames.map((frame) => JSON.stringify(frame)).join('\n')
+	);
+};
+
+const replayToEnd = async () => {
+	replaySource.play({ file: RECORDING, speed: 1000 });
+	while (replaySource.isRunning) {
+		await new Promise((resolve) => setTimeout(resolve, 10));
+	}
+};
+
+beforeAll(async () => {
+	await sequelize.sync();
+	chamber = await Chamber.create({ name: 'Ana Kabin', type: 'chamber' });
+	await calibrationService.performThreePointCalibration(chamber.id, {
+		points: [
+			{ raw: 100, o2: 0 },
+			{ raw: 2090, o2: 20.9 },
+			{ raw: 10000, o2: 100 },
+		],
+	});
+	ingestionService.registerSource('replay', replaySource);
+});
+
+afterAll(async () => {
+	fs.rmSync(process.env.RECORDINGS_DIR, { recursive: true, force: true });
+	await sequelize.close();
+});
+
+beforeEach(() => {
+	jest.clearAllMocks();
+	global.socketHandler = {
+		broadcastChamberRawValue: jest.fn(),
+		broadcastNewReading: jest.fn(),
+		broadcastAlarm: jest.fn(),
+		io: { emit: jest.fn() },
+	};
+});
+
+afterEach(() => {
+	delete global.socketHandler;
+});
+
+describe('replay', () => {
+	test('broadcasts replayed samples without storing, alarming or touching the PLC', async () => {
+		const touch = jest.spyOn(dataWatchdog, 'touch');
+		// 40 % O2 is above the high alarm limit; the missing sample is a sensor fault when live
+		writeRecording([
+			{
+				t: '2026-01-01T10:00:00.000Z',
+				source: 'plc',
+				samples: [{ chamberId: chamber.id, rawValue: 4000 }],
+			},
+			{
+				t: '2026-01-01T10:00:01.000Z',
+				source: 'plc',
+				samples: [{ chamberId: chamber.id, rawValue: null, missing: true }],
+			},
+		]);
+
+		await replayToEnd();
+
+		expect(replaySource.framesReplayed).toBe(2);
+		expect(await O2Reading.count()).toBe(0);
+		expect(await Alarm.count()).toBe(0);
+		expect(await SensorFault.count()).toBe(0);
+		expect(plcService.writeBit).not.toHaveBeenCalled();
+		expect(global.socketHandler.io.emit).not.toHaveBeenCalled();
+		expect(touch).not.toHaveBeenCalled();
+		touch.mockRestore();
+
+		await chamber.reload();
+		expect(chamber.lastRawFromPLC).toBeNull();
+
+		const { broadcastNewReading } = global.socketHandler;
+		expect(broadcastNewReading).toHaveBeenCalledTimes(1);
+		expect(broadcastNewReading.mock.calls[0][1]).toMatchObject({
+			chamberId: chamber.id,
+			source: 'replay',
+			recordedAt: '2026-01-01T10:00:00.000Z',
+		});
+		expect(broadcastNewReading.mock.calls[0][1].o2Level).toBeCloseTo(40, 0);
+	});
+
+	test('the same sample from a live source is stored and alarmed', async () => {
+		await ingestionService.ingest('plc', [{ chamberId: chamber.id, rawValue: 4000 }]);
+
+		expect(await O2Reading.count()).toBe(1);
+		expect(await Alarm.count({ where: { alarmType: 'high_o2' } })).toBe(1);
+		expect(plcService.writeBit).toHaveBeenCalledWith('M0407', 1);
+	});
+});
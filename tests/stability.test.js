@@ -0,0 +1,56 @@
+const { getWindowStats, MIN_WINDOW_MS, STABILITY_DEFAULTS } = require('../src/utils/stability');
+
+const criteria = { startedAt: 0, windowMs: 10000, maxVariance: 4, minSamples: 5 };
+
+const samplesOf = (raws) => raws.map((raw, i) => ({ t: i * 1000, raw }));
+
+describe('getWindowStats', () => {
+	test('returns nulls for an empty window', () => {
+		const stats = getWindowStats([], criteria, 10000);
+		expect(stats).toEqual({
+			samples: 0,
+			mean: null,
+			variance: null,
+			windowFilled: true,
+			stable: false,
+		});
+	});
+
+	test('computes mean and population variance', () => {
+		const stats = getWindowStats(samplesOf([2, 4, 4, 4, 5, 5, 7, 9]), criteria, 10000);
+		expect(stats.samples).toBe(8);
+		expect(stats.mean).toBe(5);
+		expect(stats.variance).toBe(4);
+		expect(stats.stable).toBe(true);
+	});
+
+	test('is not stable before the window has been collected', () => {
+		const stats = getWindowStats(samplesOf([100, 100, 100, 100, 100]), criteria, 9999);
+		expect(stats.windowFilled).toBe(false);
+		expect(stats.stable).toBe(false);
+	});
+
+	test('is not stable with fewer than minSamples samples', () => {
+		const stats = getWindowStats(samplesOf([100, 100, 100, 100]), criteria, 10000);
+		expect(stats.windowFilled).toBe(true);
+		expect(stats.stable).toBe(false);
+	});
+
+	test('is not stable when the variance exceeds maxVariance', () => {
+		const stats = getWindowStats(samplesOf([90, 100, 110, 100, 90]), criteria, 10000);
+		expect(stats.variance).toBeGreaterThan(criteria.maxVariance);
+		expect(stats.stable).toBe(false);
+	});
+
+	test('rounds mean and variance to 4 decimals', () => {
+		const stats = getWindowStats(samplesOf([1, 2, 2]), criteria, 10000);
+		expect(stats.mean).toBe(1.6667);
+		expect(stats.variance).toBe(0.2222);
+	});
+});
+
+describe('MIN_WINDOW_MS', () => {
+	test('leaves room for minSamples samples at one sample per second', () => {
+		expect(MIN_WINDOW_MS).toBe(STABILITY_DEFAULTS.minSamples * 1000);
+	});
+});
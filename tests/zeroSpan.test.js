@@ -0,0 +1,102 @@
+// In-memory database, so captures never touch database.sqlite
+process.env.DATABASE_URL = ':memory:';
+
+// The chamber is always reporting; stability is what is under test
+jest.mock('../src/services/dataWatchdog', () => ({
+	timeoutMs: 5000,
+	getState: jest.fn(() => ({ lastDataAt: new Date(), dataAgeMs: 0, isStale: false })),
+}));
+
+const { sequelize, Chamber } = require('../src/models');
+const calibrationService = require('../src/services/calibrationService');
+const { STABILITY_DEFAULTS } = require('../src/utils/stability');
+require('../src/utils/logger').silent = true;
+
+let chamber;
+let now;
+
+// Feed one live sample per second, as the periodic PLC reader does
+const feed = (raws, temperature = 22) => {
+	raws.forEach((raw) => {
+		now += 1000;
+		calibrationService.observeRawValue(chamber.id, raw, temperature);
+	});
+};
+
+beforeAll(async () => {
+	await sequelize.sync();
+	chamber = await Chamber.create({ name: 'Zero span', type: 'chamber', lastRawFromPLC: 100 });
+});
+
+afterAll(() => sequelize.close());
+
+beforeEach(() => {
+	now = Date.parse('2026-01-01T10:00:00Z');
+	jest.spyOn(Date, 'now').mockImplementation(() => now);
+	calibrationService.recentSamples.delete(chamber.id);
+	calibrationService.resetZeroSpan(chamber.id);
+});
+
+afterEach(() => {
+	jest.restoreAllMocks();
+});
+
+const steady = (raw, seconds) => Array.from({ length: seconds }, (_, i) => raw + (i % 2));
+
+describe('captureZeroSpanPoint', () => {
+	test('stores the window average of a stable reading', async () => {
+		feed(steady(2000, 5));
+		feed(steady(100, STABILITY_DEFAULTS.windowMs / 1000 + 1));
+
+		const status = await calibrationService.captureZeroSpanPoint(chamber.id, 'zero', {
+			gas: 'N2',
+		});
+
+		// The earlier 2000 values have left the window
+		expect(status.zero).toMatchObject({
+			concentration: 0,
+			temperature: 22,
+			windowMs: STABILITY_DEFAULTS.windowMs,
+		});
+		expect(status.zero.raw).toBeCloseTo(100.5, 0);
+		expect(status.zero.variance).toBeLessThanOrEqual(0.25);
+		expect(status.zero.samples).toBeGreaterThanOrEqual(STABILITY_DEFAULTS.minSamples);
+	});
+
+	test('rejects a reading that has not been collected for a full window', async () => {
+		feed(steady(100, 3));
+
+		await expect(
+			calibrationService.captureZeroSpanPoint(chamber.id, 'zero')
+		).rejects.toMatchObject({
+			statusCode: 409,
+			stability: { stable: false, windowFilled: false },
+		});
+		expect(calibrationService.getZeroSpanStatus(chamber.id).zero).toBeNull();
+	});
+
+	test('rejects a drifting reading and honours maxVariance and windowMs', async () => {
+		feed([9000, 9200, 9400, 9600, 9800, 10000, 10000, 10001, 10000, 10001, 10000]);
+
+		await expect(
+			calibrationService.captureZeroSpanPoint(chamber.id, 'span')
+		).rejects.toThrow('not stable (variance');
+
+		const status = await calibrationService.captureZeroSpanPoint(chamber.id, 'span', {
+			windowMs: 5000,
+			maxVariance: 1,
+		});
+		expect(status.span).toMatchObject({ concentration: 100, windowMs: 5000 });
+		expect(status.span.raw).toBeCloseTo(10000.33, 1);
+	});
+
+	test('restarts the window after the data stops', async () => {
+		feed(steady(100, 12));
+		now += 60000;
+		feed(steady(100, 5));
+
+		await expect(
+			calibrationService.captureZeroSpanPoint(chamber.id, 'zero')
+		).rejects.toMatchObject({ stability: { windowFilled: false } });
+	});
+});